@@ -1,5 +1,8 @@
+import { useEffect } from 'react';
 import { Route, Switch, useLocation } from 'wouter';
-import { AuthProvider, useAuth } from '@/context/AuthContext';
+import { AuthProvider, useAuth, getTwoFactorStatus } from '@/context/AuthContext';
+import { PortalAuthProvider } from '@/context/PortalAuthContext';
+import { OrgProvider, useOrg } from '@/context/OrgContext';
 import { PrivateRoute } from '@/components/PrivateRoute';
 import { SidebarProvider } from '@/components/ui/sidebar';
 import { TooltipProvider } from '@/components/ui/tooltip';
@@ -8,21 +11,47 @@ import { AppSidebar } from '@/components/AppSidebar';
 import { Header } from '@/components/Header';
 import Dashboard from '@/pages/Dashboard';
 import UserManagement from '@/pages/UserManagement';
+import UserDetail from '@/pages/UserDetail';
 import DocumentManagement from '@/pages/DocumentManagement';
 import ClinicManagement from '@/pages/ClinicManagement';
+import TeamManagement from '@/pages/TeamManagement';
+import AuditLog from '@/pages/AuditLog';
+import Trash from '@/pages/Trash';
+import AccountSettings from '@/pages/AccountSettings';
 import Login from '@/pages/Login';
 import Signup from '@/pages/Signup';
+import ForgotPassword from '@/pages/ForgotPassword';
+import AuthAction from '@/pages/AuthAction';
 import UserPortalLogin from '@/pages/UserPortalLogin';
 import UserPortalDashboard from '@/pages/UserPortalDashboard';
 import NotFound from '@/pages/NotFound';
+import CreateOrganization from '@/pages/CreateOrganization';
+import TwoFactorRequired from '@/pages/TwoFactorRequired';
+import { IdleTimeoutDialog } from '@/components/IdleTimeoutDialog';
+import { TrashAutoPurge } from '@/components/TrashAutoPurge';
+import { CAPABILITIES } from '@/lib/permissions';
+import { SESSION_SCOPES, IDLE_TIMEOUT_MINUTES } from '@/lib/session';
 import { Loader2 } from 'lucide-react';
 
 function AppContent() {
-  const { user, loading } = useAuth();
-  const [location] = useLocation();
-  const isAuthPage = location === '/login' || location === '/signup' || location === '/user-portal-login';
+  const { user, loading, signOut } = useAuth();
+  const { organizations, activeOrg, loading: orgLoading } = useOrg();
+  const [location, setLocation] = useLocation();
+  const isAuthPage = ['/login', '/signup', '/forgot-password', '/auth-action', '/user-portal-login'].includes(location);
   const isUserPortalDashboard = location === '/user-portal-dashboard';
 
+  // Signed out here or in another tab: leave the admin page for the login screen
+  useEffect(() => {
+    if (!loading && !user && !isAuthPage && !isUserPortalDashboard && location !== '/') {
+      setLocation('/login');
+    }
+  }, [loading, user, isAuthPage, isUserPortalDashboard, location, setLocation]);
+
+  const handleIdleSignOut = async () => {
+    await signOut();
+    setLocation('/login');
+  };
+
   if (loading) {
     return (
       <div className="h-full flex items-center justify-center">
@@ -49,6 +78,8 @@ function AppContent() {
         <Switch>
           <Route path="/login" component={Login} />
           <Route path="/signup" component={Signup} />
+          <Route path="/forgot-password" component={ForgotPassword} />
+          <Route path="/auth-action" component={AuthAction} />
           <Route path="/user-portal-login" component={UserPortalLogin} />
           <Route path="/">
             <Login />
@@ -59,6 +90,32 @@ function AppContent() {
     );
   }
 
+  if (orgLoading) {
+    return (
+      <div className="h-full flex items-center justify-center">
+        <Loader2 className="h-8 w-8 animate-spin text-primary" />
+      </div>
+    );
+  }
+
+  // Signed in, but not a member of any organization yet
+  if (organizations.length === 0) {
+    return (
+      <div className="h-full">
+        <CreateOrganization />
+      </div>
+    );
+  }
+
+  // The organization requires a second factor this account hasn't set up
+  if (activeOrg?.requireTwoFactor && !getTwoFactorStatus(user).enabled) {
+    return (
+      <div className="h-full">
+        <TwoFactorRequired />
+      </div>
+    );
+  }
+
   const sidebarStyle = {
     "--sidebar-width": "16rem",
     "--sidebar-width-icon": "4rem",
@@ -66,6 +123,12 @@ function AppContent() {
 
   return (
     <SidebarProvider style={sidebarStyle}>
+      <IdleTimeoutDialog
+        scope={SESSION_SCOPES.ADMIN}
+        timeoutMinutes={activeOrg?.idleTimeoutMinutes || IDLE_TIMEOUT_MINUTES[SESSION_SCOPES.ADMIN]}
+        onSignOut={handleIdleSignOut}
+      />
+      <TrashAutoPurge />
       <div className="flex h-full w-full">
         <AppSidebar />
         <div className="flex flex-col flex-1 min-h-0">
@@ -73,25 +136,50 @@ function AppContent() {
           <main className="flex-1 overflow-y-auto overflow-x-hidden">
             <Switch>
               <Route path="/">
-                <PrivateRoute>
+                <PrivateRoute capability={CAPABILITIES.VIEW_DASHBOARD}>
                   <Dashboard />
                 </PrivateRoute>
               </Route>
               <Route path="/user-management">
-                <PrivateRoute>
+                <PrivateRoute capability={CAPABILITIES.VIEW_USERS}>
                   <UserManagement />
                 </PrivateRoute>
               </Route>
+              <Route path="/user-management/:id">
+                <PrivateRoute capability={CAPABILITIES.VIEW_USERS}>
+                  <UserDetail />
+                </PrivateRoute>
+              </Route>
               <Route path="/document-management">
-                <PrivateRoute>
+                <PrivateRoute capability={CAPABILITIES.VIEW_DOCUMENTS}>
                   <DocumentManagement />
                 </PrivateRoute>
               </Route>
               <Route path="/clinic-management">
-                <PrivateRoute>
+                <PrivateRoute capability={CAPABILITIES.VIEW_CLINICS}>
                   <ClinicManagement />
                 </PrivateRoute>
               </Route>
+              <Route path="/team">
+                <PrivateRoute capability={CAPABILITIES.MANAGE_TEAM}>
+                  <TeamManagement />
+                </PrivateRoute>
+              </Route>
+              <Route path="/audit-log">
+                <PrivateRoute capability={CAPABILITIES.VIEW_AUDIT_LOG}>
+                  <AuditLog />
+                </PrivateRoute>
+              </Route>
+              <Route path="/trash">
+                <PrivateRoute capability={CAPABILITIES.MANAGE_TRASH}>
+                  <Trash />
+                </PrivateRoute>
+              </Route>
+              <Route path="/account">
+                <PrivateRoute>
+                  <AccountSettings />
+                </PrivateRoute>
+              </Route>
               <Route path="/login" component={Login} />
               <Route path="/signup" component={Signup} />
               <Route component={NotFound} />
@@ -106,12 +194,16 @@ function AppContent() {
 function App() {
   return (
     <AuthProvider>
-      <TooltipProvider>
-        <div className="h-full flex flex-col">
-          <Toaster />
-          <AppContent />
-        </div>
-      </TooltipProvider>
+      <OrgProvider>
+        <PortalAuthProvider>
+          <TooltipProvider>
+            <div className="h-full flex flex-col">
+              <Toaster />
+              <AppContent />
+            </div>
+          </TooltipProvider>
+        </PortalAuthProvider>
+      </OrgProvider>
     </AuthProvider>
   );
 }
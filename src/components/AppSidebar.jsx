@@ -12,10 +12,19 @@ import {
   SidebarTrigger,
   useSidebar,
 } from '@/components/ui/sidebar';
-import { Home, Users, FileText, Building2, Wallet, LogOut } from 'lucide-react';
+import { Home, Users, FileText, Building2, UserPlus, History, Trash2, Wallet, LogOut } from 'lucide-react';
 import { useLocation } from 'wouter';
 import { useAuth } from '@/context/AuthContext';
 import { Avatar, AvatarFallback, AvatarImage } from '@/components/ui/avatar';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+import { useOrg } from '@/context/OrgContext';
+import { CAPABILITIES } from '@/lib/permissions';
 
 const menuItems = [
   {
@@ -23,30 +32,56 @@ const menuItems = [
     url: '/',
     icon: Home,
     testId: 'nav-dashboard',
+    capability: CAPABILITIES.VIEW_DASHBOARD,
   },
   {
     title: 'User Management',
     url: '/user-management',
     icon: Users,
     testId: 'nav-user-management',
+    capability: CAPABILITIES.VIEW_USERS,
   },
   {
     title: 'Document Management',
     url: '/document-management',
     icon: FileText,
     testId: 'nav-document-management',
+    capability: CAPABILITIES.VIEW_DOCUMENTS,
   },
   {
     title: 'Clinic Management',
     url: '/clinic-management',
     icon: Building2,
     testId: 'nav-clinic-management',
+    capability: CAPABILITIES.VIEW_CLINICS,
+  },
+  {
+    title: 'Team',
+    url: '/team',
+    icon: UserPlus,
+    testId: 'nav-team',
+    capability: CAPABILITIES.MANAGE_TEAM,
+  },
+  {
+    title: 'Audit Log',
+    url: '/audit-log',
+    icon: History,
+    testId: 'nav-audit-log',
+    capability: CAPABILITIES.VIEW_AUDIT_LOG,
+  },
+  {
+    title: 'Trash',
+    url: '/trash',
+    icon: Trash2,
+    testId: 'nav-trash',
+    capability: CAPABILITIES.MANAGE_TRASH,
   },
 ];
 
 export function AppSidebar() {
   const [location, setLocation] = useLocation();
   const { user, signOut } = useAuth();
+  const { organizations, activeOrg, switchOrganization, can } = useOrg();
   const { setOpenMobile } = useSidebar();
 
   const handleNavigation = (url) => {
@@ -55,6 +90,14 @@ export function AppSidebar() {
     setOpenMobile(false);
   };
 
+  // Detail pages, like a user's, keep their list page highlighted
+  const isCurrent = (url) => location === url || (url !== '/' && location.startsWith(`${url}/`));
+
+  const handleSwitchOrganization = (orgId) => {
+    switchOrganization(orgId);
+    setOpenMobile(false);
+  };
+
   const handleSignOut = async () => {
     await signOut();
     setLocation('/login');
@@ -68,16 +111,35 @@ export function AppSidebar() {
           <Wallet className="h-6 w-6 text-primary flex-shrink-0" />
           <span className="text-lg font-bold group-data-[collapsible=icon]:hidden truncate">ProCoHat</span>
         </div>
+        {/* Organization switcher - only for admins in more than one organization */}
+        <div className="px-2 group-data-[collapsible=icon]:hidden">
+          {organizations.length > 1 ? (
+            <Select value={activeOrg?.id} onValueChange={handleSwitchOrganization}>
+              <SelectTrigger className="h-8" data-testid="select-organization">
+                <SelectValue placeholder="Select organization" />
+              </SelectTrigger>
+              <SelectContent>
+                {organizations.map((org) => (
+                  <SelectItem key={org.id} value={org.id}>
+                    {org.name}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          ) : (
+            <p className="text-sm text-muted-foreground truncate">{activeOrg?.name}</p>
+          )}
+        </div>
       </SidebarHeader>
       <SidebarContent>
         <SidebarGroup>
           <SidebarGroupContent>
             <SidebarMenu>
-              {menuItems.map((item) => (
+              {menuItems.filter((item) => can(item.capability)).map((item) => (
                 <SidebarMenuItem key={item.title}>
                   <SidebarMenuButton
                     onClick={() => handleNavigation(item.url)}
-                    isActive={location === item.url}
+                    isActive={isCurrent(item.url)}
                     data-testid={item.testId}
                     className="group-data-[collapsible=icon]:justify-center"
                   >
@@ -94,7 +156,13 @@ export function AppSidebar() {
         {user && (
           <SidebarMenu>
             <SidebarMenuItem>
-              <SidebarMenuButton size="lg" className="group-data-[collapsible=icon]:justify-center">
+              <SidebarMenuButton
+                size="lg"
+                onClick={() => handleNavigation('/account')}
+                isActive={location === '/account'}
+                data-testid="nav-account"
+                className="group-data-[collapsible=icon]:justify-center"
+              >
                 <Avatar className="h-8 w-8">
                   <AvatarImage src={user.photoURL || undefined} alt={user.displayName || user.email || 'User'} />
                   <AvatarFallback>
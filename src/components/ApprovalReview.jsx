@@ -0,0 +1,327 @@
+import { useState } from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { FieldError } from '@/components/FieldError';
+import { repositories, ValidationError, ConflictError, emailKey } from '@/lib/data';
+import { useToast } from '@/hooks/use-toast';
+import { useAuth } from '@/context/AuthContext';
+import { REVIEW_DECISIONS, getReviews, reviewerOf, stageOf } from '@/lib/approval';
+import { Loader2 } from 'lucide-react';
+
+const formatDateTime = (timestamp) => {
+  return timestamp?.toDate
+    ? timestamp.toDate().toLocaleString('en-US', {
+      month: 'short',
+      day: '2-digit',
+      year: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit',
+    })
+    : '—';
+};
+
+const decisionLabels = {
+  [REVIEW_DECISIONS.ADVANCED]: 'Passed',
+  [REVIEW_DECISIONS.APPROVED]: 'Approved',
+  [REVIEW_DECISIONS.SENT_BACK]: 'Sent back',
+  [REVIEW_DECISIONS.COMMENTED]: 'Comment',
+};
+
+const decisionClasses = {
+  [REVIEW_DECISIONS.ADVANCED]: 'bg-blue-100 text-blue-800',
+  [REVIEW_DECISIONS.APPROVED]: 'bg-green-100 text-green-800',
+  [REVIEW_DECISIONS.SENT_BACK]: 'bg-orange-100 text-orange-800',
+  [REVIEW_DECISIONS.COMMENTED]: 'bg-gray-100 text-gray-800',
+};
+
+/**
+ * A user's way through the organization's approval stages: where they are,
+ * who reviews them, the evidence and comments given so far, and (for those
+ * who can approve users) the form to pass, send back or comment on the stage.
+ * Remount it with a new key when the user changes stage, so the form starts empty.
+ * @param {Object} props
+ * @param {Object} props.record - The user record
+ * @param {Array<Object>} props.stages - From approvalStages
+ * @param {boolean} props.canReview - Whether the signed-in member can approve users
+ */
+export function ApprovalReview({ record, stages, canReview }) {
+  const { toast } = useToast();
+  const { user } = useAuth();
+  const [evidence, setEvidence] = useState({});
+  const [comment, setComment] = useState('');
+  const [reviewerEmail, setReviewerEmail] = useState(record.reviewerEmail || '');
+  const [fieldErrors, setFieldErrors] = useState({});
+  // Which action is being saved: 'advance', 'sendBack', 'comment' or 'reviewer'
+  const [busy, setBusy] = useState(null);
+
+  const stage = stageOf(record, stages);
+  const index = stages.indexOf(stage);
+  const reviewer = reviewerOf(record, stages);
+  const isReviewer = !reviewer || emailKey(reviewer) === emailKey(user?.email);
+  const reviews = getReviews(record).reverse();
+
+  const run = async (action, save, successMessage) => {
+    setBusy(action);
+
+    try {
+      await save();
+      setFieldErrors({});
+      toast({
+        title: 'Success',
+        description: successMessage,
+      });
+      return true;
+    } catch (error) {
+      if (error instanceof ValidationError || error instanceof ConflictError) {
+        setFieldErrors(error.fields || {});
+        toast({
+          title: 'Warning',
+          description: error.message,
+          variant: 'destructive',
+        });
+        return false;
+      }
+
+      console.error('Error reviewing user:', error);
+      toast({
+        title: 'Error',
+        description: 'Failed to save the review.',
+        variant: 'destructive',
+      });
+      return false;
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleAdvance = () => {
+    const next = stages[index + 1];
+    if (!next && !confirm(`Approve ${record.username}? This is the last stage.`)) return;
+
+    run(
+      'advance',
+      () => repositories.users.advanceStage(record, { comment, evidence }, stages, user),
+      next ? `${record.username} moved on to ${next.name}.` : `${record.username} is now approved.`
+    );
+  };
+
+  const handleSendBack = () => {
+    run(
+      'sendBack',
+      () => repositories.users.sendBack(record, { comment }, stages, user),
+      `${record.username} went back to ${stages[index - 1]?.name}.`
+    );
+  };
+
+  const handleComment = async () => {
+    const saved = await run(
+      'comment',
+      () => repositories.users.addComment(record, { comment }, stages, user),
+      'Comment added.'
+    );
+    if (saved) setComment('');
+  };
+
+  const handleAssign = (email) => {
+    setReviewerEmail(email);
+    run(
+      'reviewer',
+      () => repositories.users.assignReviewer(record, email, stages, user),
+      email ? `${email} now reviews this stage.` : 'The stage\'s own reviewer reviews it again.'
+    );
+  };
+
+  return (
+    <Card className="lg:col-span-2">
+      <CardHeader>
+        <CardTitle className="text-lg sm:text-xl">Approval</CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        {stage && (
+          <ol className="flex flex-wrap items-center gap-2 text-sm" data-testid="approval-stages">
+            {stages.map((item, i) => (
+              <li
+                key={item.id}
+                className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${
+                  i < index
+                    ? 'bg-green-100 text-green-800'
+                    : i === index
+                    ? 'bg-yellow-100 text-yellow-800 ring-1 ring-yellow-400'
+                    : 'bg-gray-100 text-gray-600'
+                }`}
+              >
+                {i + 1}. {item.name}
+              </li>
+            ))}
+          </ol>
+        )}
+
+        {stage && canReview && (
+          <div className="space-y-4">
+            <div className="space-y-2 max-w-md">
+              <Label htmlFor="reviewerEmail">Reviewer</Label>
+              <div className="flex gap-2">
+                <Input
+                  id="reviewerEmail"
+                  type="email"
+                  placeholder={stage.reviewerEmail || 'Anyone who can approve users'}
+                  value={reviewerEmail}
+                  onChange={(e) => {
+                    setReviewerEmail(e.target.value);
+                    setFieldErrors(prev => ({ ...prev, reviewerEmail: undefined }));
+                  }}
+                  disabled={Boolean(busy)}
+                  aria-invalid={Boolean(fieldErrors.reviewerEmail)}
+                  aria-describedby="reviewerEmail-error"
+                  data-testid="input-reviewer"
+                />
+                <Button
+                  variant="outline"
+                  onClick={() => handleAssign(reviewerEmail.trim())}
+                  disabled={Boolean(busy) || reviewerEmail.trim() === (record.reviewerEmail || '')}
+                  data-testid="button-assign-reviewer"
+                >
+                  Assign
+                </Button>
+              </div>
+              <FieldError id="reviewerEmail-error" message={fieldErrors.reviewerEmail} />
+              {!isReviewer && (
+                <p className="text-sm text-muted-foreground">
+                  Waiting on {reviewer}.{' '}
+                  <button
+                    type="button"
+                    className="text-primary hover:underline"
+                    onClick={() => handleAssign(user.email)}
+                    disabled={Boolean(busy)}
+                  >
+                    Assign to me
+                  </button>
+                </p>
+              )}
+            </div>
+
+            {stage.evidence.length > 0 && (
+              <fieldset className="space-y-3">
+                <legend className="text-sm font-medium mb-1">Evidence for {stage.name}</legend>
+                {stage.evidence.map((label, i) => (
+                  <div key={label} className="space-y-2">
+                    <Label htmlFor={`evidence-${i}`}>{label}</Label>
+                    <Input
+                      id={`evidence-${i}`}
+                      placeholder="Link or reference"
+                      value={evidence[label] || ''}
+                      onChange={(e) => {
+                        setEvidence(prev => ({ ...prev, [label]: e.target.value }));
+                        setFieldErrors(prev => ({ ...prev, [`evidence.${i}`]: undefined }));
+                      }}
+                      disabled={Boolean(busy) || !isReviewer}
+                      aria-invalid={Boolean(fieldErrors[`evidence.${i}`])}
+                      aria-describedby={`evidence-${i}-error`}
+                      data-testid={`input-evidence-${i}`}
+                    />
+                    <FieldError id={`evidence-${i}-error`} message={fieldErrors[`evidence.${i}`]} />
+                  </div>
+                ))}
+              </fieldset>
+            )}
+
+            <div className="space-y-2">
+              <Label htmlFor="reviewComment">Comment</Label>
+              <Input
+                id="reviewComment"
+                placeholder="Required to send back or comment"
+                value={comment}
+                onChange={(e) => {
+                  setComment(e.target.value);
+                  setFieldErrors(prev => ({ ...prev, comment: undefined }));
+                }}
+                disabled={Boolean(busy)}
+                aria-invalid={Boolean(fieldErrors.comment)}
+                aria-describedby="reviewComment-error"
+                data-testid="input-review-comment"
+              />
+              <FieldError id="reviewComment-error" message={fieldErrors.comment} />
+            </div>
+
+            <div className="flex flex-col sm:flex-row gap-2">
+              <Button
+                onClick={handleAdvance}
+                disabled={Boolean(busy) || !isReviewer}
+                className="w-full sm:w-auto"
+                data-testid="button-advance-stage"
+              >
+                {busy === 'advance' && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+                {index === stages.length - 1 ? 'Approve' : `Pass to ${stages[index + 1].name}`}
+              </Button>
+              {index > 0 && (
+                <Button
+                  variant="outline"
+                  onClick={handleSendBack}
+                  disabled={Boolean(busy) || !isReviewer}
+                  className="w-full sm:w-auto"
+                  data-testid="button-send-back"
+                >
+                  {busy === 'sendBack' && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+                  Send back to {stages[index - 1].name}
+                </Button>
+              )}
+              <Button
+                variant="outline"
+                onClick={handleComment}
+                disabled={Boolean(busy)}
+                className="w-full sm:w-auto"
+                data-testid="button-add-comment"
+              >
+                {busy === 'comment' && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+                Comment
+              </Button>
+            </div>
+          </div>
+        )}
+
+        {stage && !canReview && (
+          <p className="text-sm text-muted-foreground">
+            In {stage.name}{reviewer ? `, reviewed by ${reviewer}` : ''}.
+          </p>
+        )}
+
+        <div>
+          <h3 className="text-sm font-medium mb-3">Reviews</h3>
+          {reviews.length === 0 ? (
+            <p className="text-sm text-muted-foreground">No reviews yet.</p>
+          ) : (
+            <ul className="space-y-3" data-testid="review-history">
+              {reviews.map((review, i) => (
+                <li key={`${review.at?.toMillis?.() ?? i}-${review.actorUid}`} className="border-l-2 pl-3 text-sm">
+                  <div className="flex flex-wrap items-center gap-2">
+                    <span
+                      className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium ${
+                        decisionClasses[review.decision] || 'bg-gray-100 text-gray-800'
+                      }`}
+                    >
+                      {decisionLabels[review.decision] || review.decision}
+                    </span>
+                    <span className="font-medium">{review.stageName}</span>
+                    <span className="text-muted-foreground">
+                      {review.actorEmail} · {formatDateTime(review.at)}
+                    </span>
+                  </div>
+                  {review.comment && <p className="mt-1 break-words">{review.comment}</p>}
+                  {review.evidence?.length > 0 && (
+                    <ul className="mt-1 text-muted-foreground">
+                      {review.evidence.map(item => (
+                        <li key={item.label} className="break-all">{item.label}: {item.value}</li>
+                      ))}
+                    </ul>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
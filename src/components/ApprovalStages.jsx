@@ -0,0 +1,267 @@
+import { useState } from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { FieldError } from '@/components/FieldError';
+import { useToast } from '@/hooks/use-toast';
+import { useOrg } from '@/context/OrgContext';
+import { MAX_APPROVAL_STAGES, approvalStages, parseApprovalStages } from '@/lib/approval';
+import { ArrowDown, ArrowUp, Loader2, Plus, Trash2 } from 'lucide-react';
+
+// Stages as the form edits them, evidence one item per line
+const toDrafts = (stages) => stages.map(stage => ({
+  id: stage.id,
+  name: stage.name,
+  reviewerEmail: stage.reviewerEmail || '',
+  evidence: stage.evidence.join('\n'),
+}));
+
+const emptyDraft = () => ({ id: null, name: '', reviewerEmail: '', evidence: '' });
+
+/**
+ * The stages pending users of the active organization pass through before
+ * they are approved, in order. Owners only.
+ */
+export function ApprovalStages() {
+  const { toast } = useToast();
+  const { activeOrg, updateSecurityPolicy } = useOrg();
+  // The stages being edited, or null while showing the saved ones
+  const [drafts, setDrafts] = useState(null);
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [saving, setSaving] = useState(false);
+
+  const stages = approvalStages(activeOrg);
+
+  const handleEdit = () => {
+    setDrafts(stages.length > 0 ? toDrafts(stages) : [emptyDraft()]);
+    setFieldErrors({});
+  };
+
+  const handleChange = (index, field, value) => {
+    setDrafts(prev => prev.map((draft, i) => (i === index ? { ...draft, [field]: value } : draft)));
+    setFieldErrors(prev => ({ ...prev, [`${index}.${field}`]: undefined }));
+  };
+
+  // Errors are keyed by position, so they are cleared whenever stages move
+  const handleMove = (index, offset) => {
+    setDrafts((prev) => {
+      const next = [...prev];
+      [next[index], next[index + offset]] = [next[index + offset], next[index]];
+      return next;
+    });
+    setFieldErrors({});
+  };
+
+  const handleRemove = (index) => {
+    setDrafts(prev => prev.filter((_, i) => i !== index));
+    setFieldErrors({});
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+
+    let approvalStagesToSave;
+    try {
+      approvalStagesToSave = parseApprovalStages(drafts);
+    } catch (error) {
+      setFieldErrors(error.fields);
+      toast({
+        title: 'Warning',
+        description: error.message,
+        variant: 'destructive',
+      });
+      return;
+    }
+
+    setSaving(true);
+
+    try {
+      await updateSecurityPolicy({ approvalStages: approvalStagesToSave });
+      setDrafts(null);
+
+      toast({
+        title: 'Success',
+        description: approvalStagesToSave.length > 0
+          ? `Pending users now pass ${approvalStagesToSave.length} stage(s) to be approved.`
+          : 'Users are approved with a status change again.',
+      });
+    } catch (error) {
+      console.error('Error saving approval stages:', error);
+      toast({
+        title: 'Error',
+        description: 'Failed to save the approval stages.',
+        variant: 'destructive',
+      });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Card className="mb-6 sm:mb-8">
+      <CardHeader className="flex flex-row items-center justify-between space-y-0">
+        <CardTitle className="text-lg sm:text-xl">Approval Stages</CardTitle>
+        {!drafts && (
+          <Button variant="outline" size="sm" onClick={handleEdit} data-testid="button-edit-stages">
+            Edit
+          </Button>
+        )}
+      </CardHeader>
+      <CardContent>
+        {drafts ? (
+          <form onSubmit={handleSave} className="space-y-4" noValidate>
+            {drafts.map((draft, index) => (
+              <div key={draft.id || `new-${index}`} className="rounded-md border p-3 space-y-3" data-testid={`stage-${index}`}>
+                <div className="flex items-center justify-between gap-2">
+                  <h3 className="text-sm font-medium">Stage {index + 1}</h3>
+                  <div className="flex items-center gap-1">
+                    <Button
+                      type="button"
+                      variant="ghost"
+                      size="icon"
+                      onClick={() => handleMove(index, -1)}
+                      disabled={saving || index === 0}
+                      aria-label="Move up"
+                    >
+                      <ArrowUp className="h-4 w-4" />
+                    </Button>
+                    <Button
+                      type="button"
+                      variant="ghost"
+                      size="icon"
+                      onClick={() => handleMove(index, 1)}
+                      disabled={saving || index === drafts.length - 1}
+                      aria-label="Move down"
+                    >
+                      <ArrowDown className="h-4 w-4" />
+                    </Button>
+                    <Button
+                      type="button"
+                      variant="ghost"
+                      size="icon"
+                      onClick={() => handleRemove(index)}
+                      disabled={saving}
+                      className="text-red-600 hover:text-red-700 hover:bg-red-50"
+                      aria-label="Remove stage"
+                    >
+                      <Trash2 className="h-4 w-4" />
+                    </Button>
+                  </div>
+                </div>
+
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                  <div className="space-y-2">
+                    <Label htmlFor={`stageName-${index}`}>Name</Label>
+                    <Input
+                      id={`stageName-${index}`}
+                      placeholder="e.g. Document check"
+                      value={draft.name}
+                      onChange={(e) => handleChange(index, 'name', e.target.value)}
+                      disabled={saving}
+                      aria-invalid={Boolean(fieldErrors[`${index}.name`])}
+                      aria-describedby={`stageName-${index}-error`}
+                      data-testid={`input-stage-name-${index}`}
+                    />
+                    <FieldError id={`stageName-${index}-error`} message={fieldErrors[`${index}.name`]} />
+                  </div>
+
+                  <div className="space-y-2">
+                    <Label htmlFor={`stageReviewer-${index}`}>Reviewer (optional)</Label>
+                    <Input
+                      id={`stageReviewer-${index}`}
+                      type="email"
+                      placeholder="Anyone who can approve users"
+                      value={draft.reviewerEmail}
+                      onChange={(e) => handleChange(index, 'reviewerEmail', e.target.value)}
+                      disabled={saving}
+                      aria-invalid={Boolean(fieldErrors[`${index}.reviewerEmail`])}
+                      aria-describedby={`stageReviewer-${index}-error`}
+                      data-testid={`input-stage-reviewer-${index}`}
+                    />
+                    <FieldError id={`stageReviewer-${index}-error`} message={fieldErrors[`${index}.reviewerEmail`]} />
+                  </div>
+                </div>
+
+                <div className="space-y-2">
+                  <Label htmlFor={`stageEvidence-${index}`}>Required evidence, one per line</Label>
+                  <textarea
+                    id={`stageEvidence-${index}`}
+                    rows={3}
+                    placeholder={'e.g. ID document\nMedical council registration'}
+                    value={draft.evidence}
+                    onChange={(e) => handleChange(index, 'evidence', e.target.value)}
+                    disabled={saving}
+                    className="flex w-full rounded-md border border-input bg-background px-3 py-2 text-base placeholder:text-muted-foreground focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring focus-visible:ring-offset-2 disabled:cursor-not-allowed disabled:opacity-50 aria-[invalid=true]:border-destructive md:text-sm"
+                    aria-invalid={Boolean(fieldErrors[`${index}.evidence`])}
+                    aria-describedby={`stageEvidence-${index}-error`}
+                    data-testid={`input-stage-evidence-${index}`}
+                  />
+                  <FieldError id={`stageEvidence-${index}-error`} message={fieldErrors[`${index}.evidence`]} />
+                </div>
+              </div>
+            ))}
+
+            {drafts.length < MAX_APPROVAL_STAGES && (
+              <Button
+                type="button"
+                variant="outline"
+                onClick={() => setDrafts(prev => [...prev, emptyDraft()])}
+                disabled={saving}
+                data-testid="button-add-stage"
+              >
+                <Plus className="h-4 w-4 mr-2" />
+                Add stage
+              </Button>
+            )}
+
+            <p className="text-sm text-muted-foreground">
+              Pending users in a removed stage go back to the first one. With no stages, users are approved with a
+              status change.
+            </p>
+
+            <div className="flex flex-col sm:flex-row gap-2">
+              <Button type="submit" disabled={saving} className="w-full sm:w-auto" data-testid="button-save-stages">
+                {saving && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+                Save
+              </Button>
+              <Button
+                type="button"
+                variant="outline"
+                onClick={() => setDrafts(null)}
+                disabled={saving}
+                className="w-full sm:w-auto"
+              >
+                Cancel
+              </Button>
+            </div>
+          </form>
+        ) : stages.length === 0 ? (
+          <p className="text-sm text-muted-foreground" data-testid="text-no-stages">
+            Users are approved with a single status change. Add stages to have each pending user pass reviews, with
+            the evidence each one needs, before approval.
+          </p>
+        ) : (
+          <ol className="space-y-3 text-sm" data-testid="list-stages">
+            {stages.map((stage, index) => (
+              <li key={stage.id} className="flex gap-3">
+                <span className="flex h-6 w-6 shrink-0 items-center justify-center rounded-full bg-muted text-xs font-medium">
+                  {index + 1}
+                </span>
+                <div className="min-w-0">
+                  <p className="font-medium">{stage.name}</p>
+                  <p className="text-muted-foreground break-all">
+                    Reviewer: {stage.reviewerEmail || 'anyone who can approve users'}
+                  </p>
+                  {stage.evidence.length > 0 && (
+                    <p className="text-muted-foreground">Evidence: {stage.evidence.join(', ')}</p>
+                  )}
+                </div>
+              </li>
+            ))}
+          </ol>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
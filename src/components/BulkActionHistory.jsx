@@ -0,0 +1,113 @@
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Alert, AlertDescription, AlertTitle } from '@/components/ui/alert';
+import { Button } from '@/components/ui/button';
+import { ConflictError } from '@/lib/data';
+import { Loader2, Undo2, X } from 'lucide-react';
+
+const statusLabels = {
+  pending: 'Pending',
+  approved: 'Approved',
+  rejected: 'Rejected',
+};
+
+const formatDateTime = (timestamp) => {
+  return timestamp
+    ? timestamp.toDate().toLocaleString('en-US', {
+      month: 'short',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+    })
+    : 'Just now';
+};
+
+/**
+ * Why one user in a bulk change or undo was left as it was
+ * @param {Error} error - From the repositories
+ * @returns {string}
+ */
+const describeFailure = (error) => {
+  if (error instanceof ConflictError) return error.message;
+  if (error?.code === 'not-found') return 'It was deleted meanwhile.';
+  if (error?.code === 'permission-denied') return 'You are not allowed to change it.';
+  return 'It could not be saved.';
+};
+
+/** One line about a bulk status change, e.g. "Rejected 12 users" */
+const describeBulkAction = (action) =>
+  `${statusLabels[action.status] || action.status} ${action.changes.length} user${action.changes.length === 1 ? '' : 's'}`;
+
+/**
+ * The latest bulk status changes, each with an Undo button until it is undone
+ */
+export function BulkActionHistory({ actions, busyId, onUndo }) {
+  if (actions.length === 0) return null;
+
+  return (
+    <Card className="mb-4">
+      <CardHeader>
+        <CardTitle className="text-lg sm:text-xl">Recent Bulk Changes</CardTitle>
+      </CardHeader>
+      <CardContent>
+        <ul className="divide-y">
+          {actions.map((action) => (
+            <li
+              key={action.id}
+              className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2 py-3 first:pt-0 last:pb-0"
+            >
+              <div className="text-sm">
+                <div className="font-medium">{describeBulkAction(action)}</div>
+                <div className="text-muted-foreground">
+                  {formatDateTime(action.createdAt)} by {action.actorEmail}
+                  {action.undoneAt && ` · undone by ${action.undoneBy}`}
+                </div>
+              </div>
+              {!action.undoneAt && (
+                <Button
+                  variant="outline"
+                  size="sm"
+                  onClick={() => onUndo(action)}
+                  disabled={Boolean(busyId)}
+                  className="w-full sm:w-auto"
+                  data-testid={`button-undo-${action.id}`}
+                >
+                  {busyId === action.id
+                    ? <Loader2 className="h-3 w-3 mr-1 animate-spin" />
+                    : <Undo2 className="h-3 w-3 mr-1" />}
+                  Undo
+                </Button>
+              )}
+            </li>
+          ))}
+        </ul>
+      </CardContent>
+    </Card>
+  );
+}
+
+/**
+ * The users the last bulk change or undo could not touch, and why
+ */
+export function BulkFailures({ title, failures, onDismiss }) {
+  if (failures.length === 0) return null;
+
+  return (
+    <Alert variant="destructive" className="mb-4" data-testid="alert-bulk-failures">
+      <AlertTitle className="flex items-center justify-between gap-2">
+        {title}
+        <Button variant="ghost" size="sm" onClick={onDismiss} className="h-6 w-6 p-0" aria-label="Dismiss">
+          <X className="h-4 w-4" />
+        </Button>
+      </AlertTitle>
+      <AlertDescription>
+        <ul className="mt-2 space-y-1">
+          {failures.map((failure) => (
+            <li key={failure.id}>
+              <span className="font-medium">{failure.label || failure.id}</span>: {describeFailure(failure.error)}
+            </li>
+          ))}
+        </ul>
+      </AlertDescription>
+    </Alert>
+  );
+}
@@ -0,0 +1,137 @@
+import { useState } from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { useToast } from '@/hooks/use-toast';
+import { useOrg } from '@/context/OrgContext';
+import { repositories, MIGRATIONS, SCHEMA_VERSION } from '@/lib/data';
+import { DatabaseZap, Loader2, SearchCheck } from 'lucide-react';
+
+// How many fields that could not be upgraded are listed
+const PROBLEMS_SHOWN = 10;
+
+const collectionLabels = {
+  users: 'Users',
+  clinics: 'Clinics',
+  documents: 'Documents',
+};
+
+/**
+ * Upgrades the active organization's records to the current schema version,
+ * with a dry run that reports what would change first. Owners only.
+ */
+export function DataMigrations() {
+  const { toast } = useToast();
+  const { activeOrgId } = useOrg();
+  const [running, setRunning] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [result, setResult] = useState(null);
+
+  const handleRun = async (dryRun) => {
+    if (!dryRun && !confirm(`Upgrade every record to schema version ${SCHEMA_VERSION}? Run a dry run first to see what changes.`)) {
+      return;
+    }
+
+    setRunning(dryRun ? 'dry-run' : 'run');
+    setProgress(null);
+    setResult(null);
+
+    try {
+      const outcome = await repositories.migrations.run(activeOrgId, { dryRun, onProgress: setProgress });
+      setResult(outcome);
+
+      toast({
+        title: 'Success',
+        description: dryRun
+          ? `${outcome.upgrades.length} record(s) would be upgraded.`
+          : `${outcome.upgrades.length} record(s) upgraded.`,
+      });
+    } catch (error) {
+      console.error('Error running migrations:', error);
+      toast({
+        title: 'Error',
+        description: 'The migration stopped. Records upgraded so far keep their changes; run it again to continue.',
+        variant: 'destructive',
+      });
+    } finally {
+      setRunning(null);
+      setProgress(null);
+    }
+  };
+
+  return (
+    <Card className="mb-6 sm:mb-8">
+      <CardHeader>
+        <CardTitle className="text-lg sm:text-xl">Data Migrations</CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="text-sm text-muted-foreground space-y-1">
+          <p>New records are saved at schema version {SCHEMA_VERSION}. Upgrading brings older ones up to it:</p>
+          <ul className="list-disc pl-5">
+            {MIGRATIONS.map((migration) => (
+              <li key={migration.version}>
+                Version {migration.version} ({collectionLabels[migration.collection]}): {migration.description}
+              </li>
+            ))}
+          </ul>
+        </div>
+
+        <div className="flex flex-col sm:flex-row gap-2">
+          <Button
+            variant="outline"
+            onClick={() => handleRun(true)}
+            disabled={Boolean(running)}
+            className="w-full sm:w-auto"
+            data-testid="button-migrations-dry-run"
+          >
+            {running === 'dry-run' ? <Loader2 className="h-4 w-4 mr-2 animate-spin" /> : <SearchCheck className="h-4 w-4 mr-2" />}
+            Dry run
+          </Button>
+          <Button
+            onClick={() => handleRun(false)}
+            disabled={Boolean(running)}
+            className="w-full sm:w-auto"
+            data-testid="button-migrations-run"
+          >
+            {running === 'run' ? <Loader2 className="h-4 w-4 mr-2 animate-spin" /> : <DatabaseZap className="h-4 w-4 mr-2" />}
+            Upgrade records
+          </Button>
+        </div>
+
+        {progress && (
+          <p className="text-sm" data-testid="text-migration-progress">
+            {collectionLabels[progress.collection]}: {progress.scanned} of {progress.total} checked,{' '}
+            {progress.upgraded} {running === 'dry-run' ? 'to upgrade' : 'upgraded'}
+          </p>
+        )}
+
+        {result && (
+          <div className="text-sm space-y-2" data-testid="migration-result">
+            <p className="font-medium">{result.dryRun ? 'Dry run: nothing was saved' : 'Upgrade finished'}</p>
+            <ul className="space-y-1">
+              {result.collections.map((entry) => (
+                <li key={entry.collection}>
+                  {collectionLabels[entry.collection]}: {entry.upgraded} of {entry.total}{' '}
+                  {result.dryRun ? 'would be upgraded' : 'upgraded'}
+                </li>
+              ))}
+            </ul>
+            {result.problems.length > 0 && (
+              <div>
+                <p className="text-destructive">
+                  {result.problems.length} value(s) do not fit the schema and are left as they are:
+                </p>
+                <ul className="list-disc pl-5 text-muted-foreground">
+                  {result.problems.slice(0, PROBLEMS_SHOWN).map((problem) => (
+                    <li key={`${problem.collection}-${problem.id}-${problem.field}`} className="break-all">
+                      {collectionLabels[problem.collection]} {problem.id}, {problem.field}: {problem.message}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
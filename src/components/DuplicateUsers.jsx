@@ -0,0 +1,190 @@
+import { useState } from 'react';
+import { Link } from 'wouter';
+import { Button } from '@/components/ui/button';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import { useToast } from '@/hooks/use-toast';
+import { useAuth } from '@/context/AuthContext';
+import { useOrg } from '@/context/OrgContext';
+import { repositories, ConflictError } from '@/lib/data';
+import { Loader2, Merge } from 'lucide-react';
+
+const formatDate = (timestamp) => {
+  return timestamp?.toDate
+    ? timestamp.toDate().toLocaleDateString('en-US', { month: 'short', day: '2-digit', year: 'numeric' })
+    : '—';
+};
+
+const statusClasses = {
+  approved: 'bg-green-100 text-green-800',
+  rejected: 'bg-red-100 text-red-800',
+  pending: 'bg-yellow-100 text-yellow-800',
+};
+
+// Keep an approved user when there is one, otherwise the oldest
+const defaultKeep = (records) => (records.find(record => record.status === 'approved') || records[0]).id;
+
+/**
+ * Finds users of the active organization that share an email, saved before
+ * duplicates were refused, and merges each group into the user picked to keep
+ */
+export function DuplicateUsers() {
+  const { toast } = useToast();
+  const { user } = useAuth();
+  const { activeOrgId } = useOrg();
+  const [open, setOpen] = useState(false);
+  const [groups, setGroups] = useState(null);
+  // Id of the user to keep, per email
+  const [keepIds, setKeepIds] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [mergingEmail, setMergingEmail] = useState(null);
+
+  const loadGroups = async () => {
+    setLoading(true);
+
+    try {
+      const found = await repositories.users.findDuplicates(activeOrgId);
+      setGroups(found);
+      setKeepIds(Object.fromEntries(found.map(group => [group.email, defaultKeep(group.records)])));
+    } catch (error) {
+      console.error('Error finding duplicate users:', error);
+      toast({
+        title: 'Error',
+        description: 'Failed to look for duplicate users.',
+        variant: 'destructive',
+      });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleOpen = () => {
+    setOpen(true);
+    setGroups(null);
+    loadGroups();
+  };
+
+  const handleMerge = async (group) => {
+    const keep = group.records.find(record => record.id === keepIds[group.email]);
+    const others = group.records.filter(record => record !== keep);
+    if (!confirm(`Merge ${others.length} user(s) into ${keep.username}? They move to the Trash, and their images and documents go to ${keep.username}.`)) {
+      return;
+    }
+
+    setMergingEmail(group.email);
+
+    try {
+      const { documents } = await repositories.users.merge(keep, others, user);
+
+      toast({
+        title: 'Success',
+        description: `Merged into ${keep.username}; ${documents} document(s) reassigned.`,
+      });
+      setGroups(prev => prev.filter(item => item.email !== group.email));
+    } catch (error) {
+      if (error instanceof ConflictError) {
+        toast({
+          title: 'Warning',
+          description: error.message,
+          variant: 'destructive',
+        });
+        loadGroups();
+        return;
+      }
+
+      console.error('Error merging users:', error);
+      toast({
+        title: 'Error',
+        description: 'Failed to merge users.',
+        variant: 'destructive',
+      });
+    } finally {
+      setMergingEmail(null);
+    }
+  };
+
+  return (
+    <>
+      <Button variant="outline" onClick={handleOpen} className="flex items-center gap-2" data-testid="button-duplicates">
+        <Merge className="h-4 w-4" />
+        <span className="hidden sm:inline">Duplicates</span>
+      </Button>
+
+      <Dialog open={open} onOpenChange={(next) => !mergingEmail && setOpen(next)}>
+        <DialogContent className="max-w-2xl max-h-[90vh] overflow-y-auto">
+          <DialogHeader>
+            <DialogTitle>Duplicate Users</DialogTitle>
+            <DialogDescription>
+              Users that share an email, ignoring case. Merging keeps the user you pick with their profile and
+              status, adds the others&apos; images, and puts them in their place on every document.
+            </DialogDescription>
+          </DialogHeader>
+
+          {loading || groups === null ? (
+            <div className="flex items-center justify-center py-8">
+              <Loader2 className="h-6 w-6 animate-spin text-muted-foreground" />
+            </div>
+          ) : groups.length === 0 ? (
+            <p className="text-sm text-muted-foreground py-4" data-testid="text-no-duplicates">
+              No two users share an email.
+            </p>
+          ) : (
+            <div className="space-y-4">
+              {groups.map(group => (
+                <fieldset key={group.email} className="rounded-md border p-3 space-y-2" data-testid={`group-duplicates-${group.email}`}>
+                  <legend className="px-1 text-sm font-medium break-all">{group.email}</legend>
+                  {group.records.map(record => (
+                    <label key={record.id} className="flex items-start gap-3 text-sm cursor-pointer">
+                      <input
+                        type="radio"
+                        name={`keep-${group.email}`}
+                        className="mt-1"
+                        checked={keepIds[group.email] === record.id}
+                        onChange={() => setKeepIds(prev => ({ ...prev, [group.email]: record.id }))}
+                        disabled={Boolean(mergingEmail)}
+                        data-testid={`radio-keep-${record.id}`}
+                      />
+                      <span className="flex-1 min-w-0">
+                        <span className="flex flex-wrap items-center gap-2">
+                          <Link href={`/user-management/${record.id}`} className="font-medium hover:underline break-all">
+                            {record.username}
+                          </Link>
+                          <span
+                            className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium ${
+                              statusClasses[record.status] || 'bg-gray-100 text-gray-800'
+                            }`}
+                          >
+                            {record.status}
+                          </span>
+                        </span>
+                        <span className="block text-muted-foreground break-all">
+                          {record.email} · {record.role} · {(record.images || []).length} image(s) · added {formatDate(record.createdAt)}
+                        </span>
+                      </span>
+                    </label>
+                  ))}
+                  <div className="flex justify-end">
+                    <Button
+                      size="sm"
+                      onClick={() => handleMerge(group)}
+                      disabled={Boolean(mergingEmail)}
+                      data-testid={`button-merge-${group.email}`}
+                    >
+                      {mergingEmail === group.email && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+                      Merge
+                    </Button>
+                  </div>
+                </fieldset>
+              ))}
+            </div>
+          )}
+        </DialogContent>
+      </Dialog>
+    </>
+  );
+}
@@ -0,0 +1,177 @@
+import { useState } from 'react';
+import { Button } from '@/components/ui/button';
+import { Checkbox } from '@/components/ui/checkbox';
+import { Label } from '@/components/ui/label';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import { FieldError } from '@/components/FieldError';
+import { useToast } from '@/hooks/use-toast';
+import { EXPORT_FORMATS, EXPORT_LIMIT, exportRecords } from '@/lib/export';
+import { Download, Loader2 } from 'lucide-react';
+
+const initialColumns = (columns) => columns.filter(column => column.selected).map(column => column.key);
+
+/**
+ * Export button and dialog for a paged list: pick the rows (this page, or
+ * everything the current filters match), the columns and the format
+ * @param {Object} props
+ * @param {string} props.title - e.g. 'Users'; names the file, sheet and printed heading
+ * @param {Array<Object>} props.columns - From EXPORT_COLUMNS
+ * @param {Array<Object>} props.pageRecords - The rows on screen
+ * @param {Function} props.loadMatching - (max) => Promise of every matching record, in the list's order
+ * @param {string} props.matchingLabel - Describes the "everything" choice, e.g. 'All users matching the filters'
+ */
+export function ExportDialog({ title, columns, pageRecords, loadMatching, matchingLabel }) {
+  const { toast } = useToast();
+  const [open, setOpen] = useState(false);
+  const [scope, setScope] = useState('matching');
+  const [format, setFormat] = useState('csv');
+  const [selectedKeys, setSelectedKeys] = useState(() => initialColumns(columns));
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [exporting, setExporting] = useState(false);
+
+  const handleToggleColumn = (key, checked) => {
+    setSelectedKeys(prev => (checked ? [...prev, key] : prev.filter(selected => selected !== key)));
+    setFieldErrors({});
+  };
+
+  const handleExport = async () => {
+    const chosen = columns.filter(column => selectedKeys.includes(column.key));
+    if (chosen.length === 0) {
+      setFieldErrors({ columns: 'Choose at least one column.' });
+      return;
+    }
+
+    setExporting(true);
+
+    try {
+      const records = scope === 'page' ? pageRecords : await loadMatching(EXPORT_LIMIT);
+      if (records.length === 0) {
+        toast({
+          title: 'Warning',
+          description: 'There is nothing to export.',
+          variant: 'destructive',
+        });
+        return;
+      }
+
+      const date = new Date().toISOString().slice(0, 10);
+      await exportRecords({
+        format,
+        columns: chosen,
+        records,
+        fileName: `${title.toLowerCase().replace(/\s+/g, '-')}-${date}`,
+        title,
+      });
+      setOpen(false);
+
+      const truncated = scope === 'matching' && records.length >= EXPORT_LIMIT;
+      toast({
+        title: truncated ? 'Warning' : 'Success',
+        description: truncated
+          ? `Only the first ${EXPORT_LIMIT} rows were exported.`
+          : `${records.length} row(s) exported.`,
+        variant: truncated ? 'destructive' : 'default',
+      });
+    } catch (error) {
+      console.error('Error exporting:', error);
+      toast({
+        title: 'Error',
+        description: 'Failed to export.',
+        variant: 'destructive',
+      });
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <>
+      <Button variant="outline" onClick={() => setOpen(true)} className="flex items-center gap-2" data-testid="button-export">
+        <Download className="h-4 w-4" />
+        <span className="hidden sm:inline">Export</span>
+      </Button>
+
+      <Dialog open={open} onOpenChange={(next) => !exporting && setOpen(next)}>
+        <DialogContent className="max-w-lg max-h-[90vh] overflow-y-auto">
+          <DialogHeader>
+            <DialogTitle>Export {title}</DialogTitle>
+            <DialogDescription>
+              CSV and Excel files download; PDF opens the print dialog, where you can save it as a PDF.
+            </DialogDescription>
+          </DialogHeader>
+
+          <div className="space-y-4">
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+              <div className="space-y-2">
+                <Label htmlFor="exportScope">Rows</Label>
+                <Select value={scope} onValueChange={setScope} disabled={exporting}>
+                  <SelectTrigger id="exportScope" data-testid="select-export-scope">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="matching">{matchingLabel}</SelectItem>
+                    <SelectItem value="page">This page ({pageRecords.length})</SelectItem>
+                  </SelectContent>
+                </Select>
+              </div>
+
+              <div className="space-y-2">
+                <Label htmlFor="exportFormat">Format</Label>
+                <Select value={format} onValueChange={setFormat} disabled={exporting}>
+                  <SelectTrigger id="exportFormat" data-testid="select-export-format">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {Object.entries(EXPORT_FORMATS).map(([value, label]) => (
+                      <SelectItem key={value} value={value}>{label}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+            </div>
+
+            <fieldset className="space-y-2" aria-describedby="exportColumns-error">
+              <legend className="text-sm font-medium mb-2">Columns</legend>
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+                {columns.map(column => (
+                  <label key={column.key} className="flex items-center gap-2 text-sm">
+                    <Checkbox
+                      checked={selectedKeys.includes(column.key)}
+                      onCheckedChange={(checked) => handleToggleColumn(column.key, checked)}
+                      disabled={exporting}
+                      data-testid={`checkbox-export-${column.key}`}
+                    />
+                    {column.label}
+                  </label>
+                ))}
+              </div>
+              <FieldError id="exportColumns-error" message={fieldErrors.columns} />
+            </fieldset>
+          </div>
+
+          <DialogFooter className="gap-2 sm:gap-0">
+            <Button variant="outline" onClick={() => setOpen(false)} disabled={exporting}>Cancel</Button>
+            <Button onClick={handleExport} disabled={exporting} data-testid="button-export-confirm">
+              {exporting && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+              Export
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+    </>
+  );
+}
@@ -0,0 +1,13 @@
+/**
+ * A field's validation message, shown under its input. Give the input
+ * `aria-describedby` with the same id so screen readers read it out.
+ */
+export function FieldError({ id, message }) {
+  if (!message) return null;
+
+  return (
+    <p id={id} className="text-sm text-destructive" role="alert">
+      {message}
+    </p>
+  );
+}
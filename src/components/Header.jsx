@@ -1,10 +1,27 @@
 import { SidebarTrigger } from '@/components/ui/sidebar';
+import { useAuth } from '@/context/AuthContext';
+import { Link } from 'wouter';
+import { AlertCircle } from 'lucide-react';
+import { SyncStatus } from '@/components/SyncStatus';
 
 export function Header() {
+  const { user } = useAuth();
+
   return (
     <header className="sticky top-0 z-50 w-full border-b bg-background/95 backdrop-blur supports-[backdrop-filter]:bg-background/60">
-      <div className="container mx-auto px-4 flex h-16 items-center">
+      <div className="container mx-auto px-4 flex h-16 items-center justify-between">
         <SidebarTrigger data-testid="button-sidebar-toggle" />
+        <div className="flex items-center gap-4">
+          <SyncStatus />
+          {user && !user.emailVerified && (
+            <Link href="/account" data-testid="link-verify-email">
+              <span className="inline-flex items-center text-sm text-yellow-700 hover:underline cursor-pointer">
+                <AlertCircle className="h-4 w-4 mr-1" />
+                Verify your email
+              </span>
+            </Link>
+          )}
+        </div>
       </div>
     </header>
   );
@@ -0,0 +1,58 @@
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+  DialogFooter,
+} from '@/components/ui/dialog';
+import { Button } from '@/components/ui/button';
+import { useToast } from '@/hooks/use-toast';
+import { useIdleTimeout } from '@/hooks/use-idle-timeout';
+
+/**
+ * Warns before an idle session is signed out, then signs it out
+ * @param {Object} props
+ * @param {string} props.scope - One of SESSION_SCOPES
+ * @param {number} props.timeoutMinutes - Idle time before signing out
+ * @param {Function} props.onSignOut - Signs the session out (in every tab)
+ */
+export function IdleTimeoutDialog({ scope, timeoutMinutes, onSignOut }) {
+  const { toast } = useToast();
+
+  const handleTimeout = async () => {
+    await onSignOut();
+    toast({
+      title: 'Signed out',
+      description: `You were signed out after ${timeoutMinutes} minutes of inactivity.`,
+    });
+  };
+
+  const { warning, secondsLeft, stayActive } = useIdleTimeout({
+    scope,
+    timeoutMinutes,
+    onTimeout: handleTimeout,
+  });
+
+  return (
+    <Dialog open={warning} onOpenChange={(open) => !open && stayActive()}>
+      <DialogContent className="max-w-md" data-testid="dialog-idle-timeout">
+        <DialogHeader>
+          <DialogTitle>Are you still there?</DialogTitle>
+          <DialogDescription>
+            For security, you will be signed out in{' '}
+            <span className="font-semibold text-foreground">{secondsLeft}</span> second{secondsLeft === 1 ? '' : 's'}.
+          </DialogDescription>
+        </DialogHeader>
+        <DialogFooter className="gap-2 sm:gap-0">
+          <Button variant="outline" onClick={onSignOut} data-testid="button-idle-sign-out">
+            Sign Out Now
+          </Button>
+          <Button onClick={stayActive} data-testid="button-stay-signed-in">
+            Stay Signed In
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,39 @@
+import { cn } from '@/lib/utils';
+import { CloudOff } from 'lucide-react';
+
+/**
+ * Small "Live" badge for lists that follow the database, which reads
+ * "Updated just now" for a moment after someone else changes a row
+ */
+export function LiveIndicator({ updated = false, className }) {
+  return (
+    <span
+      className={cn('inline-flex items-center gap-1.5 text-xs text-muted-foreground', className)}
+      aria-live="polite"
+      data-testid="live-indicator"
+    >
+      <span className="relative flex h-2 w-2">
+        {updated && (
+          <span className="absolute inline-flex h-full w-full rounded-full bg-green-400 opacity-75 animate-ping" />
+        )}
+        <span className="relative inline-flex h-2 w-2 rounded-full bg-green-500" />
+      </span>
+      {updated ? 'Updated just now' : 'Live'}
+    </span>
+  );
+}
+
+
+/** Marks a row with changes saved on this device that have not synced yet */
+export function PendingSyncBadge() {
+  return (
+    <span
+      className="inline-flex items-center gap-1 text-xs text-muted-foreground whitespace-nowrap"
+      title="Saved on this device, waiting to sync"
+      data-testid="pending-sync"
+    >
+      <CloudOff className="h-3 w-3" />
+      Pending sync
+    </span>
+  );
+}
@@ -1,13 +1,15 @@
-import { ReactNode } from 'react';
 import { useAuth } from '@/context/AuthContext';
+import { useOrg } from '@/context/OrgContext';
 import { useLocation } from 'wouter';
 import { Loader2 } from 'lucide-react';
+import NoAccess from '@/pages/NoAccess';
 
-export function PrivateRoute({ children }) {
+export function PrivateRoute({ children, capability }) {
   const { user, loading } = useAuth();
+  const { loading: orgLoading, can } = useOrg();
   const [, setLocation] = useLocation();
 
-  if (loading) {
+  if (loading || orgLoading) {
     return (
       <div className="min-h-screen flex items-center justify-center">
         <Loader2 className="h-8 w-8 animate-spin text-primary" />
@@ -20,5 +22,9 @@ export function PrivateRoute({ children }) {
     return null;
   }
 
+  if (capability && !can(capability)) {
+    return <NoAccess />;
+  }
+
   return <>{children}</>;
 }
@@ -0,0 +1,103 @@
+import { useState } from 'react';
+import { useAuth } from '@/context/AuthContext';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { Loader2, ShieldCheck } from 'lucide-react';
+
+/**
+ * Asks for the TOTP code of a sign-in that AuthContext paused for a second
+ * factor. Renders nothing when no sign-in is pending.
+ */
+export function SecondFactorPrompt({ onComplete }) {
+  const { secondFactor, completeSecondFactor, cancelSecondFactor } = useAuth();
+  const [code, setCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  if (!secondFactor) return null;
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setLoading(true);
+
+    try {
+      await completeSecondFactor(code, { recovery: useRecoveryCode });
+      setCode('');
+      onComplete?.();
+    } catch (err) {
+      setError(
+        err.code === 'auth/invalid-verification-code' || err.code === 'auth/totp-challenge-timeout'
+          ? 'That code is not valid. Please try again.'
+          : err.message || 'Failed to verify code'
+      );
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleToggleRecovery = () => {
+    setUseRecoveryCode(prev => !prev);
+    setCode('');
+    setError('');
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="text-center text-sm text-muted-foreground">
+        <ShieldCheck className="h-10 w-10 mx-auto mb-3 text-primary" />
+        <p>
+          {useRecoveryCode
+            ? 'Enter one of the recovery codes you saved when you turned on two-factor authentication.'
+            : 'Enter the 6-digit code from your authenticator app.'}
+        </p>
+      </div>
+
+      {error && (
+        <Alert variant="destructive" data-testid="alert-second-factor-error">
+          <AlertDescription>{error}</AlertDescription>
+        </Alert>
+      )}
+
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <div className="space-y-2">
+          <Label htmlFor="secondFactorCode">{useRecoveryCode ? 'Recovery Code' : 'Authentication Code'}</Label>
+          <Input
+            id="secondFactorCode"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            placeholder={useRecoveryCode ? 'XXXX-XXXX-XXXX-XXXX' : '123456'}
+            inputMode={useRecoveryCode ? 'text' : 'numeric'}
+            autoComplete="one-time-code"
+            autoFocus
+            required
+            data-testid="input-second-factor-code"
+          />
+        </div>
+
+        <Button type="submit" className="w-full" disabled={loading} data-testid="button-verify-second-factor">
+          {loading ? (
+            <>
+              <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+              Verifying...
+            </>
+          ) : (
+            'Verify'
+          )}
+        </Button>
+      </form>
+
+      <div className="flex justify-between text-sm">
+        <button type="button" className="text-primary hover:underline" onClick={handleToggleRecovery}>
+          {useRecoveryCode ? 'Use authenticator app' : 'Use a recovery code'}
+        </button>
+        <button type="button" className="text-muted-foreground hover:underline" onClick={cancelSecondFactor}>
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,83 @@
+import { getStatusHistory } from '@/lib/statusHistory';
+
+const statusClasses = {
+  approved: 'bg-green-100 text-green-800',
+  rejected: 'bg-red-100 text-red-800',
+  pending: 'bg-yellow-100 text-yellow-800',
+};
+
+const dotClasses = {
+  approved: 'bg-green-500',
+  rejected: 'bg-red-500',
+  pending: 'bg-yellow-500',
+};
+
+const formatDateTime = (timestamp) => {
+  return timestamp
+    ? timestamp.toDate().toLocaleString('en-US', {
+      month: 'short',
+      day: '2-digit',
+      year: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit',
+    })
+    : '—';
+};
+
+function StatusBadge({ status }) {
+  return (
+    <span
+      className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${
+        statusClasses[status] || 'bg-gray-100 text-gray-800'
+      }`}
+    >
+      {status}
+    </span>
+  );
+}
+
+/**
+ * Status transitions of a user record, oldest first
+ * @param {Object} props
+ * @param {Object} props.record - User record data
+ * @param {boolean} [props.showActor=true] - Show who made each change
+ */
+export function StatusTimeline({ record, showActor = true }) {
+  const entries = getStatusHistory(record);
+
+  if (entries.length === 0) {
+    return <p className="text-sm text-muted-foreground">No status changes recorded yet.</p>;
+  }
+
+  return (
+    <ol className="relative border-l border-border ml-2 space-y-5" data-testid="status-timeline">
+      {entries.map((entry, index) => (
+        <li key={`${entry.at?.toMillis()}-${index}`} className="ml-5">
+          <span
+            className={`absolute -left-[6px] mt-1.5 h-3 w-3 rounded-full ring-4 ring-background ${
+              dotClasses[entry.to] || 'bg-gray-400'
+            }`}
+          />
+          <div className="flex flex-wrap items-center gap-2 text-sm">
+            {entry.from ? (
+              <>
+                <StatusBadge status={entry.from} />
+                <span className="text-muted-foreground">→</span>
+              </>
+            ) : (
+              <span className="text-muted-foreground">Created as</span>
+            )}
+            <StatusBadge status={entry.to} />
+          </div>
+          {entry.reason && (
+            <p className="mt-1 text-sm text-red-600 italic">{entry.reason}</p>
+          )}
+          <p className="mt-1 text-xs text-muted-foreground">
+            {formatDateTime(entry.at)}
+            {showActor && ` · ${entry.actorEmail}`}
+          </p>
+        </li>
+      ))}
+    </ol>
+  );
+}
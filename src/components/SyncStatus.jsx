@@ -0,0 +1,53 @@
+import { useState, useEffect } from 'react';
+import { useToast } from '@/hooks/use-toast';
+import { getSyncState, subscribeToSync } from '@/lib/data/sync';
+import { CloudOff, RefreshCw } from 'lucide-react';
+
+/**
+ * Header badge for offline work: shows when the connection is gone or changes
+ * are still waiting to sync, and reports queued changes the server rejected
+ */
+export function SyncStatus() {
+  const { toast } = useToast();
+  const [state, setState] = useState(getSyncState);
+
+  useEffect(() => {
+    return subscribeToSync((event) => {
+      if (event.type === 'state') {
+        setState(event.state);
+        return;
+      }
+
+      console.error('Error syncing offline change:', event.error);
+      toast({
+        title: 'Change not saved',
+        description: event.error?.code === 'permission-denied' || event.error?.code === 'not-found'
+          ? `${event.description} was made offline, but someone else changed or deleted it meanwhile. Reload it and try again.`
+          : `${event.description} was made offline and could not be synced.`,
+        variant: 'destructive',
+      });
+    });
+  }, [toast]);
+
+  if (state.online && state.queued === 0) return null;
+
+  return (
+    <span
+      className="inline-flex items-center text-sm text-muted-foreground"
+      aria-live="polite"
+      data-testid="sync-status"
+    >
+      {state.online ? (
+        <>
+          <RefreshCw className="h-4 w-4 mr-1 animate-spin" />
+          Syncing {state.queued} change{state.queued === 1 ? '' : 's'}…
+        </>
+      ) : (
+        <>
+          <CloudOff className="h-4 w-4 mr-1" />
+          Offline{state.queued > 0 && ` · ${state.queued} change${state.queued === 1 ? '' : 's'} waiting to sync`}
+        </>
+      )}
+    </span>
+  );
+}
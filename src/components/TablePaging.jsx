@@ -0,0 +1,109 @@
+import { Button } from '@/components/ui/button';
+import { TableHead } from '@/components/ui/table';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+import { PAGE_SIZES } from '@/lib/data';
+import { cn } from '@/lib/utils';
+import { ArrowDown, ArrowUp, ArrowUpDown, ChevronLeft, ChevronRight } from 'lucide-react';
+
+/** Table header that sorts the table by its field when clicked */
+export function SortableHead({ field, label, sort, onSort, className }) {
+  const [current, direction] = sort;
+  const Icon = field !== current ? ArrowUpDown : direction === 'asc' ? ArrowUp : ArrowDown;
+
+  return (
+    <TableHead
+      className={className}
+      aria-sort={field !== current ? 'none' : direction === 'asc' ? 'ascending' : 'descending'}
+    >
+      <button
+        type="button"
+        className="inline-flex items-center gap-1 hover:text-foreground"
+        onClick={() => onSort(field)}
+        data-testid={`sort-${field}`}
+      >
+        {label}
+        <Icon className={cn('h-3.5 w-3.5', field !== current && 'opacity-40')} />
+      </button>
+    </TableHead>
+  );
+}
+
+/** Sort picker for the mobile cards, which have no headers */
+export function SortSelect({ fields, sort, onSort, className }) {
+  const [current, direction] = sort;
+
+  return (
+    <div className={cn('flex items-center gap-2', className)}>
+      <Select value={current} onValueChange={onSort}>
+        <SelectTrigger className="h-9" data-testid="select-sort">
+          <SelectValue placeholder="Sort by" />
+        </SelectTrigger>
+        <SelectContent>
+          {fields.map(({ field, label }) => (
+            <SelectItem key={field} value={field}>{label}</SelectItem>
+          ))}
+        </SelectContent>
+      </Select>
+      <Button
+        variant="outline"
+        size="icon"
+        className="h-9 w-9 shrink-0"
+        onClick={() => onSort(current)}
+        title={direction === 'asc' ? 'Ascending' : 'Descending'}
+      >
+        {direction === 'asc' ? <ArrowUp className="h-4 w-4" /> : <ArrowDown className="h-4 w-4" />}
+      </Button>
+    </div>
+  );
+}
+
+/** Page size picker and previous/next buttons under a paged table */
+export function TablePagination({ size, onSizeChange, hasPrevious, hasNext, onPrevious, onNext }) {
+  return (
+    <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 mt-4">
+      <div className="flex items-center gap-2 text-sm text-muted-foreground">
+        <span>Rows per page</span>
+        <Select value={String(size)} onValueChange={(value) => onSizeChange(Number(value))}>
+          <SelectTrigger className="h-9 w-[80px]" data-testid="select-page-size">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            {PAGE_SIZES.map((option) => (
+              <SelectItem key={option} value={String(option)}>{option}</SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+      </div>
+      <div className="flex gap-2">
+        <Button
+          variant="outline"
+          size="sm"
+          onClick={onPrevious}
+          disabled={!hasPrevious}
+          className="flex-1 sm:flex-none"
+          data-testid="button-previous-page"
+        >
+          <ChevronLeft className="h-4 w-4 mr-1" />
+          Previous
+        </Button>
+        <Button
+          variant="outline"
+          size="sm"
+          onClick={onNext}
+          disabled={!hasNext}
+          className="flex-1 sm:flex-none"
+          data-testid="button-next-page"
+        >
+          Next
+          <ChevronRight className="h-4 w-4 ml-1" />
+        </Button>
+      </div>
+    </div>
+  );
+}
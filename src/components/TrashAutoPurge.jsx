@@ -0,0 +1,28 @@
+import { useEffect } from 'react';
+import { useAuth } from '@/context/AuthContext';
+import { useOrg } from '@/context/OrgContext';
+import { repositories } from '@/lib/data';
+import { CAPABILITIES } from '@/lib/permissions';
+import { DEFAULT_TRASH_RETENTION_DAYS } from '@/lib/trash';
+
+/**
+ * Purges the active organization's trash entries that are past its retention
+ * period whenever someone who manages the trash opens the admin app or
+ * switches organization. Renders nothing.
+ */
+export function TrashAutoPurge() {
+  const { user } = useAuth();
+  const { activeOrgId, activeOrg, can } = useOrg();
+  const canManageTrash = can(CAPABILITIES.MANAGE_TRASH);
+  const retentionDays = activeOrg?.trashRetentionDays || DEFAULT_TRASH_RETENTION_DAYS;
+
+  useEffect(() => {
+    if (!activeOrgId || !canManageTrash || !user) return;
+
+    repositories.trash.purgeExpired(activeOrgId, retentionDays, user).catch((error) => {
+      console.error('Error purging expired trash:', error);
+    });
+  }, [activeOrgId, canManageTrash, retentionDays, user]);
+
+  return null;
+}
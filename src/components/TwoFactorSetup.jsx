@@ -0,0 +1,256 @@
+import { useState, useEffect } from 'react';
+import { useAuth, getTwoFactorStatus } from '@/context/AuthContext';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { useToast } from '@/hooks/use-toast';
+import { Loader2, ShieldCheck, ShieldOff, Copy, Download } from 'lucide-react';
+
+const errorMessage = (error, fallback) => {
+  switch (error.code) {
+    case 'auth/requires-recent-login':
+      return 'For your security, sign out and sign in again before changing two-factor settings.';
+    case 'auth/unverified-email':
+      return 'Verify your email address before turning on two-factor authentication.';
+    case 'auth/invalid-verification-code':
+      return 'That code is not valid. Please try again.';
+    default:
+      return error.message || fallback;
+  }
+};
+
+/**
+ * Enroll, manage or remove the TOTP second factor of the signed-in admin
+ * @param {Object} props
+ * @param {boolean} [props.required] - An organization requires two-factor
+ */
+export function TwoFactorSetup({ required = false }) {
+  const { toast } = useToast();
+  const {
+    user,
+    startTwoFactorEnrollment,
+    finishTwoFactorEnrollment,
+    isSignedInWithRecoveryCode,
+    regenerateRecoveryCodes,
+    retireUsedRecoveryCode,
+    disableTwoFactor,
+  } = useAuth();
+  const { enabled, recoveryCodesLeft } = getTwoFactorStatus(user);
+
+  const [enrollment, setEnrollment] = useState(null);
+  const [code, setCode] = useState('');
+  const [recoveryCodes, setRecoveryCodes] = useState([]);
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [usedRecoveryCode, setUsedRecoveryCode] = useState(false);
+
+  useEffect(() => {
+    if (enabled) {
+      isSignedInWithRecoveryCode().then(setUsedRecoveryCode).catch(() => setUsedRecoveryCode(false));
+    }
+  }, [enabled, recoveryCodesLeft, isSignedInWithRecoveryCode]);
+
+  const run = async (action, fallback) => {
+    setError('');
+    setLoading(true);
+
+    try {
+      await action();
+    } catch (err) {
+      console.error('Two-factor error:', err);
+      setError(errorMessage(err, fallback));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleStart = () => run(async () => {
+    setEnrollment(await startTwoFactorEnrollment());
+  }, 'Failed to start two-factor setup');
+
+  const handleFinish = (e) => {
+    e.preventDefault();
+    run(async () => {
+      setRecoveryCodes(await finishTwoFactorEnrollment(enrollment.secret, code));
+      setEnrollment(null);
+      setCode('');
+      toast({
+        title: 'Success',
+        description: 'Two-factor authentication is on!',
+      });
+    }, 'Failed to turn on two-factor authentication');
+  };
+
+  const handleRegenerate = () => {
+    if (!confirm('Generate new recovery codes? Your current codes will stop working.')) return;
+
+    run(async () => {
+      setRecoveryCodes(await regenerateRecoveryCodes());
+    }, 'Failed to generate recovery codes');
+  };
+
+  const handleDisable = () => {
+    if (!confirm('Turn off two-factor authentication? You may need to sign in again.')) return;
+
+    run(async () => {
+      await disableTwoFactor();
+      setRecoveryCodes([]);
+      toast({
+        title: 'Success',
+        description: 'Two-factor authentication is off.',
+      });
+    }, 'Failed to turn off two-factor authentication');
+  };
+
+  // A used code that signing in could not remove goes once its replacements are saved
+  const handleCodesSaved = () => run(async () => {
+    setRecoveryCodes([]);
+    await retireUsedRecoveryCode();
+  }, 'Failed to remove the used recovery code');
+
+  const handleCopyCodes = async () => {
+    await navigator.clipboard.writeText(recoveryCodes.join('\n'));
+    toast({
+      title: 'Copied',
+      description: 'Recovery codes copied to the clipboard.',
+    });
+  };
+
+  const handleDownloadCodes = () => {
+    const blob = new Blob(
+      [`ProCoHat recovery codes for ${user.email}\n\n${recoveryCodes.join('\n')}\n`],
+      { type: 'text/plain' }
+    );
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = 'procohat-recovery-codes.txt';
+    link.click();
+    URL.revokeObjectURL(link.href);
+  };
+
+  return (
+    <div className="space-y-4">
+      {error && (
+        <Alert variant="destructive" data-testid="alert-two-factor-error">
+          <AlertDescription>{error}</AlertDescription>
+        </Alert>
+      )}
+
+      {recoveryCodes.length > 0 && (
+        <Alert data-testid="alert-recovery-codes">
+          <AlertDescription className="space-y-3">
+            <p className="font-medium">Save your recovery codes</p>
+            <p className="text-sm">
+              Each code signs you in once if you lose your authenticator app. They won&apos;t be shown again.
+            </p>
+            <ul className="grid grid-cols-1 sm:grid-cols-2 gap-2 font-mono text-sm">
+              {recoveryCodes.map((recoveryCode) => (
+                <li key={recoveryCode} className="rounded bg-muted px-2 py-1 break-all">{recoveryCode}</li>
+              ))}
+            </ul>
+            <div className="flex flex-wrap gap-2">
+              <Button type="button" variant="outline" size="sm" onClick={handleCopyCodes}>
+                <Copy className="h-4 w-4 mr-2" />
+                Copy
+              </Button>
+              <Button type="button" variant="outline" size="sm" onClick={handleDownloadCodes}>
+                <Download className="h-4 w-4 mr-2" />
+                Download
+              </Button>
+              <Button type="button" size="sm" onClick={handleCodesSaved} disabled={loading}>
+                I saved them
+              </Button>
+            </div>
+          </AlertDescription>
+        </Alert>
+      )}
+
+      {enabled && usedRecoveryCode && recoveryCodes.length === 0 && (
+        <Alert data-testid="alert-used-recovery-code">
+          <AlertDescription>
+            You signed in with a recovery code, which no longer works. Generate new recovery codes if you are
+            running low. If you lost your authenticator app, turn two-factor off and set it up again.
+          </AlertDescription>
+        </Alert>
+      )}
+
+      {enabled ? (
+        <div className="space-y-3">
+          <p className="flex items-center text-sm">
+            <ShieldCheck className="h-4 w-4 mr-2 text-green-600" />
+            Two-factor authentication is on. {recoveryCodesLeft} recovery code{recoveryCodesLeft === 1 ? '' : 's'} left.
+          </p>
+          <div className="flex flex-wrap gap-2">
+            <Button variant="outline" size="sm" onClick={handleRegenerate} disabled={loading} data-testid="button-regenerate-recovery-codes">
+              New Recovery Codes
+            </Button>
+            <Button
+              variant="ghost"
+              size="sm"
+              onClick={handleDisable}
+              disabled={loading}
+              className="text-red-600 hover:text-red-700 hover:bg-red-50"
+              data-testid="button-disable-two-factor"
+            >
+              <ShieldOff className="h-4 w-4 mr-2" />
+              Turn Off
+            </Button>
+          </div>
+          {required && (
+            <p className="text-sm text-muted-foreground">
+              Your organization requires two-factor authentication. Turning it off asks you to set it up again.
+            </p>
+          )}
+        </div>
+      ) : enrollment ? (
+        <form onSubmit={handleFinish} className="space-y-4">
+          <ol className="list-decimal list-inside space-y-2 text-sm">
+            <li>
+              Add this key to your authenticator app (Google Authenticator, 1Password, Authy, ...), or{' '}
+              <a href={enrollment.qrCodeUrl} className="text-primary hover:underline">open it in the app</a>
+              {' '}on this device:
+              <div className="mt-2 rounded bg-muted px-3 py-2 font-mono text-sm break-all" data-testid="text-totp-secret">
+                {enrollment.secretKey}
+              </div>
+            </li>
+            <li>Enter the 6-digit code the app shows.</li>
+          </ol>
+          <div className="space-y-2">
+            <Label htmlFor="totpCode">Authentication Code</Label>
+            <Input
+              id="totpCode"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              placeholder="123456"
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              required
+              className="max-w-[200px]"
+              data-testid="input-totp-code"
+            />
+          </div>
+          <div className="flex gap-2">
+            <Button type="submit" disabled={loading} data-testid="button-finish-two-factor">
+              {loading && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+              Turn On
+            </Button>
+            <Button type="button" variant="ghost" onClick={() => setEnrollment(null)} disabled={loading}>
+              Cancel
+            </Button>
+          </div>
+        </form>
+      ) : (
+        <div className="space-y-3">
+          <p className="text-sm text-muted-foreground">
+            Protect your account with a code from an authenticator app each time you sign in.
+          </p>
+          <Button onClick={handleStart} disabled={loading} data-testid="button-start-two-factor">
+            {loading && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+            Set Up Two-Factor
+          </Button>
+        </div>
+      )}
+    </div>
+  );
+}
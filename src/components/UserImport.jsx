@@ -0,0 +1,447 @@
+import { useState } from 'react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '@/components/ui/table';
+import { FieldError } from '@/components/FieldError';
+import { useToast } from '@/hooks/use-toast';
+import { useAuth } from '@/context/AuthContext';
+import { useOrg } from '@/context/OrgContext';
+import { repositories, USER_SCHEMA, ValidationError } from '@/lib/data';
+import { readSpreadsheet } from '@/lib/spreadsheet';
+import {
+  IMPORT_DEFAULTS,
+  IMPORT_FIELDS,
+  MAX_IMPORT_ROWS,
+  checkImportRows,
+  guessMapping,
+  importReportRows,
+  mappingErrors,
+} from '@/lib/userImport';
+import { cn } from '@/lib/utils';
+import { downloadCsv } from '@/lib/export';
+import { approvalStages } from '@/lib/approval';
+import { Download, FileSpreadsheet, Loader2 } from 'lucide-react';
+
+// Rows the preview table shows; the counts and the report cover every row
+const PREVIEW_ROWS = 200;
+
+// Select value for a field no column fills, since Select items cannot be empty
+const NO_COLUMN = 'none';
+
+const STEP_TITLES = {
+  upload: 'Choose a file',
+  map: 'Match columns',
+  preview: 'Check the rows',
+  done: 'Import finished',
+};
+
+const problemText = (errors) => Object.values(errors).join(' ');
+
+/**
+ * Imports users from a CSV or XLSX file in steps: upload, match the columns
+ * to user fields, preview every row with its problems, then save the valid
+ * ones. Rows turned away can be downloaded as a CSV report.
+ */
+export function UserImport() {
+  const { toast } = useToast();
+  const { user } = useAuth();
+  const { activeOrgId, activeOrg } = useOrg();
+  const [open, setOpen] = useState(false);
+  const [step, setStep] = useState('upload');
+  const [fileName, setFileName] = useState('');
+  const [reading, setReading] = useState(false);
+  // The file's rows, header first
+  const [sheet, setSheet] = useState([]);
+  const [mapping, setMapping] = useState({});
+  const [mappingProblems, setMappingProblems] = useState({});
+  const [checking, setChecking] = useState(false);
+  const [rows, setRows] = useState([]);
+  const [importing, setImporting] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [result, setResult] = useState(null);
+
+  const headers = sheet[0] || [];
+  const validRows = rows.filter(row => Object.keys(row.errors).length === 0);
+  const invalidRows = rows.filter(row => Object.keys(row.errors).length > 0);
+
+  const reset = () => {
+    setStep('upload');
+    setFileName('');
+    setSheet([]);
+    setMapping({});
+    setMappingProblems({});
+    setRows([]);
+    setProgress(null);
+    setResult(null);
+  };
+
+  const handleOpenChange = (next) => {
+    if (importing) return;
+    setOpen(next);
+    if (!next) reset();
+  };
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setReading(true);
+
+    try {
+      const read = await readSpreadsheet(file);
+
+      if (read.length < 2) {
+        toast({
+          title: 'Warning',
+          description: 'The file has no rows below its header row.',
+          variant: 'destructive',
+        });
+        return;
+      }
+      if (read.length - 1 > MAX_IMPORT_ROWS) {
+        toast({
+          title: 'Warning',
+          description: `The file has ${read.length - 1} rows. Import at most ${MAX_IMPORT_ROWS} at a time.`,
+          variant: 'destructive',
+        });
+        return;
+      }
+
+      setFileName(file.name);
+      setSheet(read);
+      setMapping(guessMapping(read[0]));
+      setMappingProblems({});
+      setStep('map');
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        toast({
+          title: 'Warning',
+          description: error.message,
+          variant: 'destructive',
+        });
+        return;
+      }
+
+      console.error('Error reading import file:', error);
+      toast({
+        title: 'Error',
+        description: 'Could not read the file. Check that it is a CSV or XLSX spreadsheet.',
+        variant: 'destructive',
+      });
+    } finally {
+      setReading(false);
+    }
+  };
+
+  const handleMappingChange = (field, value) => {
+    setMapping(prev => ({ ...prev, [field]: value === NO_COLUMN ? null : Number(value) }));
+    setMappingProblems(prev => ({ ...prev, [field]: undefined }));
+  };
+
+  const handlePreview = async () => {
+    const problems = mappingErrors(mapping);
+    if (Object.keys(problems).length > 0) {
+      setMappingProblems(problems);
+      return;
+    }
+
+    setChecking(true);
+
+    try {
+      const dataRows = sheet.slice(1);
+      const existing = await repositories.users.existingEmails(
+        activeOrgId,
+        dataRows.map(cells => String(cells[mapping.email] ?? '')).filter(Boolean)
+      );
+      setRows(checkImportRows(dataRows, mapping, existing));
+      setStep('preview');
+    } catch (error) {
+      console.error('Error checking import rows:', error);
+      toast({
+        title: 'Error',
+        description: 'Failed to check the rows against existing users.',
+        variant: 'destructive',
+      });
+    } finally {
+      setChecking(false);
+    }
+  };
+
+  const handleImport = async () => {
+    setImporting(true);
+    setProgress({ done: 0, total: validRows.length });
+
+    try {
+      const { imported, failures } = await repositories.users.importMany(
+        activeOrgId,
+        validRows.map(row => ({ line: row.line, data: row.values })),
+        user,
+        { onProgress: setProgress, stages: approvalStages(activeOrg) }
+      );
+
+      const byLine = new Map(validRows.map(row => [row.line, row]));
+      const failed = failures.map(({ line, error }) => {
+        if (!error.fields) console.error(`Error importing row ${line}:`, error);
+        return {
+          ...byLine.get(line),
+          errors: error.fields && Object.keys(error.fields).length > 0
+            ? error.fields
+            : { save: 'Could not be saved. Try importing this row again.' },
+        };
+      });
+      const rejected = [...invalidRows, ...failed].sort((a, b) => a.line - b.line);
+
+      setResult({ imported: imported.length, rejected });
+      setStep('done');
+      toast({
+        title: rejected.length > 0 ? 'Warning' : 'Success',
+        description: rejected.length > 0
+          ? `${imported.length} user(s) imported; ${rejected.length} row(s) were not.`
+          : `${imported.length} user(s) imported successfully!`,
+        variant: rejected.length > 0 ? 'destructive' : 'default',
+      });
+    } catch (error) {
+      console.error('Error importing users:', error);
+      toast({
+        title: 'Error',
+        description: 'Failed to import users.',
+        variant: 'destructive',
+      });
+    } finally {
+      setImporting(false);
+      setProgress(null);
+    }
+  };
+
+  const handleDownloadReport = (rejected) => {
+    downloadCsv(importReportRows(rejected), `${fileName.replace(/\.[^.]+$/, '')}-rejected-rows.csv`);
+  };
+
+  const columnLabel = (index) => String(headers[index] ?? '').trim() || `Column ${index + 1}`;
+
+  return (
+    <>
+      <Button
+        type="button"
+        variant="outline"
+        size="sm"
+        onClick={() => setOpen(true)}
+        data-testid="button-import-users"
+      >
+        <FileSpreadsheet className="h-4 w-4 mr-2" />
+        Import from spreadsheet
+      </Button>
+
+      <Dialog open={open} onOpenChange={handleOpenChange}>
+        <DialogContent className="max-w-3xl max-h-[90vh] overflow-y-auto">
+          <DialogHeader>
+            <DialogTitle>Import Users: {STEP_TITLES[step]}</DialogTitle>
+            <DialogDescription>
+              {fileName || 'A CSV or XLSX file with a header row and one user per row.'}
+            </DialogDescription>
+          </DialogHeader>
+
+          {step === 'upload' && (
+            <div className="space-y-2">
+              <Label htmlFor="importFile">Spreadsheet</Label>
+              <Input
+                id="importFile"
+                type="file"
+                accept=".csv,.xlsx,text/csv,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+                onChange={handleFileChange}
+                disabled={reading}
+                data-testid="input-import-file"
+              />
+              <p className="text-xs text-muted-foreground">
+                Columns for username and email are required; role and status default to{' '}
+                {IMPORT_DEFAULTS.role} and {IMPORT_DEFAULTS.status}. Up to {MAX_IMPORT_ROWS} rows.
+              </p>
+              {reading && (
+                <p className="flex items-center text-sm text-muted-foreground">
+                  <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+                  Reading the file…
+                </p>
+              )}
+            </div>
+          )}
+
+          {step === 'map' && (
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+              {IMPORT_FIELDS.map((field) => (
+                <div key={field} className="space-y-2">
+                  <Label htmlFor={`import-${field}`}>{USER_SCHEMA[field].label}</Label>
+                  <Select
+                    value={mapping[field] === null || mapping[field] === undefined ? NO_COLUMN : String(mapping[field])}
+                    onValueChange={(value) => handleMappingChange(field, value)}
+                  >
+                    <SelectTrigger
+                      id={`import-${field}`}
+                      className={cn(mappingProblems[field] && 'border-destructive')}
+                      aria-invalid={Boolean(mappingProblems[field])}
+                      aria-describedby={`import-${field}-error`}
+                      data-testid={`select-import-${field}`}
+                    >
+                      <SelectValue placeholder="Choose a column" />
+                    </SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value={NO_COLUMN}>
+                        {IMPORT_DEFAULTS[field] ? `No column (use ${IMPORT_DEFAULTS[field]})` : 'No column'}
+                      </SelectItem>
+                      {headers.map((header, index) => (
+                        <SelectItem key={index} value={String(index)}>{columnLabel(index)}</SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                  <FieldError id={`import-${field}-error`} message={mappingProblems[field]} />
+                </div>
+              ))}
+            </div>
+          )}
+
+          {step === 'preview' && (
+            <div className="space-y-3">
+              <p className="text-sm" data-testid="text-import-summary">
+                <span className="font-medium">{validRows.length}</span> row(s) ready to import
+                {invalidRows.length > 0 && (
+                  <>
+                    , <span className="font-medium text-destructive">{invalidRows.length}</span> with problems that
+                    will be skipped
+                  </>
+                )}
+                .
+              </p>
+              <div className="border rounded-md overflow-x-auto max-h-[45vh]">
+                <Table>
+                  <TableHeader className="bg-muted">
+                    <TableRow>
+                      <TableHead className="w-[60px] px-3">Row</TableHead>
+                      {IMPORT_FIELDS.map(field => (
+                        <TableHead key={field} className="px-3">{USER_SCHEMA[field].label}</TableHead>
+                      ))}
+                      <TableHead className="min-w-[200px] px-3">Problems</TableHead>
+                    </TableRow>
+                  </TableHeader>
+                  <TableBody>
+                    {rows.slice(0, PREVIEW_ROWS).map(row => (
+                      <TableRow
+                        key={row.line}
+                        className={cn(Object.keys(row.errors).length > 0 && 'bg-destructive/10')}
+                        data-testid={`import-row-${row.line}`}
+                      >
+                        <TableCell className="px-3 py-2 text-muted-foreground">{row.line}</TableCell>
+                        {IMPORT_FIELDS.map(field => (
+                          <TableCell
+                            key={field}
+                            className={cn('px-3 py-2 whitespace-nowrap', row.errors[field] && 'text-destructive font-medium')}
+                          >
+                            {String(row.data[field] ?? '') || '—'}
+                          </TableCell>
+                        ))}
+                        <TableCell className="px-3 py-2 text-sm text-destructive">{problemText(row.errors)}</TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </div>
+              {rows.length > PREVIEW_ROWS && (
+                <p className="text-xs text-muted-foreground">
+                  Showing the first {PREVIEW_ROWS} of {rows.length} rows. The counts and the report cover all of them.
+                </p>
+              )}
+              {progress && (
+                <p className="flex items-center text-sm" data-testid="text-import-progress">
+                  <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+                  {progress.done} of {progress.total} imported…
+                </p>
+              )}
+            </div>
+          )}
+
+          {step === 'done' && result && (
+            <div className="space-y-2 text-sm" data-testid="import-result">
+              <p>{result.imported} user(s) imported.</p>
+              {result.rejected.length > 0 ? (
+                <p className="text-destructive">
+                  {result.rejected.length} row(s) were not imported. Download the report to see why, fix them and import
+                  the report&apos;s rows again.
+                </p>
+              ) : (
+                <p className="text-muted-foreground">Every row was imported.</p>
+              )}
+            </div>
+          )}
+
+          <DialogFooter className="gap-2 sm:gap-0">
+            {step === 'map' && (
+              <>
+                <Button variant="outline" onClick={reset} disabled={checking}>Back</Button>
+                <Button onClick={handlePreview} disabled={checking} data-testid="button-import-preview">
+                  {checking && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+                  Preview
+                </Button>
+              </>
+            )}
+            {step === 'preview' && (
+              <>
+                <Button variant="outline" onClick={() => setStep('map')} disabled={importing}>Back</Button>
+                {invalidRows.length > 0 && (
+                  <Button variant="outline" onClick={() => handleDownloadReport(invalidRows)} disabled={importing}>
+                    <Download className="h-4 w-4 mr-2" />
+                    Rejected rows
+                  </Button>
+                )}
+                <Button
+                  onClick={handleImport}
+                  disabled={importing || validRows.length === 0}
+                  data-testid="button-import-confirm"
+                >
+                  {importing && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+                  Import {validRows.length} user(s)
+                </Button>
+              </>
+            )}
+            {step === 'done' && (
+              <>
+                {result?.rejected.length > 0 && (
+                  <Button
+                    variant="outline"
+                    onClick={() => handleDownloadReport(result.rejected)}
+                    data-testid="button-import-report"
+                  >
+                    <Download className="h-4 w-4 mr-2" />
+                    Download report
+                  </Button>
+                )}
+                <Button onClick={() => handleOpenChange(false)}>Done</Button>
+              </>
+            )}
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+    </>
+  );
+}
@@ -0,0 +1,60 @@
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { delta, formatDelta } from '@/lib/stats';
+import { cn } from '@/lib/utils';
+
+const formatWeek = (start) => start.toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' });
+
+/**
+ * One weekly metric as a small bar chart, with this week's value and the
+ * change from last week
+ */
+export function WeeklyTrend({ title, weeks, metric, barClassName = 'bg-primary' }) {
+  const values = weeks.map((week) => week[metric]);
+  const current = values[values.length - 1];
+  const change = delta(current, values[values.length - 2]);
+  const highest = Math.max(1, ...values.filter((value) => typeof value === 'number'));
+
+  return (
+    <Card>
+      <CardHeader className="pb-2">
+        <CardTitle className="text-sm font-medium">{title}</CardTitle>
+      </CardHeader>
+      <CardContent>
+        <div className="flex items-baseline gap-2">
+          <span className="text-2xl font-bold">{current ?? '—'}</span>
+          <span className="text-xs text-muted-foreground">this week</span>
+          {change !== null && (
+            <span
+              className={cn(
+                'ml-auto text-xs font-medium',
+                change > 0 ? 'text-green-600' : change < 0 ? 'text-red-600' : 'text-muted-foreground'
+              )}
+            >
+              {formatDelta(change)} vs last week
+            </span>
+          )}
+        </div>
+        <div className="mt-3 flex h-16 items-end gap-1" role="img" aria-label={`${title} per week`}>
+          {weeks.map((week, i) => (
+            <div
+              key={week.key}
+              className="flex-1 h-full flex items-end"
+              title={`Week of ${formatWeek(week.start)}: ${values[i] ?? 'unknown'}`}
+            >
+              <div
+                className={cn('w-full rounded-sm', barClassName, week.current && 'opacity-60')}
+                style={{ height: `${Math.max(4, ((values[i] || 0) / highest) * 100)}%` }}
+              />
+            </div>
+          ))}
+        </div>
+        {weeks.length > 0 && (
+          <div className="mt-1 flex justify-between text-[10px] text-muted-foreground">
+            <span>{formatWeek(weeks[0].start)}</span>
+            <span>This week</span>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
@@ -1,18 +1,86 @@
-import { createContext, useContext, useState, useEffect } from 'react';
+import { createContext, useContext, useState, useEffect, useCallback } from 'react';
 import {
   createUserWithEmailAndPassword,
   signInWithEmailAndPassword,
   signInWithPopup,
+  isSignInWithEmailLink,
+  signInWithEmailLink,
+  getAdditionalUserInfo,
+  updatePassword,
+  updateProfile,
+  reload,
+  sendPasswordResetEmail,
+  verifyPasswordResetCode,
+  confirmPasswordReset,
+  sendEmailVerification,
+  applyActionCode,
+  reauthenticateWithCredential,
+  reauthenticateWithPopup,
+  EmailAuthProvider,
+  GoogleAuthProvider,
+  linkWithPopup,
+  unlink,
+  multiFactor,
+  getMultiFactorResolver,
+  TotpMultiFactorGenerator,
   signOut as firebaseSignOut,
   onAuthStateChanged
 } from 'firebase/auth';
 import { auth, googleProvider } from '@/lib/firebase';
+import { generateTotpCode, formatRecoveryCode } from '@/lib/totp';
+import {
+  SESSION_SCOPES,
+  recordActivity,
+  clearActivity,
+  broadcastSignOut,
+  onSignOutBroadcast,
+} from '@/lib/session';
 
 const AuthContext = createContext(undefined);
 
+// Where links in password reset and verification emails lead back to
+const actionCodeSettings = (path) => ({ url: `${window.location.origin}${path}` });
+
+/**
+ * Whether an account can sign in with a sign-in method
+ * @param {Object|null} user - Firebase user
+ * @param {string} providerId - e.g. 'password' or 'google.com'
+ * @returns {boolean}
+ */
+export const hasProvider = (user, providerId) => {
+  return Boolean(user?.providerData.some(provider => provider.providerId === providerId));
+};
+
+// Second factors are TOTP: one authenticator app plus backup factors whose
+// secrets are handed out as recovery codes. Firebase allows at most five.
+const AUTHENTICATOR_FACTOR_NAME = 'Authenticator app';
+const RECOVERY_FACTOR_NAME = 'Recovery code';
+const RECOVERY_CODE_COUNT = 3;
+
+const isRecoveryFactor = (factor) => factor.displayName?.startsWith(RECOVERY_FACTOR_NAME);
+
+/**
+ * Two-factor state of an account
+ * @param {Object|null} user - Firebase user
+ * @returns {{ enabled: boolean, recoveryCodesLeft: number }}
+ */
+export const getTwoFactorStatus = (user) => {
+  const factors = user ? multiFactor(user).enrolledFactors : [];
+  return {
+    enabled: factors.some(factor => !isRecoveryFactor(factor)),
+    recoveryCodesLeft: factors.filter(isRecoveryFactor).length,
+  };
+};
+
 export function AuthProvider({ children }) {
   const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
+  // Profile changes update the Firebase user in place, so bump a version to
+  // re-render consumers with the new values
+  const [, setProfileVersion] = useState(0);
+
+  // A sign-in (or re-authentication) waiting for a TOTP code, and what to run once it completes
+  const [secondFactor, setSecondFactor] = useState(null);
 
   useEffect(() => {
     const unsubscribe = onAuthStateChanged(auth, (user) => {
@@ -23,29 +91,335 @@ export function AuthProvider({ children }) {
     return unsubscribe;
   }, []);
 
+  // Signing out in another tab signs this one out too
+  useEffect(() => {
+    return onSignOutBroadcast(SESSION_SCOPES.ADMIN, () => firebaseSignOut(auth));
+  }, []);
+
+  const refreshUser = async () => {
+    if (!auth.currentUser) return;
+    await reload(auth.currentUser);
+    setProfileVersion(version => version + 1);
+  };
+
   const signUp = async (email, password) => {
-    await createUserWithEmailAndPassword(auth, email, password);
+    const result = await createUserWithEmailAndPassword(auth, email, password);
+    await sendEmailVerification(result.user, actionCodeSettings('/'));
+  };
+
+  // Invite emails are sign-in links: opening one proves the invitee owns the address
+  const isInviteLink = () => isSignInWithEmailLink(auth, window.location.href);
+
+  const signUpWithInviteLink = async (email, password) => {
+    const result = await signInWithEmailLink(auth, email, window.location.href);
+    // The link also signs existing accounts in; only new ones get the password
+    if (getAdditionalUserInfo(result)?.isNewUser) {
+      await updatePassword(result.user, password);
+    }
+  };
+
+  /**
+   * Run a sign-in step, pausing for a TOTP code when the account has two-factor on.
+   * @param {Function} attempt - The first-factor sign-in or re-authentication
+   * @param {Function} [onSignedIn] - Runs with the user once fully signed in
+   * @returns {Promise<boolean>} - false while a second factor is pending
+   */
+  const withSecondFactor = async (attempt, onSignedIn = async () => {}) => {
+    try {
+      await attempt();
+    } catch (error) {
+      if (error.code !== 'auth/multi-factor-auth-required') throw error;
+      setSecondFactor({ resolver: getMultiFactorResolver(auth, error), onSignedIn });
+      return false;
+    }
+
+    recordActivity(SESSION_SCOPES.ADMIN);
+    await onSignedIn(auth.currentUser);
+    return true;
+  };
+
+  /**
+   * Finish a pending sign-in with an authenticator code or a recovery code
+   * @param {string} code
+   * @param {Object} [options]
+   * @param {boolean} [options.recovery=false] - Whether code is a recovery code
+   */
+  const completeSecondFactor = async (code, { recovery = false } = {}) => {
+    const { resolver, onSignedIn } = secondFactor;
+
+    if (recovery) {
+      // Sign in with the code an authenticator holding the recovery code's
+      // secret would show. The code doesn't say which backup factor it
+      // belongs to, so try each.
+      const totpCode = await generateTotpCode(code);
+      let lastError = new Error('This account has no recovery codes left.');
+      let usedFactorUid = null;
+
+      for (const hint of resolver.hints.filter(isRecoveryFactor)) {
+        try {
+          await resolver.resolveSignIn(TotpMultiFactorGenerator.assertionForSignIn(hint.uid, totpCode));
+          usedFactorUid = hint.uid;
+          break;
+        } catch (error) {
+          lastError = error;
+        }
+      }
+
+      if (!usedFactorUid) throw lastError;
+
+      // Recovery codes work once: remove the backup factor straight away. If
+      // that fails, Account Settings still offers to retire it.
+      try {
+        await multiFactor(auth.currentUser).unenroll(usedFactorUid);
+        await refreshUser();
+      } catch (error) {
+        console.error('Error removing used recovery code:', error);
+      }
+    } else {
+      const hint = resolver.hints.find(factor => !isRecoveryFactor(factor));
+      await resolver.resolveSignIn(TotpMultiFactorGenerator.assertionForSignIn(hint.uid, code.trim()));
+    }
+
+    setSecondFactor(null);
+    recordActivity(SESSION_SCOPES.ADMIN);
+    await onSignedIn(auth.currentUser);
+  };
+
+  const cancelSecondFactor = () => {
+    setSecondFactor(null);
   };
 
   const signIn = async (email, password) => {
-    await signInWithEmailAndPassword(auth, email, password);
+    return withSecondFactor(() => signInWithEmailAndPassword(auth, email, password));
   };
 
-  const signInWithGoogle = async () => {
-    await signInWithPopup(auth, googleProvider);
+  const signInWithGoogle = async (onSignedIn) => {
+    return withSecondFactor(() => signInWithPopup(auth, googleProvider), onSignedIn);
   };
 
   const signOut = async () => {
+    clearActivity(SESSION_SCOPES.ADMIN);
+    broadcastSignOut(SESSION_SCOPES.ADMIN);
     await firebaseSignOut(auth);
   };
 
+  // ---- Password reset ----
+
+  const sendPasswordReset = async (email) => {
+    await sendPasswordResetEmail(auth, email.trim(), actionCodeSettings('/login'));
+  };
+
+  /**
+   * Check a reset code from an emailed link
+   * @returns {Promise<string>} - The email of the account being reset
+   */
+  const checkPasswordResetCode = async (code) => {
+    return verifyPasswordResetCode(auth, code);
+  };
+
+  const resetPassword = async (code, newPassword) => {
+    await confirmPasswordReset(auth, code, newPassword);
+  };
+
+  // ---- Email verification ----
+
+  const sendVerificationEmail = async () => {
+    await sendEmailVerification(auth.currentUser, actionCodeSettings('/'));
+  };
+
+  const verifyEmail = async (code) => {
+    await applyActionCode(auth, code);
+    await refreshUser();
+  };
+
+  // ---- Account settings ----
+
+  const updateAccountProfile = async ({ displayName, photoURL }) => {
+    await updateProfile(auth.currentUser, { displayName, photoURL });
+    await refreshUser();
+  };
+
+  /**
+   * Change (or, for Google-only accounts, add) the password.
+   * Firebase requires a recent sign-in, so the account confirms its identity first.
+   * @param {string} currentPassword - Ignored for accounts without a password
+   * @param {string} newPassword
+   * @returns {Promise<boolean>} - false while a second factor is pending
+   */
+  const changePassword = async (currentPassword, newPassword) => {
+    const account = auth.currentUser;
+
+    const reauthenticate = hasProvider(account, EmailAuthProvider.PROVIDER_ID)
+      ? () => reauthenticateWithCredential(account, EmailAuthProvider.credential(account.email, currentPassword))
+      : () => reauthenticateWithPopup(account, googleProvider);
+
+    return withSecondFactor(reauthenticate, async () => {
+      await updatePassword(account, newPassword);
+      await refreshUser();
+    });
+  };
+
+  const linkGoogle = async () => {
+    await linkWithPopup(auth.currentUser, googleProvider);
+    await refreshUser();
+  };
+
+  const unlinkGoogle = async () => {
+    if (auth.currentUser.providerData.length <= 1) {
+      throw new Error('Set a password before removing Google sign-in, or you will be locked out.');
+    }
+
+    await unlink(auth.currentUser, GoogleAuthProvider.PROVIDER_ID);
+    await refreshUser();
+  };
+
+  // ---- Two-factor authentication ----
+
+  /**
+   * Start enrolling an authenticator app
+   * @returns {Promise<{ secret: Object, secretKey: string, qrCodeUrl: string }>}
+   */
+  const startTwoFactorEnrollment = async () => {
+    const session = await multiFactor(auth.currentUser).getSession();
+    const secret = await TotpMultiFactorGenerator.generateSecret(session);
+    return {
+      secret,
+      secretKey: secret.secretKey,
+      qrCodeUrl: secret.generateQrCodeUrl(auth.currentUser.email, 'ProCoHat'),
+    };
+  };
+
+  // Enroll backup factors and hand their secrets out as recovery codes
+  const enrollRecoveryCodes = async () => {
+    const codes = [];
+
+    for (let i = 1; i <= RECOVERY_CODE_COUNT; i++) {
+      const session = await multiFactor(auth.currentUser).getSession();
+      const secret = await TotpMultiFactorGenerator.generateSecret(session);
+      const code = await generateTotpCode(secret.secretKey, {
+        digits: secret.codeLength,
+        period: secret.codeIntervalSeconds,
+        algorithm: secret.hashingAlgorithm,
+      });
+
+      await multiFactor(auth.currentUser).enroll(
+        TotpMultiFactorGenerator.assertionForEnrollment(secret, code),
+        `${RECOVERY_FACTOR_NAME} ${i}`
+      );
+      codes.push(formatRecoveryCode(secret.secretKey));
+    }
+
+    return codes;
+  };
+
+  /**
+   * Finish enrolling the authenticator app with a code it shows
+   * @returns {Promise<string[]>} - Recovery codes, shown to the user once
+   */
+  const finishTwoFactorEnrollment = async (secret, code) => {
+    await multiFactor(auth.currentUser).enroll(
+      TotpMultiFactorGenerator.assertionForEnrollment(secret, code.trim()),
+      AUTHENTICATOR_FACTOR_NAME
+    );
+    const recoveryCodes = await enrollRecoveryCodes();
+    await refreshUser();
+    return recoveryCodes;
+  };
+
+  // Factor this session signed in with, which must be removed last: Firebase
+  // may end the session when it goes
+  const currentSessionFactorUid = useCallback(async () => {
+    const { claims } = await auth.currentUser.getIdTokenResult();
+    return claims.firebase?.second_factor_identifier || null;
+  }, []);
+
+  // Whether this session signed in with a recovery code rather than the app.
+  // Used codes are removed on sign-in, so a session factor that is no longer
+  // enrolled was one.
+  const isSignedInWithRecoveryCode = useCallback(async () => {
+    const sessionFactorUid = await currentSessionFactorUid();
+    if (!sessionFactorUid) return false;
+
+    const sessionFactor = multiFactor(auth.currentUser).enrolledFactors
+      .find(factor => factor.uid === sessionFactorUid);
+    return !sessionFactor || isRecoveryFactor(sessionFactor);
+  }, [currentSessionFactorUid]);
+
+  /**
+   * Replace the recovery codes, invalidating the old ones. A code this session
+   * signed in with and could not remove then stays until retireUsedRecoveryCode(),
+   * once the new ones are saved.
+   * @returns {Promise<string[]>}
+   */
+  const regenerateRecoveryCodes = async () => {
+    const sessionFactorUid = await currentSessionFactorUid();
+    const oldFactors = multiFactor(auth.currentUser).enrolledFactors
+      .filter(factor => isRecoveryFactor(factor) && factor.uid !== sessionFactorUid);
+
+    for (const factor of oldFactors) {
+      await multiFactor(auth.currentUser).unenroll(factor);
+    }
+    const recoveryCodes = await enrollRecoveryCodes();
+
+    await refreshUser();
+    return recoveryCodes;
+  };
+
+  // Remove the recovery code this session signed in with, when signing in
+  // could not. May sign the session out.
+  const retireUsedRecoveryCode = async () => {
+    const sessionFactorUid = await currentSessionFactorUid();
+    const stillEnrolled = multiFactor(auth.currentUser).enrolledFactors
+      .some(factor => factor.uid === sessionFactorUid && isRecoveryFactor(factor));
+    if (!stillEnrolled) return;
+
+    await multiFactor(auth.currentUser).unenroll(sessionFactorUid);
+    await refreshUser();
+  };
+
+  // Turn two-factor off. May sign this session out; the next sign-in needs only a password.
+  const disableTwoFactor = async () => {
+    const sessionFactorUid = await currentSessionFactorUid();
+    const factors = multiFactor(auth.currentUser).enrolledFactors;
+
+    for (const factor of factors.filter(factor => factor.uid !== sessionFactorUid)) {
+      await multiFactor(auth.currentUser).unenroll(factor);
+    }
+    if (factors.some(factor => factor.uid === sessionFactorUid)) {
+      await multiFactor(auth.currentUser).unenroll(sessionFactorUid);
+    }
+
+    await refreshUser();
+  };
+
   const value = {
     user,
     loading,
+    refreshUser,
     signUp,
+    isInviteLink,
+    signUpWithInviteLink,
     signIn,
     signInWithGoogle,
-    signOut
+    signOut,
+    sendPasswordReset,
+    checkPasswordResetCode,
+    resetPassword,
+    sendVerificationEmail,
+    verifyEmail,
+    updateAccountProfile,
+    changePassword,
+    linkGoogle,
+    unlinkGoogle,
+    secondFactor,
+    completeSecondFactor,
+    cancelSecondFactor,
+    startTwoFactorEnrollment,
+    finishTwoFactorEnrollment,
+    isSignedInWithRecoveryCode,
+    regenerateRecoveryCodes,
+    retireUsedRecoveryCode,
+    disableTwoFactor
   };
 
   return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
@@ -0,0 +1,213 @@
+import { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import {
+  doc,
+  getDoc,
+  updateDoc,
+  collection,
+  query,
+  where,
+  getDocs,
+  writeBatch,
+  arrayUnion,
+  serverTimestamp,
+} from 'firebase/firestore';
+import { auth, db } from '@/lib/firebase';
+import { useAuth } from '@/context/AuthContext';
+import { ROLES, hasCapability } from '@/lib/permissions';
+import { INVITE_STATUS } from '@/lib/invites';
+import { toOrganization } from '@/lib/organizations';
+
+// Remembers the organization last picked in the sidebar switcher on this device
+const ACTIVE_ORG_KEY = 'activeOrgId';
+
+const OrgContext = createContext(undefined);
+
+const loadOrganizations = async (user) => {
+  const profileSnapshot = await getDoc(doc(db, 'admins', user.uid));
+  const orgIds = profileSnapshot.data()?.orgIds || [];
+
+  const organizations = await Promise.all(
+    orgIds.map(async (orgId) => {
+      const memberSnapshot = await getDoc(doc(db, 'organizations', orgId, 'members', user.uid));
+      if (!memberSnapshot.exists()) return null;
+
+      const { role } = memberSnapshot.data();
+      if (!role) return null;
+
+      const orgSnapshot = await getDoc(doc(db, 'organizations', orgId));
+      return toOrganization(orgId, orgSnapshot.data(), role);
+    })
+  );
+
+  return organizations.filter(Boolean);
+};
+
+export function OrgProvider({ children }) {
+  const { user } = useAuth();
+  const [organizations, setOrganizations] = useState([]);
+  const [activeOrgId, setActiveOrgId] = useState(null);
+  const [loading, setLoading] = useState(true);
+  // Uid the organizations were loaded for, so a fresh sign-in never renders
+  // with the previous (empty) list before its own load starts
+  const [loadedUid, setLoadedUid] = useState(undefined);
+
+  const refreshOrganizations = useCallback(async () => {
+    // Read the live account: this also runs straight after sign-up, before
+    // the auth state change has reached this provider
+    const account = auth.currentUser;
+
+    if (!account) {
+      setOrganizations([]);
+      setActiveOrgId(null);
+      setLoadedUid(null);
+      setLoading(false);
+      return;
+    }
+
+    setLoading(true);
+
+    try {
+      const orgs = await loadOrganizations(account);
+      const storedOrgId = window.localStorage.getItem(ACTIVE_ORG_KEY);
+
+      setOrganizations(orgs);
+      setActiveOrgId(orgs.some(org => org.id === storedOrgId) ? storedOrgId : orgs[0]?.id || null);
+    } catch (error) {
+      console.error('Error loading organizations:', error);
+      setOrganizations([]);
+      setActiveOrgId(null);
+    } finally {
+      setLoadedUid(account.uid);
+      setLoading(false);
+    }
+  }, []);
+
+  // Reload whenever the signed-in account changes
+  useEffect(() => {
+    refreshOrganizations();
+  }, [user, refreshOrganizations]);
+
+  const switchOrganization = (orgId) => {
+    window.localStorage.setItem(ACTIVE_ORG_KEY, orgId);
+    setActiveOrgId(orgId);
+  };
+
+  // Records created before organizations existed are scoped by createdBy only.
+  // Move the ones this admin created into the organization they just founded.
+  const adoptLegacyRecords = async (orgId) => {
+    for (const collectionName of ['users', 'clinics', 'documents']) {
+      const legacyQuery = query(collection(db, collectionName), where('createdBy', '==', user.email));
+      const snapshot = await getDocs(legacyQuery);
+      const legacyDocs = snapshot.docs.filter(record => !record.data().orgId);
+
+      // Firestore batches are limited to 500 writes
+      for (let i = 0; i < legacyDocs.length; i += 500) {
+        const batch = writeBatch(db);
+        legacyDocs.slice(i, i + 500).forEach(record => batch.update(record.ref, { orgId }));
+        await batch.commit();
+      }
+    }
+  };
+
+  const createOrganization = async (name) => {
+    const orgRef = doc(collection(db, 'organizations'));
+    const batch = writeBatch(db);
+
+    batch.set(orgRef, {
+      name,
+      createdBy: user.uid,
+      createdAt: serverTimestamp(),
+    });
+    batch.set(doc(db, 'organizations', orgRef.id, 'members', user.uid), {
+      email: user.email,
+      role: ROLES.OWNER,
+      joinedAt: serverTimestamp(),
+    });
+    batch.set(doc(db, 'admins', user.uid), {
+      email: user.email,
+      orgIds: arrayUnion(orgRef.id),
+    }, { merge: true });
+
+    await batch.commit();
+    // The rules only let creators read records outside any organization, so
+    // the listing can be refused; the organization is made either way
+    try {
+      await adoptLegacyRecords(orgRef.id);
+    } catch (error) {
+      console.error('Error moving earlier records into the organization:', error);
+    }
+
+    window.localStorage.setItem(ACTIVE_ORG_KEY, orgRef.id);
+    await refreshOrganizations();
+    return orgRef.id;
+  };
+
+  // Join the invite's organization as the signed-in account
+  const acceptInvite = async (invite) => {
+    const account = auth.currentUser;
+    const batch = writeBatch(db);
+
+    batch.set(doc(db, 'organizations', invite.orgId, 'members', account.uid), {
+      email: account.email,
+      role: invite.role,
+      inviteId: invite.id,
+      joinedAt: serverTimestamp(),
+    });
+    batch.update(doc(db, 'invites', invite.id), {
+      status: INVITE_STATUS.ACCEPTED,
+      acceptedBy: account.uid,
+      acceptedAt: serverTimestamp(),
+    });
+    batch.set(doc(db, 'admins', account.uid), {
+      email: account.email,
+      orgIds: arrayUnion(invite.orgId),
+    }, { merge: true });
+
+    await batch.commit();
+
+    window.localStorage.setItem(ACTIVE_ORG_KEY, invite.orgId);
+    await refreshOrganizations();
+  };
+
+  /**
+   * Owners' security settings for the active organization
+   * @param {Object} changes
+   * @param {boolean} [changes.requireTwoFactor] - Every member must sign in with a second factor
+   * @param {number} [changes.idleTimeoutMinutes] - Idle time before the admin app signs out
+   * @param {number} [changes.trashRetentionDays] - How long deleted records stay restorable
+   * @param {Array<Object>} [changes.approvalStages] - See parseApprovalStages
+   */
+  const updateSecurityPolicy = async (changes) => {
+    await updateDoc(doc(db, 'organizations', activeOrgId), changes);
+    await refreshOrganizations();
+  };
+
+  const activeOrg = organizations.find(org => org.id === activeOrgId) || null;
+  const role = activeOrg?.role || null;
+
+  const can = (capability) => hasCapability(role, capability);
+
+  const value = {
+    organizations,
+    activeOrg,
+    activeOrgId,
+    role,
+    loading: loading || loadedUid !== (user?.uid ?? null),
+    can,
+    switchOrganization,
+    createOrganization,
+    acceptInvite,
+    updateSecurityPolicy,
+    refreshOrganizations
+  };
+
+  return <OrgContext.Provider value={value}>{children}</OrgContext.Provider>;
+}
+
+export function useOrg() {
+  const context = useContext(OrgContext);
+  if (context === undefined) {
+    throw new Error('useOrg must be used within an OrgProvider');
+  }
+  return context;
+}
@@ -0,0 +1,86 @@
+import { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import {
+  sendSignInLinkToEmail,
+  isSignInWithEmailLink,
+  signInWithEmailLink,
+  signOut as firebaseSignOut,
+  onAuthStateChanged
+} from 'firebase/auth';
+import { portalAuth } from '@/lib/firebase';
+import {
+  SESSION_SCOPES,
+  recordActivity,
+  clearActivity,
+  broadcastSignOut,
+  onSignOutBroadcast,
+} from '@/lib/session';
+
+// Remembers which address a link was requested for, so the link can be
+// completed without asking again when it is opened in the same browser.
+const EMAIL_FOR_SIGN_IN_KEY = 'portalEmailForSignIn';
+
+const PortalAuthContext = createContext(undefined);
+
+export function PortalAuthProvider({ children }) {
+  const [portalUser, setPortalUser] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const unsubscribe = onAuthStateChanged(portalAuth, (user) => {
+      setPortalUser(user);
+      setLoading(false);
+    });
+
+    return unsubscribe;
+  }, []);
+
+  // Signing out in another tab signs this one out too
+  useEffect(() => {
+    return onSignOutBroadcast(SESSION_SCOPES.PORTAL, () => firebaseSignOut(portalAuth));
+  }, []);
+
+  const sendSignInLink = async (email) => {
+    await sendSignInLinkToEmail(portalAuth, email, {
+      url: `${window.location.origin}/user-portal-login`,
+      handleCodeInApp: true,
+    });
+    window.localStorage.setItem(EMAIL_FOR_SIGN_IN_KEY, email);
+  };
+
+  // Stable, so the login page can complete a link from an effect only once
+  const isSignInLink = useCallback((link) => isSignInWithEmailLink(portalAuth, link), []);
+
+  const getPendingEmail = useCallback(() => window.localStorage.getItem(EMAIL_FOR_SIGN_IN_KEY), []);
+
+  const completeSignIn = useCallback(async (email, link) => {
+    await signInWithEmailLink(portalAuth, email, link);
+    window.localStorage.removeItem(EMAIL_FOR_SIGN_IN_KEY);
+    recordActivity(SESSION_SCOPES.PORTAL);
+  }, []);
+
+  const signOut = async () => {
+    clearActivity(SESSION_SCOPES.PORTAL);
+    broadcastSignOut(SESSION_SCOPES.PORTAL);
+    await firebaseSignOut(portalAuth);
+  };
+
+  const value = {
+    portalUser,
+    loading,
+    sendSignInLink,
+    isSignInLink,
+    getPendingEmail,
+    completeSignIn,
+    signOut
+  };
+
+  return <PortalAuthContext.Provider value={value}>{children}</PortalAuthContext.Provider>;
+}
+
+export function usePortalAuth() {
+  const context = useContext(PortalAuthContext);
+  if (context === undefined) {
+    throw new Error('usePortalAuth must be used within a PortalAuthProvider');
+  }
+  return context;
+}
@@ -0,0 +1,81 @@
+import { useState, useEffect, useRef, useCallback } from "react"
+import { IDLE_WARNING_SECONDS, recordActivity, getLastActivity } from "@/lib/session"
+
+const ACTIVITY_EVENTS = ["mousemove", "mousedown", "keydown", "scroll", "touchstart", "wheel"]
+
+// Writing to localStorage on every mouse move is wasteful; a few seconds of slack is plenty
+const ACTIVITY_THROTTLE_MS = 5000
+
+/**
+ * Sign a session out after a period without activity in any tab
+ * @param {Object} options
+ * @param {string} options.scope - One of SESSION_SCOPES
+ * @param {number} options.timeoutMinutes - Idle time before signing out
+ * @param {Function} options.onTimeout - Signs the session out
+ * @param {boolean} [options.enabled=true]
+ * @returns {{ warning: boolean, secondsLeft: number, stayActive: Function }}
+ */
+export function useIdleTimeout({ scope, timeoutMinutes, onTimeout, enabled = true }) {
+  const [secondsLeft, setSecondsLeft] = useState(null)
+  const lastRecorded = useRef(0)
+  const timedOut = useRef(false)
+  const onTimeoutRef = useRef(onTimeout)
+  onTimeoutRef.current = onTimeout
+
+  const warning = secondsLeft !== null
+
+  const stayActive = useCallback(() => {
+    lastRecorded.current = Date.now()
+    recordActivity(scope)
+    setSecondsLeft(null)
+  }, [scope])
+
+  // Activity in this tab, ignored once the warning is up so only an explicit
+  // "stay signed in" keeps the session
+  useEffect(() => {
+    if (!enabled || warning) return
+
+    const onActivity = () => {
+      if (Date.now() - lastRecorded.current < ACTIVITY_THROTTLE_MS) return
+      lastRecorded.current = Date.now()
+      recordActivity(scope)
+    }
+
+    ACTIVITY_EVENTS.forEach((event) => window.addEventListener(event, onActivity, { passive: true }))
+    return () => ACTIVITY_EVENTS.forEach((event) => window.removeEventListener(event, onActivity))
+  }, [enabled, warning, scope])
+
+  useEffect(() => {
+    if (!enabled) {
+      setSecondsLeft(null)
+      return
+    }
+
+    timedOut.current = false
+    if (getLastActivity(scope) === null) {
+      recordActivity(scope)
+    }
+
+    const timeoutMs = timeoutMinutes * 60 * 1000
+    const interval = window.setInterval(() => {
+      // Activity in any tab counts
+      const remainingMs = timeoutMs - (Date.now() - (getLastActivity(scope) ?? Date.now()))
+
+      if (remainingMs <= 0) {
+        if (!timedOut.current) {
+          timedOut.current = true
+          setSecondsLeft(null)
+          onTimeoutRef.current()
+        }
+      } else if (remainingMs <= IDLE_WARNING_SECONDS * 1000) {
+        setSecondsLeft(Math.ceil(remainingMs / 1000))
+      } else {
+        setSecondsLeft(null)
+      }
+    }, 1000)
+
+    return () => window.clearInterval(interval)
+  }, [enabled, timeoutMinutes, scope])
+
+  return { warning, secondsLeft, stayActive }
+}
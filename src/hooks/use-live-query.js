@@ -0,0 +1,110 @@
+import { useState, useEffect, useRef } from "react"
+
+// How long rows changed by someone else stay highlighted
+const HIGHLIGHT_MS = 4000
+
+/**
+ * Keep records in sync with a live query, and note rows that change under the user
+ * @param {Function} subscribe - (onNext, onError) => unsubscribe, e.g. a repository's subscribe
+ * @param {Object} options
+ * @param {*} options.key - Resubscribes when this changes (e.g. the org id)
+ * @param {boolean} [options.enabled=true]
+ * @param {Function} [options.onError] - Called when the listener fails
+ * @returns {{ data: Array, meta: Object, loading: boolean, changedIds: Set<string>, pendingIds: Set<string>, updated: boolean }}
+ *   meta is what the query reported with the data (e.g. paging), and pendingIds
+ *   are rows with writes from here that have not reached the server yet
+ */
+export function useLiveQuery(subscribe, { key, enabled = true, onError }) {
+  const [data, setData] = useState([])
+  const [loading, setLoading] = useState(enabled)
+  const [changedIds, setChangedIds] = useState(() => new Set())
+  const [meta, setMeta] = useState(() => ({ pendingIds: new Set() }))
+  const [updated, setUpdated] = useState(false)
+  const subscribeRef = useRef(subscribe)
+  const onErrorRef = useRef(onError)
+  subscribeRef.current = subscribe
+  onErrorRef.current = onError
+
+  useEffect(() => {
+    if (!enabled) {
+      setLoading(false)
+      return
+    }
+
+    setLoading(true)
+    setChangedIds(new Set())
+    setMeta({ pendingIds: new Set() })
+    setUpdated(false)
+
+    let first = true
+    const timers = new Set()
+    // Rows written here and not yet confirmed; the confirmation (server
+    // timestamps resolve then) is not someone else's change
+    const localWrites = new Set()
+    let updatedTimer = null
+
+    const later = (callback) => {
+      const timer = window.setTimeout(() => {
+        timers.delete(timer)
+        callback()
+      }, HIGHLIGHT_MS)
+      timers.add(timer)
+      return timer
+    }
+
+    const unsubscribe = subscribeRef.current(
+      (records, changes, nextMeta) => {
+        const pending = nextMeta.pendingIds
+        setData(records)
+        setMeta(nextMeta)
+        setLoading(false)
+
+        // The first results are what was already there, not a change
+        if (first) {
+          first = false
+          pending.forEach((id) => localWrites.add(id))
+          return
+        }
+
+        const remote = changes.filter((change) => {
+          if (change.fromThisClient) {
+            localWrites.add(change.id)
+            return false
+          }
+          if (change.type === "modified" && localWrites.has(change.id)) {
+            localWrites.delete(change.id)
+            return false
+          }
+          return true
+        })
+        localWrites.forEach((id) => {
+          if (!pending.has(id)) localWrites.delete(id)
+        })
+        if (remote.length === 0) return
+
+        const ids = remote.filter((change) => change.type !== "removed").map((change) => change.id)
+        setChangedIds((prev) => new Set([...prev, ...ids]))
+        setUpdated(true)
+
+        later(() => {
+          setChangedIds((prev) => new Set([...prev].filter((id) => !ids.includes(id))))
+        })
+        // Stays up until things have been quiet for a moment
+        window.clearTimeout(updatedTimer)
+        timers.delete(updatedTimer)
+        updatedTimer = later(() => setUpdated(false))
+      },
+      (error) => {
+        setLoading(false)
+        onErrorRef.current?.(error)
+      }
+    )
+
+    return () => {
+      unsubscribe()
+      timers.forEach((timer) => window.clearTimeout(timer))
+    }
+  }, [key, enabled])
+
+  return { data, meta, loading, changedIds, pendingIds: meta.pendingIds, updated }
+}
@@ -0,0 +1,58 @@
+import { useSearchParams } from "wouter"
+import { readPageParams } from "@/lib/data"
+
+/**
+ * Sort, page size, cursor and filters of a paged table, kept in the URL
+ * @param {Object} options - See readPageParams
+ * @param {Array<string>} options.sortFields
+ * @param {Array} options.defaultSort - [field, direction]
+ * @param {Array<string>} [options.filterNames] - URL params the table filters by; page.filters holds them
+ * @returns {{ page: Object, key: string, setSort: Function, setSize: Function, goTo: Function, setFilter: Function, clearFilters: Function }}
+ */
+export function usePageParams({ sortFields, defaultSort, filterNames = [] }) {
+  const [params, setParams] = useSearchParams()
+  const filters = Object.fromEntries(filterNames.map((name) => [name, params.get(name) || ""]))
+  const page = { ...readPageParams(params, { sortFields, defaultSort }), filters }
+
+  const update = (changes) => {
+    setParams((prev) => {
+      const next = new URLSearchParams(prev)
+      Object.entries(changes).forEach(([name, value]) => {
+        if (value === null || value === undefined) next.delete(name)
+        else next.set(name, String(value))
+      })
+      return next
+    })
+  }
+
+  // Changing the sort or size starts again from the first page
+  const setSort = (field) => {
+    const [current, direction] = page.sort
+    const dir = field === current ? (direction === "asc" ? "desc" : "asc") : "asc"
+    update({ sort: field, dir, after: null, before: null })
+  }
+
+  const setSize = (size) => update({ size, after: null, before: null })
+
+  /**
+   * @param {Object} cursor - { after } or { before } from the page meta, or {} for the first page
+   */
+  const goTo = ({ after = null, before = null }) => update({ after, before })
+
+  // Changing a filter starts again from the first page too
+  const setFilter = (name, value) => update({ [name]: value || null, after: null, before: null })
+
+  const clearFilters = () =>
+    update({ ...Object.fromEntries(filterNames.map((name) => [name, null])), after: null, before: null })
+
+  return {
+    page,
+    // Stable while the page stays the same, for resubscribing
+    key: [page.sort.join(":"), page.size, page.after, page.before, ...filterNames.map((name) => filters[name])].join("|"),
+    setSort,
+    setSize,
+    goTo,
+    setFilter,
+    clearFilters,
+  }
+}
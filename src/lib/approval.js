@@ -0,0 +1,121 @@
+import { Timestamp } from 'firebase/firestore';
+import { APPROVAL_STAGE_SCHEMA, ValidationError, parseRecord } from '@/lib/data/schema';
+
+/**
+ * Multi-stage approval of pending users. An organization lists its stages in
+ * `approvalStages` (owners edit them on the Team page), each with a default
+ * reviewer and the evidence it needs before a user moves on. A pending user
+ * record keeps the id of its current stage in `stage` (none means the first),
+ * an optional `reviewerEmail` standing in for the stage's reviewer, and every
+ * decision and comment in its `reviews` array, which the rules only let grow.
+ * Passing the last stage approves the user; with no stages, approval is the
+ * plain status change it always was.
+ */
+
+export const MAX_APPROVAL_STAGES = 10;
+export const MAX_STAGE_EVIDENCE = 10;
+
+export const REVIEW_DECISIONS = {
+    // Moved on to the next stage, or approved from the last one
+    ADVANCED: 'advanced',
+    APPROVED: 'approved',
+    // Returned to the previous stage
+    SENT_BACK: 'sent_back',
+    COMMENTED: 'commented',
+};
+
+export const STAGED_APPROVAL_MESSAGE = 'Users are approved by passing every approval stage, from their page.';
+
+/**
+ * An organization's approval stages, in order
+ * @param {Object|null} org - The organization (see useOrg)
+ * @returns {Array<{ id: string, name: string, reviewerEmail: string|null, evidence: Array<string> }>}
+ */
+export const approvalStages = (org) => org?.approvalStages || [];
+
+/**
+ * The stage a pending user is in. Users with no stage, or one that was
+ * removed since, are in the first.
+ * @param {Object} record - User record
+ * @param {Array<Object>} stages - From approvalStages
+ * @returns {Object|null} - Null when the user is not pending or there are no stages
+ */
+export const stageOf = (record, stages) => {
+    if (record?.status !== 'pending' || stages.length === 0) return null;
+    return stages.find(stage => stage.id === record.stage) || stages[0];
+};
+
+/**
+ * Who reviews a pending user: the one assigned to them, otherwise their stage's reviewer
+ * @returns {string|null}
+ */
+export const reviewerOf = (record, stages) => record?.reviewerEmail || stageOf(record, stages)?.reviewerEmail || null;
+
+const newStageId = () => crypto.randomUUID().slice(0, 8);
+
+/**
+ * Check stages as edited on the Team page and put them in the shape they are saved in
+ * @param {Array<Object>} drafts - { id?, name, reviewerEmail, evidence } each; evidence one item per line
+ * @returns {Array<Object>}
+ * @throws {ValidationError} - Problems keyed `${index}.name`, `${index}.reviewerEmail` or `${index}.evidence`
+ */
+export const parseApprovalStages = (drafts) => {
+    if (drafts.length > MAX_APPROVAL_STAGES) {
+        throw new ValidationError(`Use at most ${MAX_APPROVAL_STAGES} stages.`);
+    }
+
+    const fields = {};
+    const stages = drafts.map((draft, index) => {
+        const { values, errors } = parseRecord(APPROVAL_STAGE_SCHEMA, draft);
+        const evidence = [...new Set((Array.isArray(draft.evidence) ? draft.evidence : String(draft.evidence ?? '').split('\n'))
+            .map(item => String(item).trim())
+            .filter(Boolean))];
+
+        if (!errors.name && drafts.slice(0, index).some(other => String(other.name ?? '').trim() === values.name)) {
+            errors.name = 'Another stage has this name.';
+        }
+        if (evidence.length > MAX_STAGE_EVIDENCE) errors.evidence = `Ask for at most ${MAX_STAGE_EVIDENCE} items.`;
+        Object.entries(errors).forEach(([name, message]) => {
+            fields[`${index}.${name}`] = message;
+        });
+
+        return { id: draft.id || newStageId(), name: values.name, reviewerEmail: values.reviewerEmail || null, evidence };
+    });
+
+    if (Object.keys(fields).length > 0) {
+        throw new ValidationError('Please fix the highlighted stages.', fields);
+    }
+    return stages;
+};
+
+/**
+ * Build a review to add with `arrayUnion`
+ * @param {Object} params
+ * @param {Object} params.stage - The stage it was made in
+ * @param {string} params.decision - One of REVIEW_DECISIONS
+ * @param {string} [params.comment]
+ * @param {Array<{ label: string, value: string }>} [params.evidence] - What the stage asked for, as given
+ * @param {Object} params.actor - The signed-in account ({ uid, email })
+ * @returns {Object}
+ */
+export const reviewEntry = ({ stage, decision, comment = '', evidence = [], actor }) => ({
+    stage: stage.id,
+    stageName: stage.name,
+    decision,
+    comment: comment || null,
+    evidence,
+    actorUid: actor.uid,
+    actorEmail: actor.email,
+    // Server timestamps aren't allowed inside arrays
+    at: Timestamp.now(),
+});
+
+/**
+ * A user record's reviews, oldest first
+ * @param {Object} record - User record data
+ * @returns {Array}
+ */
+export const getReviews = (record) => {
+    return [...(record?.reviews || [])]
+        .sort((a, b) => (a.at?.toMillis() || 0) - (b.at?.toMillis() || 0));
+};
@@ -0,0 +1,89 @@
+/**
+ * Append-only audit trail of changes to users, clinics and documents.
+ * The repositories (src/lib/data) write each entry in the same commit as the
+ * change it describes, so a change never lands without its entry; the rules
+ * refuse edits and deletes.
+ */
+
+export const AUDIT_ENTITIES = {
+    USER: 'user',
+    CLINIC: 'clinic',
+    DOCUMENT: 'document',
+};
+
+export const AUDIT_ACTIONS = {
+    CREATE: 'create',
+    UPDATE: 'update',
+    DELETE: 'delete',
+    STATUS_CHANGE: 'status_change',
+    IMAGES_CHANGE: 'images_change',
+    // Out of the trash (deletes move records into it) or removed from it for good
+    RESTORE: 'restore',
+    PURGE: 'purge',
+    // Users sharing an email combined into one
+    MERGE: 'merge',
+    // A pending user moved between approval stages, or commented on
+    REVIEW: 'review',
+};
+
+// The Audit Log page shows at most this many entries per date range
+export const AUDIT_LOG_LIMIT = 500;
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/**
+ * Keep only the fields that differ between two versions of a record
+ * @param {Object|null} before - Values before the change
+ * @param {Object|null} after - Values after the change
+ * @returns {{ before: Object, after: Object }}
+ */
+export const changedFields = (before, after) => {
+    const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    const changes = { before: {}, after: {} };
+
+    keys.forEach((key) => {
+        if (sameValue(before?.[key], after?.[key])) return;
+        changes.before[key] = before?.[key] ?? null;
+        changes.after[key] = after?.[key] ?? null;
+    });
+
+    return changes;
+};
+
+/**
+ * Narrow loaded entries by entity and actor
+ * @param {Array} entries - Audit entries
+ * @param {Object} filters
+ * @param {string} [filters.entity] - One of AUDIT_ENTITIES, or 'all'
+ * @param {string} [filters.actor] - Part of the actor's email
+ * @returns {Array}
+ */
+export const filterAuditLog = (entries, { entity = 'all', actor = '' } = {}) => {
+    const actorQuery = actor.trim().toLowerCase();
+
+    return entries.filter(entry =>
+        (entity === 'all' || entry.entity === entity)
+        && (!actorQuery || entry.actorEmail?.toLowerCase().includes(actorQuery))
+    );
+};
+
+/**
+ * Audit entries as spreadsheet rows, header first, for downloadCsv
+ * @param {Array} entries - Audit entries
+ * @returns {Array<Array<string>>}
+ */
+export const auditLogRows = (entries) => {
+    const headers = ['Timestamp', 'Actor', 'Action', 'Entity', 'Entity ID', 'Entity Name', 'Before', 'After'];
+    const rows = entries.map(entry => [
+        entry.createdAt ? entry.createdAt.toDate().toISOString() : '',
+        entry.actorEmail,
+        entry.action,
+        entry.entity,
+        entry.entityId,
+        entry.entityLabel,
+        entry.before ? JSON.stringify(entry.before) : '',
+        entry.after ? JSON.stringify(entry.after) : '',
+    ]);
+
+    return [headers, ...rows];
+};
@@ -0,0 +1,125 @@
+import {
+    collection,
+    doc,
+    getDoc,
+    getDocs,
+    getCountFromServer,
+    limit,
+    limitToLast,
+    startAfter,
+    endBefore,
+    documentId,
+    orderBy,
+    query,
+    where,
+    onSnapshot,
+    writeBatch,
+    serverTimestamp,
+    arrayUnion,
+    arrayRemove,
+    Timestamp,
+} from 'firebase/firestore';
+import { isOnline, trackQueuedCommit } from '@/lib/data/sync';
+
+// Firestore caps a write batch at 500 operations
+const MAX_BATCH_WRITES = 500;
+
+// A commit only resolves once the server has it. Without a connection, or on
+// one that never answers, stop waiting after this long: the writes are already
+// in the local cache and go out when the connection returns.
+const QUEUE_AFTER_MS = 5000;
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Storage backend on a Firestore database
+ * @param {import('firebase/firestore').Firestore} firestore
+ * @returns {Object} - See createMemoryBackend for the shared interface
+ */
+export const createFirestoreBackend = (firestore) => {
+    const buildQuery = (collectionName, { filters = [], sort, max, after, before } = {}) => {
+        // The id tie-break is what Firestore does implicitly; naming it lets cursors use it.
+        // Sorting on 'id' itself needs no tie-break, and its cursors are just the id.
+        const orderFields = !sort ? [] : sort[0] === 'id' ? [documentId()] : [sort[0], documentId()];
+        const cursor = (values) => values.slice(0, orderFields.length);
+
+        return query(
+            collection(firestore, collectionName),
+            // Filters on 'id' match the document id, as the memory backend's do
+            ...filters.map(([field, op, value]) => where(field === 'id' ? documentId() : field, op, value)),
+            ...orderFields.map(field => orderBy(field, sort[1] || 'asc')),
+            ...(after ? [startAfter(...cursor(after))] : []),
+            ...(before ? [endBefore(...cursor(before))] : []),
+            ...(max ? [before ? limitToLast(max) : limit(max)] : [])
+        );
+    };
+
+    return {
+        name: 'firestore',
+
+        newId: (collectionName) => doc(collection(firestore, collectionName)).id,
+
+        get: async (collectionName, id) => {
+            const snapshot = await getDoc(doc(firestore, collectionName, id));
+            return snapshot.exists() ? { id: snapshot.id, ...snapshot.data() } : null;
+        },
+
+        list: async (collectionName, options) => {
+            const snapshot = await getDocs(buildQuery(collectionName, options));
+            return snapshot.docs.map(record => ({ id: record.id, ...record.data() }));
+        },
+
+        count: async (collectionName, { filters } = {}) => {
+            const snapshot = await getCountFromServer(buildQuery(collectionName, { filters }));
+            return snapshot.data().count;
+        },
+
+        subscribe: (collectionName, options, onNext, onError) => onSnapshot(
+            buildQuery(collectionName, options),
+            // Metadata changes tell us when queued writes reach the server
+            { includeMetadataChanges: true },
+            (snapshot) => onNext(
+                snapshot.docs.map(record => ({ id: record.id, ...record.data() })),
+                snapshot.docChanges().map(change => ({
+                    type: change.type,
+                    id: change.doc.id,
+                    // Writes made here show up before the server confirms them
+                    fromThisClient: change.doc.metadata.hasPendingWrites,
+                })),
+                {
+                    pendingIds: new Set(snapshot.docs
+                        .filter(record => record.metadata.hasPendingWrites)
+                        .map(record => record.id)),
+                }
+            ),
+            onError
+        ),
+
+        commit: async (writes) => {
+            if (writes.length > MAX_BATCH_WRITES) {
+                throw new Error(`A commit holds at most ${MAX_BATCH_WRITES} writes.`);
+            }
+
+            const batch = writeBatch(firestore);
+            writes.forEach(({ type, collection: collectionName, id, data }) => {
+                const ref = doc(firestore, collectionName, id);
+                if (type === 'set') batch.set(ref, data);
+                else if (type === 'update') batch.update(ref, data);
+                else batch.delete(ref);
+            });
+            const committing = batch.commit();
+
+            const confirmed = isOnline()
+                ? await Promise.race([committing.then(() => true), delay(QUEUE_AFTER_MS).then(() => false)])
+                : false;
+            if (!confirmed) trackQueuedCommit(committing, writes);
+        },
+
+        maxCommitWrites: MAX_BATCH_WRITES,
+        serverTimestamp,
+        arrayUnion,
+        arrayRemove,
+        timestampFromDate: (date) => Timestamp.fromDate(date),
+        timestamp: (seconds, nanoseconds) => new Timestamp(seconds, nanoseconds),
+    };
+};
@@ -0,0 +1,241 @@
+import { Timestamp } from 'firebase/firestore';
+
+/**
+ * Storage backend that keeps everything in memory, for developing pages and
+ * running tests without Firebase. It mirrors the parts of Firestore the
+ * repositories use: equality/range/array filters, one sort field, limits,
+ * atomic commits and the serverTimestamp/arrayUnion/arrayRemove sentinels.
+ *
+ * Backend interface (shared with createFirestoreBackend):
+ * - newId(collection) → string
+ * - get(collection, id) → Promise<record|null>
+ * - list(collection, listOptions) → Promise<records>, where listOptions are
+ *   { filters: [[field, op, value]], sort: [field, 'asc'|'desc'], max, after, before };
+ *   filters on 'id' match record ids, sorted results tie-break on id (sort on
+ *   'id' to order by id alone), and after/before are cursors ([sortValue, id])
+ *   to page forwards (the first max past it) or backwards (the last max before it)
+ * - count(collection, { filters }) → Promise<number>, counted on the server
+ * - commit([{ type: 'set'|'update'|'delete', collection, id, data }]) → Promise, all or nothing
+ * - subscribe(collection, listOptions, onNext, onError) → unsubscribe; onNext(records, changes, { pendingIds })
+ *   runs with the current results and again after every change to them, where
+ *   changes are [{ type: 'added'|'modified'|'removed', id, fromThisClient }] and
+ *   pendingIds are the records with writes the server has not confirmed yet
+ * - commit resolves once the writes are safe locally; on Firestore, writes made
+ *   offline sync later (see sync.js)
+ * - serverTimestamp(), arrayUnion(...values), arrayRemove(...values) → field sentinels
+ * - timestampFromDate(date), timestamp(seconds, nanoseconds) → Timestamp
+ */
+
+const SENTINEL = Symbol('sentinel');
+
+const ID_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+
+const randomId = () => Array.from({ length: 20 }, () => ID_CHARS[Math.floor(Math.random() * ID_CHARS.length)]).join('');
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+
+// Timestamps are immutable, so only arrays and plain objects need copying
+const clone = (value) => {
+    if (Array.isArray(value)) return value.map(clone);
+    if (isPlainObject(value)) return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clone(item)]));
+    return value;
+};
+
+const isEqual = (a, b) => {
+    if (a instanceof Timestamp && b instanceof Timestamp) return a.isEqual(b);
+    if (Array.isArray(a) && Array.isArray(b)) return a.length === b.length && a.every((item, i) => isEqual(item, b[i]));
+    if (isPlainObject(a) && isPlainObject(b)) {
+        const keys = Object.keys(a);
+        return keys.length === Object.keys(b).length && keys.every(key => isEqual(a[key], b[key]));
+    }
+    return a === b;
+};
+
+// Firestore orders values of different types by type first
+const typeRank = (value) => {
+    if (value === null) return 0;
+    if (typeof value === 'boolean') return 1;
+    if (typeof value === 'number') return 2;
+    if (value instanceof Timestamp) return 3;
+    if (typeof value === 'string') return 4;
+    return 5;
+};
+
+const compare = (a, b) => {
+    const rank = typeRank(a) - typeRank(b);
+    if (rank !== 0) return Math.sign(rank);
+    if (a instanceof Timestamp) return Math.sign(a.seconds - b.seconds) || Math.sign(a.nanoseconds - b.nanoseconds);
+
+    if (a < b) return -1;
+    if (a > b) return 1;
+    return 0;
+};
+
+// Fields may be dotted paths into maps, e.g. 'after.status'
+const getField = (record, field) => field.split('.').reduce((value, key) => value?.[key], record);
+
+const matches = (record, [field, op, value]) => {
+    const actual = getField(record, field);
+    if (actual === undefined) return false;
+
+    switch (op) {
+        case '==': return isEqual(actual, value);
+        case '!=': return !isEqual(actual, value);
+        case '<': return compare(actual, value) < 0;
+        case '<=': return compare(actual, value) <= 0;
+        case '>': return compare(actual, value) > 0;
+        case '>=': return compare(actual, value) >= 0;
+        case 'in': return value.some(item => isEqual(actual, item));
+        case 'not-in': return !value.some(item => isEqual(actual, item));
+        case 'array-contains': return Array.isArray(actual) && actual.some(item => isEqual(item, value));
+        case 'array-contains-any': return Array.isArray(actual) && actual.some(item => value.some(v => isEqual(item, v)));
+        default: throw new Error(`Unsupported filter operator: ${op}`);
+    }
+};
+
+// Replace sentinels with the values they stand for
+const resolveFields = (data, previous = {}) => Object.fromEntries(Object.entries(data).map(([key, value]) => {
+    if (!value || !value[SENTINEL]) return [key, clone(value)];
+
+    const current = Array.isArray(previous[key]) ? previous[key] : [];
+    switch (value[SENTINEL]) {
+        case 'serverTimestamp':
+            return [key, Timestamp.now()];
+        case 'arrayUnion':
+            return [key, [...current, ...value.values.filter(item => !current.some(existing => isEqual(existing, item)))].map(clone)];
+        case 'arrayRemove':
+            return [key, current.filter(existing => !value.values.some(item => isEqual(existing, item)))];
+        default:
+            throw new Error(`Unknown sentinel: ${value[SENTINEL]}`);
+    }
+}));
+
+/**
+ * In-memory storage backend
+ * @param {Object<string, Object<string, Object>>} [seed] - Records keyed by collection, then id
+ * @returns {Object}
+ */
+export const createMemoryBackend = (seed = {}) => {
+    const collections = new Map(
+        Object.entries(seed).map(([name, records]) => [name, new Map(Object.entries(clone(records)))])
+    );
+
+    const records = (collectionName) => {
+        if (!collections.has(collectionName)) collections.set(collectionName, new Map());
+        return collections.get(collectionName);
+    };
+
+    const runQuery = (collectionName, { filters = [], sort, max, after, before } = {}) => {
+        let results = [...records(collectionName).entries()]
+            .map(([id, data]) => ({ id, ...clone(data) }))
+            .filter(record => filters.every(filter => matches(record, filter)));
+
+        if (sort) {
+            const [field, direction = 'asc'] = sort;
+            const sign = direction === 'desc' ? -1 : 1;
+            const order = (record, [value, id]) => (compare(getField(record, field), value) || compare(record.id, id)) * sign;
+
+            results = results
+                .filter(record => getField(record, field) !== undefined)
+                .sort((a, b) => order(a, [getField(b, field), b.id]));
+
+            if (after) results = results.filter(record => order(record, after) > 0);
+            if (before) {
+                results = results.filter(record => order(record, before) < 0);
+                return max ? results.slice(-max) : results;
+            }
+        }
+
+        return max ? results.slice(0, max) : results;
+    };
+
+    const listeners = new Set();
+
+    // Send a listener its results if they changed since it last heard
+    const notify = (listener) => {
+        const results = runQuery(listener.collectionName, listener.options);
+        const current = new Map(results.map(record => [record.id, record]));
+        const changes = [];
+
+        current.forEach((record, id) => {
+            if (!listener.previous.has(id)) changes.push({ type: 'added', id, fromThisClient: true });
+            else if (!isEqual(listener.previous.get(id), record)) changes.push({ type: 'modified', id, fromThisClient: true });
+        });
+        listener.previous.forEach((record, id) => {
+            if (!current.has(id)) changes.push({ type: 'removed', id, fromThisClient: true });
+        });
+
+        const first = listener.notified !== true;
+        listener.previous = current;
+        listener.notified = true;
+        // Nothing here waits on a server, so nothing is ever pending
+        if (first || changes.length > 0) listener.onNext(results, changes, { pendingIds: new Set() });
+    };
+
+    return {
+        name: 'memory',
+
+        newId: () => randomId(),
+
+        get: async (collectionName, id) => {
+            const data = records(collectionName).get(id);
+            return data ? { id, ...clone(data) } : null;
+        },
+
+        list: async (collectionName, options) => runQuery(collectionName, options),
+
+        count: async (collectionName, { filters } = {}) => runQuery(collectionName, { filters }).length,
+
+        subscribe: (collectionName, options, onNext) => {
+            const listener = { collectionName, options, onNext, previous: new Map() };
+            listeners.add(listener);
+            // Like onSnapshot, the first results arrive asynchronously
+            queueMicrotask(() => {
+                if (listeners.has(listener)) notify(listener);
+            });
+
+            return () => listeners.delete(listener);
+        },
+
+        commit: async (writes) => {
+            // Stage every write first so a failing one leaves nothing behind
+            const staged = new Map();
+            const current = (collectionName, id) => {
+                const key = `${collectionName}/${id}`;
+                return staged.has(key) ? staged.get(key).data : records(collectionName).get(id);
+            };
+
+            writes.forEach(({ type, collection: collectionName, id, data }) => {
+                const key = `${collectionName}/${id}`;
+                const existing = current(collectionName, id);
+
+                if (type === 'set') {
+                    staged.set(key, { collectionName, id, data: resolveFields(data) });
+                } else if (type === 'update') {
+                    // Same code as Firestore's error, so callers can tell the cases apart
+                    if (!existing) throw Object.assign(new Error(`No document to update: ${key}`), { code: 'not-found' });
+                    staged.set(key, { collectionName, id, data: { ...existing, ...resolveFields(data, existing) } });
+                } else {
+                    staged.set(key, { collectionName, id, data: null });
+                }
+            });
+
+            staged.forEach(({ collectionName, id, data }) => {
+                if (data) records(collectionName).set(id, data);
+                else records(collectionName).delete(id);
+            });
+
+            const changed = new Set([...staged.values()].map(({ collectionName }) => collectionName));
+            [...listeners]
+                .filter(listener => listener.notified && changed.has(listener.collectionName))
+                .forEach(notify);
+        },
+
+        maxCommitWrites: 500,
+        serverTimestamp: () => ({ [SENTINEL]: 'serverTimestamp' }),
+        arrayUnion: (...values) => ({ [SENTINEL]: 'arrayUnion', values }),
+        arrayRemove: (...values) => ({ [SENTINEL]: 'arrayRemove', values }),
+        timestampFromDate: (date) => Timestamp.fromDate(date),
+        timestamp: (seconds, nanoseconds) => new Timestamp(seconds, nanoseconds),
+    };
+};
@@ -0,0 +1,34 @@
+import { db, portalDb } from '@/lib/firebase';
+import { createFirestoreBackend } from '@/lib/data/backends/firestore';
+import { createMemoryBackend } from '@/lib/data/backends/memory';
+import { createRepositories } from '@/lib/data/repositories';
+
+export { ConflictError, USER_SORT_FIELDS, CLINIC_SORT_FIELDS } from '@/lib/data/repositories';
+export {
+    ValidationError,
+    USER_STATUSES,
+    USER_ROLES,
+    CLINIC_FIELDS,
+    USER_SCHEMA,
+    CLINIC_SCHEMA,
+    DOCUMENT_SCHEMA,
+    parseRecord,
+    validateRecord,
+    emailKey,
+} from '@/lib/data/schema';
+export { PAGE_SIZES, readPageParams } from '@/lib/data/paging';
+export { MIGRATIONS, SCHEMA_VERSION } from '@/lib/data/migrations';
+
+/**
+ * The app's repositories. `VITE_DATA_BACKEND=memory` keeps users, clinics and
+ * documents in memory for offline page work; the admin app and the portal then
+ * share one store, which starts empty on every page load.
+ */
+export const DATA_BACKEND = import.meta.env.VITE_DATA_BACKEND === 'memory' ? 'memory' : 'firestore';
+
+const memoryBackend = DATA_BACKEND === 'memory' ? createMemoryBackend() : null;
+
+export const repositories = createRepositories(memoryBackend || createFirestoreBackend(db));
+
+// The portal signs in to its own Firebase app, so it reads through that app's database
+export const portalRepositories = createRepositories(memoryBackend || createFirestoreBackend(portalDb));
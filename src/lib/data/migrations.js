@@ -0,0 +1,199 @@
+import { CLINIC_SCHEMA, emailKey, parseRecord } from '@/lib/data/schema';
+import { userSearchTerms } from '@/lib/data/search';
+
+/**
+ * Records carry the `schemaVersion` they were written at, so their stored
+ * shape can change without every reader coping with every old one. Each
+ * migration upgrades one collection's records to its version; the runner
+ * applies the ones a record has not had yet, in order, and stamps it with
+ * SCHEMA_VERSION. Records the repositories create start at SCHEMA_VERSION.
+ *
+ * To change a stored shape, add a migration with the next version; never
+ * edit one that may have run. A run can stop part way and be started again,
+ * since records already upgraded are skipped.
+ */
+
+// Collections whose records carry a schemaVersion
+export const MIGRATED_COLLECTIONS = ['users', 'clinics', 'documents'];
+
+export const MIGRATIONS = [
+    {
+        version: 1,
+        collection: 'clinics',
+        description: "Store clinics' patient counts and revenue as numbers, and trim their text",
+        // Before the shared schema, the form saved every field as typed: '12'
+        // patients, '' revenue. Fields that do not parse are left and reported.
+        up: (record) => {
+            const { values, errors } = parseRecord(CLINIC_SCHEMA, record);
+            const changes = {};
+            const problems = {};
+
+            Object.keys(CLINIC_SCHEMA)
+                .filter(field => field in record)
+                .forEach((field) => {
+                    if (errors[field]) problems[field] = errors[field];
+                    else if (values[field] !== record[field]) changes[field] = values[field];
+                });
+
+            return { changes, problems };
+        },
+    },
+    {
+        version: 2,
+        collection: 'users',
+        description: 'Store image upload times as timestamps',
+        // The portal saved uploadedAt as an ISO string; every other time is a Timestamp
+        up: (record, backend) => {
+            const images = record.images || [];
+            if (!images.some(image => typeof image.uploadedAt === 'string')) return { changes: {}, problems: {} };
+
+            const unreadable = images.filter(image => typeof image.uploadedAt === 'string'
+                && Number.isNaN(new Date(image.uploadedAt).getTime()));
+
+            return {
+                changes: {
+                    images: images.map(image => (typeof image.uploadedAt === 'string' && !unreadable.includes(image)
+                        ? { ...image, uploadedAt: backend.timestampFromDate(new Date(image.uploadedAt)) }
+                        : image)),
+                },
+                problems: unreadable.length > 0
+                    ? { images: `${unreadable.length} image(s) have an unreadable upload time.` }
+                    : {},
+            };
+        },
+    },
+    {
+        version: 3,
+        collection: 'users',
+        description: 'Make users searchable by username and email',
+        up: (record) => ({ changes: { searchTerms: userSearchTerms(record) }, problems: {} }),
+    },
+    {
+        version: 4,
+        collection: 'users',
+        description: "Keep each user's email lowercased, for portal sign-in and duplicate checks",
+        // Sign-in lowercases emails, so a record saved as 'Priya@Example.test' was never found by the portal
+        up: (record) => ({ changes: { emailKey: emailKey(record.email) }, problems: {} }),
+    },
+    {
+        version: 5,
+        collection: 'documents',
+        description: "Keep documents' assigned emails lowercased, for portal sign-in",
+        // assignedEmails held emails as typed, so a patient saved as 'Priya@Example.test'
+        // never saw their documents. Also fills it in on documents from before it existed.
+        up: (record) => (Array.isArray(record.assignedUsers)
+            ? { changes: { assignedEmails: record.assignedUsers.map(entry => emailKey(entry.email)) }, problems: {} }
+            : { changes: {}, problems: {} }),
+    },
+];
+
+export const SCHEMA_VERSION = Math.max(...MIGRATIONS.map(migration => migration.version));
+
+export const DEFAULT_MIGRATION_BATCH_SIZE = 200;
+
+/**
+ * What upgrading one record would change
+ * @param {string} collectionName - One of MIGRATED_COLLECTIONS
+ * @param {Object} record - As loaded (with id)
+ * @param {Object} backend - For the Timestamps migrations write
+ * @returns {{ changes: Object, problems: Object<string, string> }|null} - Null when it is up to date
+ */
+export const upgradeRecord = (collectionName, record, backend) => {
+    const from = record.schemaVersion || 0;
+    if (from >= SCHEMA_VERSION) return null;
+
+    let current = record;
+    let changes = {};
+    let problems = {};
+
+    MIGRATIONS
+        .filter(migration => migration.collection === collectionName && migration.version > from)
+        .forEach((migration) => {
+            const result = migration.up(current, backend);
+            current = { ...current, ...result.changes };
+            changes = { ...changes, ...result.changes };
+            problems = { ...problems, ...result.problems };
+        });
+
+    return { changes, problems };
+};
+
+/**
+ * Upgrade an organization's records to SCHEMA_VERSION, a batch at a time
+ * @param {Object} backend - See backends/memory.js
+ * @param {string} orgId
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] - Work out every change without writing any
+ * @param {number} [options.batchSize] - Records read and written together; capped at the backend's commit limit
+ * @param {Function} [options.onProgress] - Called after each batch with { collection, scanned, total, upgraded }
+ * @returns {Promise<{ dryRun: boolean, collections: Array<Object>, upgrades: Array<Object>, problems: Array<Object> }>} -
+ *   collections are { collection, total, scanned, upgraded }; upgrades are
+ *   { collection, id, from, changes }; problems are { collection, id, field, message }
+ *   for values left as they were because they do not fit the schema
+ */
+export const runMigrations = async (backend, orgId, {
+    dryRun = false,
+    batchSize = DEFAULT_MIGRATION_BATCH_SIZE,
+    onProgress = () => {},
+} = {}) => {
+    const perBatch = Math.min(batchSize, backend.maxCommitWrites);
+    const filters = [['orgId', '==', orgId]];
+    const collections = [];
+    const upgrades = [];
+    const problems = [];
+
+    for (const collectionName of MIGRATED_COLLECTIONS) {
+        const progress = {
+            collection: collectionName,
+            total: await backend.count(collectionName, { filters }),
+            scanned: 0,
+            upgraded: 0,
+        };
+        collections.push(progress);
+
+        let after = null;
+        for (;;) {
+            const records = await backend.list(collectionName, {
+                filters,
+                sort: ['id', 'asc'],
+                max: perBatch,
+                ...(after && { after }),
+            });
+            if (records.length === 0) break;
+
+            const writes = [];
+            records.forEach((record) => {
+                const upgrade = upgradeRecord(collectionName, record, backend);
+                if (!upgrade) return;
+
+                upgrades.push({ collection: collectionName, id: record.id, from: record.schemaVersion || 0, changes: upgrade.changes });
+                Object.entries(upgrade.problems).forEach(([field, message]) => {
+                    problems.push({ collection: collectionName, id: record.id, field, message });
+                });
+                writes.push({
+                    type: 'update',
+                    collection: collectionName,
+                    id: record.id,
+                    data: {
+                        ...upgrade.changes,
+                        schemaVersion: SCHEMA_VERSION,
+                        // Clinic writes must carry the next version (see bumpsVersion in firestore.rules)
+                        ...(collectionName === 'clinics' && { version: (record.version || 0) + 1 }),
+                    },
+                });
+            });
+
+            if (!dryRun && writes.length > 0) await backend.commit(writes);
+
+            progress.scanned += records.length;
+            progress.upgraded += writes.length;
+            onProgress({ ...progress });
+
+            if (records.length < perBatch) break;
+            const last = records[records.length - 1];
+            after = [last.id, last.id];
+        }
+    }
+
+    return { dryRun, collections, upgrades, problems };
+};
@@ -0,0 +1,78 @@
+/**
+ * Cursor paging for the users and clinics tables. A page is described by a
+ * sort, a size and a cursor (the sort value and id of the row it starts after
+ * or ends before), all of which fit in the URL so a page can be linked or
+ * reloaded.
+ */
+
+export const PAGE_SIZES = [10, 25, 50, 100];
+export const DEFAULT_PAGE_SIZE = 25;
+
+const toBase64Url = (text) => btoa(String.fromCharCode(...new TextEncoder().encode(text)))
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+
+const fromBase64Url = (token) => new TextDecoder().decode(
+    Uint8Array.from(atob(token.replace(/-/g, '+').replace(/_/g, '/')), char => char.charCodeAt(0))
+);
+
+const isTimestamp = (value) => typeof value?.toMillis === 'function';
+
+/**
+ * The URL cursor for a row
+ * @param {Object} record - The row (with id)
+ * @param {string} field - The field the page is sorted by
+ * @returns {string}
+ */
+export const encodeCursor = (record, field) => {
+    const value = record[field] ?? null;
+    return toBase64Url(JSON.stringify([
+        isTimestamp(value) ? { seconds: value.seconds, nanoseconds: value.nanoseconds } : value,
+        record.id,
+    ]));
+};
+
+/**
+ * Read a URL cursor back into [sortValue, id]
+ * @param {string} token - From encodeCursor
+ * @param {Object} backend - Rebuilds timestamps
+ * @returns {Array|null} - Null when the token is missing or malformed
+ */
+export const decodeCursor = (token, backend) => {
+    if (!token) return null;
+
+    try {
+        const [value, id] = JSON.parse(fromBase64Url(token));
+        if (typeof id !== 'string') return null;
+
+        return value && typeof value === 'object'
+            ? [backend.timestamp(value.seconds, value.nanoseconds), id]
+            : [value, id];
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Page options from URL search params, falling back to defaults for anything
+ * missing or unknown
+ * @param {URLSearchParams} params - With sort, dir, size, after or before
+ * @param {Object} options
+ * @param {Array<string>} options.sortFields - Fields the table may sort by
+ * @param {Array} options.defaultSort - [field, direction]
+ * @returns {{ sort: Array, size: number, after: string|null, before: string|null }}
+ */
+export const readPageParams = (params, { sortFields, defaultSort }) => {
+    const field = sortFields.includes(params.get('sort')) ? params.get('sort') : defaultSort[0];
+    const direction = ['asc', 'desc'].includes(params.get('dir')) ? params.get('dir') : defaultSort[1];
+    const size = Number(params.get('size'));
+
+    return {
+        sort: [field, direction],
+        size: PAGE_SIZES.includes(size) ? size : DEFAULT_PAGE_SIZE,
+        after: params.get('after'),
+        // One cursor at a time; after wins
+        before: params.get('after') ? null : params.get('before'),
+    };
+};
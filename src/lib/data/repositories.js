@@ -0,0 +1,1619 @@
+import { AUDIT_ACTIONS, AUDIT_ENTITIES, AUDIT_LOG_LIMIT, changedFields } from '@/lib/audit';
+import { statusHistoryEntry } from '@/lib/statusHistory';
+import { REVIEW_DECISIONS, STAGED_APPROVAL_MESSAGE, reviewEntry, reviewerOf, stageOf } from '@/lib/approval';
+import { decodeCursor, encodeCursor } from '@/lib/data/paging';
+import { WEEKLY_METRICS, recentWeeks } from '@/lib/stats';
+import { TRASH_COLLECTIONS, TRASH_LABEL_FIELDS, purgeCutoff, trashEntryId } from '@/lib/trash';
+import { SCHEMA_VERSION, runMigrations } from '@/lib/data/migrations';
+import { normalizeSearch, userSearchTerms } from '@/lib/data/search';
+import {
+    APPROVAL_STAGE_SCHEMA,
+    CLINIC_SCHEMA,
+    DOCUMENT_SCHEMA,
+    DUPLICATE_EMAIL_MESSAGE,
+    REVIEW_SCHEMA,
+    USER_ROLES,
+    USER_SCHEMA,
+    USER_STATUSES,
+    ValidationError,
+    emailKey,
+    parseRecord,
+    validateRecord,
+} from '@/lib/data/schema';
+
+/**
+ * Repositories for users, clinics and documents.
+ * They own the queries, validate input, stamp timestamps, and write every
+ * change together with its audit entry, on whichever storage backend they are
+ * given (see backends/memory.js for the interface).
+ */
+
+export { ValidationError, USER_STATUSES, USER_ROLES, CLINIC_FIELDS } from '@/lib/data/schema';
+
+export class ConflictError extends Error {
+    /**
+     * Someone else changed or deleted the record since it was loaded
+     * @param {string} message - Shown to the user
+     */
+    constructor(message) {
+        super(message);
+        this.name = 'ConflictError';
+    }
+}
+
+// Columns the paged tables sort by on the server
+export const USER_SORT_FIELDS = ['username', 'email', 'status', 'createdAt'];
+export const CLINIC_SORT_FIELDS = ['clinicName', 'createdAt', 'revenue'];
+
+const isBlank = (value) => !String(value ?? '').trim();
+
+// A loaded clinic's fields as the schema stores them, for comparing with an edit
+const clinicFields = (data) => parseRecord(CLINIC_SCHEMA, data).values;
+
+const withoutId = (record) => Object.fromEntries(Object.entries(record).filter(([key]) => key !== 'id'));
+
+// How many bulk status changes User Management lists for undoing
+const BULK_ACTION_HISTORY = 10;
+
+// Moving a record to the trash deletes it, writes its trash entry and audits it;
+// a user's also frees its email
+const TRASH_WRITES_PER_RECORD = 3;
+const USER_TRASH_WRITES = TRASH_WRITES_PER_RECORD + 1;
+
+// Creating a user writes it, claims its email and audits it
+const USER_CREATE_WRITES = 3;
+
+// Firestore's 'in' and 'array-contains-any' filters take at most this many values
+const MAX_IN_VALUES = 30;
+
+// A document's assignedEmails: each assignee's email as the portal signs in with it
+const assignedEmailsOf = (assignedUsers) => assignedUsers.map(entry => emailKey(entry.email));
+
+// Documents assigned to an email, lowercased or, before schema version 5, as typed
+const assignedToFilter = (email) => ['assignedEmails', 'array-contains-any', [...new Set([email, emailKey(email)])]];
+
+// Which of an email's records the portal shows, best first
+const PORTAL_STATUS_ORDER = ['approved', 'pending', 'rejected'];
+
+// Following a user's new username or email updates each assigned document and audits it
+const ASSIGNMENT_WRITES_PER_DOCUMENT = 2;
+
+// The user fields the detail page edits; status changes go through setStatus
+const USER_PROFILE_FIELDS = ['username', 'email', 'role'];
+
+const pick = (record, fields) => Object.fromEntries(fields.map(field => [field, record[field] ?? null]));
+
+// With approval stages set up, users are only approved by passing the last one
+const refuseDirectApproval = (status, stages) => {
+    if (status === 'approved' && stages.length > 0) {
+        throw new ValidationError(STAGED_APPROVAL_MESSAGE, { status: STAGED_APPROVAL_MESSAGE });
+    }
+};
+
+/**
+ * Build the repositories on a storage backend
+ * @param {Object} backend - From createFirestoreBackend or createMemoryBackend
+ * @returns {{ users: Object, clinics: Object, documents: Object, auditLog: Object, stats: Object, trash: Object, migrations: Object }}
+ */
+export const createRepositories = (backend) => {
+    const auditWrite = ({ orgId, actor, action, entity, entityId, entityLabel, before = null, after = null }) => ({
+        type: 'set',
+        collection: 'auditLogs',
+        id: backend.newId('auditLogs'),
+        data: {
+            orgId,
+            actorUid: actor.uid,
+            actorEmail: actor.email,
+            action,
+            entity,
+            entityId,
+            entityLabel: entityLabel || '',
+            before,
+            after,
+            createdAt: backend.serverTimestamp(),
+        },
+    });
+
+    const inOrg = (orgId, ...filters) => ({ filters: [['orgId', '==', orgId], ...filters] });
+
+    /**
+     * Follow one page of an organization's records
+     * @param {string} collectionName
+     * @param {string} orgId
+     * @param {Object} page - From readPageParams: { sort, size, after, before }
+     * @param {Function} onNext - Called with (rows, changes, meta), where meta also has
+     *   hasPrevious, hasNext and the firstCursor/lastCursor to page from
+     * @param {Function} [onError]
+     * @param {Array<Array>} [filters] - Backend filters on top of the organization
+     * @returns {Function} - Stops listening
+     */
+    const subscribePage = (collectionName, orgId, { sort, size, after, before }, onNext, onError, filters = []) => {
+        const afterCursor = decodeCursor(after, backend);
+        const beforeCursor = afterCursor ? null : decodeCursor(before, backend);
+
+        // One extra row tells whether there is more past the page
+        return backend.subscribe(collectionName, {
+            ...inOrg(orgId, ...filters),
+            sort,
+            max: size + 1,
+            after: afterCursor,
+            before: beforeCursor,
+        }, (records, changes, meta) => {
+            const more = records.length > size;
+            const rows = beforeCursor ? records.slice(more ? 1 : 0) : records.slice(0, size);
+
+            onNext(rows, changes, {
+                ...meta,
+                hasPrevious: beforeCursor ? more : Boolean(afterCursor),
+                hasNext: beforeCursor ? true : more,
+                firstCursor: rows.length > 0 ? encodeCursor(rows[0], sort[0]) : null,
+                lastCursor: rows.length > 0 ? encodeCursor(rows[rows.length - 1], sort[0]) : null,
+            });
+        }, onError);
+    };
+
+    // What the audit log keeps of an uploaded image
+    const imageSummary = (image) => (image ? { filename: image.filename, url: image.url } : null);
+
+    const imagesAuditWrite = (record, actor, before, after) => auditWrite({
+        orgId: record.orgId,
+        actor,
+        action: AUDIT_ACTIONS.IMAGES_CHANGE,
+        entity: AUDIT_ENTITIES.USER,
+        entityId: record.id,
+        entityLabel: record.username || record.email,
+        before: imageSummary(before),
+        after: imageSummary(after),
+    });
+
+    const trashLabel = (collectionName, record) =>
+        record[TRASH_LABEL_FIELDS[collectionName]] || record.email || '';
+
+    /**
+     * The writes that move a record to the trash, with its audit entry
+     * @param {string} collectionName - One of TRASH_COLLECTIONS
+     * @param {Object} record - The record as currently saved (with id)
+     * @param {Object} actor
+     * @returns {Array<Object>}
+     */
+    const trashWrites = (collectionName, record, actor) => {
+        const fields = withoutId(record);
+
+        return [
+            { type: 'delete', collection: collectionName, id: record.id },
+            {
+                type: 'set',
+                collection: 'trash',
+                id: trashEntryId(collectionName, record.id),
+                data: {
+                    orgId: record.orgId,
+                    collection: collectionName,
+                    recordId: record.id,
+                    label: trashLabel(collectionName, record),
+                    record: fields,
+                    deletedAt: backend.serverTimestamp(),
+                    deletedBy: actor.email || 'unknown',
+                },
+            },
+            auditWrite({
+                orgId: record.orgId,
+                actor,
+                action: AUDIT_ACTIONS.DELETE,
+                entity: TRASH_COLLECTIONS[collectionName],
+                entityId: record.id,
+                entityLabel: trashLabel(collectionName, record),
+                before: fields,
+            }),
+        ];
+    };
+
+    /**
+     * A user record's status fields as a bulk action keeps them
+     * @param {Object} record - User record
+     * @param {Object} after - { status, rejectionReason } it moves to
+     */
+    const statusChange = (record, after) => ({
+        id: record.id,
+        orgId: record.orgId,
+        label: record.username || record.email || '',
+        before: {
+            status: record.status || null,
+            rejectionReason: record.rejectionReason || null,
+            rejectedAt: record.rejectedAt || null,
+            stage: record.stage || null,
+            reviewerEmail: record.reviewerEmail || null,
+        },
+        after,
+    });
+
+    /**
+     * The writes that move one user record to a status, with its audit entry
+     * @param {Object} record - User record as loaded
+     * @param {Object} target - { status, rejectionReason, rejectedAt?, stage?, reviewerEmail? };
+     *   rejectedAt is stamped now when rejecting unless given (as when undoing).
+     *   A new status starts over at the first approval stage unless a stage is given.
+     * @param {Object} actor
+     * @returns {Array<Object>}
+     */
+    const statusWrites = (record, { status, rejectionReason, rejectedAt, stage, reviewerEmail }, actor) => {
+        const changes = {
+            status,
+            // Rejections carry a reason; any other status clears it.
+            // The history keeps earlier reasons.
+            rejectionReason,
+            rejectedAt: status !== 'rejected'
+                ? null
+                : rejectedAt || backend.serverTimestamp(),
+        };
+        if (record.status !== status) {
+            changes.stage = stage || null;
+            changes.reviewerEmail = reviewerEmail || null;
+        }
+        if (record.status !== status || (rejectionReason && rejectionReason !== record.rejectionReason)) {
+            changes.statusHistory = backend.arrayUnion(statusHistoryEntry({
+                from: record.status,
+                to: status,
+                reason: rejectionReason,
+                actor,
+            }));
+        }
+
+        return [
+            { type: 'update', collection: 'users', id: record.id, data: changes },
+            auditWrite({
+                orgId: record.orgId,
+                actor,
+                action: AUDIT_ACTIONS.STATUS_CHANGE,
+                entity: AUDIT_ENTITIES.USER,
+                entityId: record.id,
+                entityLabel: record.username || record.email,
+                before: { status: record.status || null, rejectionReason: record.rejectionReason || null },
+                after: { status, rejectionReason },
+            }),
+        ];
+    };
+
+    // Pair each record that failed with its error
+    const statusFailures = (records, results) => results.flatMap((result, i) => (result.status === 'rejected'
+        ? [{ id: records[i].id, label: records[i].label || records[i].username || records[i].email || '', error: result.reason }]
+        : []));
+
+    /**
+     * Backend filters for the User Management search; unknown statuses and
+     * roles are ignored, so a hand-edited URL shows everyone rather than no one
+     * @param {Object} [options]
+     * @param {string} [options.search] - Start of the username, a word of it, the email or its domain
+     * @param {string} [options.status] - One of USER_STATUSES
+     * @param {string} [options.role] - One of USER_ROLES
+     * @returns {Array<Array>}
+     */
+    const userFilters = ({ search, status, role } = {}) => [
+        ...(normalizeSearch(search) ? [['searchTerms', 'array-contains', normalizeSearch(search)]] : []),
+        ...(USER_STATUSES.includes(status) ? [['status', '==', status]] : []),
+        ...(USER_ROLES.includes(role) ? [['role', '==', role]] : []),
+    ];
+
+    // Each user's email (see emailKey) is claimed in `userEmails` in the commit
+    // that saves it, so the rules refuse a second user with it in the
+    // organization, even one added at the same moment or while offline
+    const emailClaimId = (orgId, email) =>
+        `${orgId}_${emailKey(email).replace(/%/g, '%25').replace(/\//g, '%2F')}`;
+
+    const emailClaimWrite = (orgId, email, userId) => ({
+        type: 'set',
+        collection: 'userEmails',
+        id: emailClaimId(orgId, email),
+        data: { orgId, email: emailKey(email), userId },
+    });
+
+    /**
+     * An organization's users with any of these emails, compared without case
+     * @param {string} orgId
+     * @param {Array<string>} emails
+     * @returns {Promise<Array<Object>>}
+     */
+    const usersWithEmails = async (orgId, emails) => {
+        // Emails are stored as typed, but searchTerms holds each one lowercased
+        // (cut to the search length, so matches are checked in full after), and
+        // records from before schema version 4 have no emailKey to query
+        const wanted = new Set(emails.map(emailKey).filter(Boolean));
+        const terms = [...new Set([...wanted].map(normalizeSearch))];
+        const chunks = [];
+        for (let i = 0; i < terms.length; i += MAX_IN_VALUES) {
+            chunks.push(terms.slice(i, i + MAX_IN_VALUES));
+        }
+
+        const found = await Promise.all(chunks.map(chunk =>
+            backend.list('users', inOrg(orgId, ['searchTerms', 'array-contains-any', chunk]))));
+        const byId = new Map(found.flat().map(record => [record.id, record]));
+        return [...byId.values()].filter(record => wanted.has(emailKey(record.email)));
+    };
+
+    /**
+     * Refuse an email another user of the organization has
+     * @param {string} orgId
+     * @param {string} email
+     * @param {string} [userId] - The user it is for, when they exist already
+     * @returns {Promise<Object|null>} - The email's claim, when this user holds it
+     * @throws {ValidationError}
+     */
+    const checkEmailFree = async (orgId, email, userId = null) => {
+        const [holders, claim] = await Promise.all([
+            usersWithEmails(orgId, [email]),
+            backend.get('userEmails', emailClaimId(orgId, email)),
+        ]);
+        if (holders.some(record => record.id !== userId) || (claim && claim.userId !== userId)) {
+            throw new ValidationError(DUPLICATE_EMAIL_MESSAGE, { email: DUPLICATE_EMAIL_MESSAGE });
+        }
+        return claim;
+    };
+
+    /**
+     * The writes that move one user record to the trash, freeing its email
+     * @param {Object} record - As currently saved
+     * @param {Object|null} claim - Its email's claim, as loaded
+     * @param {Object} actor
+     * @returns {Array<Object>}
+     */
+    const userTrashWrites = (record, claim, actor) => [
+        ...trashWrites('users', record, actor),
+        ...(claim?.userId === record.id ? [{ type: 'delete', collection: 'userEmails', id: claim.id }] : []),
+    ];
+
+    /**
+     * The writes that give a document new assignees, with its audit entry
+     * @param {Object} document - As loaded
+     * @param {Array<Object>} assignedUsers - { id, username, email } each
+     * @param {Object} actor
+     * @returns {Array<Object>}
+     */
+    const assignmentWrites = (document, assignedUsers, actor) => {
+        const assignedEmails = assignedEmailsOf(assignedUsers);
+
+        return [
+            {
+                type: 'update',
+                collection: 'documents',
+                id: document.id,
+                data: { assignedUsers, assignedEmails },
+            },
+            auditWrite({
+                orgId: document.orgId,
+                actor,
+                action: AUDIT_ACTIONS.UPDATE,
+                entity: AUDIT_ENTITIES.DOCUMENT,
+                entityId: document.id,
+                entityLabel: document.documentName,
+                before: { assignedEmails: document.assignedEmails },
+                after: { assignedEmails },
+            }),
+        ];
+    };
+
+    /**
+     * Commit a change to a user together with the documents that follow it,
+     * in one commit when they fit; past the limit, the remaining documents
+     * follow in further commits
+     * @param {Array<Object>} userWrites
+     * @param {Array<Array<Object>>} documentWrites - From assignmentWrites, one list per document
+     */
+    const commitWithDocuments = async (userWrites, documentWrites) => {
+        const perCommit = Math.floor(backend.maxCommitWrites / ASSIGNMENT_WRITES_PER_DOCUMENT);
+        const first = Math.max(0, perCommit - Math.ceil(userWrites.length / ASSIGNMENT_WRITES_PER_DOCUMENT));
+        await backend.commit([...userWrites, ...documentWrites.slice(0, first).flat()]);
+        for (let i = first; i < documentWrites.length; i += perCommit) {
+            await backend.commit(documentWrites.slice(i, i + perCommit).flat());
+        }
+    };
+
+    /**
+     * The writes that create one user record, with its audit entry
+     * @param {string} orgId
+     * @param {string} id - From backend.newId
+     * @param {Object} fields - Validated against USER_SCHEMA
+     * @param {Object} actor
+     * @returns {Array<Object>}
+     */
+    const userCreateWrites = (orgId, id, fields, actor) => [
+        {
+            type: 'set',
+            collection: 'users',
+            id,
+            data: {
+                ...fields,
+                emailKey: emailKey(fields.email),
+                statusHistory: [statusHistoryEntry({ from: null, to: fields.status, actor })],
+                searchTerms: userSearchTerms(fields),
+                orgId,
+                schemaVersion: SCHEMA_VERSION,
+                createdAt: backend.serverTimestamp(),
+                createdBy: actor.email || 'unknown',
+            },
+        },
+        emailClaimWrite(orgId, fields.email, id),
+        auditWrite({
+            orgId,
+            actor,
+            action: AUDIT_ACTIONS.CREATE,
+            entity: AUDIT_ENTITIES.USER,
+            entityId: id,
+            entityLabel: fields.username,
+            after: fields,
+        }),
+    ];
+
+    /**
+     * A pending user as saved now, checked to still be in the stage the
+     * reviewer saw them in
+     * @param {Object} record - As loaded
+     * @param {Array<Object>} stages - The organization's approval stages
+     * @returns {Promise<{ current: Object, stage: Object, index: number }>}
+     * @throws {ConflictError}
+     */
+    const loadUnderReview = async (record, stages) => {
+        const current = await backend.get('users', record.id);
+        if (!current) {
+            throw new ConflictError('This user was moved to the Trash by someone else.');
+        }
+        const stage = stageOf(current, stages);
+        if (!stage) {
+            throw new ConflictError('This user is no longer pending approval.');
+        }
+        if (stage.id !== stageOf(record, stages)?.id) {
+            throw new ConflictError('Someone else moved this user to another stage meanwhile.');
+        }
+        return { current, stage, index: stages.indexOf(stage) };
+    };
+
+    // Deciding on a stage is up to the user's reviewer, when they have one
+    const checkReviewer = (record, stages, actor) => {
+        const reviewer = reviewerOf(record, stages);
+        if (reviewer && emailKey(reviewer) !== emailKey(actor.email)) {
+            throw new ValidationError(`This stage is assigned to ${reviewer}. Assign it to yourself to review it.`);
+        }
+    };
+
+    const reviewComment = (comment, { required = false } = {}) => {
+        const { comment: value } = validateRecord(REVIEW_SCHEMA, { comment });
+        if (required && !value) {
+            throw new ValidationError('Please add a comment.', { comment: 'Comment is required.' });
+        }
+        return value;
+    };
+
+    /**
+     * The writes that add a review to a pending user, with its audit entry
+     * @param {Object} record - As saved now
+     * @param {Object} entry - From reviewEntry
+     * @param {Object} changes - Other fields to set, e.g. the next stage
+     * @param {Object|null} nextStage - The stage the user moves to, if any
+     * @param {Object} actor
+     * @returns {Array<Object>}
+     */
+    const reviewWrites = (record, entry, changes, nextStage, actor) => [
+        {
+            type: 'update',
+            collection: 'users',
+            id: record.id,
+            data: { ...changes, reviews: backend.arrayUnion(entry), updatedAt: backend.serverTimestamp() },
+        },
+        auditWrite({
+            orgId: record.orgId,
+            actor,
+            action: AUDIT_ACTIONS.REVIEW,
+            entity: AUDIT_ENTITIES.USER,
+            entityId: record.id,
+            entityLabel: record.username || record.email,
+            before: { stage: entry.stageName },
+            after: {
+                stage: nextStage ? nextStage.name : entry.stageName,
+                decision: entry.decision,
+                comment: entry.comment,
+                evidence: entry.evidence,
+            },
+        }),
+    ];
+
+    const users = {
+        /**
+         * @param {string} orgId
+         * @param {Object} [options]
+         * @param {string} [options.status] - Only records with this status
+         */
+        list: (orgId, { status } = {}) => {
+            return backend.list('users', inOrg(orgId, ...(status ? [['status', '==', status]] : [])));
+        },
+
+        /**
+         * Follow an organization's records as they change
+         * @param {string} orgId
+         * @param {Object} options - As for list
+         * @param {Function} onNext - Called with (records, changes), see the backend interface
+         * @param {Function} [onError]
+         * @returns {Function} - Stops listening
+         */
+        subscribe: (orgId, { status } = {}, onNext, onError) => {
+            return backend.subscribe('users', inOrg(orgId, ...(status ? [['status', '==', status]] : [])), onNext, onError);
+        },
+
+        /**
+         * Follow one page of an organization's records, sorted by one of
+         * USER_SORT_FIELDS; page.filters narrows it (see userFilters)
+         */
+        subscribePage: (orgId, page, onNext, onError) =>
+            subscribePage('users', orgId, page, onNext, onError, userFilters(page.filters)),
+
+        /**
+         * How many of an organization's records match the User Management filters
+         * @param {string} orgId
+         * @param {Object} filters - { search, status, role }
+         * @returns {Promise<number>}
+         */
+        countMatching: (orgId, filters) => backend.count('users', inOrg(orgId, ...userFilters(filters))),
+
+        /**
+         * Every record matching the User Management filters, for selecting or exporting them all
+         * @param {string} orgId
+         * @param {Object} filters - { search, status, role }
+         * @param {Object} [options]
+         * @param {number} [options.max] - Stop after this many
+         * @param {Array} [options.sort] - [field, direction], field one of USER_SORT_FIELDS
+         * @returns {Promise<Array<Object>>}
+         */
+        listMatching: (orgId, filters, { max, sort } = {}) => backend.list('users', {
+            ...inOrg(orgId, ...userFilters(filters)),
+            ...(max && { max }),
+            ...(sort && { sort }),
+        }),
+
+        /**
+         * How many records an organization has, in total and per status
+         * @returns {Promise<{ total: number, pending: number, approved: number, rejected: number }>}
+         */
+        countByStatus: async (orgId) => {
+            const [total, ...perStatus] = await Promise.all([
+                backend.count('users', inOrg(orgId)),
+                ...USER_STATUSES.map(status => backend.count('users', inOrg(orgId, ['status', '==', status]))),
+            ]);
+            return { total, ...Object.fromEntries(USER_STATUSES.map((status, i) => [status, perStatus[i]])) };
+        },
+
+        /** One record by id, or null */
+        get: (id) => backend.get('users', id),
+
+        /**
+         * Follow one of an organization's records; onNext gets a list of at
+         * most one record (see subscribe), empty once it is deleted
+         */
+        subscribeOne: (orgId, id, onNext, onError) =>
+            backend.subscribe('users', inOrg(orgId, ['id', '==', id]), onNext, onError),
+
+        /**
+         * The record for a portal user's email, or null. Sign-in lowercases
+         * emails, so records are matched on emailKey; those from before schema
+         * version 4 only on the email exactly as stored. The email may have
+         * records in several organizations, or duplicates not merged yet: an
+         * approved one wins, then a pending one, then the oldest.
+         */
+        findByEmail: async (email) => {
+            const [records, legacy] = await Promise.all([
+                backend.list('users', { filters: [['emailKey', '==', emailKey(email)]] }),
+                backend.list('users', { filters: [['email', '==', email]] }),
+            ]);
+            const matches = [...records, ...legacy.filter(record => !records.some(other => other.id === record.id))];
+
+            return matches.sort((a, b) => PORTAL_STATUS_ORDER.indexOf(a.status) - PORTAL_STATUS_ORDER.indexOf(b.status)
+                || (a.createdAt?.toMillis() || 0) - (b.createdAt?.toMillis() || 0))[0] || null;
+        },
+
+        /**
+         * @param {Object} data - { username, email, role, status }
+         * @returns {Object} - The fields as stored
+         * @throws {ValidationError}
+         */
+        validate: (data) => validateRecord(USER_SCHEMA, data),
+
+        /**
+         * @param {string} orgId
+         * @param {Object} data - { username, email, role, status }
+         * @param {Object} actor - The signed-in account ({ uid, email })
+         * @param {Object} [options]
+         * @param {Array<Object>} [options.stages] - The organization's approval stages
+         * @returns {Promise<string>} - The new record id
+         */
+        create: async (orgId, data, actor, { stages = [] } = {}) => {
+            const fields = users.validate(data);
+            refuseDirectApproval(fields.status, stages);
+            await checkEmailFree(orgId, fields.email);
+            const id = backend.newId('users');
+
+            await backend.commit(userCreateWrites(orgId, id, fields, actor));
+
+            return id;
+        },
+
+        /**
+         * Which of these emails the organization's users have already,
+         * compared without case
+         * @param {string} orgId
+         * @param {Array<string>} emails
+         * @returns {Promise<Set<string>>} - The matches, trimmed and lowercased
+         */
+        existingEmails: async (orgId, emails) =>
+            new Set((await usersWithEmails(orgId, emails)).map(record => emailKey(record.email))),
+
+        /**
+         * Create many users, a batch of them per commit. Rows that fail the
+         * schema, or whose email the organization has already, are skipped and
+         * reported, as are the rows of a batch that fails to commit.
+         * @param {string} orgId
+         * @param {Array<{ line: number, data: Object }>} rows - Form-like fields per row, with the row's number in the file
+         * @param {Object} actor - The signed-in account ({ uid, email })
+         * @param {Object} [options]
+         * @param {Function} [options.onProgress] - Called after each batch with { done, total }
+         * @param {Array<Object>} [options.stages] - The organization's approval stages
+         * @returns {Promise<{ imported: Array<{ line: number, id: string }>, failures: Array<{ line: number, error: Error }> }>}
+         */
+        importMany: async (orgId, rows, actor, { onProgress = () => {}, stages = [] } = {}) => {
+            const imported = [];
+            const failures = [];
+            const existing = await users.existingEmails(orgId, rows.map(row => row.data.email ?? ''));
+
+            const valid = [];
+            rows.forEach((row) => {
+                try {
+                    const fields = users.validate(row.data);
+                    refuseDirectApproval(fields.status, stages);
+                    const key = emailKey(fields.email);
+                    if (existing.has(key)) {
+                        throw new ValidationError(DUPLICATE_EMAIL_MESSAGE, { email: DUPLICATE_EMAIL_MESSAGE });
+                    }
+                    existing.add(key);
+                    valid.push({ line: row.line, fields });
+                } catch (error) {
+                    failures.push({ line: row.line, error });
+                }
+            });
+
+            const perCommit = Math.floor(backend.maxCommitWrites / USER_CREATE_WRITES);
+            for (let i = 0; i < valid.length; i += perCommit) {
+                const batch = valid.slice(i, i + perCommit).map(row => ({ ...row, id: backend.newId('users') }));
+                try {
+                    await backend.commit(batch.flatMap(row => userCreateWrites(orgId, row.id, row.fields, actor)));
+                    imported.push(...batch.map(({ line, id }) => ({ line, id })));
+                } catch (error) {
+                    failures.push(...batch.map(({ line }) => ({ line, error })));
+                }
+                onProgress({ done: Math.min(i + perCommit, valid.length), total: valid.length });
+            }
+
+            failures.sort((a, b) => a.line - b.line);
+            return { imported, failures };
+        },
+
+        /**
+         * Change a user's username, email and role. Documents assigned to the
+         * user are rewritten to match, in the same commit when they fit in it.
+         * @param {Object} record - The user record as loaded
+         * @param {Object} data - { username, email, role }
+         * @param {Object} actor - The signed-in account ({ uid, email })
+         * @returns {Promise<{ documents: number }>} - How many assigned documents were updated
+         * @throws {ValidationError}
+         * @throws {ConflictError} - When the user changed since it was loaded, or was deleted
+         */
+        update: async (record, data, actor) => {
+            // The status is not edited here, but the schema checks the record as a whole
+            const fields = pick(users.validate({ ...data, status: record.status }), USER_PROFILE_FIELDS);
+
+            const current = await backend.get('users', record.id);
+            if (!current) {
+                throw new ConflictError('This user was moved to the Trash by someone else.');
+            }
+            if (USER_PROFILE_FIELDS.some(field => (current[field] ?? null) !== (record[field] ?? null))) {
+                throw new ConflictError('Someone else changed this user meanwhile. Open it again to see their changes.');
+            }
+
+            const before = pick(current, USER_PROFILE_FIELDS);
+            const changes = changedFields(before, fields);
+            if (Object.keys(changes.after).length === 0) return { documents: 0 };
+
+            // A new email is claimed, and the old one freed unless only its case changed
+            const claimWrites = [];
+            if (fields.email !== current.email) {
+                const claim = await checkEmailFree(current.orgId, fields.email, current.id);
+                if (!claim) claimWrites.push(emailClaimWrite(current.orgId, fields.email, current.id));
+
+                if (emailKey(fields.email) !== emailKey(current.email)) {
+                    const oldClaim = await backend.get('userEmails', emailClaimId(current.orgId, current.email));
+                    if (oldClaim?.userId === current.id) {
+                        claimWrites.push({ type: 'delete', collection: 'userEmails', id: oldClaim.id });
+                    }
+                }
+            }
+
+            // Documents keep each assignee's username and email, and match portal
+            // users on assignedEmails, so both follow the change
+            const assigned = fields.email !== current.email || fields.username !== current.username
+                ? await backend.list('documents', inOrg(current.orgId, assignedToFilter(current.email)))
+                : [];
+            const documentWrites = assigned.map(document => assignmentWrites(
+                document,
+                document.assignedUsers.map(entry => (entry.id === current.id || emailKey(entry.email) === emailKey(current.email)
+                    ? { id: current.id, username: fields.username, email: fields.email }
+                    : entry)),
+                actor
+            ));
+
+            await commitWithDocuments([
+                {
+                    type: 'update',
+                    collection: 'users',
+                    id: current.id,
+                    data: {
+                        ...fields,
+                        emailKey: emailKey(fields.email),
+                        searchTerms: userSearchTerms(fields),
+                        updatedAt: backend.serverTimestamp(),
+                    },
+                },
+                ...claimWrites,
+                auditWrite({
+                    orgId: current.orgId,
+                    actor,
+                    action: AUDIT_ACTIONS.UPDATE,
+                    entity: AUDIT_ENTITIES.USER,
+                    entityId: current.id,
+                    entityLabel: fields.username,
+                    ...changes,
+                }),
+            ], documentWrites);
+
+            return { documents: assigned.length };
+        },
+
+        /**
+         * Move records to a status, keeping each transition in their history.
+         * Each record is committed on its own with its audit entry, so one that
+         * fails (deleted meanwhile, say) does not hold the others back. The
+         * changes are saved as a bulk action that undoStatus can revert.
+         * @param {Array<Object>} records - User records (with id, orgId and current status)
+         * @param {string} status - One of USER_STATUSES
+         * @param {Object} options
+         * @param {string} [options.reason] - Required when rejecting
+         * @param {Object} options.actor - The signed-in account ({ uid, email })
+         * @param {Array<Object>} [options.stages] - The organization's approval stages; with
+         *   any, approving goes through advanceStage instead
+         * @returns {Promise<{ actionId: string|null, changes: Array<Object>, failures: Array<Object> }>} -
+         *   failures are { id, label, error } per record that was not changed
+         */
+        setStatus: async (records, status, { reason = '', actor, stages = [] }) => {
+            if (!USER_STATUSES.includes(status)) {
+                throw new ValidationError('Please select an action.', { status: 'Select a status.' });
+            }
+            refuseDirectApproval(status, stages);
+            if (status === 'rejected' && isBlank(reason)) {
+                throw new ValidationError('Please provide a reason for rejection.', { reason: 'Reason is required.' });
+            }
+
+            const rejectionReason = status === 'rejected' ? reason.trim() : null;
+
+            const results = await Promise.allSettled(records.map(async (record) => {
+                await backend.commit(statusWrites(record, { status, rejectionReason }, actor));
+                return statusChange(record, { status, rejectionReason });
+            }));
+
+            const changes = results.filter(result => result.status === 'fulfilled').map(result => result.value);
+            const failures = statusFailures(records, results);
+            if (changes.length === 0) return { actionId: null, changes, failures };
+
+            const actionId = backend.newId('bulkActions');
+            await backend.commit([{
+                type: 'set',
+                collection: 'bulkActions',
+                id: actionId,
+                data: {
+                    orgId: changes[0].orgId,
+                    type: 'status',
+                    status,
+                    reason: rejectionReason,
+                    changes,
+                    actorUid: actor.uid,
+                    actorEmail: actor.email,
+                    createdAt: backend.serverTimestamp(),
+                    undoneAt: null,
+                    undoneBy: null,
+                },
+            }]);
+
+            return { actionId, changes, failures };
+        },
+
+        /**
+         * Put every user a bulk status change touched back to their previous
+         * status, rejection reason and rejection time. Users someone changed
+         * again since are left alone and reported, as are users who were
+         * approved while the organization has approval stages: only passing
+         * the last stage approves them again.
+         * @param {Object} action - A bulk action (see subscribeBulkActions)
+         * @param {Object} actor - The signed-in account ({ uid, email })
+         * @param {Object} [options]
+         * @param {Array<Object>} [options.stages] - The organization's approval stages
+         * @returns {Promise<{ restored: Array<Object>, failures: Array<Object> }>} - See setStatus
+         * @throws {ConflictError} - When the action was undone already
+         */
+        undoStatus: async (action, actor, { stages = [] } = {}) => {
+            const current = await backend.get('bulkActions', action.id);
+            if (!current || current.undoneAt) {
+                throw new ConflictError('This change was already undone.');
+            }
+
+            const results = await Promise.allSettled(current.changes.map(async (change) => {
+                refuseDirectApproval(change.before.status, stages);
+                const record = await backend.get('users', change.id);
+                if (!record) {
+                    throw new ConflictError('It was deleted meanwhile.');
+                }
+                if (record.status !== change.after.status
+                    || (record.rejectionReason || null) !== change.after.rejectionReason) {
+                    throw new ConflictError('Its status was changed again meanwhile.');
+                }
+
+                await backend.commit(statusWrites(record, change.before, actor));
+                return change;
+            }));
+
+            const restored = results.filter(result => result.status === 'fulfilled').map(result => result.value);
+            const failures = statusFailures(current.changes, results);
+
+            if (restored.length > 0) {
+                await backend.commit([{
+                    type: 'update',
+                    collection: 'bulkActions',
+                    id: current.id,
+                    data: { undoneAt: backend.serverTimestamp(), undoneBy: actor.email || 'unknown' },
+                }]);
+            }
+
+            return { restored, failures };
+        },
+
+        /**
+         * Follow an organization's latest bulk status changes, newest first
+         * @param {string} orgId
+         * @param {Function} onNext
+         * @param {Function} [onError]
+         * @returns {Function} - Unsubscribe
+         */
+        subscribeBulkActions: (orgId, onNext, onError) => backend.subscribe(
+            'bulkActions',
+            { ...inOrg(orgId), sort: ['createdAt', 'desc'], max: BULK_ACTION_HISTORY },
+            onNext,
+            onError
+        ),
+
+        /**
+         * How many pending users are in each approval stage
+         * @param {string} orgId
+         * @param {Array<Object>} stages - The organization's approval stages
+         * @returns {Promise<Object<string, number>>} - Counts keyed by stage id
+         */
+        countByStage: async (orgId, stages) => {
+            if (stages.length === 0) return {};
+
+            const pending = ['status', '==', 'pending'];
+            const [total, ...later] = await Promise.all([
+                backend.count('users', inOrg(orgId, pending)),
+                ...stages.slice(1).map(stage => backend.count('users', inOrg(orgId, pending, ['stage', '==', stage.id]))),
+            ]);
+            // Users with no stage, or one that was removed, are in the first
+            return {
+                [stages[0].id]: total - later.reduce((sum, count) => sum + count, 0),
+                ...Object.fromEntries(stages.slice(1).map((stage, i) => [stage.id, later[i]])),
+            };
+        },
+
+        /**
+         * Hand a pending user's current stage to another reviewer, or back to
+         * the stage's own reviewer with a blank email
+         * @param {Object} record - The user record as loaded
+         * @param {string} reviewerEmail
+         * @param {Array<Object>} stages - The organization's approval stages
+         * @param {Object} actor - The signed-in account ({ uid, email })
+         * @throws {ValidationError}
+         * @throws {ConflictError}
+         */
+        assignReviewer: async (record, reviewerEmail, stages, actor) => {
+            const { reviewerEmail: email } = validateRecord({ reviewerEmail: APPROVAL_STAGE_SCHEMA.reviewerEmail }, { reviewerEmail });
+            const { current } = await loadUnderReview(record, stages);
+            if ((current.reviewerEmail || '') === email) return;
+
+            await backend.commit([
+                {
+                    type: 'update',
+                    collection: 'users',
+                    id: current.id,
+                    data: { reviewerEmail: email || null, updatedAt: backend.serverTimestamp() },
+                },
+                auditWrite({
+                    orgId: current.orgId,
+                    actor,
+                    action: AUDIT_ACTIONS.UPDATE,
+                    entity: AUDIT_ENTITIES.USER,
+                    entityId: current.id,
+                    entityLabel: current.username || current.email,
+                    before: { reviewerEmail: current.reviewerEmail || null },
+                    after: { reviewerEmail: email || null },
+                }),
+            ]);
+        },
+
+        /**
+         * Pass a pending user's current stage, once every piece of evidence it
+         * asks for is given. They move to the next stage, and passing the last
+         * one approves them.
+         * @param {Object} record - The user record as loaded
+         * @param {Object} review
+         * @param {string} [review.comment]
+         * @param {Object<string, string>} review.evidence - A link or reference per evidence item of the stage
+         * @param {Array<Object>} stages - The organization's approval stages
+         * @param {Object} actor - The signed-in account ({ uid, email })
+         * @returns {Promise<{ stage: Object|null }>} - The stage the user moved to, or null once approved
+         * @throws {ValidationError} - When evidence is missing or someone else reviews this stage
+         * @throws {ConflictError}
+         */
+        advanceStage: async (record, { comment = '', evidence = {} }, stages, actor) => {
+            const note = reviewComment(comment);
+            const { current, stage, index } = await loadUnderReview(record, stages);
+            checkReviewer(current, stages, actor);
+
+            const given = stage.evidence.map(label => ({ label, value: String(evidence[label] ?? '').trim() }));
+            const missing = Object.fromEntries(given
+                .map((item, i) => [`evidence.${i}`, item.value ? null : `${item.label} is required.`])
+                .filter(([, message]) => message));
+            if (Object.keys(missing).length > 0) {
+                throw new ValidationError('Add every piece of evidence this stage asks for.', missing);
+            }
+
+            const next = stages[index + 1] || null;
+            const entry = reviewEntry({
+                stage,
+                decision: next ? REVIEW_DECISIONS.ADVANCED : REVIEW_DECISIONS.APPROVED,
+                comment: note,
+                evidence: given,
+                actor,
+            });
+
+            if (next) {
+                await backend.commit(reviewWrites(current, entry, { stage: next.id, reviewerEmail: null }, next, actor));
+            } else {
+                // The approval is a status change like any other, carrying its review
+                const [update, audit] = statusWrites(current, { status: 'approved', rejectionReason: null }, actor);
+                await backend.commit([
+                    { ...update, data: { ...update.data, reviews: backend.arrayUnion(entry) } },
+                    audit,
+                    ...reviewWrites(current, entry, {}, null, actor).slice(1),
+                ]);
+            }
+
+            return { stage: next };
+        },
+
+        /**
+         * Return a pending user to the previous stage, saying why
+         * @param {Object} record - The user record as loaded
+         * @param {Object} review - { comment }, required
+         * @param {Array<Object>} stages - The organization's approval stages
+         * @param {Object} actor - The signed-in account ({ uid, email })
+         * @returns {Promise<{ stage: Object }>} - The stage the user went back to
+         * @throws {ValidationError}
+         * @throws {ConflictError}
+         */
+        sendBack: async (record, { comment = '' }, stages, actor) => {
+            const note = reviewComment(comment, { required: true });
+            const { current, stage, index } = await loadUnderReview(record, stages);
+            checkReviewer(current, stages, actor);
+            if (index === 0) {
+                throw new ValidationError('This is the first stage. Reject the user instead.');
+            }
+
+            const previous = stages[index - 1];
+            const entry = reviewEntry({ stage, decision: REVIEW_DECISIONS.SENT_BACK, comment: note, actor });
+            await backend.commit(reviewWrites(current, entry, { stage: previous.id, reviewerEmail: null }, previous, actor));
+
+            return { stage: previous };
+        },
+
+        /**
+         * Leave a comment on a pending user's current stage without deciding on it
+         * @param {Object} record - The user record as loaded
+         * @param {Object} review - { comment }, required
+         * @param {Array<Object>} stages - The organization's approval stages
+         * @param {Object} actor - The signed-in account ({ uid, email })
+         * @throws {ValidationError}
+         * @throws {ConflictError}
+         */
+        addComment: async (record, { comment = '' }, stages, actor) => {
+            const note = reviewComment(comment, { required: true });
+            const { current, stage } = await loadUnderReview(record, stages);
+
+            const entry = reviewEntry({ stage, decision: REVIEW_DECISIONS.COMMENTED, comment: note, actor });
+            await backend.commit(reviewWrites(current, entry, {}, null, actor));
+        },
+
+        /**
+         * Move user records to the trash; records already gone are skipped
+         * @param {Array<Object>} records - User records (with id)
+         * @param {Object} actor - The signed-in account ({ uid, email })
+         */
+        remove: async (records, actor) => {
+            const current = (await Promise.all(records.map(record => backend.get('users', record.id)))).filter(Boolean);
+            const claims = await Promise.all(current.map(record =>
+                backend.get('userEmails', emailClaimId(record.orgId, record.email))));
+            const perCommit = Math.floor(backend.maxCommitWrites / USER_TRASH_WRITES);
+
+            for (let i = 0; i < current.length; i += perCommit) {
+                await backend.commit(current.slice(i, i + perCommit)
+                    .flatMap((record, j) => userTrashWrites(record, claims[i + j], actor)));
+            }
+        },
+
+        /**
+         * Users of an organization that share an email (see emailKey), left
+         * from before duplicates were refused
+         * @param {string} orgId
+         * @returns {Promise<Array<{ email: string, records: Array<Object> }>>} - Groups of
+         *   two or more, each oldest first
+         */
+        findDuplicates: async (orgId) => {
+            const createdAt = (record) => record.createdAt?.toMillis?.() ?? 0;
+            const groups = new Map();
+            (await backend.list('users', inOrg(orgId))).forEach((record) => {
+                const key = emailKey(record.email);
+                groups.set(key, [...(groups.get(key) || []), record]);
+            });
+
+            return [...groups]
+                .filter(([, records]) => records.length > 1)
+                .map(([email, records]) => ({ email, records: records.sort((a, b) => createdAt(a) - createdAt(b)) }))
+                .sort((a, b) => a.email.localeCompare(b.email));
+        },
+
+        /**
+         * Merge users that share an email into one. It keeps its own profile,
+         * status and history, gains the others' images, and replaces them in
+         * every document assigned to them; the others move to the trash.
+         * @param {Object} keep - The user that remains, as loaded
+         * @param {Array<Object>} others - Its duplicates, as loaded
+         * @param {Object} actor - The signed-in account ({ uid, email })
+         * @returns {Promise<{ documents: number }>} - How many documents were reassigned
+         * @throws {ConflictError} - When one of them was deleted or given another email meanwhile
+         */
+        merge: async (keep, others, actor) => {
+            const [survivor, ...duplicates] = await Promise.all([keep, ...others].map(record => backend.get('users', record.id)));
+            if (!survivor || duplicates.some(record => !record)) {
+                throw new ConflictError('One of these users was moved to the Trash meanwhile. Look for duplicates again.');
+            }
+            const key = emailKey(survivor.email);
+            if (duplicates.some(record => emailKey(record.email) !== key)) {
+                throw new ConflictError('One of these users changed email meanwhile. Look for duplicates again.');
+            }
+
+            const images = [...(survivor.images || [])];
+            duplicates.flatMap(record => record.images || []).forEach((image) => {
+                if (!images.some(kept => kept.url === image.url)) images.push(image);
+            });
+
+            // Documents list the duplicates under their own id, and their email
+            // lowercased, or as typed before schema version 5
+            const ids = new Set(duplicates.map(record => record.id));
+            const emails = [key, ...new Set([survivor, ...duplicates].map(record => record.email))];
+            const found = await Promise.all(emails.map(email =>
+                backend.list('documents', inOrg(survivor.orgId, ['assignedEmails', 'array-contains', email]))));
+            const assignee = { id: survivor.id, username: survivor.username, email: survivor.email };
+            const documentWrites = [...new Map(found.flat().map(document => [document.id, document])).values()]
+                .map((document) => {
+                    const assignedUsers = document.assignedUsers
+                        .map(entry => (entry.id === survivor.id || ids.has(entry.id) || emailKey(entry.email) === key ? assignee : entry))
+                        .filter((entry, i, all) => entry !== assignee || all.indexOf(assignee) === i);
+                    return JSON.stringify(assignedUsers) === JSON.stringify(document.assignedUsers)
+                        ? null
+                        : assignmentWrites(document, assignedUsers, actor);
+                })
+                .filter(Boolean);
+
+            // The email's claim may be a duplicate's, or no one's for records saved before claims
+            const claim = await backend.get('userEmails', emailClaimId(survivor.orgId, survivor.email));
+
+            await commitWithDocuments([
+                {
+                    type: 'update',
+                    collection: 'users',
+                    id: survivor.id,
+                    data: { images, emailKey: key, updatedAt: backend.serverTimestamp() },
+                },
+                ...(claim?.userId === survivor.id ? [] : [emailClaimWrite(survivor.orgId, survivor.email, survivor.id)]),
+                auditWrite({
+                    orgId: survivor.orgId,
+                    actor,
+                    action: AUDIT_ACTIONS.MERGE,
+                    entity: AUDIT_ENTITIES.USER,
+                    entityId: survivor.id,
+                    entityLabel: survivor.username || survivor.email,
+                    before: { images: (survivor.images || []).map(imageSummary) },
+                    after: {
+                        images: images.map(imageSummary),
+                        merged: duplicates.map(record => ({ id: record.id, username: record.username, email: record.email })),
+                    },
+                }),
+                ...duplicates.flatMap(record => trashWrites('users', record, actor)),
+            ], documentWrites);
+
+            return { documents: documentWrites.length };
+        },
+
+        /**
+         * Add an image to a portal user's record, optionally replacing one
+         * @param {Object} record - The user record
+         * @param {Object} image - Uploaded image details; uploadedAt is stamped here
+         * @param {Object} actor - The signed-in portal account
+         * @param {Object} [replacing] - Image the new one replaces
+         */
+        addImage: async (record, image, actor, replacing = null) => {
+            // Server timestamps cannot go inside arrays, so the upload time is the client's
+            const stored = { ...image, uploadedAt: backend.timestampFromDate(new Date()) };
+
+            await backend.commit([
+                ...(replacing
+                    ? [{ type: 'update', collection: 'users', id: record.id, data: { images: backend.arrayRemove(replacing) } }]
+                    : []),
+                { type: 'update', collection: 'users', id: record.id, data: { images: backend.arrayUnion(stored) } },
+                imagesAuditWrite(record, actor, replacing, stored),
+            ]);
+        },
+
+        /** Remove an image from a portal user's record */
+        removeImage: async (record, image, actor) => {
+            await backend.commit([
+                { type: 'update', collection: 'users', id: record.id, data: { images: backend.arrayRemove(image) } },
+                imagesAuditWrite(record, actor, image, null),
+            ]);
+        },
+    };
+
+    const clinics = {
+        /**
+         * @param {string} orgId
+         * @param {Object} [options]
+         * @param {Array} [options.sort] - [field, direction], field one of CLINIC_SORT_FIELDS
+         * @param {number} [options.max] - Stop after this many
+         */
+        list: (orgId, { sort, max } = {}) => backend.list('clinics', {
+            ...inOrg(orgId),
+            ...(sort && { sort }),
+            ...(max && { max }),
+        }),
+
+        /** Follow an organization's clinics; see users.subscribe */
+        subscribe: (orgId, onNext, onError) => backend.subscribe('clinics', inOrg(orgId), onNext, onError),
+
+        /** Follow one page of an organization's clinics, sorted by one of CLINIC_SORT_FIELDS */
+        subscribePage: (orgId, page, onNext, onError) => subscribePage('clinics', orgId, page, onNext, onError),
+
+        /**
+         * @param {Object} data - Clinic form fields (see CLINIC_FIELDS)
+         * @returns {Object} - The fields as stored
+         * @throws {ValidationError}
+         */
+        validate: (data) => validateRecord(CLINIC_SCHEMA, data),
+
+        /**
+         * @param {string} orgId
+         * @param {Object} data - Clinic form fields (see CLINIC_FIELDS)
+         * @param {Object} actor - The signed-in account ({ uid, email })
+         * @returns {Promise<string>} - The new clinic id
+         */
+        create: async (orgId, data, actor) => {
+            const fields = clinics.validate(data);
+            const id = backend.newId('clinics');
+
+            await backend.commit([
+                {
+                    type: 'set',
+                    collection: 'clinics',
+                    id,
+                    data: {
+                        ...fields,
+                        orgId,
+                        version: 1,
+                        schemaVersion: SCHEMA_VERSION,
+                        createdBy: actor.email || 'unknown',
+                        createdAt: backend.serverTimestamp(),
+                    },
+                },
+                auditWrite({
+                    orgId,
+                    actor,
+                    action: AUDIT_ACTIONS.CREATE,
+                    entity: AUDIT_ENTITIES.CLINIC,
+                    entityId: id,
+                    entityLabel: fields.clinicName,
+                    after: fields,
+                }),
+            ]);
+
+            return id;
+        },
+
+        /**
+         * @param {Object} clinic - The clinic as loaded
+         * @param {Object} data - Clinic form fields (see CLINIC_FIELDS)
+         * @param {Object} actor - The signed-in account ({ uid, email })
+         * @throws {ConflictError} - When the clinic changed since it was loaded
+         */
+        update: async (clinic, data, actor) => {
+            const fields = clinics.validate(data);
+
+            // Each edit bumps the version, so one based on an older version
+            // fails here, or in the rules when it was queued offline
+            const current = await backend.get('clinics', clinic.id);
+            if (!current) {
+                throw new ConflictError('This clinic was deleted by someone else.');
+            }
+            if ((current.version || 0) !== (clinic.version || 0)) {
+                throw new ConflictError('Someone else changed this clinic meanwhile. Open it again to see their changes.');
+            }
+
+            await backend.commit([
+                {
+                    type: 'update',
+                    collection: 'clinics',
+                    id: clinic.id,
+                    data: { ...fields, version: (clinic.version || 0) + 1, updatedAt: backend.serverTimestamp() },
+                },
+                auditWrite({
+                    orgId: clinic.orgId,
+                    actor,
+                    action: AUDIT_ACTIONS.UPDATE,
+                    entity: AUDIT_ENTITIES.CLINIC,
+                    entityId: clinic.id,
+                    entityLabel: fields.clinicName,
+                    ...changedFields(clinicFields(clinic), fields),
+                }),
+            ]);
+        },
+
+        /**
+         * Move a clinic to the trash, as currently saved
+         * @param {Object} clinic - The clinic as loaded
+         * @param {Object} actor - The signed-in account ({ uid, email })
+         * @throws {ConflictError} - When someone else deleted it first
+         */
+        remove: async (clinic, actor) => {
+            const current = await backend.get('clinics', clinic.id);
+            if (!current) {
+                throw new ConflictError('This clinic was already deleted by someone else.');
+            }
+
+            await backend.commit(trashWrites('clinics', current, actor));
+        },
+    };
+
+    const documents = {
+        list: (orgId) => backend.list('documents', inOrg(orgId)),
+
+        /** Documents assigned to a portal user's email */
+        listAssignedTo: (email) => backend.list('documents', { filters: [['assignedEmails', 'array-contains', emailKey(email)]] }),
+
+        /** Follow an organization's documents; see users.subscribe */
+        subscribe: (orgId, onNext, onError) => backend.subscribe('documents', inOrg(orgId), onNext, onError),
+
+        /** Follow an organization's documents assigned to an email */
+        subscribeAssignedTo: (orgId, email, onNext, onError) => backend.subscribe(
+            'documents',
+            inOrg(orgId, ['assignedEmails', 'array-contains', emailKey(email)]),
+            onNext,
+            onError
+        ),
+
+        /**
+         * @param {Object} data - { documentName, assignedUsers }
+         * @returns {Object} - The fields as checked
+         * @throws {ValidationError}
+         */
+        validate: (data) => validateRecord(DOCUMENT_SCHEMA, data),
+
+        /**
+         * @param {string} orgId
+         * @param {Object} data
+         * @param {string} data.documentName
+         * @param {Array<{ id: string, username: string, email: string }>} data.assignedUsers
+         * @param {Object} actor - The signed-in account ({ uid, email })
+         * @returns {Promise<string>} - The new document id
+         */
+        create: async (orgId, data, actor) => {
+            const { documentName, assignedUsers } = documents.validate(data);
+            const id = backend.newId('documents');
+            const fields = {
+                documentName,
+                assignedUsers: assignedUsers.map(({ id: userId, username, email }) => ({ id: userId, username, email })),
+                // Flat list so security rules and portal queries can match on email
+                assignedEmails: assignedEmailsOf(assignedUsers),
+            };
+
+            await backend.commit([
+                {
+                    type: 'set',
+                    collection: 'documents',
+                    id,
+                    data: {
+                        ...fields,
+                        orgId,
+                        schemaVersion: SCHEMA_VERSION,
+                        createdAt: backend.serverTimestamp(),
+                        createdBy: actor.email || 'unknown',
+                    },
+                },
+                auditWrite({
+                    orgId,
+                    actor,
+                    action: AUDIT_ACTIONS.CREATE,
+                    entity: AUDIT_ENTITIES.DOCUMENT,
+                    entityId: id,
+                    entityLabel: fields.documentName,
+                    after: fields,
+                }),
+            ]);
+
+            return id;
+        },
+
+        /**
+         * Move a document to the trash; see clinics.remove
+         * @throws {ConflictError} - When someone else deleted it first
+         */
+        remove: async (record, actor) => {
+            const current = await backend.get('documents', record.id);
+            if (!current) {
+                throw new ConflictError('This document was already deleted by someone else.');
+            }
+
+            await backend.commit(trashWrites('documents', current, actor));
+        },
+    };
+
+    const auditLog = {
+        /**
+         * An organization's audit entries in a date range, newest first
+         * @param {string} orgId
+         * @param {Object} range
+         * @param {Date} range.from - Start of the range (inclusive)
+         * @param {Date} range.to - End of the range (exclusive)
+         */
+        list: (orgId, { from, to }) => backend.list('auditLogs', {
+            filters: [
+                ['orgId', '==', orgId],
+                ['createdAt', '>=', backend.timestampFromDate(from)],
+                ['createdAt', '<', backend.timestampFromDate(to)],
+            ],
+            sort: ['createdAt', 'desc'],
+            max: AUDIT_LOG_LIMIT,
+        }),
+
+        /** Follow an organization's newest audit entry, which moves with every change */
+        subscribeLatest: (orgId, onNext, onError) => backend.subscribe('auditLogs', {
+            ...inOrg(orgId),
+            sort: ['createdAt', 'desc'],
+            max: 1,
+        }, onNext, onError),
+    };
+
+    // Records created during a week, counted on the server
+    const createdDuring = (collectionName, orgId, week, ...filters) => backend.count(collectionName, inOrg(
+        orgId,
+        ...filters,
+        ['createdAt', '>=', backend.timestampFromDate(week.start)],
+        ['createdAt', '<', backend.timestampFromDate(week.end)]
+    ));
+
+    // Approvals are status changes to approved in the audit log, which is append
+    // only: one a bulk undo reverted later still counts in its week
+    const countWeek = async (orgId, week, { approvals }) => {
+        const [newUsers, approved, documentsCreated, clinicsAdded] = await Promise.all([
+            createdDuring('users', orgId, week),
+            approvals
+                ? createdDuring('auditLogs', orgId, week,
+                    ['action', '==', AUDIT_ACTIONS.STATUS_CHANGE],
+                    ['after.status', '==', 'approved'])
+                : null,
+            createdDuring('documents', orgId, week),
+            createdDuring('clinics', orgId, week),
+        ]);
+        return { newUsers, approvals: approved, documentsCreated, clinicsAdded };
+    };
+
+    const stats = {
+        /**
+         * An organization's current totals
+         * @returns {Promise<{ totalUsers: number, pendingApprovals: number, rejectedUsers: number, totalDocuments: number }>}
+         */
+        totals: async (orgId) => {
+            const [userCounts, totalDocuments] = await Promise.all([
+                users.countByStatus(orgId),
+                backend.count('documents', inOrg(orgId)),
+            ]);
+            return {
+                totalUsers: userCounts.total,
+                pendingApprovals: userCounts.pending,
+                rejectedUsers: userCounts.rejected,
+                totalDocuments,
+            };
+        },
+
+        /**
+         * Activity per week for the last STAT_WEEKS weeks, oldest first. Finished
+         * weeks come from their snapshot when there is one; the rest are counted.
+         * Approvals include ones undone later.
+         * @param {string} orgId
+         * @param {Object} [options]
+         * @param {Date} [options.now]
+         * @param {boolean} [options.approvals=false] - Count approvals, which needs audit log access
+         * @param {boolean} [options.record=false] - Save snapshots of finished weeks that have none
+         * @param {Object} [options.totals] - Current totals, saved with the week that just finished
+         * @returns {Promise<Array<Object>>} - Weeks (see recentWeeks) with WEEKLY_METRICS and
+         *   the totals at their close when known
+         */
+        weekly: async (orgId, { now = new Date(), approvals = false, record = false, totals = null } = {}) => {
+            const weeks = recentWeeks(now);
+            const snapshots = await backend.list('statSnapshots', inOrg(
+                orgId,
+                ['weekStart', '>=', backend.timestampFromDate(weeks[0].start)]
+            ));
+            const byKey = new Map(snapshots.map(snapshot => [snapshot.weekKey, snapshot]));
+
+            const fromSnapshot = (week, snapshot) => ({
+                ...week,
+                ...Object.fromEntries(WEEKLY_METRICS.map(metric => [metric, snapshot[metric] ?? null])),
+                totals: snapshot.totals || null,
+                recorded: true,
+            });
+
+            const results = await Promise.all(weeks.map(async (week) => {
+                const snapshot = byKey.get(week.key);
+                if (snapshot) return fromSnapshot(week, snapshot);
+                return { ...week, ...(await countWeek(orgId, week, { approvals })), totals: null, recorded: false };
+            }));
+
+            if (!record) return results;
+
+            // Totals are only known now, so they go with the week that just finished
+            const justFinished = results[results.length - 2];
+            return Promise.all(results.map(async (week) => {
+                if (week.current || week.recorded) return week;
+
+                const id = `${orgId}_${week.key}`;
+                const weekTotals = week === justFinished ? totals : null;
+                try {
+                    await backend.commit([{
+                        type: 'set',
+                        collection: 'statSnapshots',
+                        id,
+                        data: {
+                            orgId,
+                            weekKey: week.key,
+                            weekStart: backend.timestampFromDate(week.start),
+                            ...Object.fromEntries(WEEKLY_METRICS.map(metric => [metric, week[metric]])),
+                            totals: weekTotals,
+                            createdAt: backend.serverTimestamp(),
+                        },
+                    }]);
+                    return { ...week, totals: weekTotals, recorded: true };
+                } catch (error) {
+                    // Someone else saved the week first, and the rules never let a
+                    // snapshot change: show theirs
+                    const saved = error.code === 'permission-denied' ? await backend.get('statSnapshots', id) : null;
+                    if (!saved) throw error;
+                    return fromSnapshot(week, saved);
+                }
+            }));
+        },
+    };
+
+    const trash = {
+        /** Follow an organization's trash, most recently deleted first */
+        subscribe: (orgId, onNext, onError) =>
+            backend.subscribe('trash', { ...inOrg(orgId), sort: ['deletedAt', 'desc'] }, onNext, onError),
+
+        /**
+         * Put a trashed record back where it was, under its old id
+         * @param {Object} entry - Trash entry
+         * @param {Object} actor - The signed-in account ({ uid, email })
+         * @throws {ConflictError} - When it was restored or purged meanwhile, or
+         *   another user has the email of the user it holds
+         */
+        restore: async (entry, actor) => {
+            const current = await backend.get('trash', entry.id);
+            if (!current) {
+                throw new ConflictError('This record is no longer in the trash.');
+            }
+
+            // A user takes their email back, unless someone else has it now
+            const claimWrites = [];
+            if (current.collection === 'users') {
+                let claim;
+                try {
+                    claim = await checkEmailFree(current.orgId, current.record.email, current.recordId);
+                } catch (error) {
+                    if (!(error instanceof ValidationError)) throw error;
+                    throw new ConflictError('Another user has this email now. Change or delete theirs to restore this one.');
+                }
+                if (!claim) claimWrites.push(emailClaimWrite(current.orgId, current.record.email, current.recordId));
+            }
+
+            await backend.commit([
+                { type: 'set', collection: current.collection, id: current.recordId, data: current.record },
+                ...claimWrites,
+                { type: 'delete', collection: 'trash', id: current.id },
+                auditWrite({
+                    orgId: current.orgId,
+                    actor,
+                    action: AUDIT_ACTIONS.RESTORE,
+                    entity: TRASH_COLLECTIONS[current.collection],
+                    entityId: current.recordId,
+                    entityLabel: current.label,
+                    after: current.record,
+                }),
+            ]);
+        },
+
+        /**
+         * Delete trash entries for good
+         * @param {Array<Object>} entries - Trash entries
+         * @param {Object} actor - The signed-in account ({ uid, email })
+         */
+        purge: async (entries, actor) => {
+            const perCommit = Math.floor(backend.maxCommitWrites / 2);
+
+            for (let i = 0; i < entries.length; i += perCommit) {
+                await backend.commit(entries.slice(i, i + perCommit).flatMap(entry => [
+                    { type: 'delete', collection: 'trash', id: entry.id },
+                    auditWrite({
+                        orgId: entry.orgId,
+                        actor,
+                        action: AUDIT_ACTIONS.PURGE,
+                        entity: TRASH_COLLECTIONS[entry.collection],
+                        entityId: entry.recordId,
+                        entityLabel: entry.label,
+                    }),
+                ]));
+            }
+        },
+
+        /**
+         * Purge the entries deleted longer ago than the retention period
+         * @param {string} orgId
+         * @param {number} retentionDays
+         * @param {Object} actor - The signed-in account ({ uid, email })
+         * @param {Date} [now]
+         * @returns {Promise<number>} - How many were purged
+         */
+        purgeExpired: async (orgId, retentionDays, actor, now = new Date()) => {
+            const expired = await backend.list('trash', {
+                ...inOrg(orgId, ['deletedAt', '<', backend.timestampFromDate(purgeCutoff(now, retentionDays))]),
+                sort: ['deletedAt', 'asc'],
+            });
+
+            await trash.purge(expired, actor);
+            return expired.length;
+        },
+    };
+
+    const migrations = {
+        /**
+         * Upgrade an organization's users, clinics and documents to the
+         * current schema version; see runMigrations for the options and result
+         */
+        run: (orgId, options) => runMigrations(backend, orgId, options),
+    };
+
+    return { users, clinics, documents, auditLog, stats, trash, migrations };
+};
@@ -0,0 +1,194 @@
+/**
+ * One schema per record type, shared by the forms, the repositories and
+ * imports. Parsing trims every value, converts it to the type it is stored as
+ * (numbers as numbers, blanks as '' or null) and collects one message per
+ * invalid field, keyed by field name so forms can show it under the input.
+ * firestore.rules repeats these checks for writes that bypass the app; keep
+ * the two in step.
+ */
+
+export class ValidationError extends Error {
+    /**
+     * @param {string} message - Shown to the user
+     * @param {Object<string, string>} [fields] - Problems keyed by field name
+     */
+    constructor(message, fields = {}) {
+        super(message);
+        this.name = 'ValidationError';
+        this.fields = fields;
+    }
+}
+
+export const USER_STATUSES = ['pending', 'approved', 'rejected'];
+export const USER_ROLES = ['admin', 'user'];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const EMAIL_MAX_LENGTH = 254;
+const TEXT_MAX_LENGTH = 200;
+
+const text = (label, { required = false, maxLength = TEXT_MAX_LENGTH } = {}) =>
+    ({ type: 'text', label, required, maxLength });
+
+const email = (label, { required = false } = {}) => ({ type: 'email', label, required });
+
+const choice = (label, values, message) => ({ type: 'choice', label, values, required: true, message });
+
+const number = (label, { integer = false } = {}) => ({ type: 'number', label, integer, min: 0 });
+
+const date = (label) => ({ type: 'date', label });
+
+const list = (label, message) => ({ type: 'list', label, required: true, message });
+
+export const USER_SCHEMA = {
+    username: text('Username', { required: true, maxLength: 100 }),
+    email: email('Email', { required: true }),
+    role: choice('Role', USER_ROLES, 'Select a role.'),
+    status: choice('Status', USER_STATUSES, 'Select a status.'),
+};
+
+export const CLINIC_SCHEMA = {
+    clinicName: text('Clinic name', { required: true }),
+    doctorName: text('Doctor name', { required: true }),
+    clinicMail: email('Clinic email', { required: true }),
+    clinicNumber: text('Clinic number', { maxLength: 50 }),
+    establishmentDate: date('Establishment date'),
+    location: text('Location'),
+    panchakrma: text('Panchakrma'),
+    numberOfPatients: number('No. of patients', { integer: true }),
+    revenue: number('Revenue'),
+};
+
+export const DOCUMENT_SCHEMA = {
+    documentName: text('Document name', { required: true }),
+    assignedUsers: list('Assigned users', 'Please select at least one approved user.'),
+};
+
+export const CLINIC_FIELDS = Object.keys(CLINIC_SCHEMA);
+
+// One approval stage as owners set it up, and a reviewer's note on a pending
+// user (see src/lib/approval.js)
+export const APPROVAL_STAGE_SCHEMA = {
+    name: text('Name', { required: true, maxLength: 100 }),
+    reviewerEmail: email('Reviewer'),
+};
+
+export const REVIEW_SCHEMA = {
+    comment: text('Comment', { maxLength: 1000 }),
+};
+
+/**
+ * The form of an email that users are told apart by: mail servers and sign-in
+ * ignore case, so 'Priya@Example.test ' and 'priya@example.test' are one user
+ * @param {string} email
+ * @returns {string}
+ */
+export const emailKey = (email) => String(email ?? '').trim().toLowerCase();
+
+export const DUPLICATE_EMAIL_MESSAGE = 'A user with this email already exists.';
+
+const isBlank = (value) => !String(value ?? '').trim();
+
+// Spreadsheets hand dates over as Date objects
+const toDateString = (value) => {
+    if (value instanceof Date) {
+        return Number.isNaN(value.getTime()) ? String(value) : value.toISOString().slice(0, 10);
+    }
+    return String(value).trim();
+};
+
+const isRealDate = (value) => {
+    const parsed = new Date(`${value}T00:00:00Z`);
+    return !Number.isNaN(parsed.getTime()) && parsed.toISOString().slice(0, 10) === value;
+};
+
+/**
+ * Convert one value to its stored type
+ * @param {Object} field - From a schema
+ * @param {*} raw - As typed, imported or loaded
+ * @returns {{ value: *, error?: string }}
+ */
+const parseField = (field, raw) => {
+    if (field.type === 'list') {
+        const value = Array.isArray(raw) ? raw : [];
+        return value.length === 0 && field.required ? { value, error: field.message } : { value };
+    }
+
+    if (isBlank(raw)) {
+        const value = field.type === 'number' ? null : '';
+        if (!field.required) return { value };
+        return { value, error: field.message || `${field.label} is required.` };
+    }
+
+    switch (field.type) {
+        case 'email': {
+            const value = String(raw).trim();
+            return EMAIL_PATTERN.test(value) && value.length <= EMAIL_MAX_LENGTH
+                ? { value }
+                : { value, error: 'Enter a valid email address.' };
+        }
+        case 'choice': {
+            const value = String(raw).trim();
+            return field.values.includes(value) ? { value } : { value, error: field.message };
+        }
+        case 'number': {
+            const value = typeof raw === 'number' ? raw : Number(String(raw).trim());
+            if (!Number.isFinite(value) || value < field.min) {
+                return { value: raw, error: 'Enter a number of 0 or more.' };
+            }
+            if (field.integer && !Number.isInteger(value)) {
+                return { value: raw, error: 'Enter a whole number.' };
+            }
+            return { value };
+        }
+        case 'date': {
+            const value = toDateString(raw);
+            return DATE_PATTERN.test(value) && isRealDate(value)
+                ? { value }
+                : { value, error: 'Enter a date as YYYY-MM-DD.' };
+        }
+        default: {
+            const value = String(raw).trim();
+            return value.length <= field.maxLength
+                ? { value }
+                : { value, error: `${field.label} must be ${field.maxLength} characters or fewer.` };
+        }
+    }
+};
+
+/**
+ * Convert a record's fields to their stored types and collect what is wrong
+ * @param {Object} schema - USER_SCHEMA, CLINIC_SCHEMA or DOCUMENT_SCHEMA
+ * @param {Object} data - Form, import or loaded values; fields outside the schema are ignored
+ * @returns {{ values: Object, errors: Object<string, string> }}
+ */
+export const parseRecord = (schema, data) => {
+    const values = {};
+    const errors = {};
+
+    Object.entries(schema).forEach(([name, field]) => {
+        const { value, error } = parseField(field, data?.[name]);
+        values[name] = value;
+        if (error) errors[name] = error;
+    });
+
+    return { values, errors };
+};
+
+/**
+ * Like parseRecord, but throws when anything is wrong
+ * @param {Object} schema
+ * @param {Object} data
+ * @returns {Object} - The converted values
+ * @throws {ValidationError} - With the message of the only problem, or a summary when there are several
+ */
+export const validateRecord = (schema, data) => {
+    const { values, errors } = parseRecord(schema, data);
+    const messages = Object.values(errors);
+
+    if (messages.length === 1) throw new ValidationError(messages[0], errors);
+    if (messages.length > 1) throw new ValidationError('Please correct the highlighted fields.', errors);
+
+    return values;
+};
@@ -0,0 +1,40 @@
+/**
+ * Firestore cannot search inside strings, so each user record keeps the
+ * lowercase prefixes of its username, its words, its email and the email's
+ * domain in `searchTerms`. A search is then one `array-contains` on the typed
+ * text, which combines with the table's other filters and sort.
+ */
+
+// Longer searches are cut to this, and so are the prefixes stored for them
+export const MAX_SEARCH_LENGTH = 40;
+
+/**
+ * The form of typed text that is searched for, e.g. '  Dr  Rao ' → 'dr rao'
+ * @param {string} text
+ * @returns {string} - Empty when there is nothing to search for
+ */
+export const normalizeSearch = (text) =>
+    String(text ?? '').trim().toLowerCase().replace(/\s+/g, ' ').slice(0, MAX_SEARCH_LENGTH);
+
+const prefixes = (value) => {
+    const normalized = normalizeSearch(value);
+    return Array.from({ length: normalized.length }, (_, i) => normalized.slice(0, i + 1));
+};
+
+/**
+ * Everything a user record can be found by
+ * @param {Object} record - With username and email
+ * @returns {Array<string>}
+ */
+export const userSearchTerms = ({ username, email }) => {
+    const name = normalizeSearch(username);
+    const address = normalizeSearch(email);
+    const sources = [
+        name,
+        ...name.split(/[\s._-]+/),
+        address,
+        address.split('@')[1] || '',
+    ];
+
+    return [...new Set(sources.flatMap(prefixes))];
+};
@@ -0,0 +1,83 @@
+import { AUDIT_ACTIONS } from '@/lib/audit';
+
+/**
+ * Writes waiting to reach the server. Firestore keeps commits made without a
+ * connection in its local cache and sends them once it reconnects; the backend
+ * hands those commits here so the app can show what is still unsynced and
+ * report the ones the server turns down (someone else changed or deleted the
+ * record meanwhile, or access was revoked).
+ */
+
+const queued = new Map();
+const listeners = new Set();
+let nextId = 1;
+
+const actionLabels = {
+    [AUDIT_ACTIONS.CREATE]: 'Adding',
+    [AUDIT_ACTIONS.UPDATE]: 'Editing',
+    [AUDIT_ACTIONS.DELETE]: 'Deleting',
+    [AUDIT_ACTIONS.STATUS_CHANGE]: 'Changing the status of',
+    [AUDIT_ACTIONS.IMAGES_CHANGE]: 'Changing the images of',
+    [AUDIT_ACTIONS.RESTORE]: 'Restoring',
+    [AUDIT_ACTIONS.PURGE]: 'Permanently deleting',
+};
+
+/**
+ * Describe a commit by its audit entry, e.g. 'Editing clinic "Main Clinic"'
+ * @param {Array<Object>} writes - Backend writes
+ * @returns {string}
+ */
+export const describeWrites = (writes) => {
+    const audit = writes.find(write => write.collection === 'auditLogs')?.data;
+    if (!audit) return 'A change';
+
+    const action = actionLabels[audit.action] || 'Changing';
+    return audit.entityLabel ? `${action} ${audit.entity} "${audit.entityLabel}"` : `${action} a ${audit.entity}`;
+};
+
+/** Whether the browser reports a network connection */
+export const isOnline = () => typeof navigator === 'undefined' || navigator.onLine !== false;
+
+/**
+ * The current sync state
+ * @returns {{ online: boolean, queued: number }}
+ */
+export const getSyncState = () => ({ online: isOnline(), queued: queued.size });
+
+const emit = (event) => listeners.forEach(listener => listener(event));
+
+/**
+ * Follow the sync state and rejected writes
+ * @param {Function} listener - Called with { type: 'state', state } or
+ *   { type: 'conflict', description, error }
+ * @returns {Function} - Stops listening
+ */
+export const subscribeToSync = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+};
+
+/**
+ * Track a commit that will finish after the caller stopped waiting for it
+ * @param {Promise} commit - Resolves once the server accepted the writes
+ * @param {Array<Object>} writes - The writes in the commit
+ */
+export const trackQueuedCommit = (commit, writes) => {
+    const id = nextId++;
+    const description = describeWrites(writes);
+    queued.set(id, description);
+    emit({ type: 'state', state: getSyncState() });
+
+    commit
+        .catch(error => emit({ type: 'conflict', description, error }))
+        .finally(() => {
+            queued.delete(id);
+            emit({ type: 'state', state: getSyncState() });
+        });
+};
+
+if (typeof window !== 'undefined') {
+    ['online', 'offline'].forEach(event => window.addEventListener(event, () => {
+        emit({ type: 'state', state: getSyncState() });
+    }));
+}
@@ -0,0 +1,54 @@
+import { AUTH_EMULATOR_URL } from '@/lib/firebase';
+
+/**
+ * Local mail stand-in for development.
+ * The Auth emulator never sends real email; it keeps every out-of-band code
+ * (sign-in links, password resets, ...) and exposes them over REST instead.
+ */
+
+const PROJECT_ID = import.meta.env.VITE_FIREBASE_PROJECT_ID;
+
+/**
+ * Get the most recent action link of a type the emulator issued for an email
+ * @param {string} email - The address the link was sent to
+ * @param {string} requestType - EMAIL_SIGNIN, PASSWORD_RESET or VERIFY_EMAIL
+ * @returns {Promise<string|null>} - The link, or null if none was issued
+ */
+const fetchDevActionLink = async (email, requestType) => {
+    const response = await fetch(
+        `${AUTH_EMULATOR_URL}/emulator/v1/projects/${PROJECT_ID}/oobCodes`
+    );
+
+    if (!response.ok) {
+        throw new Error('Auth emulator mailbox is not reachable');
+    }
+
+    const { oobCodes = [] } = await response.json();
+    const normalizedEmail = email.trim().toLowerCase();
+    const links = oobCodes.filter(
+        (code) => code.requestType === requestType && code.email?.toLowerCase() === normalizedEmail
+    );
+
+    return links.length > 0 ? links[links.length - 1].oobLink : null;
+};
+
+/**
+ * Get the most recent sign-in link the emulator issued for an email
+ * @param {string} email - The address the link was sent to
+ * @returns {Promise<string|null>} - The sign-in link, or null if none was issued
+ */
+export const fetchDevSignInLink = (email) => fetchDevActionLink(email, 'EMAIL_SIGNIN');
+
+/**
+ * Get the most recent password reset link the emulator issued for an email
+ * @param {string} email - The address the link was sent to
+ * @returns {Promise<string|null>}
+ */
+export const fetchDevPasswordResetLink = (email) => fetchDevActionLink(email, 'PASSWORD_RESET');
+
+/**
+ * Get the most recent verification link the emulator issued for an email
+ * @param {string} email - The address the link was sent to
+ * @returns {Promise<string|null>}
+ */
+export const fetchDevVerifyEmailLink = (email) => fetchDevActionLink(email, 'VERIFY_EMAIL');
@@ -0,0 +1,253 @@
+/**
+ * Exporting lists of users and clinics as CSV, XLSX or a printable PDF.
+ * A column is { key, label, value(record) }; values may be text, numbers or
+ * Firestore Timestamps, which each format writes in its own way (XLSX keeps
+ * numbers and dates as such, CSV and PDF show dates as YYYY-MM-DD).
+ */
+
+import { CLINIC_SCHEMA, USER_SCHEMA } from '@/lib/data/schema';
+import { BOM, toCsv } from '@/lib/spreadsheet';
+
+export const EXPORT_FORMATS = {
+    csv: 'CSV',
+    xlsx: 'Excel (XLSX)',
+    pdf: 'PDF (print or save)',
+};
+
+// "Everything matching" exports stop here, to keep one download a reasonable size
+export const EXPORT_LIMIT = 5000;
+
+const MIME_TYPES = {
+    csv: 'text/csv;charset=utf-8',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+};
+
+const schemaColumn = (schema, key, options = {}) => ({
+    key,
+    label: schema[key].label,
+    value: record => record[key],
+    ...options,
+});
+
+const timestampColumn = (key, label, options = {}) => ({
+    key,
+    label,
+    value: record => record[key] || null,
+    ...options,
+});
+
+// Columns offered per list; `selected` ones are ticked to begin with
+export const EXPORT_COLUMNS = {
+    users: [
+        schemaColumn(USER_SCHEMA, 'username', { selected: true }),
+        schemaColumn(USER_SCHEMA, 'email', { selected: true }),
+        schemaColumn(USER_SCHEMA, 'role', { selected: true }),
+        schemaColumn(USER_SCHEMA, 'status', { selected: true }),
+        { key: 'rejectionReason', label: 'Rejection reason', value: record => record.rejectionReason || '' },
+        { key: 'createdBy', label: 'Created by', value: record => record.createdBy || '' },
+        timestampColumn('createdAt', 'Created', { selected: true }),
+        { key: 'images', label: 'Images', value: record => (record.images || []).length },
+    ],
+    clinics: [
+        ...Object.keys(CLINIC_SCHEMA).map(key => schemaColumn(CLINIC_SCHEMA, key, {
+            selected: ['clinicName', 'doctorName', 'clinicMail', 'location', 'numberOfPatients', 'revenue'].includes(key),
+        })),
+        { key: 'createdBy', label: 'Created by', value: record => record.createdBy || '' },
+        timestampColumn('createdAt', 'Date added', { selected: true }),
+    ],
+};
+
+const toDate = (value) => (value && typeof value.toDate === 'function' ? value.toDate() : value);
+
+const isDate = (value) => value instanceof Date && !Number.isNaN(value.getTime());
+
+// Dates as the local calendar day, as the app's tables show them
+const dayString = (date) => [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, '0'),
+    String(date.getDate()).padStart(2, '0'),
+].join('-');
+
+const textValue = (value) => {
+    const plain = toDate(value);
+    if (isDate(plain)) return dayString(plain);
+    return plain === null || plain === undefined ? '' : String(plain);
+};
+
+// Spreadsheet apps run cells starting with these as formulas; a leading
+// apostrophe keeps a name like "=cmd" as text
+const formulaSafe = (text) => (/^[=+\-@\t\r]/.test(text) ? `'${text}` : text);
+
+/**
+ * Render rows (header first) as CSV text, with the byte order mark Excel
+ * needs to read it as UTF-8 (₹, Indic names) and text that looks like a
+ * formula kept as text
+ * @param {Array<Array>} rows
+ * @returns {string}
+ */
+export const rowsToCsv = (rows) => BOM + toCsv(
+    rows.map(row => row.map(value => (typeof value === 'string' ? formulaSafe(value) : value)))
+);
+
+/**
+ * Render records as CSV text (see rowsToCsv)
+ * @param {Array<Object>} columns - See EXPORT_COLUMNS
+ * @param {Array<Object>} records
+ * @returns {string}
+ */
+export const recordsToCsv = (columns, records) => rowsToCsv([
+    columns.map(column => column.label),
+    ...records.map(record => columns.map((column) => {
+        const value = toDate(column.value(record));
+        return typeof value === 'number' ? value : textValue(value);
+    })),
+]);
+
+/**
+ * Build an XLSX workbook of records, with numbers and dates typed
+ * @param {Array<Object>} columns
+ * @param {Array<Object>} records
+ * @param {string} sheet - Sheet name
+ * @returns {Promise<Blob>}
+ */
+export const recordsToXlsx = async (columns, records, sheet) => {
+    // Only loaded when someone exports a workbook
+    const { default: writeXlsxFile } = await import('write-excel-file/browser');
+
+    const cell = (raw) => {
+        const value = toDate(raw);
+        if (typeof value === 'number') return { value, type: Number };
+        if (isDate(value)) return { value, type: Date, format: 'yyyy-mm-dd' };
+        return { value: textValue(value), type: String };
+    };
+
+    return writeXlsxFile([
+        columns.map(column => ({ value: column.label, fontWeight: 'bold' })),
+        ...records.map(record => columns.map(column => cell(column.value(record)))),
+    ], {
+        sheet: sheet.slice(0, 31),
+        stickyRowsCount: 1,
+        columns: columns.map(() => ({ width: 20 })),
+    }).toBlob();
+};
+
+const escapeHtml = (text) => text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/**
+ * A standalone HTML page of records as a table, laid out for printing
+ * @param {Array<Object>} columns
+ * @param {Array<Object>} records
+ * @param {string} title
+ * @returns {string}
+ */
+export const recordsToPrintHtml = (columns, records, title) => `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+  @page { size: ${columns.length > 6 ? 'landscape' : 'portrait'}; margin: 12mm; }
+  body { font-family: system-ui, sans-serif; font-size: 10pt; color: #111; }
+  h1 { font-size: 14pt; margin: 0 0 4pt; }
+  p { margin: 0 0 10pt; color: #555; }
+  table { width: 100%; border-collapse: collapse; }
+  th, td { border: 1px solid #ccc; padding: 3pt 5pt; text-align: left; vertical-align: top; word-break: break-word; }
+  th { background: #f3f3f3; }
+  thead { display: table-header-group; }
+  tr { break-inside: avoid; }
+  td.number { text-align: right; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p>${records.length} row(s), exported ${escapeHtml(dayString(new Date()))}</p>
+<table>
+<thead><tr>${columns.map(column => `<th>${escapeHtml(column.label)}</th>`).join('')}</tr></thead>
+<tbody>
+${records.map(record => `<tr>${columns.map((column) => {
+        const value = toDate(column.value(record));
+        return typeof value === 'number'
+            ? `<td class="number">${value.toLocaleString('en-IN')}</td>`
+            : `<td>${escapeHtml(textValue(value))}</td>`;
+    }).join('')}</tr>`).join('\n')}
+</tbody>
+</table>
+</body>
+</html>`;
+
+/**
+ * Save a blob under a file name through the browser's downloads
+ * @param {Blob} blob
+ * @param {string} fileName
+ */
+export const downloadBlob = (blob, fileName) => {
+    const link = document.createElement('a');
+    const url = URL.createObjectURL(blob);
+
+    link.setAttribute('href', url);
+    link.setAttribute('download', fileName);
+    link.style.visibility = 'hidden';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+};
+
+/**
+ * Download rows (header first) as a CSV file that Excel opens as UTF-8
+ * @param {Array<Array>} rows
+ * @param {string} fileName - Including .csv
+ */
+export const downloadCsv = (rows, fileName) => {
+    downloadBlob(new Blob([rowsToCsv(rows)], { type: MIME_TYPES.csv }), fileName);
+};
+
+// Print from a hidden frame, so pop-up blockers do not get in the way; the
+// browser's print dialog saves it as a PDF, with every script it can display
+const printHtml = (html) => new Promise((resolve) => {
+    const frame = document.createElement('iframe');
+    frame.style.position = 'fixed';
+    frame.style.width = '0';
+    frame.style.height = '0';
+    frame.style.border = '0';
+    document.body.appendChild(frame);
+
+    frame.onload = () => {
+        frame.contentWindow.focus();
+        frame.contentWindow.print();
+        // print() returns once the dialog closes; give it a moment in browsers where it does not block
+        setTimeout(() => {
+            document.body.removeChild(frame);
+            resolve();
+        }, 1000);
+    };
+    frame.srcdoc = html;
+});
+
+/**
+ * Export records in a format: download a CSV or XLSX file, or open the print
+ * dialog for a PDF
+ * @param {Object} options
+ * @param {string} options.format - A key of EXPORT_FORMATS
+ * @param {Array<Object>} options.columns - See EXPORT_COLUMNS
+ * @param {Array<Object>} options.records
+ * @param {string} options.fileName - Without extension
+ * @param {string} options.title - Sheet name and printed heading
+ * @returns {Promise<void>}
+ */
+export const exportRecords = async ({ format, columns, records, fileName, title }) => {
+    if (format === 'csv') {
+        downloadBlob(new Blob([recordsToCsv(columns, records)], { type: MIME_TYPES.csv }), `${fileName}.csv`);
+    } else if (format === 'xlsx') {
+        const blob = await recordsToXlsx(columns, records, title);
+        downloadBlob(new Blob([blob], { type: MIME_TYPES.xlsx }), `${fileName}.xlsx`);
+    } else if (format === 'pdf') {
+        await printHtml(recordsToPrintHtml(columns, records, title));
+    } else {
+        throw new Error(`Unknown export format: ${format}`);
+    }
+};
@@ -1,6 +1,14 @@
 import { initializeApp } from "firebase/app";
-import { getAuth, GoogleAuthProvider } from "firebase/auth";
-import { getFirestore } from "firebase/firestore";
+import { getAuth, GoogleAuthProvider, connectAuthEmulator } from "firebase/auth";
+import {
+    getFirestore,
+    initializeFirestore,
+    persistentLocalCache,
+    persistentMultipleTabManager,
+    memoryLocalCache,
+    clearIndexedDbPersistence,
+    connectFirestoreEmulator,
+} from "firebase/firestore";
 import { getStorage } from "firebase/storage";
 
 const firebaseConfig = {
@@ -13,7 +21,56 @@ const firebaseConfig = {
 
 const app = initializeApp(firebaseConfig);
 
+// The user portal runs as a separate Firebase app so a portal session never
+// shares (or overwrites) the persisted admin session in the same browser.
+const portalApp = initializeApp(firebaseConfig, "portal");
+
+// Set on devices whose admins chose to keep data on disk for offline work
+const OFFLINE_CACHE_KEY = "offlineCache";
+
+/** Whether this device keeps admin data in IndexedDB between sessions */
+export const isOfflineCacheEnabled = () => window.localStorage.getItem(OFFLINE_CACHE_KEY) === "on";
+
+/**
+ * Keep admin data on this device for offline work, or stop. Reloads the page,
+ * since the cache is picked when Firestore starts.
+ * @param {boolean} enabled
+ */
+export const setOfflineCacheEnabled = (enabled) => {
+    if (enabled) window.localStorage.setItem(OFFLINE_CACHE_KEY, "on");
+    else window.localStorage.removeItem(OFFLINE_CACHE_KEY);
+    window.location.reload();
+};
+
 export const auth = getAuth(app);
-export const db = getFirestore(app);
+// Clinic staff often work on poor connections: on trusted devices admin data is
+// cached in IndexedDB (shared by every open tab), so pages keep working offline
+// and writes queue until the connection returns. Front-desk computers are often
+// shared, so everywhere else the cache lives in memory and ends with the page.
+export const db = initializeFirestore(app, {
+    localCache: isOfflineCacheEnabled()
+        ? persistentLocalCache({ tabManager: persistentMultipleTabManager() })
+        : memoryLocalCache(),
+});
+if (!isOfflineCacheEnabled()) {
+    // Remove what was cached before the device stopped keeping data, or before
+    // keeping it became a choice. Runs before anything reads through db.
+    clearIndexedDbPersistence(db).catch(error => console.error("Error clearing the offline cache:", error));
+}
 export const storage = getStorage(app);
 export const googleProvider = new GoogleAuthProvider();
+
+export const portalAuth = getAuth(portalApp);
+// Portal users are often on shared devices, so nothing of theirs is kept on disk
+export const portalDb = getFirestore(portalApp);
+
+// Local development against `npm run emulators`
+export const useEmulators = import.meta.env.VITE_USE_FIREBASE_EMULATORS === "true";
+export const AUTH_EMULATOR_URL = "http://127.0.0.1:9099";
+
+if (useEmulators) {
+    connectAuthEmulator(auth, AUTH_EMULATOR_URL, { disableWarnings: true });
+    connectAuthEmulator(portalAuth, AUTH_EMULATOR_URL, { disableWarnings: true });
+    connectFirestoreEmulator(db, "127.0.0.1", 8080);
+    connectFirestoreEmulator(portalDb, "127.0.0.1", 8080);
+}
@@ -0,0 +1,145 @@
+import {
+    collection,
+    doc,
+    getDoc,
+    getDocs,
+    query,
+    setDoc,
+    updateDoc,
+    where,
+    serverTimestamp,
+    increment,
+    Timestamp,
+} from 'firebase/firestore';
+import { sendSignInLinkToEmail } from 'firebase/auth';
+import { auth, db } from '@/lib/firebase';
+
+/**
+ * Admin invitations.
+ * An invite's document id is its token: it is random, only ever sent to the
+ * invited address, and is all Signup needs to look the invite up.
+ */
+
+export const INVITE_STATUS = {
+    PENDING: 'pending',
+    ACCEPTED: 'accepted',
+    REVOKED: 'revoked',
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const expiryFromNow = (days) => Timestamp.fromMillis(Date.now() + days * DAY_MS);
+
+/**
+ * Email the invite link. Firebase's email-link sign-in delivers it, so the
+ * invitee proves they own the address by opening it (and the Auth emulator's
+ * mailbox picks it up in development).
+ * @param {string} inviteId - The invite token
+ * @param {string} email - The invited address
+ */
+const sendInviteEmail = async (inviteId, email) => {
+    await sendSignInLinkToEmail(auth, email, {
+        url: `${window.location.origin}/signup?invite=${inviteId}`,
+        handleCodeInApp: true,
+    });
+};
+
+/**
+ * Read the invite token from a Signup URL.
+ * The emailed link may nest the original URL in a `continueUrl` parameter.
+ * @param {string} href - The current page URL
+ * @returns {string|null}
+ */
+export const getInviteIdFromUrl = (href) => {
+    const params = new URL(href).searchParams;
+    if (params.get('invite')) return params.get('invite');
+
+    const continueUrl = params.get('continueUrl');
+    return continueUrl ? new URL(continueUrl).searchParams.get('invite') : null;
+};
+
+/**
+ * Whether an invite can still be accepted
+ * @param {Object} invite - Invite document data
+ * @returns {boolean}
+ */
+export const isInviteOpen = (invite) => {
+    return invite?.status === INVITE_STATUS.PENDING && invite.expiresAt?.toMillis() > Date.now();
+};
+
+/**
+ * Create an invite and email it
+ * @param {Object} params
+ * @param {Object} params.org - The organization ({ id, name })
+ * @param {string} params.email - Address to invite
+ * @param {string} params.role - Role the invitee gets on accepting
+ * @param {number} params.expiresInDays - How long the invite stays valid
+ * @param {string} params.invitedBy - Email of the inviting admin
+ * @returns {Promise<string>} - The invite id
+ */
+export const createInvite = async ({ org, email, role, expiresInDays, invitedBy }) => {
+    const inviteRef = doc(collection(db, 'invites'));
+    const normalizedEmail = email.trim().toLowerCase();
+
+    await setDoc(inviteRef, {
+        orgId: org.id,
+        orgName: org.name,
+        email: normalizedEmail,
+        role,
+        status: INVITE_STATUS.PENDING,
+        expiresInDays,
+        expiresAt: expiryFromNow(expiresInDays),
+        invitedBy,
+        createdAt: serverTimestamp(),
+        sentAt: serverTimestamp(),
+        sendCount: 1,
+    });
+    await sendInviteEmail(inviteRef.id, normalizedEmail);
+
+    return inviteRef.id;
+};
+
+/**
+ * Email a pending invite again and restart its expiry
+ * @param {Object} invite - Invite with id
+ */
+export const resendInvite = async (invite) => {
+    await updateDoc(doc(db, 'invites', invite.id), {
+        expiresAt: expiryFromNow(invite.expiresInDays),
+        sentAt: serverTimestamp(),
+        sendCount: increment(1),
+    });
+    await sendInviteEmail(invite.id, invite.email);
+};
+
+/**
+ * Revoke a pending invite so its link stops working
+ * @param {string} inviteId - The invite token
+ */
+export const revokeInvite = async (inviteId) => {
+    await updateDoc(doc(db, 'invites', inviteId), {
+        status: INVITE_STATUS.REVOKED,
+    });
+};
+
+/**
+ * List an organization's invites, newest first
+ * @param {string} orgId - The organization id
+ * @returns {Promise<Array>}
+ */
+export const fetchInvites = async (orgId) => {
+    const snapshot = await getDocs(query(collection(db, 'invites'), where('orgId', '==', orgId)));
+    return snapshot.docs
+        .map(inviteDoc => ({ id: inviteDoc.id, ...inviteDoc.data() }))
+        .sort((a, b) => (b.createdAt?.toMillis() || 0) - (a.createdAt?.toMillis() || 0));
+};
+
+/**
+ * Look up an invite by token
+ * @param {string} inviteId - The invite token
+ * @returns {Promise<Object|null>}
+ */
+export const getInvite = async (inviteId) => {
+    const snapshot = await getDoc(doc(db, 'invites', inviteId));
+    return snapshot.exists() ? { id: snapshot.id, ...snapshot.data() } : null;
+};
@@ -0,0 +1,18 @@
+/**
+ * An organization as the admin app sees it (see useOrg): its name and the
+ * settings its owners chose, with the signed-in account's role in it
+ * @param {string} orgId
+ * @param {Object|undefined} data - The organization document's data
+ * @param {string} role - From the account's membership
+ * @returns {{ id: string, name: string, requireTwoFactor: boolean, idleTimeoutMinutes: number|null,
+ *   trashRetentionDays: number|null, approvalStages: Array<Object>, role: string }}
+ */
+export const toOrganization = (orgId, data, role) => ({
+    id: orgId,
+    name: data?.name || 'Organization',
+    requireTwoFactor: data?.requireTwoFactor === true,
+    idleTimeoutMinutes: data?.idleTimeoutMinutes || null,
+    trashRetentionDays: data?.trashRetentionDays || null,
+    approvalStages: data?.approvalStages || [],
+    role,
+});
@@ -0,0 +1,76 @@
+/**
+ * Role-based permissions for the admin app.
+ * Pages, routes and action buttons check capabilities, never roles directly,
+ * so a role's reach is changed here in one place.
+ */
+
+export const ROLES = {
+    OWNER: 'owner',
+    ADMIN: 'admin',
+    // Read-only staff
+    VIEWER: 'viewer',
+    // Patients. They use the portal, and a membership with this role grants nothing.
+    USER: 'user',
+};
+
+export const CAPABILITIES = {
+    VIEW_DASHBOARD: 'dashboard:view',
+    VIEW_USERS: 'users:view',
+    CREATE_USERS: 'users:create',
+    // Change a user's username, email and role
+    EDIT_USERS: 'users:edit',
+    APPROVE_USERS: 'users:approve',
+    DELETE_USERS: 'users:delete',
+    VIEW_CLINICS: 'clinics:view',
+    MANAGE_CLINICS: 'clinics:manage',
+    DELETE_CLINICS: 'clinics:delete',
+    VIEW_DOCUMENTS: 'documents:view',
+    MANAGE_DOCUMENTS: 'documents:manage',
+    DELETE_DOCUMENTS: 'documents:delete',
+    MANAGE_TEAM: 'team:manage',
+    MANAGE_SECURITY: 'security:manage',
+    // Set up the stages pending users pass through to be approved
+    MANAGE_APPROVAL_STAGES: 'approval:configure',
+    VIEW_AUDIT_LOG: 'audit:view',
+    // Restore or purge deleted users, clinics and documents
+    MANAGE_TRASH: 'trash:manage',
+    // Upgrade stored records to the current schema version
+    RUN_MIGRATIONS: 'data:migrate',
+};
+
+const READ_ONLY = [
+    CAPABILITIES.VIEW_DASHBOARD,
+    CAPABILITIES.VIEW_USERS,
+    CAPABILITIES.VIEW_CLINICS,
+    CAPABILITIES.VIEW_DOCUMENTS,
+];
+
+const ROLE_CAPABILITIES = {
+    [ROLES.OWNER]: Object.values(CAPABILITIES),
+    [ROLES.ADMIN]: [
+        ...READ_ONLY,
+        CAPABILITIES.CREATE_USERS,
+        CAPABILITIES.EDIT_USERS,
+        CAPABILITIES.APPROVE_USERS,
+        CAPABILITIES.DELETE_USERS,
+        CAPABILITIES.MANAGE_CLINICS,
+        CAPABILITIES.DELETE_CLINICS,
+        CAPABILITIES.MANAGE_DOCUMENTS,
+        CAPABILITIES.DELETE_DOCUMENTS,
+        CAPABILITIES.MANAGE_TEAM,
+        CAPABILITIES.VIEW_AUDIT_LOG,
+        CAPABILITIES.MANAGE_TRASH,
+    ],
+    [ROLES.VIEWER]: READ_ONLY,
+    [ROLES.USER]: [],
+};
+
+/**
+ * Check whether a role grants a capability
+ * @param {string|null} role - One of ROLES, or null for accounts without access
+ * @param {string} capability - One of CAPABILITIES
+ * @returns {boolean}
+ */
+export const hasCapability = (role, capability) => {
+    return Boolean(role && ROLE_CAPABILITIES[role]?.includes(capability));
+};
@@ -0,0 +1,81 @@
+/**
+ * Session lifetime shared by every open tab.
+ * Tabs report activity to localStorage, so a session only goes idle once no
+ * tab has been used for the timeout, and sign-outs are broadcast so every tab
+ * of the same session ends together.
+ */
+
+export const SESSION_SCOPES = {
+    ADMIN: 'admin',
+    PORTAL: 'portal',
+};
+
+const minutesFromEnv = (value, fallback) => {
+    const minutes = Number(value);
+    return Number.isFinite(minutes) && minutes > 0 ? minutes : fallback;
+};
+
+// Defaults; organizations can shorten or lengthen the admin timeout on the Team page
+export const IDLE_TIMEOUT_MINUTES = {
+    [SESSION_SCOPES.ADMIN]: minutesFromEnv(import.meta.env.VITE_ADMIN_IDLE_MINUTES, 30),
+    [SESSION_SCOPES.PORTAL]: minutesFromEnv(import.meta.env.VITE_PORTAL_IDLE_MINUTES, 10),
+};
+
+// How long the "still there?" dialog shows before signing out
+export const IDLE_WARNING_SECONDS = 60;
+
+const CHANNEL_NAME = 'procohat-session';
+const activityKey = (scope) => `lastActivityAt:${scope}`;
+
+/**
+ * Record that the user did something in this tab
+ * @param {string} scope - One of SESSION_SCOPES
+ */
+export const recordActivity = (scope) => {
+    window.localStorage.setItem(activityKey(scope), String(Date.now()));
+};
+
+/**
+ * When any tab last saw activity. Survives browser restarts, so a session
+ * persisted by Firebase still times out if it was left idle.
+ * @param {string} scope - One of SESSION_SCOPES
+ * @returns {number|null} - Epoch ms, or null when nothing was recorded since sign-in
+ */
+export const getLastActivity = (scope) => {
+    return Number(window.localStorage.getItem(activityKey(scope))) || null;
+};
+
+export const clearActivity = (scope) => {
+    window.localStorage.removeItem(activityKey(scope));
+};
+
+/**
+ * Tell the other tabs this session signed out
+ * @param {string} scope - One of SESSION_SCOPES
+ */
+export const broadcastSignOut = (scope) => {
+    if (typeof BroadcastChannel === 'undefined') return;
+
+    const channel = new BroadcastChannel(CHANNEL_NAME);
+    channel.postMessage({ type: 'signOut', scope });
+    channel.close();
+};
+
+/**
+ * Run a callback when another tab signs this session out
+ * @param {string} scope - One of SESSION_SCOPES
+ * @param {Function} callback
+ * @returns {Function} - Unsubscribe
+ */
+export const onSignOutBroadcast = (scope, callback) => {
+    if (typeof BroadcastChannel === 'undefined') return () => {};
+
+    const channel = new BroadcastChannel(CHANNEL_NAME);
+    channel.onmessage = (event) => {
+        if (event.data?.type === 'signOut' && event.data.scope === scope) {
+            callback();
+        }
+    };
+
+    return () => channel.close();
+};
@@ -0,0 +1,95 @@
+/**
+ * Reading and writing the spreadsheets users import and export: CSV both ways,
+ * and XLSX for reading. Rows are arrays of cell values, header row included.
+ */
+
+import { ValidationError } from '@/lib/data/schema';
+
+// Excel marks UTF-8 CSV files with a byte order mark, and only reads them as UTF-8 with one
+export const BOM = '\uFEFF';
+
+const csvCell = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Render rows as CSV
+ * @param {Array<Array>} rows
+ * @returns {string}
+ */
+export const toCsv = (rows) => rows.map(row => row.map(csvCell).join(',')).join('\n');
+
+/**
+ * Split CSV text into rows of strings. Quoted cells may hold commas, quotes
+ * ("") and line breaks; blank lines are skipped.
+ * @param {string} text
+ * @returns {Array<Array<string>>}
+ */
+export const parseCsv = (text) => {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    const endRow = () => {
+        row.push(cell);
+        if (row.some(value => value.trim() !== '')) rows.push(row);
+        row = [];
+        cell = '';
+    };
+
+    const source = text.startsWith(BOM) ? text.slice(1) : text;
+    for (let i = 0; i < source.length; i += 1) {
+        const char = source[i];
+
+        if (quoted) {
+            if (char === '"' && source[i + 1] === '"') {
+                cell += '"';
+                i += 1;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[i + 1] === '\n') i += 1;
+            endRow();
+        } else {
+            cell += char;
+        }
+    }
+    endRow();
+
+    return rows;
+};
+
+/**
+ * Read the first sheet of a .csv or .xlsx file. XLSX cells keep their types
+ * (numbers, booleans, dates as Date); empty cells are ''.
+ * @param {File} file
+ * @returns {Promise<Array<Array>>}
+ * @throws {ValidationError} - For other file types
+ */
+export const readSpreadsheet = async (file) => {
+    const name = file.name.toLowerCase();
+
+    if (name.endsWith('.csv')) {
+        return parseCsv(await file.text());
+    }
+    if (name.endsWith('.xlsx')) {
+        // Only loaded when someone imports a workbook
+        const { readSheet } = await import('read-excel-file/browser');
+        const rows = await readSheet(file);
+        return rows
+            .map(row => row.map(value => value ?? ''))
+            .filter(row => row.some(value => String(value).trim() !== ''));
+    }
+
+    throw new ValidationError('Choose a .csv or .xlsx file.');
+};
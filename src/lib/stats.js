@@ -0,0 +1,63 @@
+/**
+ * Weekly Dashboard statistics. Weeks run Monday to Monday in UTC so every
+ * admin of an organization sees the same boundaries. Finished weeks are kept
+ * as snapshots in `statSnapshots`, so records deleted later do not rewrite
+ * history; the current week is always counted live.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+export const WEEK_MS = 7 * DAY_MS;
+
+// How many weeks the Dashboard trends show, the current one included
+export const STAT_WEEKS = 8;
+
+// What each week records as activity
+export const WEEKLY_METRICS = ['newUsers', 'approvals', 'documentsCreated', 'clinicsAdded'];
+
+/**
+ * Start of the week a moment falls in (Monday 00:00 UTC)
+ * @param {Date} date
+ * @returns {Date}
+ */
+export const weekStart = (date) => {
+    const day = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+    const sinceMonday = (day.getUTCDay() + 6) % 7;
+    return new Date(day.getTime() - sinceMonday * DAY_MS);
+};
+
+/** Snapshot key of a week, its Monday as yyyy-mm-dd */
+export const weekKey = (start) => start.toISOString().slice(0, 10);
+
+/**
+ * The last few weeks up to and including the current one, oldest first
+ * @param {Date} now
+ * @param {number} [count=STAT_WEEKS]
+ * @returns {Array<{ key: string, start: Date, end: Date, current: boolean }>}
+ */
+export const recentWeeks = (now, count = STAT_WEEKS) => {
+    const current = weekStart(now);
+
+    return Array.from({ length: count }, (_, i) => {
+        const start = new Date(current.getTime() - (count - 1 - i) * WEEK_MS);
+        return {
+            key: weekKey(start),
+            start,
+            end: new Date(start.getTime() + WEEK_MS),
+            current: i === count - 1,
+        };
+    });
+};
+
+/**
+ * Change from a previous value, or null when either is unknown
+ * @param {number|null} current
+ * @param {number|null|undefined} previous
+ * @returns {number|null}
+ */
+export const delta = (current, previous) => {
+    if (typeof current !== 'number' || typeof previous !== 'number') return null;
+    return current - previous;
+};
+
+/** '+3', '-2' or '0' */
+export const formatDelta = (value) => (value > 0 ? `+${value}` : String(value));
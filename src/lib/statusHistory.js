@@ -0,0 +1,36 @@
+import { Timestamp } from 'firebase/firestore';
+
+/**
+ * Status transitions of a user record, kept in its `statusHistory` array.
+ * `status` only holds the current value, so earlier rejection reasons survive
+ * here once the record moves on. The rules only ever let the array grow.
+ */
+
+/**
+ * Build a status transition to add with `arrayUnion`
+ * @param {Object} params
+ * @param {string|null} params.from - Status before, or null for a new record
+ * @param {string} params.to - Status after
+ * @param {string|null} [params.reason] - Why, e.g. the rejection reason
+ * @param {Object} params.actor - The signed-in account ({ uid, email })
+ * @returns {Object}
+ */
+export const statusHistoryEntry = ({ from, to, reason = null, actor }) => ({
+    from: from || null,
+    to,
+    reason: reason || null,
+    actorUid: actor.uid,
+    actorEmail: actor.email,
+    // Server timestamps aren't allowed inside arrays
+    at: Timestamp.now(),
+});
+
+/**
+ * A user record's status transitions, oldest first
+ * @param {Object} record - User record data
+ * @returns {Array}
+ */
+export const getStatusHistory = (record) => {
+    return [...(record?.statusHistory || [])]
+        .sort((a, b) => (a.at?.toMillis() || 0) - (b.at?.toMillis() || 0));
+};
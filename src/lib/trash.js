@@ -0,0 +1,48 @@
+/**
+ * Deleting a user, clinic or document moves it to the `trash` collection
+ * (one entry per record, holding its last saved fields), so every list, count
+ * and statistic stops seeing it without a filter of its own. From the Trash
+ * page it can be restored under the same id or purged for good; entries older
+ * than the organization's retention period are purged automatically.
+ */
+
+import { AUDIT_ENTITIES } from '@/lib/audit';
+
+// Collections that delete into the trash, with the entity their audit entries use
+export const TRASH_COLLECTIONS = {
+    users: AUDIT_ENTITIES.USER,
+    clinics: AUDIT_ENTITIES.CLINIC,
+    documents: AUDIT_ENTITIES.DOCUMENT,
+};
+
+// The field that names a record of each collection
+export const TRASH_LABEL_FIELDS = {
+    users: 'username',
+    clinics: 'clinicName',
+    documents: 'documentName',
+};
+
+export const DEFAULT_TRASH_RETENTION_DAYS = 30;
+export const TRASH_RETENTION_OPTIONS = [7, 14, 30, 90, 365];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Trash entry id for a record; one entry per record, so deleting twice cannot duplicate it */
+export const trashEntryId = (collection, id) => `${collection}_${id}`;
+
+/**
+ * Entries deleted before this moment are due for purging
+ * @param {Date} now
+ * @param {number} retentionDays
+ * @returns {Date}
+ */
+export const purgeCutoff = (now, retentionDays) => new Date(now.getTime() - retentionDays * DAY_MS);
+
+/**
+ * When an entry will be purged automatically
+ * @param {Object} entry - Trash entry (with deletedAt)
+ * @param {number} retentionDays
+ * @returns {Date|null} - Null while its deletion has not reached the server
+ */
+export const purgeDate = (entry, retentionDays) =>
+    entry.deletedAt ? new Date(entry.deletedAt.toMillis() + retentionDays * DAY_MS) : null;
@@ -0,0 +1,116 @@
+/**
+ * Importing users from a spreadsheet: match its columns to user fields, check
+ * every row against USER_SCHEMA and for emails that repeat (in the file or in
+ * the organization), and report the rows that were turned away. The
+ * repositories write the rows that pass (see users.importMany).
+ */
+
+import { DUPLICATE_EMAIL_MESSAGE, USER_SCHEMA, emailKey, parseRecord } from '@/lib/data/schema';
+
+export const IMPORT_FIELDS = ['username', 'email', 'role', 'status'];
+
+// Columns that are not mapped take these; username and email must be mapped
+export const IMPORT_DEFAULTS = { role: 'user', status: 'pending' };
+
+// One import stays a size the preview and the batched writes handle well
+export const MAX_IMPORT_ROWS = 2000;
+
+// Header spellings recognized for each field, compared without case, spaces or punctuation
+const HEADER_ALIASES = {
+    username: ['username', 'user', 'name', 'fullname', 'patient', 'patientname'],
+    email: ['email', 'emailaddress', 'mail'],
+    role: ['role', 'type'],
+    status: ['status', 'state'],
+};
+
+const headerKey = (header) => String(header ?? '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Guess which column holds each field from the header row
+ * @param {Array} headers - The file's first row
+ * @returns {Object<string, number|null>} - Column index per IMPORT_FIELDS entry, null when none matched
+ */
+export const guessMapping = (headers) => {
+    const keys = headers.map(headerKey);
+    return Object.fromEntries(IMPORT_FIELDS.map((field) => {
+        const index = keys.findIndex(key => HEADER_ALIASES[field].includes(key));
+        return [field, index === -1 ? null : index];
+    }));
+};
+
+/**
+ * The mapping's own problems, keyed by field
+ * @param {Object<string, number|null>} mapping
+ * @returns {Object<string, string>}
+ */
+export const mappingErrors = (mapping) => {
+    const errors = {};
+    ['username', 'email'].forEach((field) => {
+        if (mapping[field] === null || mapping[field] === undefined) {
+            errors[field] = `Choose the column with the ${USER_SCHEMA[field].label.toLowerCase()}.`;
+        }
+    });
+
+    const used = IMPORT_FIELDS.filter(field => mapping[field] !== null && mapping[field] !== undefined);
+    used.forEach((field) => {
+        if (used.some(other => other !== field && mapping[other] === mapping[field])) {
+            errors[field] = 'Each column can only fill one field.';
+        }
+    });
+
+    return errors;
+};
+
+/**
+ * Check each data row as it would be saved
+ * @param {Array<Array>} rows - Data rows, without the header row
+ * @param {Object<string, number|null>} mapping - See guessMapping
+ * @param {Set<string>} existingEmails - emailKey of every email the organization has already
+ * @returns {Array<{ line: number, data: Object, values: Object, errors: Object<string, string> }>} -
+ *   line numbers the rows as the file does, the header being row 1 (blank rows
+ *   are not counted); data holds the cells as read, values as they would be stored
+ */
+export const checkImportRows = (rows, mapping, existingEmails) => {
+    const firstLine = new Map();
+
+    return rows.map((cells, i) => {
+        const line = i + 2;
+        const data = Object.fromEntries(IMPORT_FIELDS.map(field => [
+            field,
+            mapping[field] === null || mapping[field] === undefined ? IMPORT_DEFAULTS[field] ?? '' : cells[mapping[field]] ?? '',
+        ]));
+        // Role and status may be typed in any case, e.g. 'Approved'
+        const { values, errors } = parseRecord(USER_SCHEMA, {
+            ...data,
+            role: String(data.role).trim().toLowerCase(),
+            status: String(data.status).trim().toLowerCase(),
+        });
+
+        const key = emailKey(values.email);
+        if (!errors.email && existingEmails.has(key)) {
+            errors.email = DUPLICATE_EMAIL_MESSAGE;
+        } else if (!errors.email && firstLine.has(key)) {
+            errors.email = `This email is already on row ${firstLine.get(key)}.`;
+        }
+        if (!errors.email && !firstLine.has(key)) firstLine.set(key, line);
+
+        return { line, data, values, errors };
+    });
+};
+
+/**
+ * Rows that were not imported, with why, header first, for downloadCsv
+ * @param {Array<{ line: number, data: Object, errors: Object<string, string> }>} rejected - Errors
+ *   keyed by a field name are labelled with it; others (a failed save, say) are shown as they are
+ * @returns {Array<Array>}
+ */
+export const importReportRows = (rejected) => [
+    ['Row', ...IMPORT_FIELDS.map(field => USER_SCHEMA[field].label), 'Problems'],
+    ...rejected.map(row => [
+        row.line,
+        ...IMPORT_FIELDS.map(field => row.data[field]),
+        Object.entries(row.errors)
+            .map(([field, message]) => (USER_SCHEMA[field] ? `${USER_SCHEMA[field].label}: ${message}` : message))
+            .join('; '),
+    ]),
+];
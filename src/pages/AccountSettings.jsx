@@ -0,0 +1,478 @@
+import { useState, useEffect } from 'react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Checkbox } from '@/components/ui/checkbox';
+import { Avatar, AvatarFallback, AvatarImage } from '@/components/ui/avatar';
+import { useToast } from '@/hooks/use-toast';
+import { useAuth, hasProvider } from '@/context/AuthContext';
+import { useOrg } from '@/context/OrgContext';
+import { SecondFactorPrompt } from '@/components/SecondFactorPrompt';
+import { TwoFactorSetup } from '@/components/TwoFactorSetup';
+import { useEmulators, isOfflineCacheEnabled, setOfflineCacheEnabled } from '@/lib/firebase';
+import { fetchDevVerifyEmailLink } from '@/lib/devMailbox';
+import { uploadImageToImgBB } from '@/lib/imgbb';
+import { Loader2, Upload, CheckCircle2, AlertCircle, Chrome } from 'lucide-react';
+
+export default function AccountSettings() {
+  const { toast } = useToast();
+  const {
+    user,
+    sendVerificationEmail,
+    updateAccountProfile,
+    changePassword,
+    linkGoogle,
+    unlinkGoogle,
+    secondFactor,
+  } = useAuth();
+  const { organizations } = useOrg();
+
+  const hasPassword = hasProvider(user, 'password');
+  const hasGoogle = hasProvider(user, 'google.com');
+
+  // Profile
+  const [displayName, setDisplayName] = useState(user?.displayName || '');
+  const [photoURL, setPhotoURL] = useState(user?.photoURL || '');
+  const [uploading, setUploading] = useState(false);
+  const [savingProfile, setSavingProfile] = useState(false);
+
+  // Email verification
+  const [sendingVerification, setSendingVerification] = useState(false);
+  const [devVerifyLink, setDevVerifyLink] = useState('');
+
+  // Password
+  const [passwordData, setPasswordData] = useState({
+    currentPassword: '',
+    newPassword: '',
+    confirmPassword: '',
+  });
+  const [savingPassword, setSavingPassword] = useState(false);
+
+  // Sign-in methods
+  const [linking, setLinking] = useState(false);
+
+  // Show the saved profile, again after each save
+  useEffect(() => {
+    setDisplayName(user?.displayName || '');
+    setPhotoURL(user?.photoURL || '');
+  }, [user?.displayName, user?.photoURL]);
+
+  const handlePhotoChange = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+
+    if (!file.type.startsWith('image/')) {
+      toast({
+        title: 'Warning',
+        description: 'Please select an image file.',
+        variant: 'destructive',
+      });
+      return;
+    }
+
+    setUploading(true);
+
+    try {
+      const uploadResult = await uploadImageToImgBB(file);
+      setPhotoURL(uploadResult.display_url);
+    } catch (error) {
+      console.error('Error uploading photo:', error);
+      toast({
+        title: 'Error',
+        description: 'Failed to upload photo.',
+        variant: 'destructive',
+      });
+    } finally {
+      setUploading(false);
+      e.target.value = '';
+    }
+  };
+
+  const handleProfileSubmit = async (e) => {
+    e.preventDefault();
+    setSavingProfile(true);
+
+    try {
+      await updateAccountProfile({
+        displayName: displayName.trim() || null,
+        photoURL: photoURL || null,
+      });
+
+      toast({
+        title: 'Success',
+        description: 'Profile updated successfully!',
+      });
+    } catch (error) {
+      console.error('Error updating profile:', error);
+      toast({
+        title: 'Error',
+        description: 'Failed to update profile.',
+        variant: 'destructive',
+      });
+    } finally {
+      setSavingProfile(false);
+    }
+  };
+
+  const handleSendVerification = async () => {
+    setSendingVerification(true);
+
+    try {
+      await sendVerificationEmail();
+
+      if (useEmulators) {
+        const link = await fetchDevVerifyEmailLink(user.email);
+        setDevVerifyLink(link ? `/auth-action${new URL(link).search}` : '');
+      }
+
+      toast({
+        title: 'Success',
+        description: `Verification email sent to ${user.email}!`,
+      });
+    } catch (error) {
+      console.error('Error sending verification email:', error);
+      toast({
+        title: 'Error',
+        description: error.message || 'Failed to send verification email.',
+        variant: 'destructive',
+      });
+    } finally {
+      setSendingVerification(false);
+    }
+  };
+
+  const handlePasswordChanged = () => {
+    setPasswordData({ currentPassword: '', newPassword: '', confirmPassword: '' });
+
+    toast({
+      title: 'Success',
+      description: hasPassword ? 'Password changed successfully!' : 'Password set successfully!',
+    });
+  };
+
+  const handlePasswordSubmit = async (e) => {
+    e.preventDefault();
+
+    if (passwordData.newPassword !== passwordData.confirmPassword) {
+      toast({
+        title: 'Warning',
+        description: 'Passwords do not match.',
+        variant: 'destructive',
+      });
+      return;
+    }
+
+    if (passwordData.newPassword.length < 6) {
+      toast({
+        title: 'Warning',
+        description: 'Password must be at least 6 characters.',
+        variant: 'destructive',
+      });
+      return;
+    }
+
+    setSavingPassword(true);
+
+    try {
+      // With two-factor on, the change finishes once the code prompt above is answered
+      if (await changePassword(passwordData.currentPassword, passwordData.newPassword)) {
+        handlePasswordChanged();
+      }
+    } catch (error) {
+      console.error('Error changing password:', error);
+      toast({
+        title: 'Error',
+        description: ['auth/wrong-password', 'auth/invalid-credential'].includes(error.code)
+          ? 'Current password is incorrect.'
+          : error.message || 'Failed to change password.',
+        variant: 'destructive',
+      });
+    } finally {
+      setSavingPassword(false);
+    }
+  };
+
+  const handleToggleGoogle = async () => {
+    setLinking(true);
+
+    try {
+      if (hasGoogle) {
+        await unlinkGoogle();
+      } else {
+        await linkGoogle();
+      }
+
+      toast({
+        title: 'Success',
+        description: hasGoogle ? 'Google sign-in removed.' : 'Google sign-in linked!',
+      });
+    } catch (error) {
+      console.error('Error updating Google sign-in:', error);
+      toast({
+        title: 'Error',
+        description: error.code === 'auth/credential-already-in-use'
+          ? 'That Google account already belongs to another user.'
+          : error.message || 'Failed to update Google sign-in.',
+        variant: 'destructive',
+      });
+    } finally {
+      setLinking(false);
+    }
+  };
+
+  const handleOfflineCacheChange = (checked) => {
+    const enabled = checked === true;
+    if (enabled && !confirm('Keep data on this device? Only do this on a computer no one else uses.')) return;
+    setOfflineCacheEnabled(enabled);
+  };
+
+  return (
+    <div className="container mx-auto p-4 sm:p-6 max-w-3xl">
+      <div className="mb-4 sm:mb-6">
+        <h1 className="text-2xl sm:text-3xl font-bold mb-2">Account Settings</h1>
+        <p className="text-sm sm:text-base text-muted-foreground">Manage your profile and how you sign in</p>
+      </div>
+
+      <div className="space-y-6">
+        {secondFactor && (
+          <Card>
+            <CardHeader>
+              <CardTitle className="text-lg sm:text-xl">Confirm It&apos;s You</CardTitle>
+            </CardHeader>
+            <CardContent>
+              <SecondFactorPrompt onComplete={handlePasswordChanged} />
+            </CardContent>
+          </Card>
+        )}
+
+        {/* Profile */}
+        <Card>
+          <CardHeader>
+            <CardTitle className="text-lg sm:text-xl">Profile</CardTitle>
+            <CardDescription>Shown in the sidebar and next to your changes</CardDescription>
+          </CardHeader>
+          <CardContent>
+            <form onSubmit={handleProfileSubmit} className="space-y-4">
+              <div className="flex items-center gap-4">
+                <Avatar className="h-16 w-16">
+                  <AvatarImage src={photoURL || undefined} alt={displayName || user?.email || 'User'} />
+                  <AvatarFallback className="text-lg">
+                    {user?.email?.charAt(0).toUpperCase() || 'U'}
+                  </AvatarFallback>
+                </Avatar>
+                <div className="flex flex-wrap gap-2">
+                  <Label
+                    htmlFor="photo"
+                    className="inline-flex items-center h-9 px-3 rounded-md border border-input bg-background text-sm font-medium cursor-pointer hover:bg-accent"
+                  >
+                    {uploading ? (
+                      <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+                    ) : (
+                      <Upload className="h-4 w-4 mr-2" />
+                    )}
+                    {uploading ? 'Uploading...' : 'Upload Photo'}
+                  </Label>
+                  <input
+                    id="photo"
+                    type="file"
+                    accept="image/*"
+                    className="hidden"
+                    onChange={handlePhotoChange}
+                    disabled={uploading}
+                    data-testid="input-photo"
+                  />
+                  {photoURL && (
+                    <Button type="button" variant="ghost" size="sm" onClick={() => setPhotoURL('')} disabled={uploading}>
+                      Remove
+                    </Button>
+                  )}
+                </div>
+              </div>
+
+              <div className="space-y-2">
+                <Label htmlFor="displayName">Display Name</Label>
+                <Input
+                  id="displayName"
+                  placeholder="Enter display name"
+                  value={displayName}
+                  onChange={(e) => setDisplayName(e.target.value)}
+                  disabled={savingProfile}
+                  data-testid="input-display-name"
+                />
+              </div>
+
+              <Button type="submit" disabled={savingProfile || uploading} data-testid="button-save-profile">
+                {savingProfile ? 'Saving...' : 'Save Profile'}
+              </Button>
+            </form>
+          </CardContent>
+        </Card>
+
+        {/* Email */}
+        <Card>
+          <CardHeader>
+            <CardTitle className="text-lg sm:text-xl">Email</CardTitle>
+          </CardHeader>
+          <CardContent className="space-y-3">
+            <div className="flex flex-wrap items-center gap-2">
+              <span className="font-medium">{user?.email}</span>
+              {user?.emailVerified ? (
+                <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800">
+                  <CheckCircle2 className="h-3 w-3 mr-1" />
+                  Verified
+                </span>
+              ) : (
+                <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-yellow-100 text-yellow-800">
+                  <AlertCircle className="h-3 w-3 mr-1" />
+                  Not verified
+                </span>
+              )}
+            </div>
+            {!user?.emailVerified && (
+              <div className="flex flex-wrap items-center gap-3">
+                <Button
+                  variant="outline"
+                  size="sm"
+                  onClick={handleSendVerification}
+                  disabled={sendingVerification}
+                  data-testid="button-send-verification"
+                >
+                  {sendingVerification ? 'Sending...' : 'Send Verification Email'}
+                </Button>
+                {devVerifyLink && (
+                  <a href={devVerifyLink} className="text-sm text-primary hover:underline">
+                    Dev mailbox: open verification link
+                  </a>
+                )}
+              </div>
+            )}
+          </CardContent>
+        </Card>
+
+        {/* Password */}
+        <Card>
+          <CardHeader>
+            <CardTitle className="text-lg sm:text-xl">{hasPassword ? 'Change Password' : 'Set a Password'}</CardTitle>
+            {!hasPassword && (
+              <CardDescription>
+                You sign in with Google. Add a password to also sign in with your email.
+              </CardDescription>
+            )}
+          </CardHeader>
+          <CardContent>
+            <form onSubmit={handlePasswordSubmit} className="space-y-4">
+              <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+                {hasPassword && (
+                  <div className="space-y-2">
+                    <Label htmlFor="currentPassword">Current Password</Label>
+                    <Input
+                      id="currentPassword"
+                      type="password"
+                      value={passwordData.currentPassword}
+                      onChange={(e) => setPasswordData(prev => ({ ...prev, currentPassword: e.target.value }))}
+                      disabled={savingPassword}
+                      required
+                      data-testid="input-current-password"
+                    />
+                  </div>
+                )}
+                <div className="space-y-2">
+                  <Label htmlFor="newPassword">New Password</Label>
+                  <Input
+                    id="newPassword"
+                    type="password"
+                    value={passwordData.newPassword}
+                    onChange={(e) => setPasswordData(prev => ({ ...prev, newPassword: e.target.value }))}
+                    disabled={savingPassword}
+                    required
+                    data-testid="input-new-password"
+                  />
+                </div>
+                <div className="space-y-2">
+                  <Label htmlFor="confirmNewPassword">Confirm Password</Label>
+                  <Input
+                    id="confirmNewPassword"
+                    type="password"
+                    value={passwordData.confirmPassword}
+                    onChange={(e) => setPasswordData(prev => ({ ...prev, confirmPassword: e.target.value }))}
+                    disabled={savingPassword}
+                    required
+                    data-testid="input-confirm-new-password"
+                  />
+                </div>
+              </div>
+
+              <Button type="submit" disabled={savingPassword} data-testid="button-save-password">
+                {savingPassword ? 'Saving...' : hasPassword ? 'Change Password' : 'Set Password'}
+              </Button>
+            </form>
+          </CardContent>
+        </Card>
+
+        {/* Two-factor authentication */}
+        <Card>
+          <CardHeader>
+            <CardTitle className="text-lg sm:text-xl">Two-Factor Authentication</CardTitle>
+          </CardHeader>
+          <CardContent>
+            <TwoFactorSetup required={organizations.some(org => org.requireTwoFactor)} />
+          </CardContent>
+        </Card>
+
+        {/* Sign-in methods */}
+        <Card>
+          <CardHeader>
+            <CardTitle className="text-lg sm:text-xl">Google Sign-In</CardTitle>
+            <CardDescription>
+              {hasGoogle
+                ? 'Your account is linked to Google.'
+                : 'Link your Google account to sign in with one click.'}
+            </CardDescription>
+          </CardHeader>
+          <CardContent>
+            <Button
+              variant={hasGoogle ? 'outline' : 'default'}
+              onClick={handleToggleGoogle}
+              disabled={linking || (hasGoogle && !hasPassword)}
+              data-testid="button-toggle-google"
+            >
+              <Chrome className="h-4 w-4 mr-2" />
+              {linking ? 'Please wait...' : hasGoogle ? 'Unlink Google' : 'Link Google'}
+            </Button>
+            {hasGoogle && !hasPassword && (
+              <p className="text-sm text-muted-foreground mt-2">
+                Set a password above before unlinking Google, or you won&apos;t be able to sign in.
+              </p>
+            )}
+          </CardContent>
+        </Card>
+
+        {/* Offline data on this device */}
+        <Card>
+          <CardHeader>
+            <CardTitle className="text-lg sm:text-xl">Offline Data</CardTitle>
+            <CardDescription>
+              Keep patient and clinic data on this device so pages keep working without a connection.
+            </CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-2">
+            <div className="flex items-center gap-3">
+              <Checkbox
+                id="offlineCache"
+                checked={isOfflineCacheEnabled()}
+                onCheckedChange={handleOfflineCacheChange}
+                data-testid="checkbox-offline-cache"
+              />
+              <Label htmlFor="offlineCache">Keep data on this device</Label>
+            </div>
+            <p className="text-sm text-muted-foreground">
+              Only for a computer no one else uses: the data stays after you sign out. Otherwise it is gone when
+              the page closes. Changing this reloads the page.
+            </p>
+          </CardContent>
+        </Card>
+      </div>
+    </div>
+  );
+}
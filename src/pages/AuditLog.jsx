@@ -0,0 +1,333 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '@/components/ui/table';
+import { useToast } from '@/hooks/use-toast';
+import { useOrg } from '@/context/OrgContext';
+import { repositories } from '@/lib/data';
+import { downloadCsv } from '@/lib/export';
+import {
+  AUDIT_ENTITIES,
+  AUDIT_LOG_LIMIT,
+  filterAuditLog,
+  auditLogRows,
+} from '@/lib/audit';
+import { Download, Loader2 } from 'lucide-react';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// yyyy-mm-dd in local time, as date inputs expect
+const toDateInput = (date) => {
+  const local = new Date(date.getTime() - date.getTimezoneOffset() * 60 * 1000);
+  return local.toISOString().slice(0, 10);
+};
+
+const fromDateInput = (value) => {
+  const [year, month, day] = value.split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+const formatDateTime = (timestamp) => {
+  return timestamp
+    ? timestamp.toDate().toLocaleString('en-US', {
+      month: 'short',
+      day: '2-digit',
+      year: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit',
+    })
+    : '—';
+};
+
+const actionLabels = {
+  create: 'Created',
+  update: 'Updated',
+  delete: 'Deleted',
+  status_change: 'Status changed',
+  images_change: 'Images changed',
+  restore: 'Restored',
+  purge: 'Purged',
+  merge: 'Merged',
+  review: 'Reviewed',
+};
+
+const actionClasses = {
+  create: 'bg-green-100 text-green-800',
+  update: 'bg-blue-100 text-blue-800',
+  delete: 'bg-red-100 text-red-800',
+  status_change: 'bg-yellow-100 text-yellow-800',
+  images_change: 'bg-purple-100 text-purple-800',
+  restore: 'bg-teal-100 text-teal-800',
+  purge: 'bg-gray-200 text-gray-800',
+  merge: 'bg-indigo-100 text-indigo-800',
+  review: 'bg-orange-100 text-orange-800',
+};
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (typeof value.toDate === 'function') return value.toDate().toLocaleString('en-US');
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+export default function AuditLog() {
+  const { toast } = useToast();
+  const { activeOrgId } = useOrg();
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  // Filters: the date range is queried, entity and actor narrow what was loaded
+  const [filters, setFilters] = useState({
+    entity: 'all',
+    actor: '',
+    from: toDateInput(new Date(Date.now() - 30 * DAY_MS)),
+    to: toDateInput(new Date()),
+  });
+
+  const { from, to } = filters;
+
+  const loadEntries = useCallback(async () => {
+    if (!activeOrgId || !from || !to) return;
+
+    setLoading(true);
+
+    try {
+      const end = new Date(fromDateInput(to).getTime() + DAY_MS);
+      setEntries(await repositories.auditLog.list(activeOrgId, { from: fromDateInput(from), to: end }));
+    } catch (error) {
+      console.error('Error fetching audit log:', error);
+      toast({
+        title: 'Error',
+        description: 'Failed to load the audit log.',
+        variant: 'destructive',
+      });
+    } finally {
+      setLoading(false);
+    }
+  }, [activeOrgId, from, to, toast]);
+
+  useEffect(() => {
+    loadEntries();
+  }, [loadEntries]);
+
+  const visibleEntries = filterAuditLog(entries, filters);
+
+  const handleExport = () => {
+    downloadCsv(auditLogRows(visibleEntries), `audit-log-${from}-to-${to}.csv`);
+
+    toast({
+      title: 'Success',
+      description: 'CSV downloaded successfully!',
+    });
+  };
+
+  const renderAction = (entry) => (
+    <span
+      className={`inline-flex items-center px-2 py-1 rounded-full text-xs font-medium whitespace-nowrap ${
+        actionClasses[entry.action] || 'bg-gray-100 text-gray-800'
+      }`}
+    >
+      {actionLabels[entry.action] || entry.action}
+    </span>
+  );
+
+  const renderChanges = (entry) => {
+    const fields = Object.keys({ ...entry.before, ...entry.after });
+    if (fields.length === 0) return <span className="text-muted-foreground">—</span>;
+
+    return (
+      <ul className="space-y-1 text-xs">
+        {fields.map((field) => (
+          <li key={field} className="break-all">
+            <span className="font-medium">{field}:</span>{' '}
+            <span className="text-muted-foreground line-through">{formatValue(entry.before?.[field])}</span>
+            {' → '}
+            <span>{formatValue(entry.after?.[field])}</span>
+          </li>
+        ))}
+      </ul>
+    );
+  };
+
+  return (
+    <div className="container mx-auto p-4 sm:p-6">
+      <div className="mb-4 sm:mb-6">
+        <h1 className="text-2xl sm:text-3xl font-bold mb-2">Audit Log</h1>
+        <p className="text-sm sm:text-base text-muted-foreground">
+          Who changed users, clinics and documents, and when
+        </p>
+      </div>
+
+      {/* Filters */}
+      <Card className="mb-6 sm:mb-8">
+        <CardHeader>
+          <CardTitle className="text-lg sm:text-xl">Filters</CardTitle>
+        </CardHeader>
+        <CardContent>
+          <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4 mb-4">
+            <div className="space-y-2">
+              <Label htmlFor="auditEntity">Entity</Label>
+              <Select
+                value={filters.entity}
+                onValueChange={(value) => setFilters(prev => ({ ...prev, entity: value }))}
+              >
+                <SelectTrigger id="auditEntity" data-testid="select-audit-entity">
+                  <SelectValue placeholder="Select entity" />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="all">All</SelectItem>
+                  <SelectItem value={AUDIT_ENTITIES.USER}>Users</SelectItem>
+                  <SelectItem value={AUDIT_ENTITIES.CLINIC}>Clinics</SelectItem>
+                  <SelectItem value={AUDIT_ENTITIES.DOCUMENT}>Documents</SelectItem>
+                </SelectContent>
+              </Select>
+            </div>
+
+            <div className="space-y-2">
+              <Label htmlFor="auditActor">Actor</Label>
+              <Input
+                id="auditActor"
+                placeholder="Filter by email"
+                value={filters.actor}
+                onChange={(e) => setFilters(prev => ({ ...prev, actor: e.target.value }))}
+                data-testid="input-audit-actor"
+              />
+            </div>
+
+            <div className="space-y-2">
+              <Label htmlFor="auditFrom">From</Label>
+              <Input
+                id="auditFrom"
+                type="date"
+                value={filters.from}
+                max={filters.to}
+                onChange={(e) => setFilters(prev => ({ ...prev, from: e.target.value }))}
+              />
+            </div>
+
+            <div className="space-y-2">
+              <Label htmlFor="auditTo">To</Label>
+              <Input
+                id="auditTo"
+                type="date"
+                value={filters.to}
+                min={filters.from}
+                onChange={(e) => setFilters(prev => ({ ...prev, to: e.target.value }))}
+              />
+            </div>
+          </div>
+
+          <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+            <p className="text-sm text-muted-foreground">
+              {visibleEntries.length} entr{visibleEntries.length === 1 ? 'y' : 'ies'}
+              {entries.length === AUDIT_LOG_LIMIT && ` (only the latest ${AUDIT_LOG_LIMIT} in this range are loaded)`}
+            </p>
+            <Button
+              variant="outline"
+              onClick={handleExport}
+              disabled={loading || visibleEntries.length === 0}
+              className="w-full sm:w-auto"
+              data-testid="button-export-audit-log"
+            >
+              <Download className="h-4 w-4 mr-2" />
+              Export CSV
+            </Button>
+          </div>
+        </CardContent>
+      </Card>
+
+      {/* Entries */}
+      {loading ? (
+        <div className="flex items-center justify-center py-12">
+          <Loader2 className="h-8 w-8 animate-spin text-primary" />
+        </div>
+      ) : visibleEntries.length === 0 ? (
+        <Card>
+          <CardContent className="py-8 text-center text-muted-foreground">
+            No changes match these filters.
+          </CardContent>
+        </Card>
+      ) : (
+        <>
+          {/* Mobile: Cards View */}
+          <div className="sm:hidden space-y-3">
+            {visibleEntries.map((entry) => (
+              <Card key={entry.id} className="overflow-hidden">
+                <CardContent className="p-4">
+                  <div className="flex items-start justify-between gap-2 mb-3">
+                    <div>
+                      <h3 className="font-medium">{entry.entityLabel || entry.entityId}</h3>
+                      <p className="text-sm text-muted-foreground capitalize">{entry.entity}</p>
+                    </div>
+                    {renderAction(entry)}
+                  </div>
+                  <div className="space-y-2 text-sm mb-3">
+                    <div className="flex justify-between">
+                      <span className="text-muted-foreground">When:</span>
+                      <span>{formatDateTime(entry.createdAt)}</span>
+                    </div>
+                    <div className="flex justify-between">
+                      <span className="text-muted-foreground">By:</span>
+                      <span className="text-right break-all">{entry.actorEmail}</span>
+                    </div>
+                  </div>
+                  {renderChanges(entry)}
+                </CardContent>
+              </Card>
+            ))}
+          </div>
+
+          {/* Desktop: Table View */}
+          <Card className="hidden sm:block overflow-hidden">
+            <CardContent className="p-0">
+              <div className="overflow-x-auto">
+                <Table>
+                  <TableHeader className="bg-muted">
+                    <TableRow>
+                      <TableHead className="min-w-[160px] px-4">When</TableHead>
+                      <TableHead className="min-w-[180px] px-4">Actor</TableHead>
+                      <TableHead className="min-w-[130px] px-4">Action</TableHead>
+                      <TableHead className="min-w-[180px] px-4">Target</TableHead>
+                      <TableHead className="min-w-[280px] px-4">Changes</TableHead>
+                    </TableRow>
+                  </TableHeader>
+                  <TableBody>
+                    {visibleEntries.map((entry) => (
+                      <TableRow key={entry.id} className="hover:bg-muted/50 align-top">
+                        <TableCell className="py-3 px-4 whitespace-nowrap">{formatDateTime(entry.createdAt)}</TableCell>
+                        <TableCell className="text-sm text-muted-foreground py-3 px-4 whitespace-nowrap">
+                          {entry.actorEmail}
+                        </TableCell>
+                        <TableCell className="py-3 px-4">{renderAction(entry)}</TableCell>
+                        <TableCell className="py-3 px-4">
+                          <div className="font-medium">{entry.entityLabel || entry.entityId}</div>
+                          <div className="text-xs text-muted-foreground capitalize">{entry.entity}</div>
+                        </TableCell>
+                        <TableCell className="py-3 px-4">{renderChanges(entry)}</TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </div>
+            </CardContent>
+          </Card>
+        </>
+      )}
+    </div>
+  );
+}
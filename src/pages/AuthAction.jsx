@@ -0,0 +1,189 @@
+import { useState, useEffect, useRef } from 'react';
+import { useLocation } from 'wouter';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Button } from '@/components/ui/button';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { useAuth } from '@/context/AuthContext';
+import { Lock, Loader2, CheckCircle2, XCircle } from 'lucide-react';
+
+/**
+ * Handles the links in password reset and email verification emails
+ * (`/auth-action?mode=...&oobCode=...`). Set it as the custom action URL of
+ * the Firebase Auth email templates.
+ */
+export default function AuthAction() {
+  const params = new URLSearchParams(window.location.search);
+  const mode = params.get('mode');
+  const code = params.get('oobCode');
+
+  // checking | resetPassword | done | invalid
+  const [step, setStep] = useState('checking');
+  const [resetEmail, setResetEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+  const { user, checkPasswordResetCode, resetPassword, verifyEmail } = useAuth();
+  const [, setLocation] = useLocation();
+  // Codes are single use; StrictMode runs mount effects twice in development
+  const handled = useRef(false);
+
+  useEffect(() => {
+    if (handled.current) return;
+    handled.current = true;
+
+    const handleAction = async () => {
+      try {
+        if (mode === 'resetPassword' && code) {
+          setResetEmail(await checkPasswordResetCode(code));
+          setStep('resetPassword');
+        } else if (mode === 'verifyEmail' && code) {
+          await verifyEmail(code);
+          setStep('done');
+        } else {
+          setStep('invalid');
+        }
+      } catch (err) {
+        console.error('Error handling email action:', err);
+        setStep('invalid');
+      }
+    };
+
+    handleAction();
+  }, [mode, code, checkPasswordResetCode, verifyEmail]);
+
+  const handleResetSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (password !== confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    if (password.length < 6) {
+      setError('Password must be at least 6 characters');
+      return;
+    }
+
+    setLoading(true);
+
+    try {
+      await resetPassword(code, password);
+      setStep('done');
+    } catch (err) {
+      setError(err.message || 'Failed to reset password');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const titles = {
+    checking: 'Just a moment',
+    resetPassword: 'Choose a New Password',
+    done: mode === 'resetPassword' ? 'Password Changed' : 'Email Verified',
+    invalid: 'Link Expired',
+  };
+
+  const descriptions = {
+    checking: 'Checking your link...',
+    resetPassword: `For ${resetEmail}`,
+    done: mode === 'resetPassword'
+      ? 'You can now sign in with your new password.'
+      : 'Thanks for confirming your email address.',
+    invalid: 'This link is invalid, has expired or was already used. Request a new one.',
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-muted/30 px-4 py-8">
+      <Card className="w-full max-w-md">
+        <CardHeader className="space-y-1">
+          <CardTitle className="text-2xl sm:text-3xl font-bold text-center">{titles[step]}</CardTitle>
+          <CardDescription className="text-center">{descriptions[step]}</CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          {error && (
+            <Alert variant="destructive" data-testid="alert-error">
+              <AlertDescription>{error}</AlertDescription>
+            </Alert>
+          )}
+
+          {step === 'checking' && (
+            <div className="flex justify-center py-4">
+              <Loader2 className="h-8 w-8 animate-spin text-primary" />
+            </div>
+          )}
+
+          {step === 'resetPassword' && (
+            <form onSubmit={handleResetSubmit} className="space-y-4">
+              <div className="space-y-2">
+                <Label htmlFor="password">New Password</Label>
+                <div className="relative">
+                  <Lock className="absolute left-3 top-3 h-4 w-4 text-muted-foreground" />
+                  <Input
+                    id="password"
+                    type="password"
+                    placeholder="••••••••"
+                    value={password}
+                    onChange={(e) => setPassword(e.target.value)}
+                    className="pl-10"
+                    required
+                    data-testid="input-password"
+                  />
+                </div>
+              </div>
+
+              <div className="space-y-2">
+                <Label htmlFor="confirmPassword">Confirm Password</Label>
+                <div className="relative">
+                  <Lock className="absolute left-3 top-3 h-4 w-4 text-muted-foreground" />
+                  <Input
+                    id="confirmPassword"
+                    type="password"
+                    placeholder="••••••••"
+                    value={confirmPassword}
+                    onChange={(e) => setConfirmPassword(e.target.value)}
+                    className="pl-10"
+                    required
+                    data-testid="input-confirm-password"
+                  />
+                </div>
+              </div>
+
+              <Button type="submit" className="w-full" disabled={loading} data-testid="button-reset-password">
+                {loading ? (
+                  <>
+                    <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                    Saving...
+                  </>
+                ) : (
+                  'Save Password'
+                )}
+              </Button>
+            </form>
+          )}
+
+          {step === 'done' && (
+            <div className="space-y-4 text-center">
+              <CheckCircle2 className="h-10 w-10 mx-auto text-green-600" />
+              <Button className="w-full" onClick={() => setLocation(user ? '/' : '/login')}>
+                {user ? 'Continue' : 'Sign In'}
+              </Button>
+            </div>
+          )}
+
+          {step === 'invalid' && (
+            <div className="space-y-4 text-center">
+              <XCircle className="h-10 w-10 mx-auto text-destructive" />
+              <Button variant="outline" className="w-full" onClick={() => setLocation(user ? '/account' : '/login')}>
+                {user ? 'Back to Account Settings' : 'Back to Sign In'}
+              </Button>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
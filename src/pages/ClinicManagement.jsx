@@ -1,4 +1,4 @@
-import { useState, useEffect } from 'react';
+import { useState } from 'react';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
 import { Button } from '@/components/ui/button';
 import { Input } from '@/components/ui/input';
@@ -18,20 +18,37 @@ import {
   DialogTitle,
   DialogFooter,
 } from '@/components/ui/dialog';
-import { db } from '@/lib/firebase';
-import { collection, addDoc, getDocs, query, where, deleteDoc, doc, serverTimestamp, updateDoc } from 'firebase/firestore';
+import { FieldError } from '@/components/FieldError';
+import { LiveIndicator, PendingSyncBadge } from '@/components/LiveIndicator';
+import { SortableHead, SortSelect, TablePagination } from '@/components/TablePaging';
+import { ExportDialog } from '@/components/ExportDialog';
+import { repositories, ValidationError, ConflictError, CLINIC_SORT_FIELDS } from '@/lib/data';
 import { useToast } from '@/hooks/use-toast';
+import { useLiveQuery } from '@/hooks/use-live-query';
+import { usePageParams } from '@/hooks/use-page-params';
 import { useAuth } from '@/context/AuthContext';
+import { useOrg } from '@/context/OrgContext';
+import { CAPABILITIES } from '@/lib/permissions';
+import { EXPORT_COLUMNS } from '@/lib/export';
+import { cn } from '@/lib/utils';
 import { Trash2, Loader2, Plus, Edit } from 'lucide-react';
 
+const formatDate = (timestamp) => {
+  return timestamp
+    ? timestamp.toDate().toLocaleDateString('en-US', { month: 'short', day: '2-digit', year: 'numeric' })
+    : '—';
+};
+
 export default function ClinicManagement() {
   const { toast } = useToast();
   const { user } = useAuth();
-  const [clinics, setClinics] = useState([]);
-  const [loading, setLoading] = useState(true);
+  const { activeOrgId, can } = useOrg();
+  const canManage = can(CAPABILITIES.MANAGE_CLINICS);
+  const canDelete = can(CAPABILITIES.DELETE_CLINICS);
   const [submitting, setSubmitting] = useState(false);
   const [isModalOpen, setIsModalOpen] = useState(false);
   const [editingClinic, setEditingClinic] = useState(null);
+  const [fieldErrors, setFieldErrors] = useState({});
   
   // Form state
   const [formData, setFormData] = useState({
@@ -46,77 +63,47 @@ export default function ClinicManagement() {
     revenue: '',
   });
 
-  // Fetch clinics on mount
-  useEffect(() => {
-    fetchClinics();
-  }, [user]);
-
-  const fetchClinics = async () => {
-    if (!user?.email) return;
-
-    try {
-      // Fetch only clinics created by current admin
-      const clinicsQuery = query(
-        collection(db, 'clinics'),
-        where('createdBy', '==', user.email)
-      );
-      const querySnapshot = await getDocs(clinicsQuery);
-      const clinicsData = querySnapshot.docs.map(doc => ({
-        id: doc.id,
-        ...doc.data(),
-      }));
-      setClinics(clinicsData);
-    } catch (error) {
-      console.error('Error fetching clinics:', error);
-      toast({
-        title: 'Error',
-        description: 'Failed to load clinics.',
-        variant: 'destructive',
-      });
-    } finally {
-      setLoading(false);
+  // Clinics in the active organization, kept up to date as anyone changes them
+  // One page at a time, sorted on the server; the page lives in the URL
+  const paging = usePageParams({ sortFields: CLINIC_SORT_FIELDS, defaultSort: ['createdAt', 'desc'] });
+
+  const { data: clinics, meta, loading, changedIds, pendingIds, updated } = useLiveQuery(
+    (onNext, onError) => repositories.clinics.subscribePage(activeOrgId, paging.page, onNext, onError),
+    {
+      key: `${activeOrgId}|${paging.key}`,
+      enabled: Boolean(activeOrgId),
+      onError: (error) => {
+        console.error('Error fetching clinics:', error);
+        toast({
+          title: 'Error',
+          description: 'Failed to load clinics.',
+          variant: 'destructive',
+        });
+      },
     }
-  };
+  );
 
   const handleInputChange = (e) => {
     const { name, value } = e.target;
     setFormData(prev => ({ ...prev, [name]: value }));
+    setFieldErrors(prev => ({ ...prev, [name]: undefined }));
   };
 
   const handleSubmit = async (e) => {
     e.preventDefault();
 
-    // Validate required fields
-    if (!formData.clinicName.trim() || !formData.doctorName.trim() || !formData.clinicMail.trim()) {
-      toast({
-        title: 'Warning',
-        description: 'Please fill in all required fields.',
-        variant: 'destructive',
-      });
-      return;
-    }
-
     setSubmitting(true);
 
     try {
       if (editingClinic) {
-        // Update existing clinic
-        await updateDoc(doc(db, 'clinics', editingClinic.id), {
-          ...formData,
-          updatedAt: serverTimestamp(),
-        });
+        await repositories.clinics.update(editingClinic, formData, user);
 
         toast({
           title: 'Success',
           description: 'Clinic updated successfully!',
         });
       } else {
-        // Add new clinic
-        await addDoc(collection(db, 'clinics'), {
-          ...formData,
-          createdBy: user?.email || 'unknown',
-          createdAt: serverTimestamp(),
-        });
+        await repositories.clinics.create(activeOrgId, formData, user);
 
         toast({
           title: 'Success',
@@ -140,10 +127,28 @@ export default function ClinicManagement() {
       // Close modal
       setIsModalOpen(false);
       setEditingClinic(null);
-
-      // Refresh list
-      await fetchClinics();
+      setFieldErrors({});
     } catch (error) {
+      if (error instanceof ValidationError) {
+        setFieldErrors(error.fields);
+        toast({
+          title: 'Warning',
+          description: error.message,
+          variant: 'destructive',
+        });
+        return;
+      }
+
+      if (error instanceof ConflictError) {
+        toast({
+          title: 'Warning',
+          description: error.message,
+          variant: 'destructive',
+        });
+        handleCancel();
+        return;
+      }
+
       console.error('Error saving clinic:', error);
       toast({
         title: 'Error',
@@ -165,9 +170,10 @@ export default function ClinicManagement() {
       establishmentDate: clinic.establishmentDate || '',
       location: clinic.location || '',
       panchakrma: clinic.panchakrma || '',
-      numberOfPatients: clinic.numberOfPatients || '',
-      revenue: clinic.revenue || '',
+      numberOfPatients: clinic.numberOfPatients ?? '',
+      revenue: clinic.revenue ?? '',
     });
+    setFieldErrors({});
     setIsModalOpen(true);
   };
 
@@ -184,25 +190,32 @@ export default function ClinicManagement() {
       revenue: '',
     });
     setEditingClinic(null);
+    setFieldErrors({});
     setIsModalOpen(false);
   };
 
-  const handleDelete = async (clinicId) => {
-    if (!confirm('Are you sure you want to delete this clinic?')) {
+  const handleDelete = async (clinic) => {
+    if (!confirm('Move this clinic to the Trash? You can restore it from there.')) {
       return;
     }
 
     try {
-      await deleteDoc(doc(db, 'clinics', clinicId));
+      await repositories.clinics.remove(clinic, user);
 
       toast({
         title: 'Success',
-        description: 'Clinic deleted successfully!',
+        description: 'Clinic moved to Trash.',
       });
-
-      // Refresh list
-      await fetchClinics();
     } catch (error) {
+      if (error instanceof ConflictError) {
+        toast({
+          title: 'Warning',
+          description: error.message,
+          variant: 'destructive',
+        });
+        return;
+      }
+
       console.error('Error deleting clinic:', error);
       toast({
         title: 'Error',
@@ -227,10 +240,21 @@ export default function ClinicManagement() {
           <h1 className="text-2xl sm:text-3xl font-bold mb-2">Clinic Management</h1>
           <p className="text-sm sm:text-base text-muted-foreground">Manage your clinics</p>
         </div>
-        <Button onClick={() => setIsModalOpen(true)} className="flex items-center gap-2">
-          <Plus className="h-4 w-4" />
-          <span className="hidden sm:inline">Add Clinic</span>
-        </Button>
+        <div className="flex items-center gap-2">
+          <ExportDialog
+            title="Clinics"
+            columns={EXPORT_COLUMNS.clinics}
+            pageRecords={clinics}
+            loadMatching={(max) => repositories.clinics.list(activeOrgId, { sort: paging.page.sort, max })}
+            matchingLabel="All clinics"
+          />
+          {canManage && (
+            <Button onClick={() => setIsModalOpen(true)} className="flex items-center gap-2">
+              <Plus className="h-4 w-4" />
+              <span className="hidden sm:inline">Add Clinic</span>
+            </Button>
+          )}
+        </div>
       </div>
 
       {/* Add/Edit Clinic Modal */}
@@ -253,7 +277,10 @@ export default function ClinicManagement() {
                   onChange={handleInputChange}
                   disabled={submitting}
                   required
+                  aria-invalid={Boolean(fieldErrors.clinicName)}
+                  aria-describedby="clinicName-error"
                 />
+                <FieldError id="clinicName-error" message={fieldErrors.clinicName} />
               </div>
 
               {/* Doctor Name */}
@@ -268,7 +295,10 @@ export default function ClinicManagement() {
                   onChange={handleInputChange}
                   disabled={submitting}
                   required
+                  aria-invalid={Boolean(fieldErrors.doctorName)}
+                  aria-describedby="doctorName-error"
                 />
+                <FieldError id="doctorName-error" message={fieldErrors.doctorName} />
               </div>
 
               {/* Clinic Mail */}
@@ -283,7 +313,10 @@ export default function ClinicManagement() {
                   onChange={handleInputChange}
                   disabled={submitting}
                   required
+                  aria-invalid={Boolean(fieldErrors.clinicMail)}
+                  aria-describedby="clinicMail-error"
                 />
+                <FieldError id="clinicMail-error" message={fieldErrors.clinicMail} />
               </div>
 
               {/* Clinic Number */}
@@ -297,7 +330,10 @@ export default function ClinicManagement() {
                   value={formData.clinicNumber}
                   onChange={handleInputChange}
                   disabled={submitting}
+                  aria-invalid={Boolean(fieldErrors.clinicNumber)}
+                  aria-describedby="clinicNumber-error"
                 />
+                <FieldError id="clinicNumber-error" message={fieldErrors.clinicNumber} />
               </div>
 
               {/* Establishment Date */}
@@ -310,7 +346,10 @@ export default function ClinicManagement() {
                   value={formData.establishmentDate}
                   onChange={handleInputChange}
                   disabled={submitting}
+                  aria-invalid={Boolean(fieldErrors.establishmentDate)}
+                  aria-describedby="establishmentDate-error"
                 />
+                <FieldError id="establishmentDate-error" message={fieldErrors.establishmentDate} />
               </div>
 
               {/* Location */}
@@ -324,7 +363,10 @@ export default function ClinicManagement() {
                   value={formData.location}
                   onChange={handleInputChange}
                   disabled={submitting}
+                  aria-invalid={Boolean(fieldErrors.location)}
+                  aria-describedby="location-error"
                 />
+                <FieldError id="location-error" message={fieldErrors.location} />
               </div>
 
               {/* Panchakrma */}
@@ -338,7 +380,10 @@ export default function ClinicManagement() {
                   value={formData.panchakrma}
                   onChange={handleInputChange}
                   disabled={submitting}
+                  aria-invalid={Boolean(fieldErrors.panchakrma)}
+                  aria-describedby="panchakrma-error"
                 />
+                <FieldError id="panchakrma-error" message={fieldErrors.panchakrma} />
               </div>
 
               {/* Number of Patients */}
@@ -353,7 +398,10 @@ export default function ClinicManagement() {
                   onChange={handleInputChange}
                   disabled={submitting}
                   min="0"
+                  aria-invalid={Boolean(fieldErrors.numberOfPatients)}
+                  aria-describedby="numberOfPatients-error"
                 />
+                <FieldError id="numberOfPatients-error" message={fieldErrors.numberOfPatients} />
               </div>
 
               {/* Revenue */}
@@ -369,7 +417,10 @@ export default function ClinicManagement() {
                   disabled={submitting}
                   min="0"
                   step="0.01"
+                  aria-invalid={Boolean(fieldErrors.revenue)}
+                  aria-describedby="revenue-error"
                 />
+                <FieldError id="revenue-error" message={fieldErrors.revenue} />
               </div>
             </div>
 
@@ -397,20 +448,36 @@ export default function ClinicManagement() {
 
       {/* Clinics List */}
       <div>
-        <h2 className="text-lg sm:text-xl font-bold mb-4">Clinics List</h2>
+        <div className="flex items-center gap-3 mb-4">
+          <h2 className="text-lg sm:text-xl font-bold">Clinics List</h2>
+          <LiveIndicator updated={updated} />
+        </div>
 
         {clinics.length === 0 ? (
           <Card>
             <CardContent className="py-8 text-center text-muted-foreground">
-              No clinics found. Add your first clinic using the button above.
+              {meta.hasPrevious ? 'No more clinics.' : 'No clinics found. Add your first clinic using the button above.'}
             </CardContent>
           </Card>
         ) : (
           <>
             {/* Mobile: Cards View */}
+            <SortSelect
+              fields={[
+                { field: 'createdAt', label: 'Date added' },
+                { field: 'clinicName', label: 'Clinic name' },
+                { field: 'revenue', label: 'Revenue' },
+              ]}
+              sort={paging.page.sort}
+              onSort={paging.setSort}
+              className="sm:hidden mb-3"
+            />
             <div className="sm:hidden space-y-3">
               {clinics.map((clinic, index) => (
-                <Card key={clinic.id} className="overflow-hidden">
+                <Card
+                  key={clinic.id}
+                  className={cn('overflow-hidden transition-colors duration-1000', changedIds.has(clinic.id) && 'bg-primary/10')}
+                >
                   <CardContent className="p-4">
                     <div className="flex items-start justify-between mb-3">
                       <div>
@@ -418,25 +485,30 @@ export default function ClinicManagement() {
                           <span className="text-xs font-semibold text-muted-foreground">#{index + 1}</span>
                           <h3 className="font-semibold text-lg">{clinic.clinicName}</h3>
                         </div>
+                        {pendingIds.has(clinic.id) && <PendingSyncBadge />}
                         <p className="text-sm text-muted-foreground">{clinic.doctorName}</p>
                       </div>
                       <div className="flex items-center gap-1">
-                        <Button
-                          variant="ghost"
-                          size="sm"
-                          onClick={() => handleEdit(clinic)}
-                          className="h-8 w-8 p-0"
-                        >
-                          <Edit className="h-4 w-4" />
-                        </Button>
-                        <Button
-                          variant="ghost"
-                          size="sm"
-                          onClick={() => handleDelete(clinic.id)}
-                          className="h-8 w-8 p-0 text-red-600 hover:text-red-700 hover:bg-red-50"
-                        >
-                          <Trash2 className="h-4 w-4" />
-                        </Button>
+                        {canManage && (
+                          <Button
+                            variant="ghost"
+                            size="sm"
+                            onClick={() => handleEdit(clinic)}
+                            className="h-8 w-8 p-0"
+                          >
+                            <Edit className="h-4 w-4" />
+                          </Button>
+                        )}
+                        {canDelete && (
+                          <Button
+                            variant="ghost"
+                            size="sm"
+                            onClick={() => handleDelete(clinic)}
+                            className="h-8 w-8 p-0 text-red-600 hover:text-red-700 hover:bg-red-50"
+                          >
+                            <Trash2 className="h-4 w-4" />
+                          </Button>
+                        )}
                       </div>
                     </div>
                     <div className="space-y-2 text-sm">
@@ -472,20 +544,47 @@ export default function ClinicManagement() {
                     <TableHeader className="bg-muted">
                       <TableRow>
                         <TableHead className="w-[60px] px-4">ID</TableHead>
-                        <TableHead className="min-w-[150px] px-4">Clinic Name</TableHead>
+                        <SortableHead
+                          field="clinicName"
+                          label="Clinic Name"
+                          sort={paging.page.sort}
+                          onSort={paging.setSort}
+                          className="min-w-[150px] px-4"
+                        />
                         <TableHead className="min-w-[150px] px-4">Doctor Name</TableHead>
                         <TableHead className="min-w-[120px] px-4">Clinic Number</TableHead>
                         <TableHead className="min-w-[150px] px-4">Location</TableHead>
                         <TableHead className="min-w-[120px] px-4">No. of Patients</TableHead>
-                        <TableHead className="min-w-[120px] px-4">Revenue</TableHead>
-                        <TableHead className="min-w-[120px] px-4">Action</TableHead>
+                        <SortableHead
+                          field="revenue"
+                          label="Revenue"
+                          sort={paging.page.sort}
+                          onSort={paging.setSort}
+                          className="min-w-[120px] px-4"
+                        />
+                        <SortableHead
+                          field="createdAt"
+                          label="Added"
+                          sort={paging.page.sort}
+                          onSort={paging.setSort}
+                          className="min-w-[120px] px-4"
+                        />
+                        {(canManage || canDelete) && (
+                          <TableHead className="min-w-[120px] px-4">Action</TableHead>
+                        )}
                       </TableRow>
                     </TableHeader>
                     <TableBody>
                       {clinics.map((clinic, index) => (
-                        <TableRow key={clinic.id} className="hover:bg-muted/50">
+                        <TableRow
+                          key={clinic.id}
+                          className={cn('hover:bg-muted/50 transition-colors duration-1000', changedIds.has(clinic.id) && 'bg-primary/10')}
+                        >
                           <TableCell className="px-4 py-3 font-medium">{index + 1}</TableCell>
-                          <TableCell className="px-4 py-3">{clinic.clinicName}</TableCell>
+                          <TableCell className="px-4 py-3">
+                            <div>{clinic.clinicName}</div>
+                            {pendingIds.has(clinic.id) && <PendingSyncBadge />}
+                          </TableCell>
                           <TableCell className="px-4 py-3">{clinic.doctorName}</TableCell>
                           <TableCell className="px-4 py-3">{clinic.clinicNumber || '—'}</TableCell>
                           <TableCell className="px-4 py-3">{clinic.location || '—'}</TableCell>
@@ -493,26 +592,33 @@ export default function ClinicManagement() {
                           <TableCell className="px-4 py-3">
                             {clinic.revenue ? `₹${parseFloat(clinic.revenue).toLocaleString()}` : '—'}
                           </TableCell>
-                          <TableCell className="px-4 py-3">
-                            <div className="flex items-center gap-2">
-                              <Button
-                                variant="ghost"
-                                size="sm"
-                                onClick={() => handleEdit(clinic)}
-                                className="h-8 w-8 p-0"
-                              >
-                                <Edit className="h-4 w-4" />
-                              </Button>
-                              <Button
-                                variant="ghost"
-                                size="sm"
-                                onClick={() => handleDelete(clinic.id)}
-                                className="h-8 w-8 p-0 text-red-600 hover:text-red-700 hover:bg-red-50"
-                              >
-                                <Trash2 className="h-4 w-4" />
-                              </Button>
-                            </div>
-                          </TableCell>
+                          <TableCell className="px-4 py-3 whitespace-nowrap">{formatDate(clinic.createdAt)}</TableCell>
+                          {(canManage || canDelete) && (
+                            <TableCell className="px-4 py-3">
+                              <div className="flex items-center gap-2">
+                                {canManage && (
+                                  <Button
+                                    variant="ghost"
+                                    size="sm"
+                                    onClick={() => handleEdit(clinic)}
+                                    className="h-8 w-8 p-0"
+                                  >
+                                    <Edit className="h-4 w-4" />
+                                  </Button>
+                                )}
+                                {canDelete && (
+                                  <Button
+                                    variant="ghost"
+                                    size="sm"
+                                    onClick={() => handleDelete(clinic)}
+                                    className="h-8 w-8 p-0 text-red-600 hover:text-red-700 hover:bg-red-50"
+                                  >
+                                    <Trash2 className="h-4 w-4" />
+                                  </Button>
+                                )}
+                              </div>
+                            </TableCell>
+                          )}
                         </TableRow>
                       ))}
                     </TableBody>
@@ -522,6 +628,17 @@ export default function ClinicManagement() {
             </Card>
           </>
         )}
+
+        {(clinics.length > 0 || meta.hasPrevious) && (
+          <TablePagination
+            size={paging.page.size}
+            onSizeChange={paging.setSize}
+            hasPrevious={meta.hasPrevious}
+            hasNext={meta.hasNext}
+            onPrevious={() => paging.goTo(meta.firstCursor ? { before: meta.firstCursor } : {})}
+            onNext={() => paging.goTo({ after: meta.lastCursor })}
+          />
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,113 @@
+import { useState } from 'react';
+import { useLocation } from 'wouter';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Button } from '@/components/ui/button';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { useAuth } from '@/context/AuthContext';
+import { useOrg } from '@/context/OrgContext';
+import { Building2, Loader2 } from 'lucide-react';
+
+export default function CreateOrganization() {
+  const { user, signOut } = useAuth();
+  const { createOrganization } = useOrg();
+  const [, setLocation] = useLocation();
+  const [name, setName] = useState('');
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (!name.trim()) {
+      setError('Please enter an organization name');
+      return;
+    }
+
+    setLoading(true);
+
+    try {
+      await createOrganization(name.trim());
+      setLocation('/');
+    } catch (err) {
+      console.error('Error creating organization:', err);
+      setError(err.message || 'Failed to create organization');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSignOut = async () => {
+    await signOut();
+    setLocation('/login');
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-muted/30 px-4 py-8">
+      <Card className="w-full max-w-md">
+        <CardHeader className="space-y-1">
+          <CardTitle className="text-2xl sm:text-3xl font-bold text-center">Set Up Your Organization</CardTitle>
+          <CardDescription className="text-center">
+            {user?.email} isn&apos;t part of an organization yet. Create one, or ask an
+            administrator of an existing organization to add you.
+          </CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          {error && (
+            <Alert variant="destructive" data-testid="alert-error">
+              <AlertDescription>{error}</AlertDescription>
+            </Alert>
+          )}
+
+          <form onSubmit={handleSubmit} className="space-y-4">
+            <div className="space-y-2">
+              <Label htmlFor="organizationName">Organization Name</Label>
+              <div className="relative">
+                <Building2 className="absolute left-3 top-3 h-4 w-4 text-muted-foreground" />
+                <Input
+                  id="organizationName"
+                  type="text"
+                  placeholder="e.g. Sunrise Ayurveda Clinics"
+                  value={name}
+                  onChange={(e) => setName(e.target.value)}
+                  className="pl-10"
+                  disabled={loading}
+                  data-testid="input-organization-name"
+                />
+              </div>
+            </div>
+
+            <Button
+              type="submit"
+              className="w-full"
+              disabled={loading}
+              data-testid="button-create-organization"
+            >
+              {loading ? (
+                <>
+                  <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                  Creating...
+                </>
+              ) : (
+                'Create Organization'
+              )}
+            </Button>
+          </form>
+
+          <Button
+            type="button"
+            variant="outline"
+            className="w-full"
+            onClick={handleSignOut}
+            disabled={loading}
+            data-testid="button-signout"
+          >
+            Sign out
+          </Button>
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
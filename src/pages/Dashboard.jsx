@@ -1,4 +1,4 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useMemo } from 'react';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
 import { Input } from '@/components/ui/input';
 import { Label } from '@/components/ui/label';
@@ -12,22 +12,31 @@ import {
 } from '@/components/ui/select';
 import { Users, Clock, FileText, AlertCircle } from 'lucide-react';
 import { useAuth } from '@/context/AuthContext';
-import { db } from '@/lib/firebase';
-import { collection, addDoc, serverTimestamp, getDocs, query, where } from 'firebase/firestore';
+import { useOrg } from '@/context/OrgContext';
+import { repositories, ValidationError } from '@/lib/data';
 import { useToast } from '@/hooks/use-toast';
+import { useLiveQuery } from '@/hooks/use-live-query';
+import { FieldError } from '@/components/FieldError';
+import { LiveIndicator } from '@/components/LiveIndicator';
+import { WeeklyTrend } from '@/components/WeeklyTrend';
+import { UserImport } from '@/components/UserImport';
+import { delta, formatDelta } from '@/lib/stats';
+import { cn } from '@/lib/utils';
+import { CAPABILITIES } from '@/lib/permissions';
+import { approvalStages } from '@/lib/approval';
+
+// How often members without audit log access refresh the statistics
+const STATS_REFRESH_MS = 60 * 1000;
 
 export default function Dashboard() {
   const { user } = useAuth();
+  const { activeOrgId, activeOrg, can } = useOrg();
+  const stages = useMemo(() => approvalStages(activeOrg), [activeOrg]);
   const { toast } = useToast();
   const [motivationalQuote, setMotivationalQuote] = useState('Time to crush your goals!');
   const [loading, setLoading] = useState(true);
   const [submitting, setSubmitting] = useState(false);
-  const [stats, setStats] = useState({
-    totalUsers: 0,
-    pendingApprovals: 0,
-    rejectedUsers: 0,
-    totalDocuments: 0,
-  });
+  const [fieldErrors, setFieldErrors] = useState({});
   
   // Form state
   const [formData, setFormData] = useState({
@@ -40,10 +49,12 @@ export default function Dashboard() {
   const handleInputChange = (e) => {
     const { name, value } = e.target;
     setFormData(prev => ({ ...prev, [name]: value }));
+    setFieldErrors(prev => ({ ...prev, [name]: undefined }));
   };
 
   const handleSelectChange = (name, value) => {
     setFormData(prev => ({ ...prev, [name]: value }));
+    setFieldErrors(prev => ({ ...prev, [name]: undefined }));
   };
 
   const handleSubmit = async (e) => {
@@ -51,12 +62,7 @@ export default function Dashboard() {
     setSubmitting(true);
 
     try {
-      // Save to Firestore
-      await addDoc(collection(db, 'users'), {
-        ...formData,
-        createdAt: serverTimestamp(),
-        createdBy: user?.email || 'unknown',
-      });
+      await repositories.users.create(activeOrgId, formData, user, { stages });
 
       toast({
         title: 'Success',
@@ -66,6 +72,16 @@ export default function Dashboard() {
       // Reset form
       handleCancel();
     } catch (error) {
+      if (error instanceof ValidationError) {
+        setFieldErrors(error.fields);
+        toast({
+          title: 'Warning',
+          description: error.message,
+          variant: 'destructive',
+        });
+        return;
+      }
+
       console.error('Error adding user:', error);
       toast({
         title: 'Error',
@@ -78,6 +94,7 @@ export default function Dashboard() {
   };
 
   const handleCancel = () => {
+    setFieldErrors({});
     setFormData({
       username: '',
       email: '',
@@ -113,53 +130,69 @@ export default function Dashboard() {
     return 'User';
   };
 
-  // Fetch statistics from Firestore
+  // Totals come from server-side counts. They are refetched whenever the
+  // newest audit entry moves (every change writes one); members who cannot
+  // read the audit log get a periodic refresh instead.
+  const canReadAudit = can(CAPABILITIES.VIEW_AUDIT_LOG);
+  const [totals, setTotals] = useState(null);
+  // Pending users per approval stage id, when the organization has stages
+  const [pendingByStage, setPendingByStage] = useState({});
+  const [weeks, setWeeks] = useState([]);
+  const [refreshTick, setRefreshTick] = useState(0);
+
+  const latestChange = useLiveQuery(
+    (onNext, onError) => repositories.auditLog.subscribeLatest(activeOrgId, onNext, onError),
+    {
+      key: activeOrgId,
+      enabled: Boolean(activeOrgId) && canReadAudit,
+      onError: (error) => console.error('Error following changes:', error),
+    }
+  );
+  const latestChangeId = latestChange.data[0]?.id;
+
   useEffect(() => {
+    if (canReadAudit) return;
+
+    const interval = window.setInterval(() => setRefreshTick(tick => tick + 1), STATS_REFRESH_MS);
+    return () => window.clearInterval(interval);
+  }, [canReadAudit]);
+
+  useEffect(() => {
+    if (!activeOrgId) return;
+
+    let cancelled = false;
+
+    const fetchStats = async () => {
+      try {
+        const [currentTotals, byStage] = await Promise.all([
+          repositories.stats.totals(activeOrgId),
+          repositories.users.countByStage(activeOrgId, stages),
+        ]);
+        if (cancelled) return;
+        setTotals(currentTotals);
+        setPendingByStage(byStage);
+
+        // Managers can count approvals and freeze finished weeks as snapshots
+        const weekly = await repositories.stats.weekly(activeOrgId, {
+          approvals: canReadAudit,
+          record: canReadAudit,
+          totals: currentTotals,
+        });
+        if (!cancelled) setWeeks(weekly);
+      } catch (error) {
+        console.error('Error fetching stats:', error);
+      }
+    };
+
     fetchStats();
-  }, [user]);
 
-  const fetchStats = async () => {
-    if (!user?.email) return;
+    return () => {
+      cancelled = true;
+    };
+  }, [activeOrgId, canReadAudit, latestChangeId, refreshTick, stages]);
 
-    try {
-      // Fetch users created by current admin
-      const usersQuery = query(collection(db, 'users'), where('createdBy', '==', user.email));
-      const usersSnapshot = await getDocs(usersQuery);
-      const totalUsers = usersSnapshot.size;
-
-      // Count pending approvals (created by current admin)
-      const pendingQuery = query(
-        collection(db, 'users'),
-        where('createdBy', '==', user.email),
-        where('status', '==', 'pending')
-      );
-      const pendingSnapshot = await getDocs(pendingQuery);
-      const pendingApprovals = pendingSnapshot.size;
-
-      // Count rejected users (created by current admin)
-      const rejectedQuery = query(
-        collection(db, 'users'),
-        where('createdBy', '==', user.email),
-        where('status', '==', 'rejected')
-      );
-      const rejectedSnapshot = await getDocs(rejectedQuery);
-      const rejectedUsers = rejectedSnapshot.size;
-
-      // Fetch documents created by current admin
-      const documentsQuery = query(collection(db, 'documents'), where('createdBy', '==', user.email));
-      const documentsSnapshot = await getDocs(documentsQuery);
-      const totalDocuments = documentsSnapshot.size;
-
-      setStats({
-        totalUsers,
-        pendingApprovals,
-        rejectedUsers,
-        totalDocuments,
-      });
-    } catch (error) {
-      console.error('Error fetching stats:', error);
-    }
-  };
+  // Totals when last week closed, to show how far each card moved since
+  const previousTotals = weeks[weeks.length - 2]?.totals || null;
 
   // Fetch motivational quote
   useEffect(() => {
@@ -204,28 +237,28 @@ export default function Dashboard() {
   const statCards = [
     {
       title: 'Total Users',
-      value: stats.totalUsers,
+      key: 'totalUsers',
       icon: Users,
       color: 'text-blue-600',
       bgColor: 'bg-blue-100',
     },
     {
       title: 'Pending Approvals',
-      value: stats.pendingApprovals,
+      key: 'pendingApprovals',
       icon: Clock,
       color: 'text-orange-600',
       bgColor: 'bg-orange-100',
     },
     {
       title: 'Rejected Users',
-      value: stats.rejectedUsers,
+      key: 'rejectedUsers',
       icon: AlertCircle,
       color: 'text-red-600',
       bgColor: 'bg-red-100',
     },
     {
       title: 'Total Documents',
-      value: stats.totalDocuments,
+      key: 'totalDocuments',
       icon: FileText,
       color: 'text-green-600',
       bgColor: 'bg-green-100',
@@ -247,9 +280,14 @@ export default function Dashboard() {
         </div>
       </div>
 
+      <div className="flex justify-end mb-2">
+        <LiveIndicator updated={latestChange.updated} />
+      </div>
       <div className="grid gap-3 sm:gap-4 grid-cols-1 sm:grid-cols-2 lg:grid-cols-4">
         {statCards.map((stat) => {
           const Icon = stat.icon;
+          const value = totals?.[stat.key];
+          const change = delta(value, previousTotals?.[stat.key]);
           return (
             <Card key={stat.title}>
               <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-2">
@@ -261,108 +299,164 @@ export default function Dashboard() {
                 </div>
               </CardHeader>
               <CardContent>
-                <div className="text-2xl font-bold">{stat.value.toLocaleString()}</div>
+                <div className="text-2xl font-bold">{value === undefined ? '—' : value.toLocaleString()}</div>
                 <p className="text-xs text-muted-foreground mt-1">
                   {stat.title === 'Pending Approvals' || stat.title === 'Documents Pending Completion'
                     ? 'Requires attention'
                     : 'Total count'}
+                  {change !== null && (
+                    <span
+                      className={cn(
+                        'ml-1 font-medium',
+                        change > 0 ? 'text-green-600' : change < 0 ? 'text-red-600' : 'text-muted-foreground'
+                      )}
+                    >
+                      · {formatDelta(change)} since last week
+                    </span>
+                  )}
                 </p>
+                {stat.key === 'pendingApprovals' && stages.length > 0 && (
+                  <ul className="mt-3 space-y-1 text-xs" data-testid="pending-by-stage">
+                    {stages.map(stage => (
+                      <li key={stage.id} className="flex justify-between gap-2">
+                        <span className="text-muted-foreground truncate">{stage.name}</span>
+                        <span className="font-medium">{pendingByStage[stage.id]?.toLocaleString() ?? '—'}</span>
+                      </li>
+                    ))}
+                  </ul>
+                )}
               </CardContent>
             </Card>
           );
         })}
       </div>
 
+      {/* Weekly Trends */}
+      {weeks.length > 0 && (
+        <div className="mt-6 sm:mt-8">
+          <h2 className="text-lg sm:text-xl font-bold mb-4">Weekly Trends</h2>
+          <div className="grid gap-3 sm:gap-4 grid-cols-1 sm:grid-cols-2 lg:grid-cols-4">
+            <WeeklyTrend title="New Users" weeks={weeks} metric="newUsers" barClassName="bg-blue-500" />
+            {canReadAudit && (
+              <WeeklyTrend title="Approvals" weeks={weeks} metric="approvals" barClassName="bg-orange-500" />
+            )}
+            <WeeklyTrend title="Documents Created" weeks={weeks} metric="documentsCreated" barClassName="bg-green-500" />
+            <WeeklyTrend title="Clinics Added" weeks={weeks} metric="clinicsAdded" barClassName="bg-purple-500" />
+          </div>
+        </div>
+      )}
+
       {/* Form Section */}
-      <Card className="mt-6 sm:mt-8">
-        <CardHeader>
-          <CardTitle className="text-lg sm:text-xl">Add New User</CardTitle>
-        </CardHeader>
-        <CardContent>
-          <form onSubmit={handleSubmit}>
-            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 mb-6">
-              {/* Username Field */}
-              <div className="space-y-2">
-                <Label htmlFor="username">Username</Label>
-                <Input
-                  id="username"
-                  name="username"
-                  type="text"
-                  placeholder="Enter username"
-                  value={formData.username}
-                  onChange={handleInputChange}
-                  required
-                />
-              </div>
+      {can(CAPABILITIES.CREATE_USERS) && (
+        <Card className="mt-6 sm:mt-8">
+          <CardHeader className="flex flex-row flex-wrap items-center justify-between gap-2 space-y-0">
+            <CardTitle className="text-lg sm:text-xl">Add New User</CardTitle>
+            <UserImport />
+          </CardHeader>
+          <CardContent>
+            <form onSubmit={handleSubmit}>
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 mb-6">
+                {/* Username Field */}
+                <div className="space-y-2">
+                  <Label htmlFor="username">Username</Label>
+                  <Input
+                    id="username"
+                    name="username"
+                    type="text"
+                    placeholder="Enter username"
+                    value={formData.username}
+                    onChange={handleInputChange}
+                    required
+                    aria-invalid={Boolean(fieldErrors.username)}
+                    aria-describedby="username-error"
+                  />
+                  <FieldError id="username-error" message={fieldErrors.username} />
+                </div>
 
-              {/* Email Field */}
-              <div className="space-y-2">
-                <Label htmlFor="email">Email</Label>
-                <Input
-                  id="email"
-                  name="email"
-                  type="email"
-                  placeholder="Enter email"
-                  value={formData.email}
-                  onChange={handleInputChange}
-                  required
-                />
-              </div>
+                {/* Email Field */}
+                <div className="space-y-2">
+                  <Label htmlFor="email">Email</Label>
+                  <Input
+                    id="email"
+                    name="email"
+                    type="email"
+                    placeholder="Enter email"
+                    value={formData.email}
+                    onChange={handleInputChange}
+                    required
+                    aria-invalid={Boolean(fieldErrors.email)}
+                    aria-describedby="email-error"
+                  />
+                  <FieldError id="email-error" message={fieldErrors.email} />
+                </div>
 
-              {/* Role Dropdown */}
-              <div className="space-y-2">
-                <Label htmlFor="role">Role</Label>
-                <Select
-                  value={formData.role}
-                  onValueChange={(value) => handleSelectChange('role', value)}
-                >
-                  <SelectTrigger id="role">
-                    <SelectValue placeholder="Select role" />
-                  </SelectTrigger>
-                  <SelectContent>
-                    <SelectItem value="admin">Admin</SelectItem>
-                    <SelectItem value="user">User</SelectItem>
-                  </SelectContent>
-                </Select>
+                {/* Role Dropdown */}
+                <div className="space-y-2">
+                  <Label htmlFor="role">Role</Label>
+                  <Select
+                    value={formData.role}
+                    onValueChange={(value) => handleSelectChange('role', value)}
+                  >
+                    <SelectTrigger
+                      id="role"
+                      className={cn(fieldErrors.role && 'border-destructive')}
+                      aria-invalid={Boolean(fieldErrors.role)}
+                      aria-describedby="role-error"
+                    >
+                      <SelectValue placeholder="Select role" />
+                    </SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value="admin">Admin</SelectItem>
+                      <SelectItem value="user">User</SelectItem>
+                    </SelectContent>
+                  </Select>
+                  <FieldError id="role-error" message={fieldErrors.role} />
+                </div>
+
+                {/* Status Dropdown */}
+                <div className="space-y-2">
+                  <Label htmlFor="status">Status</Label>
+                  <Select
+                    value={formData.status}
+                    onValueChange={(value) => handleSelectChange('status', value)}
+                  >
+                    <SelectTrigger
+                      id="status"
+                      className={cn(fieldErrors.status && 'border-destructive')}
+                      aria-invalid={Boolean(fieldErrors.status)}
+                      aria-describedby="status-error"
+                    >
+                      <SelectValue placeholder="Select status" />
+                    </SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value="pending">Pending</SelectItem>
+                      {stages.length === 0 && <SelectItem value="approved">Approved</SelectItem>}
+                      <SelectItem value="rejected">Rejected</SelectItem>
+                    </SelectContent>
+                  </Select>
+                  <FieldError id="status-error" message={fieldErrors.status} />
+                </div>
               </div>
 
-              {/* Status Dropdown */}
-              <div className="space-y-2">
-                <Label htmlFor="status">Status</Label>
-                <Select
-                  value={formData.status}
-                  onValueChange={(value) => handleSelectChange('status', value)}
+              {/* Centered Buttons */}
+              <div className="flex flex-col sm:flex-row justify-center gap-3 sm:gap-4">
+                <Button type="submit" className="w-full sm:w-auto sm:min-w-[120px]" disabled={submitting}>
+                  {submitting ? 'Submitting...' : 'Submit'}
+                </Button>
+                <Button
+                  type="button"
+                  variant="outline"
+                  onClick={handleCancel}
+                  className="w-full sm:w-auto sm:min-w-[120px]"
+                  disabled={submitting}
                 >
-                  <SelectTrigger id="status">
-                    <SelectValue placeholder="Select status" />
-                  </SelectTrigger>
-                  <SelectContent>
-                    <SelectItem value="pending">Pending</SelectItem>
-                    <SelectItem value="approved">Approved</SelectItem>
-                    <SelectItem value="rejected">Rejected</SelectItem>
-                  </SelectContent>
-                </Select>
+                  Cancel
+                </Button>
               </div>
-            </div>
-
-            {/* Centered Buttons */}
-            <div className="flex flex-col sm:flex-row justify-center gap-3 sm:gap-4">
-              <Button type="submit" className="w-full sm:w-auto sm:min-w-[120px]" disabled={submitting}>
-                {submitting ? 'Submitting...' : 'Submit'}
-              </Button>
-              <Button
-                type="button"
-                variant="outline"
-                onClick={handleCancel}
-                className="w-full sm:w-auto sm:min-w-[120px]"
-                disabled={submitting}
-              >
-                Cancel
-              </Button>
-            </div>
-          </form>
-        </CardContent>
-      </Card>
+            </form>
+          </CardContent>
+        </Card>
+      )}
     </div>
   );
 }
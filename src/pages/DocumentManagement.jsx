@@ -1,125 +1,88 @@
-import { useState, useEffect } from 'react';
+import { useState } from 'react';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
 import { Input } from '@/components/ui/input';
 import { Label } from '@/components/ui/label';
 import { Button } from '@/components/ui/button';
-import { db } from '@/lib/firebase';
-import { collection, addDoc, getDocs, query, where, deleteDoc, doc, serverTimestamp } from 'firebase/firestore';
+import { FieldError } from '@/components/FieldError';
+import { LiveIndicator, PendingSyncBadge } from '@/components/LiveIndicator';
+import { repositories, ValidationError, ConflictError } from '@/lib/data';
 import { useToast } from '@/hooks/use-toast';
+import { useLiveQuery } from '@/hooks/use-live-query';
 import { useAuth } from '@/context/AuthContext';
+import { useOrg } from '@/context/OrgContext';
 import { Download, Trash2, FileText, Loader2 } from 'lucide-react';
 import Select from 'react-select';
+import { CAPABILITIES } from '@/lib/permissions';
+import { cn } from '@/lib/utils';
+import { downloadCsv } from '@/lib/export';
 
 export default function DocumentManagement() {
   const { toast } = useToast();
   const { user } = useAuth();
+  const { activeOrgId, can } = useOrg();
   const [documentName, setDocumentName] = useState('');
   const [selectedUsers, setSelectedUsers] = useState([]);
-  const [approvedUsers, setApprovedUsers] = useState([]);
-  const [documents, setDocuments] = useState([]);
-  const [loading, setLoading] = useState(true);
   const [submitting, setSubmitting] = useState(false);
+  const [fieldErrors, setFieldErrors] = useState({});
 
-  // Fetch approved users and documents on mount
-  useEffect(() => {
-    fetchApprovedUsers();
-    fetchDocuments();
-  }, [user]);
-
-  const fetchApprovedUsers = async () => {
-    if (!user?.email) return;
-
-    try {
-      // Fetch only approved users created by current admin
-      const q = query(
-        collection(db, 'users'),
-        where('createdBy', '==', user.email),
-        where('status', '==', 'approved')
-      );
-      const querySnapshot = await getDocs(q);
-      const users = querySnapshot.docs.map(doc => ({
-        value: doc.id,
-        label: `${doc.data().username} (${doc.data().email})`,
-        email: doc.data().email,
-        username: doc.data().username,
-      }));
-      setApprovedUsers(users);
-    } catch (error) {
-      console.error('Error fetching approved users:', error);
-      toast({
-        title: 'Error',
-        description: 'Failed to load approved users.',
-        variant: 'destructive',
-      });
-    }
-  };
-
-  const fetchDocuments = async () => {
-    if (!user?.email) return;
-
-    try {
-      // Fetch only documents created by current admin
-      const documentsQuery = query(
-        collection(db, 'documents'),
-        where('createdBy', '==', user.email)
-      );
-      const querySnapshot = await getDocs(documentsQuery);
-      const docs = querySnapshot.docs.map(doc => ({
-        id: doc.id,
-        ...doc.data(),
-      }));
-      setDocuments(docs);
-    } catch (error) {
-      console.error('Error fetching documents:', error);
-      // Only show error if it's not a permission issue for empty collection
-      if (error.code !== 'permission-denied') {
+  // Approved users and documents in the active organization, kept up to date
+  // as anyone changes them
+  const { data: approvedRecords } = useLiveQuery(
+    (onNext, onError) => repositories.users.subscribe(activeOrgId, { status: 'approved' }, onNext, onError),
+    {
+      key: activeOrgId,
+      enabled: Boolean(activeOrgId),
+      onError: (error) => {
+        console.error('Error fetching approved users:', error);
         toast({
           title: 'Error',
-          description: 'Failed to load documents.',
+          description: 'Failed to load approved users.',
           variant: 'destructive',
         });
-      }
-      // Set empty array on error
-      setDocuments([]);
-    } finally {
-      setLoading(false);
+      },
     }
-  };
-
-  const handleSubmit = async (e) => {
-    e.preventDefault();
+  );
 
-    if (!documentName.trim()) {
-      toast({
-        title: 'Warning',
-        description: 'Please enter a document name.',
-        variant: 'destructive',
-      });
-      return;
+  const { data: documents, loading, changedIds, pendingIds, updated } = useLiveQuery(
+    (onNext, onError) => repositories.documents.subscribe(activeOrgId, onNext, onError),
+    {
+      key: activeOrgId,
+      enabled: Boolean(activeOrgId),
+      onError: (error) => {
+        console.error('Error fetching documents:', error);
+        // Only show error if it's not a permission issue for empty collection
+        if (error.code !== 'permission-denied') {
+          toast({
+            title: 'Error',
+            description: 'Failed to load documents.',
+            variant: 'destructive',
+          });
+        }
+      },
     }
+  );
 
-    if (selectedUsers.length === 0) {
-      toast({
-        title: 'Warning',
-        description: 'Please select at least one approved user.',
-        variant: 'destructive',
-      });
-      return;
-    }
+  const approvedUsers = approvedRecords.map(record => ({
+    value: record.id,
+    label: `${record.username} (${record.email})`,
+    email: record.email,
+    username: record.username,
+  }));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
 
     setSubmitting(true);
 
     try {
-      await addDoc(collection(db, 'documents'), {
-        documentName: documentName.trim(),
+      await repositories.documents.create(activeOrgId, {
+        documentName,
         assignedUsers: selectedUsers.map(u => ({
           id: u.value,
           username: u.username,
           email: u.email,
         })),
-        createdAt: serverTimestamp(),
-        createdBy: user?.email || 'unknown',
-      });
+      }, user);
 
       toast({
         title: 'Success',
@@ -129,10 +92,18 @@ export default function DocumentManagement() {
       // Reset form
       setDocumentName('');
       setSelectedUsers([]);
-
-      // Refresh documents
-      await fetchDocuments();
+      setFieldErrors({});
     } catch (error) {
+      if (error instanceof ValidationError) {
+        setFieldErrors(error.fields);
+        toast({
+          title: 'Warning',
+          description: error.message,
+          variant: 'destructive',
+        });
+        return;
+      }
+
       console.error('Error creating document:', error);
       toast({
         title: 'Error',
@@ -145,26 +116,10 @@ export default function DocumentManagement() {
   };
 
   const handleDownload = (doc) => {
-    // Create CSV content
-    const headers = ['Username', 'Email'];
-    const rows = doc.assignedUsers.map(user => [user.username, user.email]);
-    
-    const csvContent = [
-      headers.join(','),
-      ...rows.map(row => row.join(','))
-    ].join('\n');
-
-    // Create blob and download
-    const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
-    const link = document.createElement('a');
-    const url = URL.createObjectURL(blob);
-    
-    link.setAttribute('href', url);
-    link.setAttribute('download', `${doc.documentName}.csv`);
-    link.style.visibility = 'hidden';
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
+    downloadCsv(
+      [['Username', 'Email'], ...doc.assignedUsers.map(user => [user.username, user.email])],
+      `${doc.documentName}.csv`
+    );
 
     toast({
       title: 'Success',
@@ -172,22 +127,28 @@ export default function DocumentManagement() {
     });
   };
 
-  const handleDelete = async (documentId) => {
-    if (!confirm('Are you sure you want to delete this document?')) {
+  const handleDelete = async (record) => {
+    if (!confirm('Move this document to the Trash? You can restore it from there.')) {
       return;
     }
 
     try {
-      await deleteDoc(doc(db, 'documents', documentId));
-      
+      await repositories.documents.remove(record, user);
+
       toast({
         title: 'Success',
-        description: 'Document deleted successfully!',
+        description: 'Document moved to Trash.',
       });
-
-      // Refresh documents
-      await fetchDocuments();
     } catch (error) {
+      if (error instanceof ConflictError) {
+        toast({
+          title: 'Warning',
+          description: error.message,
+          variant: 'destructive',
+        });
+        return;
+      }
+
       console.error('Error deleting document:', error);
       toast({
         title: 'Error',
@@ -201,7 +162,7 @@ export default function DocumentManagement() {
     control: (base) => ({
       ...base,
       minHeight: '36px',
-      borderColor: 'hsl(var(--input))',
+      borderColor: fieldErrors.assignedUsers ? 'hsl(var(--destructive))' : 'hsl(var(--input))',
       '&:hover': {
         borderColor: 'hsl(var(--input))',
       },
@@ -253,58 +214,75 @@ export default function DocumentManagement() {
       </div>
 
       {/* Document Creation Form */}
-      <Card className="mb-6 sm:mb-8">
-        <CardHeader>
-          <CardTitle className="text-lg sm:text-xl">Create New Document</CardTitle>
-        </CardHeader>
-        <CardContent>
-          <form onSubmit={handleSubmit}>
-            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 mb-6">
-              {/* Document Name */}
-              <div className="space-y-2">
-                <Label htmlFor="documentName">Document Name</Label>
-                <Input
-                  id="documentName"
-                  type="text"
-                  placeholder="Enter document name"
-                  value={documentName}
-                  onChange={(e) => setDocumentName(e.target.value)}
-                  disabled={submitting}
-                />
-              </div>
+      {can(CAPABILITIES.MANAGE_DOCUMENTS) && (
+        <Card className="mb-6 sm:mb-8">
+          <CardHeader>
+            <CardTitle className="text-lg sm:text-xl">Create New Document</CardTitle>
+          </CardHeader>
+          <CardContent>
+            <form onSubmit={handleSubmit}>
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 mb-6">
+                {/* Document Name */}
+                <div className="space-y-2">
+                  <Label htmlFor="documentName">Document Name</Label>
+                  <Input
+                    id="documentName"
+                    type="text"
+                    placeholder="Enter document name"
+                    value={documentName}
+                    onChange={(e) => {
+                      setDocumentName(e.target.value);
+                      setFieldErrors(prev => ({ ...prev, documentName: undefined }));
+                    }}
+                    disabled={submitting}
+                    aria-invalid={Boolean(fieldErrors.documentName)}
+                    aria-describedby="documentName-error"
+                  />
+                  <FieldError id="documentName-error" message={fieldErrors.documentName} />
+                </div>
 
-              {/* Approved Users Multi-Select */}
-              <div className="space-y-2">
-                <Label htmlFor="approvedUsers">Approved Users</Label>
-                <Select
-                  id="approvedUsers"
-                  isMulti
-                  options={approvedUsers}
-                  value={selectedUsers}
-                  onChange={setSelectedUsers}
-                  placeholder="Search and select users..."
-                  isSearchable
-                  isDisabled={submitting}
-                  styles={customSelectStyles}
-                  className="react-select-container"
-                  classNamePrefix="react-select"
-                />
+                {/* Approved Users Multi-Select */}
+                <div className="space-y-2">
+                  <Label htmlFor="approvedUsers">Approved Users</Label>
+                  <Select
+                    id="approvedUsers"
+                    isMulti
+                    options={approvedUsers}
+                    value={selectedUsers}
+                    onChange={(users) => {
+                      setSelectedUsers(users);
+                      setFieldErrors(prev => ({ ...prev, assignedUsers: undefined }));
+                    }}
+                    placeholder="Search and select users..."
+                    isSearchable
+                    isDisabled={submitting}
+                    styles={customSelectStyles}
+                    className="react-select-container"
+                    classNamePrefix="react-select"
+                    aria-invalid={Boolean(fieldErrors.assignedUsers)}
+                    aria-errormessage="assignedUsers-error"
+                  />
+                  <FieldError id="assignedUsers-error" message={fieldErrors.assignedUsers} />
+                </div>
               </div>
-            </div>
 
-            {/* Submit Button */}
-            <div className="flex justify-center">
-              <Button type="submit" disabled={submitting} className="w-full sm:w-auto sm:min-w-[120px]">
-                {submitting ? 'Creating...' : 'Submit'}
-              </Button>
-            </div>
-          </form>
-        </CardContent>
-      </Card>
+              {/* Submit Button */}
+              <div className="flex justify-center">
+                <Button type="submit" disabled={submitting} className="w-full sm:w-auto sm:min-w-[120px]">
+                  {submitting ? 'Creating...' : 'Submit'}
+                </Button>
+              </div>
+            </form>
+          </CardContent>
+        </Card>
+      )}
 
       {/* Documents List */}
       <div>
-        <h2 className="text-xl sm:text-2xl font-bold mb-4">Documents</h2>
+        <div className="flex items-center gap-3 mb-4">
+          <h2 className="text-xl sm:text-2xl font-bold">Documents</h2>
+          <LiveIndicator updated={updated} />
+        </div>
         {documents.length === 0 ? (
           <Card>
             <CardContent className="py-8 text-center text-muted-foreground">
@@ -314,13 +292,17 @@ export default function DocumentManagement() {
         ) : (
           <div className="grid gap-4 md:grid-cols-2 lg:grid-cols-3">
             {documents.map((document) => (
-              <Card key={document.id} className="hover:shadow-lg transition-shadow">
+              <Card
+                key={document.id}
+                className={cn('hover:shadow-lg transition-all', changedIds.has(document.id) && 'bg-primary/10')}
+              >
                 <CardHeader className="pb-3">
                   <div className="flex items-start justify-between">
                     <div className="flex items-center gap-2 flex-1">
                       <FileText className="h-5 w-5 text-primary flex-shrink-0" />
                       <CardTitle className="text-lg truncate">{document.documentName}</CardTitle>
                     </div>
+                    {pendingIds.has(document.id) && <PendingSyncBadge />}
                   </div>
                 </CardHeader>
                 <CardContent>
@@ -343,13 +325,15 @@ export default function DocumentManagement() {
                         <Download className="h-4 w-4 mr-1" />
                         Download
                       </Button>
-                      <Button
-                        size="sm"
-                        variant="destructive"
-                        onClick={() => handleDelete(document.id)}
-                      >
-                        <Trash2 className="h-4 w-4" />
-                      </Button>
+                      {can(CAPABILITIES.DELETE_DOCUMENTS) && (
+                        <Button
+                          size="sm"
+                          variant="destructive"
+                          onClick={() => handleDelete(document)}
+                        >
+                          <Trash2 className="h-4 w-4" />
+                        </Button>
+                      )}
                     </div>
                   </div>
                 </CardContent>
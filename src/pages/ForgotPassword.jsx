@@ -0,0 +1,134 @@
+import { useState } from 'react';
+import { Link } from 'wouter';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Button } from '@/components/ui/button';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { useAuth } from '@/context/AuthContext';
+import { useEmulators } from '@/lib/firebase';
+import { fetchDevPasswordResetLink } from '@/lib/devMailbox';
+import { Mail, Loader2, Inbox } from 'lucide-react';
+
+export default function ForgotPassword() {
+  const [email, setEmail] = useState('');
+  const [sent, setSent] = useState(false);
+  const [devLink, setDevLink] = useState('');
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+  const { sendPasswordReset } = useAuth();
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setLoading(true);
+
+    try {
+      await sendPasswordReset(email);
+      setSent(true);
+
+      if (useEmulators) {
+        setDevLink((await fetchDevPasswordResetLink(email)) || '');
+      }
+    } catch (err) {
+      // Don't reveal whether an account exists for the address
+      if (err.code === 'auth/user-not-found') {
+        setSent(true);
+      } else {
+        setError(err.message || 'Failed to send reset email');
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleOpenDevLink = () => {
+    // Open the link the way a mail client would once the action URL points at this app
+    window.location.assign(`/auth-action${new URL(devLink).search}`);
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-muted/30 px-4 py-8">
+      <Card className="w-full max-w-md">
+        <CardHeader className="space-y-1">
+          <CardTitle className="text-2xl sm:text-3xl font-bold text-center">Reset Password</CardTitle>
+          <CardDescription className="text-center">
+            Enter your email and we will send you a link to choose a new password
+          </CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          {error && (
+            <Alert variant="destructive" data-testid="alert-error">
+              <AlertDescription>{error}</AlertDescription>
+            </Alert>
+          )}
+
+          {sent ? (
+            <div className="space-y-4">
+              <div className="text-center text-sm text-muted-foreground">
+                <Inbox className="h-10 w-10 mx-auto mb-3 text-primary" />
+                <p>
+                  If <span className="font-medium text-foreground">{email.trim()}</span> has an account,
+                  a reset link is on its way.
+                </p>
+              </div>
+
+              {devLink && (
+                <Alert data-testid="alert-dev-mailbox">
+                  <AlertDescription className="space-y-2">
+                    <p className="font-medium">Dev mailbox (Auth emulator)</p>
+                    <Button size="sm" variant="outline" className="w-full" onClick={handleOpenDevLink}>
+                      Open reset link
+                    </Button>
+                  </AlertDescription>
+                </Alert>
+              )}
+            </div>
+          ) : (
+            <form onSubmit={handleSubmit} className="space-y-4">
+              <div className="space-y-2">
+                <Label htmlFor="email">Email</Label>
+                <div className="relative">
+                  <Mail className="absolute left-3 top-3 h-4 w-4 text-muted-foreground" />
+                  <Input
+                    id="email"
+                    type="email"
+                    placeholder="you@example.com"
+                    value={email}
+                    onChange={(e) => setEmail(e.target.value)}
+                    className="pl-10"
+                    required
+                    data-testid="input-email"
+                  />
+                </div>
+              </div>
+
+              <Button
+                type="submit"
+                className="w-full"
+                disabled={loading}
+                data-testid="button-send-reset"
+              >
+                {loading ? (
+                  <>
+                    <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                    Sending...
+                  </>
+                ) : (
+                  'Send Reset Link'
+                )}
+              </Button>
+            </form>
+          )}
+
+          <p className="text-center text-sm text-muted-foreground">
+            Remembered it?{' '}
+            <Link href="/login" data-testid="link-login">
+              <span className="text-primary hover:underline cursor-pointer">Back to sign in</span>
+            </Link>
+          </p>
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
@@ -0,0 +1,28 @@
+import { Card, CardContent } from "@/components/ui/card";
+import { ShieldAlert } from "lucide-react";
+import { useOrg } from "@/context/OrgContext";
+
+export default function NoAccess() {
+  const { role } = useOrg();
+
+  return (
+    <div className="h-full w-full flex items-center justify-center p-4">
+      <Card className="w-full max-w-md">
+        <CardContent className="pt-6">
+          <div className="flex mb-4 gap-2">
+            <ShieldAlert className="h-8 w-8 text-orange-500" />
+            <h1 className="text-2xl font-bold">
+              {role ? 'Access Denied' : 'Access Pending'}
+            </h1>
+          </div>
+
+          <p className="mt-4 text-sm text-muted-foreground">
+            {role
+              ? "Your role doesn't include access to this page. Ask an administrator if you need it."
+              : "Your account hasn't been given a role in this organization yet. Ask an administrator to grant you access."}
+          </p>
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
@@ -1,5 +1,6 @@
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
 import { useAuth } from '@/context/AuthContext';
+import { useOrg } from '@/context/OrgContext';
 import { useLocation } from 'wouter';
 import { Button } from '@/components/ui/button';
 import { Input } from '@/components/ui/input';
@@ -8,16 +9,43 @@ import { Label } from '@/components/ui/label';
 import { Alert, AlertDescription } from '@/components/ui/alert';
 import { Loader2, Mail, Lock, Chrome } from 'lucide-react';
 import { Link } from 'wouter';
+import { getInvite, getInviteIdFromUrl, isInviteOpen } from '@/lib/invites';
+import { SecondFactorPrompt } from '@/components/SecondFactorPrompt';
 
 export default function Signup() {
-  const [email, setEmail] = useState('');
+  const [invite, setInvite] = useState(null);
+  const [inviteLoading, setInviteLoading] = useState(true);
   const [password, setPassword] = useState('');
   const [confirmPassword, setConfirmPassword] = useState('');
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
-  const { signUp, signInWithGoogle } = useAuth();
+  const { user, signUp, isInviteLink, signUpWithInviteLink, signInWithGoogle, signOut, secondFactor } = useAuth();
+  const { acceptInvite } = useOrg();
   const [, setLocation] = useLocation();
 
+  useEffect(() => {
+    const loadInvite = async () => {
+      const inviteId = getInviteIdFromUrl(window.location.href);
+
+      try {
+        const found = inviteId ? await getInvite(inviteId) : null;
+        setInvite(isInviteOpen(found) ? found : null);
+      } catch (err) {
+        console.error('Error loading invite:', err);
+        setInvite(null);
+      } finally {
+        setInviteLoading(false);
+      }
+    };
+
+    loadInvite();
+  }, []);
+
+  const finishSignup = async () => {
+    await acceptInvite(invite);
+    setLocation('/');
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError('');
@@ -35,22 +63,39 @@ export default function Signup() {
     setLoading(true);
 
     try {
-      await signUp(email, password);
-      setLocation('/');
+      if (isInviteLink()) {
+        await signUpWithInviteLink(invite.email, password);
+      } else {
+        await signUp(invite.email, password);
+      }
+      await finishSignup();
     } catch (err) {
-      setError(err.message || 'Failed to create account');
+      if (err.code === 'auth/email-already-in-use') {
+        setError('An account with this email already exists. Sign in, then open the invite link again to accept it.');
+      } else {
+        setError(err.message || 'Failed to create account');
+      }
     } finally {
       setLoading(false);
     }
   };
 
+  // Invites are bound to an address; a different Google account can't use this one
+  const acceptAsGoogleUser = async (googleUser) => {
+    if (googleUser.email?.toLowerCase() !== invite.email) {
+      await signOut();
+      throw new Error(`This invitation is for ${invite.email}. Sign in with that Google account.`);
+    }
+    await finishSignup();
+  };
+
   const handleGoogleSignIn = async () => {
     setError('');
     setLoading(true);
 
     try {
-      await signInWithGoogle();
-      setLocation('/');
+      // Accounts with two-factor on continue in the code prompt
+      await signInWithGoogle(acceptAsGoogleUser);
     } catch (err) {
       setError(err.message || 'Failed to sign in with Google');
     } finally {
@@ -58,13 +103,60 @@ export default function Signup() {
     }
   };
 
+  const handleAccept = async () => {
+    setError('');
+    setLoading(true);
+
+    try {
+      await finishSignup();
+    } catch (err) {
+      setError(err.message || 'Failed to accept invitation');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (inviteLoading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-muted/30">
+        <Loader2 className="h-8 w-8 animate-spin text-primary" />
+      </div>
+    );
+  }
+
+  if (!invite) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-muted/30 px-4 py-8">
+        <Card className="w-full max-w-md">
+          <CardHeader className="space-y-1">
+            <CardTitle className="text-2xl sm:text-3xl font-bold text-center">Invitation Only</CardTitle>
+            <CardDescription className="text-center">
+              Accounts are created from an invitation email. This invitation is missing, expired or revoked.
+            </CardDescription>
+          </CardHeader>
+          <CardContent>
+            <p className="text-center text-sm text-muted-foreground">
+              Ask an admin of your organization to send you a new invite, or{' '}
+              <Link href="/login" data-testid="link-login">
+                <span className="text-primary hover:underline cursor-pointer">sign in</span>
+              </Link>
+              .
+            </p>
+          </CardContent>
+        </Card>
+      </div>
+    );
+  }
+
+  const signedInAsInvitee = user?.email?.toLowerCase() === invite.email;
+
   return (
     <div className="min-h-screen flex items-center justify-center bg-muted/30 px-4 py-8">
       <Card className="w-full max-w-md">
         <CardHeader className="space-y-1">
-          <CardTitle className="text-2xl sm:text-3xl font-bold text-center">Create Account</CardTitle>
+          <CardTitle className="text-2xl sm:text-3xl font-bold text-center">Join {invite.orgName}</CardTitle>
           <CardDescription className="text-center">
-            Start tracking today
+            You have been invited as <span className="font-medium capitalize">{invite.role}</span> by {invite.invitedBy}
           </CardDescription>
         </CardHeader>
         <CardContent className="space-y-4">
@@ -74,101 +166,131 @@ export default function Signup() {
             </Alert>
           )}
 
-          <form onSubmit={handleSubmit} className="space-y-4">
-            <div className="space-y-2">
-              <Label htmlFor="email">Email</Label>
-              <div className="relative">
-                <Mail className="absolute left-3 top-3 h-4 w-4 text-muted-foreground" />
-                <Input
-                  id="email"
-                  type="email"
-                  placeholder="you@example.com"
-                  value={email}
-                  onChange={(e) => setEmail(e.target.value)}
-                  className="pl-10"
-                  required
-                  data-testid="input-email"
-                />
-              </div>
-            </div>
-
-            <div className="space-y-2">
-              <Label htmlFor="password">Password</Label>
-              <div className="relative">
-                <Lock className="absolute left-3 top-3 h-4 w-4 text-muted-foreground" />
-                <Input
-                  id="password"
-                  type="password"
-                  placeholder="••••••••"
-                  value={password}
-                  onChange={(e) => setPassword(e.target.value)}
-                  className="pl-10"
-                  required
-                  data-testid="input-password"
-                />
-              </div>
-            </div>
-
-            <div className="space-y-2">
-              <Label htmlFor="confirmPassword">Confirm Password</Label>
-              <div className="relative">
-                <Lock className="absolute left-3 top-3 h-4 w-4 text-muted-foreground" />
-                <Input
-                  id="confirmPassword"
-                  type="password"
-                  placeholder="••••••••"
-                  value={confirmPassword}
-                  onChange={(e) => setConfirmPassword(e.target.value)}
-                  className="pl-10"
-                  required
-                  data-testid="input-confirm-password"
-                />
-              </div>
-            </div>
-
-            <Button 
-              type="submit" 
-              className="w-full" 
+          {secondFactor ? (
+            <SecondFactorPrompt />
+          ) : signedInAsInvitee ? (
+            <Button
+              type="button"
+              className="w-full"
+              onClick={handleAccept}
               disabled={loading}
-              data-testid="button-signup"
+              data-testid="button-accept-invite"
             >
               {loading ? (
                 <>
                   <Loader2 className="mr-2 h-4 w-4 animate-spin" />
-                  Creating account...
+                  Joining...
                 </>
               ) : (
-                'Sign Up'
+                `Accept invitation as ${user.email}`
               )}
             </Button>
-          </form>
-
-          <div className="relative">
-            <div className="absolute inset-0 flex items-center">
-              <span className="w-full border-t" />
-            </div>
-            <div className="relative flex justify-center text-xs uppercase">
-              <span className="bg-card px-2 text-muted-foreground">Or continue with</span>
-            </div>
-          </div>
-
-          <Button
-            type="button"
-            variant="outline"
-            className="w-full"
-            onClick={handleGoogleSignIn}
-            disabled={loading}
-            data-testid="button-google-signin"
-          >
-            <Chrome className="mr-2 h-4 w-4" />
-            Google
-          </Button>
+          ) : (
+            <>
+              <form onSubmit={handleSubmit} className="space-y-4">
+                <div className="space-y-2">
+                  <Label htmlFor="email">Email</Label>
+                  <div className="relative">
+                    <Mail className="absolute left-3 top-3 h-4 w-4 text-muted-foreground" />
+                    <Input
+                      id="email"
+                      type="email"
+                      value={invite.email}
+                      className="pl-10"
+                      readOnly
+                      data-testid="input-email"
+                    />
+                  </div>
+                </div>
+
+                <div className="space-y-2">
+                  <Label htmlFor="password">Password</Label>
+                  <div className="relative">
+                    <Lock className="absolute left-3 top-3 h-4 w-4 text-muted-foreground" />
+                    <Input
+                      id="password"
+                      type="password"
+                      placeholder="••••••••"
+                      value={password}
+                      onChange={(e) => setPassword(e.target.value)}
+                      className="pl-10"
+                      required
+                      data-testid="input-password"
+                    />
+                  </div>
+                </div>
+
+                <div className="space-y-2">
+                  <Label htmlFor="confirmPassword">Confirm Password</Label>
+                  <div className="relative">
+                    <Lock className="absolute left-3 top-3 h-4 w-4 text-muted-foreground" />
+                    <Input
+                      id="confirmPassword"
+                      type="password"
+                      placeholder="••••••••"
+                      value={confirmPassword}
+                      onChange={(e) => setConfirmPassword(e.target.value)}
+                      className="pl-10"
+                      required
+                      data-testid="input-confirm-password"
+                    />
+                  </div>
+                </div>
+
+                <Button
+                  type="submit"
+                  className="w-full"
+                  disabled={loading}
+                  data-testid="button-signup"
+                >
+                  {loading ? (
+                    <>
+                      <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                      Creating account...
+                    </>
+                  ) : (
+                    'Create Account & Join'
+                  )}
+                </Button>
+              </form>
+
+              <div className="relative">
+                <div className="absolute inset-0 flex items-center">
+                  <span className="w-full border-t" />
+                </div>
+                <div className="relative flex justify-center text-xs uppercase">
+                  <span className="bg-card px-2 text-muted-foreground">Or continue with</span>
+                </div>
+              </div>
+
+              <Button
+                type="button"
+                variant="outline"
+                className="w-full"
+                onClick={handleGoogleSignIn}
+                disabled={loading}
+                data-testid="button-google-signin"
+              >
+                <Chrome className="mr-2 h-4 w-4" />
+                Google
+              </Button>
+            </>
+          )}
 
           <p className="text-center text-sm text-muted-foreground">
-            Already have an account?{' '}
-            <Link href="/login" data-testid="link-login">
-              <span className="text-primary hover:underline cursor-pointer">Sign in</span>
-            </Link>
+            {user && !signedInAsInvitee ? (
+              <>
+                Signed in as {user.email}.{' '}
+                <span className="text-primary hover:underline cursor-pointer" onClick={signOut}>Sign out</span>
+              </>
+            ) : (
+              <>
+                Already have an account?{' '}
+                <Link href="/login" data-testid="link-login">
+                  <span className="text-primary hover:underline cursor-pointer">Sign in</span>
+                </Link>
+              </>
+            )}
           </p>
         </CardContent>
       </Card>
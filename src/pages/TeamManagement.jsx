@@ -0,0 +1,541 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Checkbox } from '@/components/ui/checkbox';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '@/components/ui/table';
+import { DataMigrations } from '@/components/DataMigrations';
+import { ApprovalStages } from '@/components/ApprovalStages';
+import { useToast } from '@/hooks/use-toast';
+import { useAuth, getTwoFactorStatus } from '@/context/AuthContext';
+import { useOrg } from '@/context/OrgContext';
+import { CAPABILITIES } from '@/lib/permissions';
+import { SESSION_SCOPES, IDLE_TIMEOUT_MINUTES } from '@/lib/session';
+import { DEFAULT_TRASH_RETENTION_DAYS, TRASH_RETENTION_OPTIONS } from '@/lib/trash';
+import { useEmulators } from '@/lib/firebase';
+import { fetchDevSignInLink } from '@/lib/devMailbox';
+import {
+  INVITE_STATUS,
+  createInvite,
+  resendInvite,
+  revokeInvite,
+  fetchInvites,
+  isInviteOpen,
+} from '@/lib/invites';
+import { Loader2, Send, RotateCw, Ban, ExternalLink } from 'lucide-react';
+
+const IDLE_TIMEOUT_OPTIONS = [5, 15, 30, 60, 120, 240];
+
+const formatDate = (timestamp) => {
+  return timestamp ? timestamp.toDate().toLocaleDateString('en-US', { month: 'short', day: '2-digit', year: 'numeric' }) : '—';
+};
+
+const inviteStatusLabel = (invite) => {
+  if (invite.status === INVITE_STATUS.PENDING && !isInviteOpen(invite)) return 'expired';
+  return invite.status;
+};
+
+const statusClasses = {
+  pending: 'bg-yellow-100 text-yellow-800',
+  accepted: 'bg-green-100 text-green-800',
+  revoked: 'bg-red-100 text-red-800',
+  expired: 'bg-gray-100 text-gray-800',
+};
+
+export default function TeamManagement() {
+  const { toast } = useToast();
+  const { user } = useAuth();
+  const { activeOrg, activeOrgId, can, updateSecurityPolicy } = useOrg();
+  const [savingPolicy, setSavingPolicy] = useState(false);
+  const [invites, setInvites] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+  const [busyInviteId, setBusyInviteId] = useState(null);
+  // Links from the Auth emulator's mailbox, keyed by invite id (development only)
+  const [devLinks, setDevLinks] = useState({});
+
+  // Form state
+  const [formData, setFormData] = useState({
+    email: '',
+    role: 'admin',
+    expiresInDays: '7',
+  });
+
+  const loadInvites = useCallback(async () => {
+    if (!activeOrgId) return;
+
+    try {
+      setInvites(await fetchInvites(activeOrgId));
+    } catch (error) {
+      console.error('Error fetching invites:', error);
+      toast({
+        title: 'Error',
+        description: 'Failed to load invites.',
+        variant: 'destructive',
+      });
+    } finally {
+      setLoading(false);
+    }
+  }, [activeOrgId, toast]);
+
+  useEffect(() => {
+    loadInvites();
+  }, [loadInvites]);
+
+  const captureDevLink = async (inviteId, email) => {
+    if (!useEmulators) return;
+
+    const link = await fetchDevSignInLink(email);
+    if (link) {
+      // Point the emulator link at Signup, the way the hosted handler redirects
+      setDevLinks(prev => ({ ...prev, [inviteId]: `/signup${new URL(link).search}` }));
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    if (!emailRegex.test(formData.email.trim())) {
+      toast({
+        title: 'Warning',
+        description: 'Please enter a valid email address.',
+        variant: 'destructive',
+      });
+      return;
+    }
+
+    if (invites.some(invite => invite.email === formData.email.trim().toLowerCase() && isInviteOpen(invite))) {
+      toast({
+        title: 'Warning',
+        description: 'This email already has a pending invite. Resend it instead.',
+        variant: 'destructive',
+      });
+      return;
+    }
+
+    setSubmitting(true);
+
+    try {
+      const inviteId = await createInvite({
+        org: activeOrg,
+        email: formData.email,
+        role: formData.role,
+        expiresInDays: Number(formData.expiresInDays),
+        invitedBy: user?.email || 'unknown',
+      });
+      await captureDevLink(inviteId, formData.email);
+
+      toast({
+        title: 'Success',
+        description: `Invite sent to ${formData.email.trim()}!`,
+      });
+
+      setFormData({ email: '', role: 'admin', expiresInDays: '7' });
+      await loadInvites();
+    } catch (error) {
+      console.error('Error creating invite:', error);
+      toast({
+        title: 'Error',
+        description: 'Failed to send invite.',
+        variant: 'destructive',
+      });
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleResend = async (invite) => {
+    setBusyInviteId(invite.id);
+
+    try {
+      await resendInvite(invite);
+      await captureDevLink(invite.id, invite.email);
+
+      toast({
+        title: 'Success',
+        description: `Invite resent to ${invite.email}!`,
+      });
+
+      await loadInvites();
+    } catch (error) {
+      console.error('Error resending invite:', error);
+      toast({
+        title: 'Error',
+        description: 'Failed to resend invite.',
+        variant: 'destructive',
+      });
+    } finally {
+      setBusyInviteId(null);
+    }
+  };
+
+  const handleRevoke = async (invite) => {
+    if (!confirm(`Revoke the invite for ${invite.email}?`)) {
+      return;
+    }
+
+    setBusyInviteId(invite.id);
+
+    try {
+      await revokeInvite(invite.id);
+
+      toast({
+        title: 'Success',
+        description: 'Invite revoked successfully!',
+      });
+
+      await loadInvites();
+    } catch (error) {
+      console.error('Error revoking invite:', error);
+      toast({
+        title: 'Error',
+        description: 'Failed to revoke invite.',
+        variant: 'destructive',
+      });
+    } finally {
+      setBusyInviteId(null);
+    }
+  };
+
+  const handlePolicyChange = async (changes, successMessage) => {
+    setSavingPolicy(true);
+
+    try {
+      await updateSecurityPolicy(changes);
+
+      toast({
+        title: 'Success',
+        description: successMessage,
+      });
+    } catch (error) {
+      console.error('Error updating security policy:', error);
+      toast({
+        title: 'Error',
+        description: 'Failed to update security settings.',
+        variant: 'destructive',
+      });
+    } finally {
+      setSavingPolicy(false);
+    }
+  };
+
+  const handleRequireTwoFactorChange = (checked) => {
+    handlePolicyChange(
+      { requireTwoFactor: checked === true },
+      checked ? 'Two-factor authentication is now required.' : 'Two-factor authentication is now optional.'
+    );
+  };
+
+  const handleIdleTimeoutChange = (value) => {
+    handlePolicyChange(
+      { idleTimeoutMinutes: Number(value) },
+      `Admins are now signed out after ${value} idle minutes.`
+    );
+  };
+
+  const handleTrashRetentionChange = (value) => {
+    handlePolicyChange(
+      { trashRetentionDays: Number(value) },
+      `Deleted records are now purged after ${value} days in the Trash.`
+    );
+  };
+
+  const renderActions = (invite) => {
+    if (invite.status !== INVITE_STATUS.PENDING) return null;
+
+    return (
+      <div className="flex items-center gap-2">
+        <Button
+          variant="outline"
+          size="sm"
+          onClick={() => handleResend(invite)}
+          disabled={busyInviteId === invite.id}
+        >
+          <RotateCw className="h-3 w-3 mr-1" />
+          Resend
+        </Button>
+        <Button
+          variant="ghost"
+          size="sm"
+          onClick={() => handleRevoke(invite)}
+          disabled={busyInviteId === invite.id}
+          className="text-red-600 hover:text-red-700 hover:bg-red-50"
+        >
+          <Ban className="h-3 w-3 mr-1" />
+          Revoke
+        </Button>
+        {devLinks[invite.id] && (
+          <a
+            href={devLinks[invite.id]}
+            target="_blank"
+            rel="noreferrer"
+            className="inline-flex items-center text-xs text-primary hover:underline"
+          >
+            <ExternalLink className="h-3 w-3 mr-1" />
+            Dev link
+          </a>
+        )}
+      </div>
+    );
+  };
+
+  const renderStatus = (invite) => {
+    const label = inviteStatusLabel(invite);
+    return (
+      <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium whitespace-nowrap ${statusClasses[label]}`}>
+        {label}
+      </span>
+    );
+  };
+
+  if (loading) {
+    return (
+      <div className="container mx-auto p-6 flex items-center justify-center h-[calc(100vh-8rem)]">
+        <Loader2 className="h-8 w-8 animate-spin text-primary" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="container mx-auto p-4 sm:p-6">
+      <div className="mb-4 sm:mb-6">
+        <h1 className="text-2xl sm:text-3xl font-bold mb-2">Team</h1>
+        <p className="text-sm sm:text-base text-muted-foreground">Invite co-admins to {activeOrg?.name}</p>
+      </div>
+
+      {/* Security Policy - owners only */}
+      {can(CAPABILITIES.MANAGE_SECURITY) && (
+        <Card className="mb-6 sm:mb-8">
+          <CardHeader>
+            <CardTitle className="text-lg sm:text-xl">Security</CardTitle>
+          </CardHeader>
+          <CardContent className="space-y-2">
+            <div className="flex items-center gap-3">
+              <Checkbox
+                id="requireTwoFactor"
+                checked={activeOrg?.requireTwoFactor}
+                onCheckedChange={handleRequireTwoFactorChange}
+                disabled={savingPolicy || (!activeOrg?.requireTwoFactor && !getTwoFactorStatus(user).enabled)}
+                data-testid="checkbox-require-two-factor"
+              />
+              <Label htmlFor="requireTwoFactor">Require two-factor authentication for all admins</Label>
+            </div>
+            <p className="text-sm text-muted-foreground">
+              {getTwoFactorStatus(user).enabled
+                ? 'Members without two-factor are asked to set it up before they can continue.'
+                : 'Turn on two-factor for your own account in Account Settings first.'}
+            </p>
+
+            <div className="pt-4 space-y-2 max-w-xs">
+              <Label htmlFor="idleTimeout">Sign admins out after inactivity</Label>
+              <Select
+                value={String(activeOrg?.idleTimeoutMinutes || IDLE_TIMEOUT_MINUTES[SESSION_SCOPES.ADMIN])}
+                onValueChange={handleIdleTimeoutChange}
+                disabled={savingPolicy}
+              >
+                <SelectTrigger id="idleTimeout" data-testid="select-idle-timeout">
+                  <SelectValue placeholder="Select timeout" />
+                </SelectTrigger>
+                <SelectContent>
+                  {IDLE_TIMEOUT_OPTIONS.map((minutes) => (
+                    <SelectItem key={minutes} value={String(minutes)}>
+                      {minutes < 60 ? `${minutes} minutes` : `${minutes / 60} hour${minutes === 60 ? '' : 's'}`}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+
+            <div className="pt-4 space-y-2 max-w-xs">
+              <Label htmlFor="trashRetention">Keep deleted records in the Trash for</Label>
+              <Select
+                value={String(activeOrg?.trashRetentionDays || DEFAULT_TRASH_RETENTION_DAYS)}
+                onValueChange={handleTrashRetentionChange}
+                disabled={savingPolicy}
+              >
+                <SelectTrigger id="trashRetention" data-testid="select-trash-retention">
+                  <SelectValue placeholder="Select period" />
+                </SelectTrigger>
+                <SelectContent>
+                  {TRASH_RETENTION_OPTIONS.map((days) => (
+                    <SelectItem key={days} value={String(days)}>{days} days</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+          </CardContent>
+        </Card>
+      )}
+
+      {/* Approval Stages - owners only */}
+      {can(CAPABILITIES.MANAGE_APPROVAL_STAGES) && <ApprovalStages />}
+
+      {/* Data Migrations - owners only */}
+      {can(CAPABILITIES.RUN_MIGRATIONS) && <DataMigrations />}
+
+      {/* Invite Form */}
+      <Card className="mb-6 sm:mb-8">
+        <CardHeader>
+          <CardTitle className="text-lg sm:text-xl">Invite Admin</CardTitle>
+        </CardHeader>
+        <CardContent>
+          <form onSubmit={handleSubmit}>
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-4 mb-6">
+              {/* Email Field */}
+              <div className="space-y-2">
+                <Label htmlFor="inviteEmail">Email</Label>
+                <Input
+                  id="inviteEmail"
+                  type="email"
+                  placeholder="Enter email"
+                  value={formData.email}
+                  onChange={(e) => setFormData(prev => ({ ...prev, email: e.target.value }))}
+                  disabled={submitting}
+                  required
+                />
+              </div>
+
+              {/* Role Dropdown */}
+              <div className="space-y-2">
+                <Label htmlFor="inviteRole">Role</Label>
+                <Select
+                  value={formData.role}
+                  onValueChange={(value) => setFormData(prev => ({ ...prev, role: value }))}
+                >
+                  <SelectTrigger id="inviteRole">
+                    <SelectValue placeholder="Select role" />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="admin">Admin</SelectItem>
+                    <SelectItem value="viewer">Viewer (read only)</SelectItem>
+                  </SelectContent>
+                </Select>
+              </div>
+
+              {/* Expiry Dropdown */}
+              <div className="space-y-2">
+                <Label htmlFor="inviteExpiry">Expires In</Label>
+                <Select
+                  value={formData.expiresInDays}
+                  onValueChange={(value) => setFormData(prev => ({ ...prev, expiresInDays: value }))}
+                >
+                  <SelectTrigger id="inviteExpiry">
+                    <SelectValue placeholder="Select expiry" />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="1">1 day</SelectItem>
+                    <SelectItem value="3">3 days</SelectItem>
+                    <SelectItem value="7">7 days</SelectItem>
+                    <SelectItem value="14">14 days</SelectItem>
+                  </SelectContent>
+                </Select>
+              </div>
+            </div>
+
+            <div className="flex justify-center">
+              <Button type="submit" disabled={submitting} className="w-full sm:w-auto sm:min-w-[120px]">
+                <Send className="h-4 w-4 mr-2" />
+                {submitting ? 'Sending...' : 'Send Invite'}
+              </Button>
+            </div>
+          </form>
+        </CardContent>
+      </Card>
+
+      {/* Invites List */}
+      <div>
+        <h2 className="text-lg sm:text-xl font-bold mb-4">Invites</h2>
+
+        {invites.length === 0 ? (
+          <Card>
+            <CardContent className="py-8 text-center text-muted-foreground">
+              No invites yet. Invite your first co-admin above.
+            </CardContent>
+          </Card>
+        ) : (
+          <>
+            {/* Mobile: Cards View */}
+            <div className="sm:hidden space-y-3">
+              {invites.map((invite) => (
+                <Card key={invite.id} className="overflow-hidden">
+                  <CardContent className="p-4">
+                    <div className="flex items-start justify-between mb-3">
+                      <div>
+                        <h3 className="font-medium">{invite.email}</h3>
+                        <p className="text-sm text-muted-foreground capitalize">{invite.role}</p>
+                      </div>
+                      {renderStatus(invite)}
+                    </div>
+                    <div className="space-y-2 text-sm mb-3">
+                      <div className="flex justify-between">
+                        <span className="text-muted-foreground">Expires:</span>
+                        <span>{formatDate(invite.expiresAt)}</span>
+                      </div>
+                      <div className="flex justify-between">
+                        <span className="text-muted-foreground">Invited By:</span>
+                        <span className="text-right">{invite.invitedBy}</span>
+                      </div>
+                    </div>
+                    {renderActions(invite)}
+                  </CardContent>
+                </Card>
+              ))}
+            </div>
+
+            {/* Desktop: Table View */}
+            <Card className="hidden sm:block overflow-hidden">
+              <CardContent className="p-0">
+                <div className="overflow-x-auto">
+                  <Table>
+                    <TableHeader className="bg-muted">
+                      <TableRow>
+                        <TableHead className="min-w-[200px] px-4">Email</TableHead>
+                        <TableHead className="min-w-[100px] px-4">Role</TableHead>
+                        <TableHead className="min-w-[100px] px-4">Status</TableHead>
+                        <TableHead className="min-w-[120px] px-4">Last Sent</TableHead>
+                        <TableHead className="min-w-[120px] px-4">Expires</TableHead>
+                        <TableHead className="min-w-[180px] px-4">Invited By</TableHead>
+                        <TableHead className="min-w-[200px] px-4">Action</TableHead>
+                      </TableRow>
+                    </TableHeader>
+                    <TableBody>
+                      {invites.map((invite) => (
+                        <TableRow key={invite.id} className="hover:bg-muted/50">
+                          <TableCell className="font-medium py-3 px-4 whitespace-nowrap">{invite.email}</TableCell>
+                          <TableCell className="capitalize py-3 px-4 whitespace-nowrap">{invite.role}</TableCell>
+                          <TableCell className="py-3 px-4">{renderStatus(invite)}</TableCell>
+                          <TableCell className="py-3 px-4 whitespace-nowrap">{formatDate(invite.sentAt)}</TableCell>
+                          <TableCell className="py-3 px-4 whitespace-nowrap">{formatDate(invite.expiresAt)}</TableCell>
+                          <TableCell className="text-sm text-muted-foreground py-3 px-4 whitespace-nowrap">
+                            {invite.invitedBy}
+                          </TableCell>
+                          <TableCell className="py-3 px-4">{renderActions(invite)}</TableCell>
+                        </TableRow>
+                      ))}
+                    </TableBody>
+                  </Table>
+                </div>
+              </CardContent>
+            </Card>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
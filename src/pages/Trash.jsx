@@ -0,0 +1,322 @@
+import { useState } from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Label } from '@/components/ui/label';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '@/components/ui/table';
+import { LiveIndicator, PendingSyncBadge } from '@/components/LiveIndicator';
+import { repositories, ConflictError } from '@/lib/data';
+import { useToast } from '@/hooks/use-toast';
+import { useLiveQuery } from '@/hooks/use-live-query';
+import { useAuth } from '@/context/AuthContext';
+import { useOrg } from '@/context/OrgContext';
+import { TRASH_COLLECTIONS, DEFAULT_TRASH_RETENTION_DAYS, purgeDate } from '@/lib/trash';
+import { cn } from '@/lib/utils';
+import { Loader2, RotateCcw, Trash2 } from 'lucide-react';
+
+const typeLabels = {
+  users: 'User',
+  clinics: 'Clinic',
+  documents: 'Document',
+};
+
+const formatDate = (date) => {
+  return date
+    ? date.toLocaleDateString('en-US', { month: 'short', day: '2-digit', year: 'numeric' })
+    : '—';
+};
+
+export default function Trash() {
+  const { toast } = useToast();
+  const { user } = useAuth();
+  const { activeOrgId, activeOrg } = useOrg();
+  const retentionDays = activeOrg?.trashRetentionDays || DEFAULT_TRASH_RETENTION_DAYS;
+  const [type, setType] = useState('all');
+  const [busyId, setBusyId] = useState(null);
+  const [emptying, setEmptying] = useState(false);
+
+  // Deleted records of the active organization, kept up to date as anyone
+  // deletes, restores or purges them
+  const { data: entries, loading, changedIds, pendingIds, updated } = useLiveQuery(
+    (onNext, onError) => repositories.trash.subscribe(activeOrgId, onNext, onError),
+    {
+      key: activeOrgId,
+      enabled: Boolean(activeOrgId),
+      onError: (error) => {
+        console.error('Error fetching trash:', error);
+        toast({
+          title: 'Error',
+          description: 'Failed to load the trash.',
+          variant: 'destructive',
+        });
+      },
+    }
+  );
+
+  const visibleEntries = type === 'all' ? entries : entries.filter(entry => entry.collection === type);
+
+  const handleRestore = async (entry) => {
+    setBusyId(entry.id);
+
+    try {
+      await repositories.trash.restore(entry, user);
+
+      toast({
+        title: 'Success',
+        description: `${typeLabels[entry.collection]} "${entry.label}" restored.`,
+      });
+    } catch (error) {
+      if (error instanceof ConflictError) {
+        toast({
+          title: 'Warning',
+          description: error.message,
+          variant: 'destructive',
+        });
+        return;
+      }
+
+      console.error('Error restoring record:', error);
+      toast({
+        title: 'Error',
+        description: 'Failed to restore.',
+        variant: 'destructive',
+      });
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handlePurge = async (entry) => {
+    if (!confirm(`Permanently delete "${entry.label}"? This cannot be undone.`)) {
+      return;
+    }
+
+    setBusyId(entry.id);
+
+    try {
+      await repositories.trash.purge([entry], user);
+
+      toast({
+        title: 'Success',
+        description: `"${entry.label}" permanently deleted.`,
+      });
+    } catch (error) {
+      console.error('Error purging record:', error);
+      toast({
+        title: 'Error',
+        description: 'Failed to delete permanently.',
+        variant: 'destructive',
+      });
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleEmpty = async () => {
+    if (!confirm(`Permanently delete all ${visibleEntries.length} item(s) shown? This cannot be undone.`)) {
+      return;
+    }
+
+    setEmptying(true);
+
+    try {
+      await repositories.trash.purge(visibleEntries, user);
+
+      toast({
+        title: 'Success',
+        description: `${visibleEntries.length} item(s) permanently deleted.`,
+      });
+    } catch (error) {
+      console.error('Error emptying trash:', error);
+      toast({
+        title: 'Error',
+        description: 'Failed to empty the trash.',
+        variant: 'destructive',
+      });
+    } finally {
+      setEmptying(false);
+    }
+  };
+
+  const renderActions = (entry) => (
+    <div className="flex items-center gap-2">
+      <Button
+        variant="outline"
+        size="sm"
+        onClick={() => handleRestore(entry)}
+        disabled={busyId === entry.id || emptying}
+        data-testid={`button-restore-${entry.id}`}
+      >
+        <RotateCcw className="h-3 w-3 mr-1" />
+        Restore
+      </Button>
+      <Button
+        variant="ghost"
+        size="sm"
+        onClick={() => handlePurge(entry)}
+        disabled={busyId === entry.id || emptying}
+        className="text-red-600 hover:text-red-700 hover:bg-red-50"
+        data-testid={`button-purge-${entry.id}`}
+      >
+        <Trash2 className="h-3 w-3 mr-1" />
+        Delete forever
+      </Button>
+    </div>
+  );
+
+  if (loading) {
+    return (
+      <div className="container mx-auto p-6 flex items-center justify-center h-[calc(100vh-8rem)]">
+        <Loader2 className="h-8 w-8 animate-spin text-primary" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="container mx-auto p-4 sm:p-6">
+      <div className="mb-4 sm:mb-6">
+        <h1 className="text-2xl sm:text-3xl font-bold mb-2">Trash</h1>
+        <p className="text-sm sm:text-base text-muted-foreground">
+          Deleted users, clinics and documents stay here for {retentionDays} days before they are purged
+        </p>
+      </div>
+
+      <Card className="mb-4">
+        <CardHeader>
+          <CardTitle className="text-lg sm:text-xl">Filter</CardTitle>
+        </CardHeader>
+        <CardContent>
+          <div className="flex flex-col sm:flex-row sm:items-end sm:justify-between gap-3">
+            <div className="space-y-2 sm:w-56">
+              <Label htmlFor="trashType">Type</Label>
+              <Select value={type} onValueChange={setType}>
+                <SelectTrigger id="trashType" data-testid="select-trash-type">
+                  <SelectValue placeholder="Select type" />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="all">All</SelectItem>
+                  {Object.keys(TRASH_COLLECTIONS).map((collection) => (
+                    <SelectItem key={collection} value={collection}>{typeLabels[collection]}s</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <Button
+              variant="outline"
+              onClick={handleEmpty}
+              disabled={emptying || visibleEntries.length === 0}
+              className="w-full sm:w-auto text-red-600 hover:text-red-700"
+              data-testid="button-empty-trash"
+            >
+              {emptying ? <Loader2 className="h-4 w-4 mr-2 animate-spin" /> : <Trash2 className="h-4 w-4 mr-2" />}
+              Delete all shown
+            </Button>
+          </div>
+        </CardContent>
+      </Card>
+
+      <div className="flex items-center gap-3 mb-4">
+        <h2 className="text-lg sm:text-xl font-bold">Deleted items</h2>
+        <LiveIndicator updated={updated} />
+      </div>
+
+      {visibleEntries.length === 0 ? (
+        <Card>
+          <CardContent className="py-8 text-center text-muted-foreground">
+            The trash is empty.
+          </CardContent>
+        </Card>
+      ) : (
+        <>
+          {/* Mobile: Cards View */}
+          <div className="sm:hidden space-y-3">
+            {visibleEntries.map((entry) => (
+              <Card
+                key={entry.id}
+                className={cn('overflow-hidden transition-colors duration-1000', changedIds.has(entry.id) && 'bg-primary/10')}
+              >
+                <CardContent className="p-4">
+                  <div className="mb-3">
+                    <h3 className="font-semibold">{entry.label || entry.recordId}</h3>
+                    <p className="text-sm text-muted-foreground">{typeLabels[entry.collection]}</p>
+                    {pendingIds.has(entry.id) && <PendingSyncBadge />}
+                  </div>
+                  <div className="space-y-2 text-sm mb-3">
+                    <div className="flex justify-between">
+                      <span className="text-muted-foreground">Deleted:</span>
+                      <span>{formatDate(entry.deletedAt?.toDate())}</span>
+                    </div>
+                    <div className="flex justify-between">
+                      <span className="text-muted-foreground">By:</span>
+                      <span className="text-right break-all">{entry.deletedBy}</span>
+                    </div>
+                    <div className="flex justify-between">
+                      <span className="text-muted-foreground">Purged on:</span>
+                      <span>{formatDate(purgeDate(entry, retentionDays))}</span>
+                    </div>
+                  </div>
+                  {renderActions(entry)}
+                </CardContent>
+              </Card>
+            ))}
+          </div>
+
+          {/* Desktop: Table View */}
+          <Card className="hidden sm:block overflow-hidden">
+            <CardContent className="p-0">
+              <div className="overflow-x-auto">
+                <Table>
+                  <TableHeader className="bg-muted">
+                    <TableRow>
+                      <TableHead className="min-w-[180px] px-4">Name</TableHead>
+                      <TableHead className="min-w-[100px] px-4">Type</TableHead>
+                      <TableHead className="min-w-[180px] px-4">Deleted by</TableHead>
+                      <TableHead className="min-w-[120px] px-4">Deleted</TableHead>
+                      <TableHead className="min-w-[120px] px-4">Purged on</TableHead>
+                      <TableHead className="min-w-[240px] px-4">Actions</TableHead>
+                    </TableRow>
+                  </TableHeader>
+                  <TableBody>
+                    {visibleEntries.map((entry) => (
+                      <TableRow
+                        key={entry.id}
+                        className={cn('hover:bg-muted/50 transition-colors duration-1000', changedIds.has(entry.id) && 'bg-primary/10')}
+                      >
+                        <TableCell className="font-medium py-3 px-4">
+                          <div className="flex items-center gap-2">
+                            {entry.label || entry.recordId}
+                            {pendingIds.has(entry.id) && <PendingSyncBadge />}
+                          </div>
+                        </TableCell>
+                        <TableCell className="py-3 px-4">{typeLabels[entry.collection]}</TableCell>
+                        <TableCell className="text-sm text-muted-foreground py-3 px-4">{entry.deletedBy}</TableCell>
+                        <TableCell className="py-3 px-4 whitespace-nowrap">{formatDate(entry.deletedAt?.toDate())}</TableCell>
+                        <TableCell className="py-3 px-4 whitespace-nowrap">
+                          {formatDate(purgeDate(entry, retentionDays))}
+                        </TableCell>
+                        <TableCell className="py-3 px-4">{renderActions(entry)}</TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </div>
+            </CardContent>
+          </Card>
+        </>
+      )}
+    </div>
+  );
+}
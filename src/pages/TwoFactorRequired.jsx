@@ -0,0 +1,76 @@
+import { useState } from 'react';
+import { useLocation } from 'wouter';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { useAuth } from '@/context/AuthContext';
+import { useOrg } from '@/context/OrgContext';
+import { useToast } from '@/hooks/use-toast';
+import { TwoFactorSetup } from '@/components/TwoFactorSetup';
+
+export default function TwoFactorRequired() {
+  const { toast } = useToast();
+  const { user, signOut, sendVerificationEmail, refreshUser } = useAuth();
+  const { activeOrg } = useOrg();
+  const [, setLocation] = useLocation();
+  const [sending, setSending] = useState(false);
+
+  const handleSendVerification = async () => {
+    setSending(true);
+
+    try {
+      await sendVerificationEmail();
+      toast({
+        title: 'Success',
+        description: `Verification email sent to ${user.email}!`,
+      });
+    } catch (error) {
+      console.error('Error sending verification email:', error);
+      toast({
+        title: 'Error',
+        description: error.message || 'Failed to send verification email.',
+        variant: 'destructive',
+      });
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const handleSignOut = async () => {
+    await signOut();
+    setLocation('/login');
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-muted/30 px-4 py-8">
+      <Card className="w-full max-w-lg">
+        <CardHeader className="space-y-1">
+          <CardTitle className="text-2xl sm:text-3xl font-bold text-center">Two-Factor Required</CardTitle>
+          <CardDescription className="text-center">
+            {activeOrg?.name} requires two-factor authentication. Set it up to continue.
+          </CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          {user?.emailVerified ? (
+            <TwoFactorSetup required />
+          ) : (
+            <div className="space-y-3 text-sm text-center">
+              <p className="text-muted-foreground">
+                First verify {user?.email}: open the link we email you, then come back here.
+              </p>
+              <div className="flex flex-wrap justify-center gap-2">
+                <Button variant="outline" onClick={handleSendVerification} disabled={sending}>
+                  {sending ? 'Sending...' : 'Send Verification Email'}
+                </Button>
+                <Button onClick={refreshUser}>I&apos;ve Verified</Button>
+              </div>
+            </div>
+          )}
+
+          <Button variant="ghost" className="w-full" onClick={handleSignOut}>
+            Sign out
+          </Button>
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
@@ -0,0 +1,472 @@
+import { useState } from 'react';
+import { Link, useParams } from 'wouter';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+import { StatusTimeline } from '@/components/StatusTimeline';
+import { FieldError } from '@/components/FieldError';
+import { LiveIndicator, PendingSyncBadge } from '@/components/LiveIndicator';
+import { ApprovalReview } from '@/components/ApprovalReview';
+import { repositories, ValidationError, ConflictError } from '@/lib/data';
+import { useToast } from '@/hooks/use-toast';
+import { useLiveQuery } from '@/hooks/use-live-query';
+import { useAuth } from '@/context/AuthContext';
+import { useOrg } from '@/context/OrgContext';
+import { CAPABILITIES } from '@/lib/permissions';
+import { approvalStages, stageOf } from '@/lib/approval';
+import { ArrowLeft, FileText, Image as ImageIcon, Loader2, Pencil } from 'lucide-react';
+
+const formatDate = (timestamp) => {
+  return timestamp?.toDate
+    ? timestamp.toDate().toLocaleDateString('en-US', { month: 'short', day: '2-digit', year: 'numeric' })
+    : '—';
+};
+
+const statusClasses = {
+  approved: 'bg-green-100 text-green-800',
+  rejected: 'bg-red-100 text-red-800',
+  pending: 'bg-yellow-100 text-yellow-800',
+};
+
+const profileForm = (record) => ({
+  username: record.username || '',
+  email: record.email || '',
+  role: record.role || '',
+});
+
+/**
+ * One user's profile, status, uploaded images and assigned documents, at
+ * /user-management/:id. The profile is edited in place; saving an email or
+ * username also updates the documents assigned to the user. With approval
+ * stages set up, pending users are approved through them instead.
+ */
+export default function UserDetail() {
+  const { id } = useParams();
+  const { toast } = useToast();
+  const { user } = useAuth();
+  const { activeOrgId, activeOrg, can } = useOrg();
+  const stages = approvalStages(activeOrg);
+  const canEdit = can(CAPABILITIES.EDIT_USERS);
+  const canApprove = can(CAPABILITIES.APPROVE_USERS);
+  // The record as it was when editing started, so saving can tell if someone else changed it
+  const [editingFrom, setEditingFrom] = useState(null);
+  const [form, setForm] = useState(null);
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [saving, setSaving] = useState(false);
+  const [status, setStatus] = useState('');
+  const [rejectionReason, setRejectionReason] = useState('');
+  const [updatingStatus, setUpdatingStatus] = useState(false);
+
+  const { data: records, loading, pendingIds, updated } = useLiveQuery(
+    (onNext, onError) => repositories.users.subscribeOne(activeOrgId, id, onNext, onError),
+    {
+      key: `${activeOrgId}|${id}`,
+      enabled: Boolean(activeOrgId),
+      onError: (error) => {
+        console.error('Error fetching user:', error);
+        toast({
+          title: 'Error',
+          description: 'Failed to load the user.',
+          variant: 'destructive',
+        });
+      },
+    }
+  );
+  const record = records[0] || null;
+
+  const { data: documents, loading: loadingDocuments } = useLiveQuery(
+    (onNext, onError) => repositories.documents.subscribeAssignedTo(activeOrgId, record.email, onNext, onError),
+    {
+      key: `${activeOrgId}|${record?.email}`,
+      enabled: Boolean(activeOrgId && record?.email),
+      onError: (error) => console.error('Error fetching assigned documents:', error),
+    }
+  );
+
+  const handleEdit = () => {
+    setEditingFrom(record);
+    setForm(profileForm(record));
+    setFieldErrors({});
+  };
+
+  const handleCancel = () => {
+    setEditingFrom(null);
+    setForm(null);
+    setFieldErrors({});
+  };
+
+  const handleChange = (field, value) => {
+    setForm(prev => ({ ...prev, [field]: value }));
+    setFieldErrors(prev => ({ ...prev, [field]: undefined }));
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+
+    try {
+      const result = await repositories.users.update(editingFrom, form, user);
+      handleCancel();
+
+      toast({
+        title: 'Success',
+        description: result.documents > 0
+          ? `User updated, along with ${result.documents} assigned document(s).`
+          : 'User updated successfully!',
+      });
+    } catch (error) {
+      if (error instanceof ValidationError || error instanceof ConflictError) {
+        setFieldErrors(error.fields || {});
+        toast({
+          title: 'Warning',
+          description: error.message,
+          variant: 'destructive',
+        });
+        return;
+      }
+
+      console.error('Error updating user:', error);
+      toast({
+        title: 'Error',
+        description: 'Failed to update the user.',
+        variant: 'destructive',
+      });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleStatusUpdate = async () => {
+    setUpdatingStatus(true);
+
+    try {
+      const { failures } = await repositories.users.setStatus([record], status, {
+        reason: rejectionReason,
+        actor: user,
+        stages,
+      });
+      if (failures.length > 0) throw failures[0].error;
+
+      setStatus('');
+      setRejectionReason('');
+      setFieldErrors({});
+      toast({
+        title: 'Success',
+        description: `User is now ${status}.`,
+      });
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        setFieldErrors(error.fields);
+        toast({
+          title: 'Warning',
+          description: error.message,
+          variant: 'destructive',
+        });
+        return;
+      }
+
+      console.error('Error updating user status:', error);
+      toast({
+        title: 'Error',
+        description: 'Failed to update the status.',
+        variant: 'destructive',
+      });
+    } finally {
+      setUpdatingStatus(false);
+    }
+  };
+
+  const backLink = (
+    <Link href="/user-management" className="inline-flex items-center text-sm text-muted-foreground hover:text-foreground mb-4">
+      <ArrowLeft className="h-4 w-4 mr-1" />
+      User Management
+    </Link>
+  );
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center min-h-[400px]">
+        <Loader2 className="h-8 w-8 animate-spin text-primary" />
+      </div>
+    );
+  }
+
+  if (!record) {
+    return (
+      <div className="container mx-auto p-4 sm:p-6">
+        {backLink}
+        <Card>
+          <CardContent className="py-8 text-center text-muted-foreground" data-testid="text-user-not-found">
+            This user does not exist in your organization, or was moved to the Trash.
+          </CardContent>
+        </Card>
+      </div>
+    );
+  }
+
+  const images = record.images || [];
+  const stage = stageOf(record, stages);
+
+  return (
+    <div className="container mx-auto p-4 sm:p-6">
+      {backLink}
+      <div className="mb-4 sm:mb-6">
+        <div className="flex flex-wrap items-center gap-3 mb-2">
+          <h1 className="text-2xl sm:text-3xl font-bold break-all" data-testid="text-user-name">{record.username}</h1>
+          <span
+            className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${
+              statusClasses[record.status] || 'bg-gray-100 text-gray-800'
+            }`}
+          >
+            {record.status}
+          </span>
+          {stage && (
+            <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-muted" data-testid="text-user-stage">
+              {stage.name}
+            </span>
+          )}
+          <LiveIndicator updated={updated} />
+          {pendingIds.has(record.id) && <PendingSyncBadge />}
+        </div>
+        <p className="text-sm sm:text-base text-muted-foreground break-all">
+          {record.email} · added by {record.createdBy} on {formatDate(record.createdAt)}
+        </p>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-4 sm:gap-6">
+        {/* Profile */}
+        <Card>
+          <CardHeader className="flex flex-row items-center justify-between space-y-0">
+            <CardTitle className="text-lg sm:text-xl">Profile</CardTitle>
+            {canEdit && !form && (
+              <Button variant="outline" size="sm" onClick={handleEdit} data-testid="button-edit-user">
+                <Pencil className="h-4 w-4 mr-2" />
+                Edit
+              </Button>
+            )}
+          </CardHeader>
+          <CardContent>
+            {form ? (
+              <form onSubmit={handleSave} className="space-y-4" noValidate>
+                <div className="space-y-2">
+                  <Label htmlFor="username">Username</Label>
+                  <Input
+                    id="username"
+                    value={form.username}
+                    onChange={(e) => handleChange('username', e.target.value)}
+                    disabled={saving}
+                    aria-invalid={Boolean(fieldErrors.username)}
+                    aria-describedby="username-error"
+                    data-testid="input-username"
+                  />
+                  <FieldError id="username-error" message={fieldErrors.username} />
+                </div>
+
+                <div className="space-y-2">
+                  <Label htmlFor="email">Email</Label>
+                  <Input
+                    id="email"
+                    type="email"
+                    value={form.email}
+                    onChange={(e) => handleChange('email', e.target.value)}
+                    disabled={saving}
+                    aria-invalid={Boolean(fieldErrors.email)}
+                    aria-describedby="email-error"
+                    data-testid="input-email"
+                  />
+                  <FieldError id="email-error" message={fieldErrors.email} />
+                  {form.email.trim() !== editingFrom.email && (
+                    <p className="text-xs text-muted-foreground">
+                      The user signs in to the portal with the new email from now on.
+                    </p>
+                  )}
+                </div>
+
+                <div className="space-y-2">
+                  <Label htmlFor="role">Role</Label>
+                  <Select value={form.role} onValueChange={(value) => handleChange('role', value)} disabled={saving}>
+                    <SelectTrigger
+                      id="role"
+                      aria-invalid={Boolean(fieldErrors.role)}
+                      aria-describedby="role-error"
+                      data-testid="select-role"
+                    >
+                      <SelectValue placeholder="Select role" />
+                    </SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value="admin">Admin</SelectItem>
+                      <SelectItem value="user">User</SelectItem>
+                    </SelectContent>
+                  </Select>
+                  <FieldError id="role-error" message={fieldErrors.role} />
+                </div>
+
+                <div className="flex flex-col sm:flex-row gap-2">
+                  <Button type="submit" disabled={saving} className="w-full sm:w-auto" data-testid="button-save-user">
+                    {saving ? 'Saving...' : 'Save'}
+                  </Button>
+                  <Button type="button" variant="outline" onClick={handleCancel} disabled={saving} className="w-full sm:w-auto">
+                    Cancel
+                  </Button>
+                </div>
+              </form>
+            ) : (
+              <dl className="space-y-3 text-sm">
+                <div className="flex justify-between gap-4">
+                  <dt className="text-muted-foreground">Username</dt>
+                  <dd className="font-medium text-right break-all">{record.username}</dd>
+                </div>
+                <div className="flex justify-between gap-4">
+                  <dt className="text-muted-foreground">Email</dt>
+                  <dd className="text-right break-all">{record.email}</dd>
+                </div>
+                <div className="flex justify-between gap-4">
+                  <dt className="text-muted-foreground">Role</dt>
+                  <dd className="capitalize text-right">{record.role}</dd>
+                </div>
+              </dl>
+            )}
+          </CardContent>
+        </Card>
+
+        {/* Status */}
+        <Card>
+          <CardHeader>
+            <CardTitle className="text-lg sm:text-xl">Status</CardTitle>
+          </CardHeader>
+          <CardContent className="space-y-6">
+            {canApprove && (
+              <div className="space-y-4">
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                  <div className="space-y-2">
+                    <Label htmlFor="status">Change to</Label>
+                    <Select value={status} onValueChange={setStatus} disabled={updatingStatus}>
+                      <SelectTrigger id="status" data-testid="select-status">
+                        <SelectValue placeholder="Select status" />
+                      </SelectTrigger>
+                      <SelectContent>
+                        {stages.length === 0 && <SelectItem value="approved">Approved</SelectItem>}
+                        <SelectItem value="rejected">Rejected</SelectItem>
+                        <SelectItem value="pending">Pending</SelectItem>
+                      </SelectContent>
+                    </Select>
+                  </div>
+
+                  {status === 'rejected' && (
+                    <div className="space-y-2">
+                      <Label htmlFor="rejectionReason">Rejection Reason</Label>
+                      <Input
+                        id="rejectionReason"
+                        placeholder="Enter reason for rejection"
+                        value={rejectionReason}
+                        onChange={(e) => {
+                          setRejectionReason(e.target.value);
+                          setFieldErrors(prev => ({ ...prev, reason: undefined }));
+                        }}
+                        disabled={updatingStatus}
+                        aria-invalid={Boolean(fieldErrors.reason)}
+                        aria-describedby="rejectionReason-error"
+                      />
+                      <FieldError id="rejectionReason-error" message={fieldErrors.reason} />
+                    </div>
+                  )}
+                </div>
+
+                <Button
+                  onClick={handleStatusUpdate}
+                  disabled={updatingStatus || !status}
+                  className="w-full sm:w-auto"
+                  data-testid="button-update-status"
+                >
+                  {updatingStatus ? 'Updating...' : 'Update status'}
+                </Button>
+              </div>
+            )}
+
+            <div>
+              <h3 className="text-sm font-medium mb-3">History</h3>
+              <StatusTimeline record={record} />
+            </div>
+          </CardContent>
+        </Card>
+
+        {/* Approval stages */}
+        {stages.length > 0 && (
+          <ApprovalReview key={stage?.id || record.status} record={record} stages={stages} canReview={canApprove} />
+        )}
+
+        {/* Uploaded Images */}
+        <Card>
+          <CardHeader>
+            <CardTitle className="text-lg sm:text-xl">Uploaded Images ({images.length})</CardTitle>
+          </CardHeader>
+          <CardContent>
+            {images.length === 0 ? (
+              <div className="text-center py-8 text-muted-foreground">
+                <ImageIcon className="h-12 w-12 mx-auto mb-2 opacity-50" />
+                <p className="text-sm">No images uploaded yet</p>
+              </div>
+            ) : (
+              <div className="grid grid-cols-2 sm:grid-cols-3 gap-3" data-testid="user-images">
+                {images.map((image, index) => (
+                  <a
+                    key={image.url}
+                    href={image.url}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="block rounded overflow-hidden border hover:opacity-90"
+                  >
+                    <img
+                      src={image.url}
+                      alt={image.filename || `Upload ${index + 1}`}
+                      className="w-full aspect-square object-cover"
+                    />
+                    <p className="px-2 py-1 text-xs text-muted-foreground truncate">
+                      {formatDate(image.uploadedAt)}
+                    </p>
+                  </a>
+                ))}
+              </div>
+            )}
+          </CardContent>
+        </Card>
+
+        {/* Assigned Documents */}
+        <Card>
+          <CardHeader>
+            <CardTitle className="text-lg sm:text-xl">Assigned Documents</CardTitle>
+          </CardHeader>
+          <CardContent>
+            {loadingDocuments ? (
+              <div className="flex items-center justify-center py-8">
+                <Loader2 className="h-6 w-6 animate-spin text-primary" />
+              </div>
+            ) : documents.length === 0 ? (
+              <p className="text-sm text-muted-foreground py-4 text-center">No documents assigned to this user.</p>
+            ) : (
+              <ul className="divide-y" data-testid="assigned-documents">
+                {documents.map((document) => (
+                  <li key={document.id} className="flex items-center justify-between gap-3 py-2 text-sm">
+                    <span className="flex items-center gap-2 min-w-0">
+                      <FileText className="h-4 w-4 shrink-0 text-muted-foreground" />
+                      <span className="truncate">{document.documentName}</span>
+                    </span>
+                    <span className="text-muted-foreground whitespace-nowrap">{formatDate(document.createdAt)}</span>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </CardContent>
+        </Card>
+      </div>
+    </div>
+  );
+}
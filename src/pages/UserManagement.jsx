@@ -1,4 +1,5 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
+import { Link } from 'wouter';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
 import { Button } from '@/components/ui/button';
 import { Checkbox } from '@/components/ui/checkbox';
@@ -19,70 +20,281 @@ import {
   TableHeader,
   TableRow,
 } from '@/components/ui/table';
-import { db } from '@/lib/firebase';
-import { collection, getDocs, doc, updateDoc, serverTimestamp, query, where } from 'firebase/firestore';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import { StatusTimeline } from '@/components/StatusTimeline';
+import { FieldError } from '@/components/FieldError';
+import { BulkActionHistory, BulkFailures } from '@/components/BulkActionHistory';
+import { ToastAction } from '@/components/ui/toast';
+import { LiveIndicator, PendingSyncBadge } from '@/components/LiveIndicator';
+import { SortableHead, SortSelect, TablePagination } from '@/components/TablePaging';
+import { ExportDialog } from '@/components/ExportDialog';
+import { DuplicateUsers } from '@/components/DuplicateUsers';
+import {
+  repositories,
+  ValidationError,
+  ConflictError,
+  USER_SORT_FIELDS,
+  USER_STATUSES,
+  USER_ROLES,
+} from '@/lib/data';
 import { useToast } from '@/hooks/use-toast';
+import { useLiveQuery } from '@/hooks/use-live-query';
+import { usePageParams } from '@/hooks/use-page-params';
 import { useAuth } from '@/context/AuthContext';
-import { Loader2 } from 'lucide-react';
+import { useOrg } from '@/context/OrgContext';
+import { CAPABILITIES } from '@/lib/permissions';
+import { EXPORT_COLUMNS } from '@/lib/export';
+import { approvalStages, reviewerOf, stageOf } from '@/lib/approval';
+import { cn } from '@/lib/utils';
+import { Loader2, History, Search, X } from 'lucide-react';
+
+const formatDate = (timestamp) => {
+  return timestamp
+    ? timestamp.toDate().toLocaleDateString('en-US', { month: 'short', day: '2-digit', year: 'numeric' })
+    : '—';
+};
+
+// Bulk action that moves the selected users to the Trash instead of changing their status
+const TRASH_ACTION = 'trash';
+
+// How long the toast after a bulk status change offers Undo; later, undo from Recent Bulk Changes
+const UNDO_TOAST_MS = 10000;
+
+// Typing pauses this long before the search goes to the URL and the server
+const SEARCH_DELAY_MS = 300;
+
+// "Select all matching" stops here, to keep one bulk action a reasonable size
+const SELECT_ALL_LIMIT = 500;
+
+// Select value standing for "no filter", since Select items cannot be empty
+const ANY = 'all';
 
 export default function UserManagement() {
   const { toast } = useToast();
   const { user } = useAuth();
-  const [users, setUsers] = useState([]);
-  const [loading, setLoading] = useState(true);
-  const [selectedUsers, setSelectedUsers] = useState([]);
+  const { activeOrgId, activeOrg, can } = useOrg();
+  const stages = approvalStages(activeOrg);
+  const canApprove = can(CAPABILITIES.APPROVE_USERS);
+  const canDelete = can(CAPABILITIES.DELETE_USERS);
+  // Merging duplicates edits the user kept and moves the others to the Trash
+  const canMerge = can(CAPABILITIES.EDIT_USERS) && canDelete;
+  // Selected records by id; selections can span pages and come from "select all matching"
+  const [selected, setSelected] = useState({});
+  const [selectingAll, setSelectingAll] = useState(false);
+  const [matchingCount, setMatchingCount] = useState(null);
+  const [countVersion, setCountVersion] = useState(0);
   const [bulkAction, setBulkAction] = useState('');
   const [rejectionReason, setRejectionReason] = useState('');
+  const [fieldErrors, setFieldErrors] = useState({});
   const [submitting, setSubmitting] = useState(false);
+  // Users the last bulk change or undo left alone, shown until dismissed
+  const [failures, setFailures] = useState({ title: '', items: [] });
+  const [undoingId, setUndoingId] = useState(null);
+  // User whose status history is open
+  const [historyUserId, setHistoryUserId] = useState(null);
+
+  // One page at a time, sorted and filtered on the server; the page and filters live in the URL
+  const paging = usePageParams({
+    sortFields: USER_SORT_FIELDS,
+    defaultSort: ['createdAt', 'desc'],
+    filterNames: ['search', 'status', 'role'],
+  });
+  const { filters } = paging.page;
+  const filtered = Boolean(filters.search || filters.status || filters.role);
+  const filterKey = [filters.search, filters.status, filters.role].join('|');
+  const [searchText, setSearchText] = useState(filters.search);
+  const searchTimer = useRef(null);
+
+  const { data: users, meta, loading, changedIds, pendingIds, updated } = useLiveQuery(
+    (onNext, onError) => repositories.users.subscribePage(activeOrgId, paging.page, onNext, onError),
+    {
+      key: `${activeOrgId}|${paging.key}`,
+      enabled: Boolean(activeOrgId),
+      onError: (error) => {
+        console.error('Error fetching users:', error);
+        toast({
+          title: 'Error',
+          description: 'Failed to load users.',
+          variant: 'destructive',
+        });
+      },
+    }
+  );
+
+  // Latest bulk status changes, for undoing from the history
+  const { data: bulkActions } = useLiveQuery(
+    (onNext, onError) => repositories.users.subscribeBulkActions(activeOrgId, onNext, onError),
+    {
+      key: activeOrgId,
+      enabled: Boolean(activeOrgId) && canApprove,
+      onError: (error) => console.error('Error fetching bulk changes:', error),
+    }
+  );
+
+  const historyUser = users.find(record => record.id === historyUserId) || null;
+  const selectedCount = Object.keys(selected).length;
+  const pageSelected = users.length > 0 && users.every(record => selected[record.id]);
+
+  // Send the search to the URL once typing pauses, and follow the URL back
+  // (e.g. on Back) when it changes
+  const handleSearchChange = (value) => {
+    setSearchText(value);
+    clearTimeout(searchTimer.current);
+    searchTimer.current = setTimeout(() => paging.setFilter('search', value.trim()), SEARCH_DELAY_MS);
+  };
+
+  useEffect(() => () => clearTimeout(searchTimer.current), []);
 
-  // Fetch users from Firestore - only users created by current admin
   useEffect(() => {
-    fetchUsers();
-  }, [user]);
+    setSearchText(prev => (prev.trim() === filters.search ? prev : filters.search));
+  }, [filters.search]);
 
-  const fetchUsers = async () => {
-    if (!user?.email) return;
+  // A selection belongs to the filters it was made under
+  useEffect(() => {
+    setSelected({});
+    setMatchingCount(null);
+  }, [activeOrgId, filterKey]);
+
+  // How many users match, for "select all matching"; counted again after bulk actions
+  useEffect(() => {
+    if (!activeOrgId) return;
+    let cancelled = false;
+
+    repositories.users.countMatching(activeOrgId, { search: filters.search, status: filters.status, role: filters.role })
+      .then((count) => !cancelled && setMatchingCount(count))
+      .catch((error) => console.error('Error counting users:', error));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [activeOrgId, filters.search, filters.status, filters.role, countVersion]);
+
+  // Keep selected records as current as the page shows them
+  useEffect(() => {
+    setSelected(prev => {
+      const changed = users.filter(record => prev[record.id] && prev[record.id] !== record);
+      return changed.length === 0 ? prev : { ...prev, ...Object.fromEntries(changed.map(record => [record.id, record])) };
+    });
+  }, [users]);
+
+  const handleSelectAll = (checked) => {
+    setSelected(prev => {
+      const next = { ...prev };
+      users.forEach((record) => {
+        if (checked) next[record.id] = record;
+        else delete next[record.id];
+      });
+      return next;
+    });
+  };
+
+  const handleSelectUser = (record, checked) => {
+    setSelected(prev => {
+      const next = { ...prev };
+      if (checked) next[record.id] = record;
+      else delete next[record.id];
+      return next;
+    });
+  };
+
+  const handleSelectAllMatching = async () => {
+    setSelectingAll(true);
 
     try {
-      // Query only users created by the current admin
-      const usersQuery = query(
-        collection(db, 'users'),
-        where('createdBy', '==', user.email)
-      );
-      const querySnapshot = await getDocs(usersQuery);
-      const usersData = querySnapshot.docs.map(doc => ({
-        id: doc.id,
-        ...doc.data(),
-      }));
-      setUsers(usersData);
+      const records = await repositories.users.listMatching(activeOrgId, filters, { max: SELECT_ALL_LIMIT });
+      setSelected(Object.fromEntries(records.map(record => [record.id, record])));
+
+      if (matchingCount > SELECT_ALL_LIMIT) {
+        toast({
+          title: 'Warning',
+          description: `Only the first ${SELECT_ALL_LIMIT} matching users were selected.`,
+          variant: 'destructive',
+        });
+      }
     } catch (error) {
-      console.error('Error fetching users:', error);
+      console.error('Error selecting users:', error);
       toast({
         title: 'Error',
-        description: 'Failed to load users.',
+        description: 'Failed to select the matching users.',
         variant: 'destructive',
       });
     } finally {
-      setLoading(false);
+      setSelectingAll(false);
     }
   };
 
-  const handleSelectAll = (checked) => {
-    if (checked) {
-      setSelectedUsers(users.map(user => user.id));
-    } else {
-      setSelectedUsers([]);
-    }
+  const handleClearFilters = () => {
+    clearTimeout(searchTimer.current);
+    setSearchText('');
+    paging.clearFilters();
   };
 
-  const handleSelectUser = (userId, checked) => {
-    if (checked) {
-      setSelectedUsers(prev => [...prev, userId]);
-    } else {
-      setSelectedUsers(prev => prev.filter(id => id !== userId));
+  const handleUndo = async (action) => {
+    setUndoingId(action.id);
+
+    try {
+      const { restored, failures: failed } = await repositories.users.undoStatus(action, user, { stages });
+      failed.forEach(failure => console.error(`Error undoing status of ${failure.id}:`, failure.error));
+      setFailures({ title: `${failed.length} user(s) could not be put back`, items: failed });
+
+      toast({
+        title: failed.length > 0 ? 'Warning' : 'Success',
+        description: failed.length > 0
+          ? `${restored.length} user(s) put back; ${failed.length} could not be, see the details on the page.`
+          : `${restored.length} user(s) put back to their previous status.`,
+        variant: failed.length > 0 ? 'destructive' : 'default',
+      });
+    } catch (error) {
+      if (error instanceof ConflictError) {
+        toast({
+          title: 'Warning',
+          description: error.message,
+          variant: 'destructive',
+        });
+        return;
+      }
+
+      console.error('Error undoing bulk change:', error);
+      toast({
+        title: 'Error',
+        description: 'Failed to undo the change.',
+        variant: 'destructive',
+      });
+    } finally {
+      setUndoingId(null);
     }
   };
 
+  // A toast for the result of a bulk status change, with Undo, plus the
+  // list of users it could not change
+  const reportStatusChange = ({ actionId, changes, failures: failed }) => {
+    failed.forEach(failure => console.error(`Error updating user ${failure.id}:`, failure.error));
+    setFailures({ title: `${failed.length} user(s) were not updated`, items: failed });
+
+    toast({
+      title: failed.length > 0 ? 'Warning' : 'Success',
+      description: failed.length > 0
+        ? `${changes.length} user(s) updated; ${failed.length} could not be, see the details on the page.`
+        : `${changes.length} user(s) updated successfully!`,
+      variant: failed.length > 0 ? 'destructive' : 'default',
+      duration: UNDO_TOAST_MS,
+      action: actionId && (
+        <ToastAction
+          altText="Undo the status change"
+          onClick={() => handleUndo({ id: actionId, changes })}
+        >
+          Undo
+        </ToastAction>
+      ),
+    });
+  };
+
   const handleBulkUpdate = async () => {
     if (!bulkAction) {
       toast({
@@ -93,7 +305,7 @@ export default function UserManagement() {
       return;
     }
 
-    if (selectedUsers.length === 0) {
+    if (selectedCount === 0) {
       toast({
         title: 'Warning',
         description: 'Please select at least one user.',
@@ -102,51 +314,47 @@ export default function UserManagement() {
       return;
     }
 
-    // Validate rejection reason if action is rejected
-    if (bulkAction === 'rejected' && !rejectionReason.trim()) {
-      toast({
-        title: 'Warning',
-        description: 'Please provide a reason for rejection.',
-        variant: 'destructive',
-      });
+    if (bulkAction === TRASH_ACTION
+      && !confirm(`Move ${selectedCount} user(s) to the Trash? You can restore them from there.`)) {
       return;
     }
 
     setSubmitting(true);
 
     try {
-      // Update all selected users
-      const updatePromises = selectedUsers.map(userId => {
-        const updateData = {
-          status: bulkAction,
-        };
-
-        // Add rejection reason if status is rejected
-        if (bulkAction === 'rejected') {
-          updateData.rejectionReason = rejectionReason;
-          updateData.rejectedAt = serverTimestamp();
-        } else {
-          // Clear rejection reason if status is not rejected
-          updateData.rejectionReason = null;
-          updateData.rejectedAt = null;
-        }
-
-        return updateDoc(doc(db, 'users', userId), updateData);
-      });
+      const records = Object.values(selected);
+      if (bulkAction === TRASH_ACTION) {
+        await repositories.users.remove(records, user);
 
-      await Promise.all(updatePromises);
+        toast({
+          title: 'Success',
+          description: `${records.length} user(s) moved to Trash.`,
+        });
+      } else {
+        const result = await repositories.users.setStatus(records, bulkAction, {
+          reason: rejectionReason,
+          actor: user,
+          stages,
+        });
+        reportStatusChange(result);
+      }
 
-      toast({
-        title: 'Success',
-        description: `${selectedUsers.length} user(s) updated successfully!`,
-      });
-
-      // Refresh the list
-      await fetchUsers();
-      setSelectedUsers([]);
+      setSelected({});
       setBulkAction('');
       setRejectionReason('');
+      setFieldErrors({});
+      setCountVersion(version => version + 1);
     } catch (error) {
+      if (error instanceof ValidationError) {
+        setFieldErrors(error.fields);
+        toast({
+          title: 'Warning',
+          description: error.message,
+          variant: 'destructive',
+        });
+        return;
+      }
+
       console.error('Error updating users:', error);
       toast({
         title: 'Error',
@@ -158,112 +366,285 @@ export default function UserManagement() {
     }
   };
 
-  if (loading) {
-    return (
-      <div className="container mx-auto p-6 flex items-center justify-center h-[calc(100vh-8rem)]">
-        <Loader2 className="h-8 w-8 animate-spin text-primary" />
-      </div>
-    );
-  }
-
   return (
     <div className="container mx-auto p-4 sm:p-6">
-      <div className="mb-4 sm:mb-6">
-        <h1 className="text-2xl sm:text-3xl font-bold mb-2">User Management</h1>
-        <p className="text-sm sm:text-base text-muted-foreground">Manage and approve users</p>
+      <div className="mb-4 sm:mb-6 flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl sm:text-3xl font-bold mb-2">User Management</h1>
+          <p className="text-sm sm:text-base text-muted-foreground">Manage and approve users</p>
+        </div>
+        <div className="flex items-center gap-2">
+          {canMerge && <DuplicateUsers />}
+          <ExportDialog
+            title="Users"
+            columns={EXPORT_COLUMNS.users}
+            pageRecords={users}
+            loadMatching={(max) => repositories.users.listMatching(activeOrgId, filters, { max, sort: paging.page.sort })}
+            matchingLabel={filtered ? 'All users matching the filters' : 'All users'}
+          />
+        </div>
       </div>
 
-      {/* Bulk Actions */}
+      {/* Filters */}
       <Card className="mb-4">
         <CardHeader>
-          <CardTitle className="text-lg sm:text-xl">Bulk Actions</CardTitle>
+          <CardTitle className="text-lg sm:text-xl">Find Users</CardTitle>
         </CardHeader>
         <CardContent>
-          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 mb-6">
-            {/* Action Dropdown */}
+          <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4">
+            <div className="space-y-2 sm:col-span-2">
+              <Label htmlFor="userSearch">Search</Label>
+              <div className="relative">
+                <Search className="absolute left-3 top-1/2 -translate-y-1/2 h-4 w-4 text-muted-foreground" />
+                <Input
+                  id="userSearch"
+                  type="search"
+                  placeholder="Start of a username or email"
+                  value={searchText}
+                  onChange={(e) => handleSearchChange(e.target.value)}
+                  className="pl-9"
+                  data-testid="input-user-search"
+                />
+              </div>
+            </div>
+
             <div className="space-y-2">
-              <Label htmlFor="bulkAction">Action</Label>
-              <Select value={bulkAction} onValueChange={setBulkAction}>
-                <SelectTrigger id="bulkAction">
-                  <SelectValue placeholder="Select action" />
+              <Label htmlFor="statusFilter">Status</Label>
+              <Select
+                value={USER_STATUSES.includes(filters.status) ? filters.status : ANY}
+                onValueChange={(value) => paging.setFilter('status', value === ANY ? '' : value)}
+              >
+                <SelectTrigger id="statusFilter" data-testid="select-status-filter">
+                  <SelectValue placeholder="Any status" />
                 </SelectTrigger>
                 <SelectContent>
-                  <SelectItem value="approved">Approve</SelectItem>
-                  <SelectItem value="rejected">Reject</SelectItem>
-                  <SelectItem value="pending">Set to Pending</SelectItem>
+                  <SelectItem value={ANY}>Any status</SelectItem>
+                  <SelectItem value="pending">Pending</SelectItem>
+                  <SelectItem value="approved">Approved</SelectItem>
+                  <SelectItem value="rejected">Rejected</SelectItem>
                 </SelectContent>
               </Select>
             </div>
 
-            {/* Rejection Reason (conditional) */}
-            {bulkAction === 'rejected' && (
-              <div className="space-y-2">
-                <Label htmlFor="rejectionReason">Rejection Reason</Label>
-                <Input
-                  id="rejectionReason"
-                  placeholder="Enter reason for rejection"
-                  value={rejectionReason}
-                  onChange={(e) => setRejectionReason(e.target.value)}
-                  disabled={submitting}
-                />
-              </div>
-            )}
-          </div>
-
-          {/* Submit Button */}
-          <div className="flex flex-col sm:flex-row justify-center gap-3 sm:gap-4">
-            <Button 
-              onClick={handleBulkUpdate} 
-              disabled={submitting || selectedUsers.length === 0}
-              className="w-full sm:w-auto sm:min-w-[120px]"
-            >
-              {submitting ? 'Updating...' : 'Submit'}
-            </Button>
+            <div className="space-y-2">
+              <Label htmlFor="roleFilter">Role</Label>
+              <Select
+                value={USER_ROLES.includes(filters.role) ? filters.role : ANY}
+                onValueChange={(value) => paging.setFilter('role', value === ANY ? '' : value)}
+              >
+                <SelectTrigger id="roleFilter" data-testid="select-role-filter">
+                  <SelectValue placeholder="Any role" />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value={ANY}>Any role</SelectItem>
+                  <SelectItem value="admin">Admin</SelectItem>
+                  <SelectItem value="user">User</SelectItem>
+                </SelectContent>
+              </Select>
+            </div>
           </div>
 
-          {selectedUsers.length > 0 && (
-            <p className="text-sm text-muted-foreground mt-4 text-center">
-              {selectedUsers.length} user(s) selected
+          <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 mt-4">
+            <p className="text-sm text-muted-foreground" data-testid="text-matching-count">
+              {matchingCount === null
+                ? 'Counting users…'
+                : `${matchingCount} user${matchingCount === 1 ? '' : 's'}${filtered ? ' match' : ''}`}
             </p>
-          )}
+            {filtered && (
+              <Button
+                variant="outline"
+                size="sm"
+                onClick={handleClearFilters}
+                className="w-full sm:w-auto"
+                data-testid="button-clear-filters"
+              >
+                <X className="h-4 w-4 mr-2" />
+                Clear filters
+              </Button>
+            )}
+          </div>
         </CardContent>
       </Card>
 
+      {/* Bulk Actions */}
+      {canApprove && (
+        <Card className="mb-4">
+          <CardHeader>
+            <CardTitle className="text-lg sm:text-xl">Bulk Actions</CardTitle>
+          </CardHeader>
+          <CardContent>
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 mb-6">
+              {/* Action Dropdown */}
+              <div className="space-y-2">
+                <Label htmlFor="bulkAction">Action</Label>
+                <Select value={bulkAction} onValueChange={setBulkAction}>
+                  <SelectTrigger id="bulkAction">
+                    <SelectValue placeholder="Select action" />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {stages.length === 0 && <SelectItem value="approved">Approve</SelectItem>}
+                    <SelectItem value="rejected">Reject</SelectItem>
+                    <SelectItem value="pending">Set to Pending</SelectItem>
+                    {canDelete && <SelectItem value={TRASH_ACTION}>Move to Trash</SelectItem>}
+                  </SelectContent>
+                </Select>
+              </div>
+
+              {/* Rejection Reason (conditional) */}
+              {bulkAction === 'rejected' && (
+                <div className="space-y-2">
+                  <Label htmlFor="rejectionReason">Rejection Reason</Label>
+                  <Input
+                    id="rejectionReason"
+                    placeholder="Enter reason for rejection"
+                    value={rejectionReason}
+                    onChange={(e) => {
+                      setRejectionReason(e.target.value);
+                      setFieldErrors(prev => ({ ...prev, reason: undefined }));
+                    }}
+                    disabled={submitting}
+                    aria-invalid={Boolean(fieldErrors.reason)}
+                    aria-describedby="rejectionReason-error"
+                  />
+                  <FieldError id="rejectionReason-error" message={fieldErrors.reason} />
+                </div>
+              )}
+            </div>
+
+            {/* Submit Button */}
+            <div className="flex flex-col sm:flex-row justify-center gap-3 sm:gap-4">
+              <Button 
+                onClick={handleBulkUpdate} 
+                disabled={submitting || selectedCount === 0}
+                className="w-full sm:w-auto sm:min-w-[120px]"
+              >
+                {submitting ? 'Updating...' : 'Submit'}
+              </Button>
+            </div>
+
+            {selectedCount > 0 && (
+              <p className="text-sm text-muted-foreground mt-4 text-center">
+                {selectedCount} user(s) selected
+              </p>
+            )}
+          </CardContent>
+        </Card>
+      )}
+
+      <BulkFailures
+        title={failures.title}
+        failures={failures.items}
+        onDismiss={() => setFailures({ title: '', items: [] })}
+      />
+
+      {canApprove && <BulkActionHistory actions={bulkActions} busyId={undoingId} onUndo={handleUndo} />}
+
       {/* Users List */}
       <div>
         <div className="flex items-center justify-between mb-4">
-          <h2 className="text-lg sm:text-xl font-bold">Users List</h2>
-          <div className="hidden sm:block">
-            <Checkbox
-              checked={selectedUsers.length === users.length && users.length > 0}
-              onCheckedChange={handleSelectAll}
-            />
-            <span className="ml-2 text-sm text-muted-foreground">Select All</span>
+          <div className="flex items-center gap-3">
+            <h2 className="text-lg sm:text-xl font-bold">Users List</h2>
+            <LiveIndicator updated={updated} />
           </div>
+          {canApprove && (
+            <div className="hidden sm:block">
+              <Checkbox
+                checked={pageSelected}
+                onCheckedChange={handleSelectAll}
+              />
+              <span className="ml-2 text-sm text-muted-foreground">Select page</span>
+            </div>
+          )}
         </div>
 
-        {users.length === 0 ? (
+        {/* Select everyone matching the filters, not just this page */}
+        {canApprove && selectedCount > 0 && (pageSelected || selectedCount > users.length) && (
+          <div
+            className="flex flex-col sm:flex-row sm:items-center justify-center gap-1 sm:gap-2 rounded-md bg-muted px-4 py-2 mb-3 text-sm text-center"
+            data-testid="selection-banner"
+          >
+            <span>
+              {selectedCount === matchingCount
+                ? `All ${selectedCount} matching users are selected.`
+                : selectedCount === users.length
+                ? `All ${users.length} users on this page are selected.`
+                : `${selectedCount} users are selected.`}
+            </span>
+            {matchingCount > selectedCount && selectedCount < SELECT_ALL_LIMIT ? (
+              <Button
+                variant="link"
+                size="sm"
+                onClick={handleSelectAllMatching}
+                disabled={selectingAll}
+                className="h-auto p-0"
+                data-testid="button-select-all-matching"
+              >
+                {selectingAll && <Loader2 className="h-3 w-3 mr-1 animate-spin" />}
+                Select all {Math.min(matchingCount, SELECT_ALL_LIMIT)} matching users
+              </Button>
+            ) : (
+              <Button
+                variant="link"
+                size="sm"
+                onClick={() => setSelected({})}
+                className="h-auto p-0"
+                data-testid="button-clear-selection"
+              >
+                Clear selection
+              </Button>
+            )}
+          </div>
+        )}
+
+        {loading ? (
+          <div className="flex items-center justify-center py-12">
+            <Loader2 className="h-8 w-8 animate-spin text-primary" />
+          </div>
+        ) : users.length === 0 ? (
           <Card>
             <CardContent className="py-8 text-center text-muted-foreground">
-              No users found. Add users from the Dashboard.
+              {meta.hasPrevious
+                ? 'No more users.'
+                : filtered
+                ? 'No users match these filters.'
+                : 'No users found. Add users from the Dashboard.'}
             </CardContent>
           </Card>
         ) : (
           <>
             {/* Mobile: Cards View */}
+            <SortSelect
+              fields={[
+                { field: 'createdAt', label: 'Created date' },
+                { field: 'username', label: 'Username' },
+                { field: 'email', label: 'Email' },
+                { field: 'status', label: 'Status' },
+              ]}
+              sort={paging.page.sort}
+              onSort={paging.setSort}
+              className="sm:hidden mb-3"
+            />
             <div className="sm:hidden space-y-3">
               {users.map((user) => (
-                <Card key={user.id} className="overflow-hidden">
+                <Card
+                  key={user.id}
+                  className={cn('overflow-hidden transition-colors duration-1000', changedIds.has(user.id) && 'bg-primary/10')}
+                >
                   <CardContent className="p-4">
                     <div className="flex items-start justify-between mb-3">
                       <div className="flex items-center gap-3">
-                        <Checkbox
-                          checked={selectedUsers.includes(user.id)}
-                          onCheckedChange={(checked) => handleSelectUser(user.id, checked)}
-                        />
+                        {canApprove && (
+                          <Checkbox
+                            checked={Boolean(selected[user.id])}
+                            onCheckedChange={(checked) => handleSelectUser(user, checked)}
+                          />
+                        )}
                         <div>
-                          <h3 className="font-medium">{user.username}</h3>
+                          <h3 className="font-medium">
+                            <Link href={`/user-management/${user.id}`} className="hover:underline">{user.username}</Link>
+                          </h3>
                           <p className="text-sm text-muted-foreground">{user.email}</p>
+                          {pendingIds.has(user.id) && <PendingSyncBadge />}
                         </div>
                       </div>
                       <span
@@ -283,6 +664,17 @@ export default function UserManagement() {
                         <span className="text-muted-foreground">Role:</span>
                         <span className="capitalize font-medium">{user.role}</span>
                       </div>
+                      {stageOf(user, stages) && (
+                        <div className="flex justify-between">
+                          <span className="text-muted-foreground">Stage:</span>
+                          <span className="text-right flex-1 ml-2">
+                            {stageOf(user, stages).name}
+                            {reviewerOf(user, stages) && (
+                              <span className="block text-xs text-muted-foreground">{reviewerOf(user, stages)}</span>
+                            )}
+                          </span>
+                        </div>
+                      )}
                       {user.status === 'rejected' && user.rejectionReason && (
                         <div className="flex justify-between">
                           <span className="text-muted-foreground">Reason:</span>
@@ -294,6 +686,15 @@ export default function UserManagement() {
                         <span className="text-right">{user.createdBy}</span>
                       </div>
                     </div>
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      className="w-full mt-3"
+                      onClick={() => setHistoryUserId(user.id)}
+                    >
+                      <History className="h-4 w-4 mr-2" />
+                      Status History
+                    </Button>
                   </CardContent>
                 </Card>
               ))}
@@ -306,30 +707,73 @@ export default function UserManagement() {
                   <Table>
                     <TableHeader className="bg-muted">
                       <TableRow>
-                        <TableHead className="w-[48px] px-4">
-                          <Checkbox
-                            checked={selectedUsers.length === users.length && users.length > 0}
-                            onCheckedChange={handleSelectAll}
-                          />
-                        </TableHead>
-                        <TableHead className="min-w-[120px] px-4">Username</TableHead>
-                        <TableHead className="min-w-[200px] px-4">Email</TableHead>
+                        {canApprove && (
+                          <TableHead className="w-[48px] px-4">
+                            <Checkbox
+                              checked={pageSelected}
+                              onCheckedChange={handleSelectAll}
+                              aria-label="Select page"
+                            />
+                          </TableHead>
+                        )}
+                        <SortableHead
+                          field="username"
+                          label="Username"
+                          sort={paging.page.sort}
+                          onSort={paging.setSort}
+                          className="min-w-[120px] px-4"
+                        />
+                        <SortableHead
+                          field="email"
+                          label="Email"
+                          sort={paging.page.sort}
+                          onSort={paging.setSort}
+                          className="min-w-[200px] px-4"
+                        />
                         <TableHead className="min-w-[100px] px-4">Role</TableHead>
-                        <TableHead className="min-w-[120px] px-4">Status</TableHead>
+                        <SortableHead
+                          field="status"
+                          label="Status"
+                          sort={paging.page.sort}
+                          onSort={paging.setSort}
+                          className="min-w-[120px] px-4"
+                        />
                         <TableHead className="min-w-[180px] px-4">Rejection Reason</TableHead>
                         <TableHead className="min-w-[180px] px-4">Created By</TableHead>
+                        <SortableHead
+                          field="createdAt"
+                          label="Created"
+                          sort={paging.page.sort}
+                          onSort={paging.setSort}
+                          className="min-w-[120px] px-4"
+                        />
+                        <TableHead className="w-[80px] px-4">History</TableHead>
                       </TableRow>
                     </TableHeader>
                     <TableBody>
                       {users.map((user) => (
-                        <TableRow key={user.id} className="hover:bg-muted/50">
-                          <TableCell className="py-3 px-4">
-                            <Checkbox
-                              checked={selectedUsers.includes(user.id)}
-                              onCheckedChange={(checked) => handleSelectUser(user.id, checked)}
-                            />
+                        <TableRow
+                          key={user.id}
+                          className={cn('hover:bg-muted/50 transition-colors duration-1000', changedIds.has(user.id) && 'bg-primary/10')}
+                        >
+                          {canApprove && (
+                            <TableCell className="py-3 px-4">
+                              <Checkbox
+                                checked={Boolean(selected[user.id])}
+                                onCheckedChange={(checked) => handleSelectUser(user, checked)}
+                              />
+                            </TableCell>
+                          )}
+                          <TableCell className="font-medium py-3 px-4 whitespace-nowrap">
+                            <Link
+                              href={`/user-management/${user.id}`}
+                              className="hover:underline"
+                              data-testid={`link-user-${user.id}`}
+                            >
+                              {user.username}
+                            </Link>
+                            {pendingIds.has(user.id) && <PendingSyncBadge />}
                           </TableCell>
-                          <TableCell className="font-medium py-3 px-4 whitespace-nowrap">{user.username}</TableCell>
                           <TableCell className="py-3 px-4 whitespace-nowrap">{user.email}</TableCell>
                           <TableCell className="capitalize py-3 px-4 whitespace-nowrap">{user.role}</TableCell>
                           <TableCell className="py-3 px-4">
@@ -344,6 +788,15 @@ export default function UserManagement() {
                             >
                               {user.status}
                             </span>
+                            {stageOf(user, stages) && (
+                              <span
+                                className="block mt-1 text-xs text-muted-foreground whitespace-nowrap"
+                                title={reviewerOf(user, stages) ? `Reviewer: ${reviewerOf(user, stages)}` : undefined}
+                                data-testid={`text-stage-${user.id}`}
+                              >
+                                {stageOf(user, stages).name}
+                              </span>
+                            )}
                           </TableCell>
                           <TableCell className="text-sm text-muted-foreground py-3 px-4">
                             {user.status === 'rejected' && user.rejectionReason ? (
@@ -355,6 +808,20 @@ export default function UserManagement() {
                           <TableCell className="text-sm text-muted-foreground py-3 px-4 whitespace-nowrap">
                             {user.createdBy}
                           </TableCell>
+                          <TableCell className="text-sm text-muted-foreground py-3 px-4 whitespace-nowrap">
+                            {formatDate(user.createdAt)}
+                          </TableCell>
+                          <TableCell className="py-3 px-4">
+                            <Button
+                              variant="ghost"
+                              size="icon"
+                              onClick={() => setHistoryUserId(user.id)}
+                              title="Status history"
+                              data-testid={`button-history-${user.id}`}
+                            >
+                              <History className="h-4 w-4" />
+                            </Button>
+                          </TableCell>
                         </TableRow>
                       ))}
                     </TableBody>
@@ -364,7 +831,31 @@ export default function UserManagement() {
             </Card>
           </>
         )}
+
+        {!loading && (users.length > 0 || meta.hasPrevious) && (
+          <TablePagination
+            size={paging.page.size}
+            onSizeChange={paging.setSize}
+            hasPrevious={meta.hasPrevious}
+            hasNext={meta.hasNext}
+            onPrevious={() => paging.goTo(meta.firstCursor ? { before: meta.firstCursor } : {})}
+            onNext={() => paging.goTo({ after: meta.lastCursor })}
+          />
+        )}
       </div>
+
+      {/* Status History */}
+      <Dialog open={Boolean(historyUser)} onOpenChange={(open) => !open && setHistoryUserId(null)}>
+        <DialogContent className="max-w-lg max-h-[85vh] overflow-y-auto">
+          <DialogHeader>
+            <DialogTitle>{historyUser?.username}</DialogTitle>
+            <DialogDescription>
+              {historyUser?.email} · currently <span className="font-medium">{historyUser?.status}</span>
+            </DialogDescription>
+          </DialogHeader>
+          {historyUser && <StatusTimeline record={historyUser} />}
+        </DialogContent>
+      </Dialog>
     </div>
   );
 }
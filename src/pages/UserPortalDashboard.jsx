@@ -3,15 +3,20 @@ import { useLocation } from 'wouter';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
 import { Button } from '@/components/ui/button';
 import { Input } from '@/components/ui/input';
-import { db } from '@/lib/firebase';
-import { collection, query, where, getDocs, doc, updateDoc, arrayUnion, arrayRemove } from 'firebase/firestore';
+import { portalRepositories as repositories } from '@/lib/data';
 import { uploadImageToImgBB } from '@/lib/imgbb';
-import { LogOut, FileText, User, Mail, Upload, X, Edit2, Trash2, Image as ImageIcon } from 'lucide-react';
+import { usePortalAuth } from '@/context/PortalAuthContext';
+import { LogOut, FileText, User, Mail, Upload, X, Edit2, Trash2, History, Image as ImageIcon } from 'lucide-react';
 import { useToast } from '@/hooks/use-toast';
+import { IdleTimeoutDialog } from '@/components/IdleTimeoutDialog';
+import { StatusTimeline } from '@/components/StatusTimeline';
+import { SESSION_SCOPES, IDLE_TIMEOUT_MINUTES } from '@/lib/session';
+import { downloadCsv } from '@/lib/export';
 
 export default function UserPortalDashboard() {
   const { toast } = useToast();
   const [, setLocation] = useLocation();
+  const { portalUser, loading: authLoading, signOut } = usePortalAuth();
   const [userData, setUserData] = useState(null);
   const [documents, setDocuments] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -23,29 +28,23 @@ export default function UserPortalDashboard() {
   const fileInputRef = useRef(null);
 
   useEffect(() => {
-    // Get user email from session storage
-    const userEmail = sessionStorage.getItem('userPortalEmail');
-    if (!userEmail) {
+    if (authLoading) return;
+
+    // The portal session is the signed-in portal Firebase user
+    if (!portalUser) {
       setLocation('/user-portal-login');
       return;
     }
 
-    fetchUserData(userEmail);
-    fetchUserDocuments(userEmail);
-  }, []);
+    fetchUserData(portalUser.email);
+    fetchUserDocuments(portalUser.email);
+  }, [authLoading, portalUser]);
 
   const fetchUserData = async (email) => {
     try {
-      const q = query(collection(db, 'users'), where('email', '==', email));
-      const querySnapshot = await getDocs(q);
-      
-      if (!querySnapshot.empty) {
-        const userDoc = querySnapshot.docs[0];
-        const data = {
-          id: userDoc.id,
-          ...userDoc.data(),
-        };
-        setUserData(data);
+      const data = await repositories.users.findByEmail(email);
+      setUserData(data);
+      if (data) {
         setUserImages(data.images || []);
       }
     } catch (error) {
@@ -57,49 +56,23 @@ export default function UserPortalDashboard() {
 
   const fetchUserDocuments = async (email) => {
     try {
-      const querySnapshot = await getDocs(collection(db, 'documents'));
-      const allDocs = querySnapshot.docs.map(doc => ({
-        id: doc.id,
-        ...doc.data(),
-      }));
-
-      // Filter documents where user is assigned
-      const userDocs = allDocs.filter(doc => 
-        doc.assignedUsers?.some(user => user.email === email)
-      );
-
-      setDocuments(userDocs);
+      // Only documents assigned to this user
+      setDocuments(await repositories.documents.listAssignedTo(email));
     } catch (error) {
       console.error('Error fetching documents:', error);
     }
   };
 
-  const handleLogout = () => {
-    sessionStorage.removeItem('userPortalEmail');
+  const handleLogout = async () => {
+    await signOut();
     setLocation('/user-portal-login');
   };
 
   const handleDownload = (doc) => {
-    // Create CSV content with assigned users
-    const headers = ['Username', 'Email'];
-    const rows = doc.assignedUsers.map(user => [user.username, user.email]);
-    
-    const csvContent = [
-      headers.join(','),
-      ...rows.map(row => row.join(','))
-    ].join('\n');
-
-    // Create blob and download
-    const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
-    const link = document.createElement('a');
-    const url = URL.createObjectURL(blob);
-    
-    link.setAttribute('href', url);
-    link.setAttribute('download', `${doc.documentName}.csv`);
-    link.style.visibility = 'hidden';
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
+    downloadCsv(
+      [['Username', 'Email'], ...doc.assignedUsers.map(user => [user.username, user.email])],
+      `${doc.documentName}.csv`
+    );
   };
 
   const handleFileSelect = (e) => {
@@ -161,32 +134,18 @@ export default function UserPortalDashboard() {
         medium_url: uploadResult.medium_url,
         delete_url: uploadResult.delete_url,
         image_id: uploadResult.image_id,
-        uploadedAt: new Date().toISOString(),
         filename: selectedFile.name,
       };
 
-      const userDocRef = doc(db, 'users', userData.id);
+      await repositories.users.addImage(userData, imageData, portalUser, editingImage);
 
       if (editingImage) {
-        // Remove old image and add new one
-        await updateDoc(userDocRef, {
-          images: arrayRemove(editingImage),
-        });
-        await updateDoc(userDocRef, {
-          images: arrayUnion(imageData),
-        });
-
         toast({
           title: 'Success',
           description: 'Image updated successfully!',
         });
         setEditingImage(null);
       } else {
-        // Add new image
-        await updateDoc(userDocRef, {
-          images: arrayUnion(imageData),
-        });
-
         toast({
           title: 'Success',
           description: 'Image uploaded successfully!',
@@ -194,8 +153,7 @@ export default function UserPortalDashboard() {
       }
 
       // Refresh user data
-      const userEmail = sessionStorage.getItem('userPortalEmail');
-      await fetchUserData(userEmail);
+      await fetchUserData(portalUser.email);
 
       // Reset
       setSelectedFile(null);
@@ -230,10 +188,7 @@ export default function UserPortalDashboard() {
 
     try {
       // Remove from Firestore
-      const userDocRef = doc(db, 'users', userData.id);
-      await updateDoc(userDocRef, {
-        images: arrayRemove(image),
-      });
+      await repositories.users.removeImage(userData, image, portalUser);
 
       toast({
         title: 'Success',
@@ -247,8 +202,7 @@ export default function UserPortalDashboard() {
       }
 
       // Refresh user data
-      const userEmail = sessionStorage.getItem('userPortalEmail');
-      await fetchUserData(userEmail);
+      await fetchUserData(portalUser.email);
     } catch (error) {
       console.error('Error deleting image:', error);
       toast({
@@ -268,7 +222,7 @@ export default function UserPortalDashboard() {
     }
   };
 
-  if (loading) {
+  if (authLoading || loading) {
     return (
       <div className="min-h-screen flex items-center justify-center">
         <div className="text-center">
@@ -279,13 +233,24 @@ export default function UserPortalDashboard() {
     );
   }
 
-  if (!userData) {
+  // Signed in, but there is no approved record for this email
+  if (!userData || userData.status !== 'approved') {
     return (
       <div className="min-h-screen flex items-center justify-center">
         <Card className="w-full max-w-md">
           <CardContent className="pt-6 text-center">
-            <p className="text-muted-foreground mb-4">User not found</p>
-            <Button onClick={() => setLocation('/user-portal-login')}>
+            <p className="text-muted-foreground mb-4">
+              {userData
+                ? `Your account verification is ${userData.status}. Please contact your administrator.`
+                : 'Email not found. Please contact your administrator.'}
+            </p>
+            {userData && (
+              <div className="text-left border-t pt-4 mb-4">
+                <p className="text-sm font-medium mb-3">Status history</p>
+                <StatusTimeline record={userData} showActor={false} />
+              </div>
+            )}
+            <Button onClick={handleLogout}>
               Back to Login
             </Button>
           </CardContent>
@@ -296,6 +261,13 @@ export default function UserPortalDashboard() {
 
   return (
     <div className="min-h-screen bg-muted/30">
+      {/* Front-desk machines are shared: end idle portal sessions */}
+      <IdleTimeoutDialog
+        scope={SESSION_SCOPES.PORTAL}
+        timeoutMinutes={IDLE_TIMEOUT_MINUTES[SESSION_SCOPES.PORTAL]}
+        onSignOut={handleLogout}
+      />
+
       {/* Header */}
       <header className="bg-background border-b sticky top-0 z-10">
         <div className="container mx-auto px-4 sm:px-6 py-3 sm:py-4 flex flex-col sm:flex-row items-start sm:items-center justify-between gap-3 sm:gap-0">
@@ -362,6 +334,19 @@ export default function UserPortalDashboard() {
           </CardContent>
         </Card>
 
+        {/* Status History */}
+        <Card className="mb-6">
+          <CardHeader>
+            <CardTitle className="flex items-center gap-2">
+              <History className="h-5 w-5" />
+              Status History
+            </CardTitle>
+          </CardHeader>
+          <CardContent>
+            <StatusTimeline record={userData} showActor={false} />
+          </CardContent>
+        </Card>
+
         {/* Documents Section */}
         <Card>
           <CardHeader>
@@ -1,74 +1,127 @@
-import { useState } from 'react';
+import { useState, useEffect, useCallback } from 'react';
 import { useLocation } from 'wouter';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
 import { Input } from '@/components/ui/input';
 import { Label } from '@/components/ui/label';
 import { Button } from '@/components/ui/button';
 import { Alert, AlertDescription } from '@/components/ui/alert';
-import { Mail, ArrowLeft } from 'lucide-react';
+import { usePortalAuth } from '@/context/PortalAuthContext';
+import { useEmulators } from '@/lib/firebase';
+import { fetchDevSignInLink } from '@/lib/devMailbox';
+import { Mail, ArrowLeft, Loader2, Inbox } from 'lucide-react';
 
 export default function UserPortalLogin() {
   const [, setLocation] = useLocation();
+  const { portalUser, loading: authLoading, sendSignInLink, isSignInLink, getPendingEmail, completeSignIn } = usePortalAuth();
   const [email, setEmail] = useState('');
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
+  // 'request' -> ask for email, 'sent' -> link emailed, 'confirm' -> link opened on another device
+  const [step, setStep] = useState('request');
+  const [devLink, setDevLink] = useState('');
 
-  const handleSubmit = async (e) => {
-    e.preventDefault();
+  // Already signed in to the portal
+  useEffect(() => {
+    if (!authLoading && portalUser && step !== 'confirm') {
+      setLocation('/user-portal-dashboard');
+    }
+  }, [authLoading, portalUser, step, setLocation]);
+
+  const finishSignIn = useCallback(async (address, link) => {
     setError('');
+    setLoading(true);
 
+    try {
+      await completeSignIn(address, link);
+      setLocation('/user-portal-dashboard');
+    } catch (err) {
+      console.error('Error completing portal sign-in:', err);
+      setError(
+        err.code === 'auth/invalid-action-code'
+          ? 'This sign-in link is invalid or has expired. Please request a new one.'
+          : err.message || 'Failed to sign in'
+      );
+      setStep('request');
+    } finally {
+      setLoading(false);
+    }
+  }, [completeSignIn, setLocation]);
+
+  // Complete sign-in when the page is opened from an emailed link
+  useEffect(() => {
+    const link = window.location.href;
+    if (!isSignInLink(link)) return;
+
+    const pendingEmail = getPendingEmail();
+    if (!pendingEmail) {
+      setStep('confirm');
+      return;
+    }
+
+    finishSignIn(pendingEmail, link);
+  }, [isSignInLink, getPendingEmail, finishSignIn]);
+
+  const validateEmail = () => {
     if (!email.trim()) {
       setError('Please enter your email address');
-      return;
+      return false;
     }
 
     // Basic email validation
     const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(email)) {
+    if (!emailRegex.test(email.trim())) {
       setError('Please enter a valid email address');
+      return false;
+    }
+
+    return true;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (!validateEmail()) return;
+
+    if (step === 'confirm') {
+      await finishSignIn(email.trim(), window.location.href);
       return;
     }
 
     setLoading(true);
 
     try {
-      // Check if user exists in Firestore
-      const { collection, query, where, getDocs } = await import('firebase/firestore');
-      const { db } = await import('@/lib/firebase');
-      
-      const q = query(collection(db, 'users'), where('email', '==', email.trim()));
-      const querySnapshot = await getDocs(q);
-      
-      if (querySnapshot.empty) {
-        setError('Email not found. Please contact your administrator.');
-        setLoading(false);
-        return;
-      }
+      await sendSignInLink(email.trim());
+      setStep('sent');
 
-      const userDoc = querySnapshot.docs[0];
-      const userData = userDoc.data();
-
-      // Check if user is approved
-      if (userData.status !== 'approved') {
-        setError(`Your account verification is ${userData.status}. Please contact your administrator.`);
-        setLoading(false);
-        return;
+      if (useEmulators) {
+        setDevLink((await fetchDevSignInLink(email.trim())) || '');
       }
-
-      // Store email in session storage for user portal access
-      sessionStorage.setItem('userPortalEmail', email.trim());
-      
-      // Navigate to user portal dashboard
-      setLocation('/user-portal-dashboard');
-      
     } catch (err) {
-      console.error('Error accessing user portal:', err);
-      setError(err.message || 'Failed to access user portal');
+      console.error('Error sending portal sign-in link:', err);
+      setError(err.message || 'Failed to send sign-in link');
     } finally {
       setLoading(false);
     }
   };
 
+  const handleOpenDevLink = () => {
+    // Open the link the way a mail client would, so the normal completion path runs
+    window.location.assign(`/user-portal-login${new URL(devLink).search}`);
+  };
+
+  const handleStartOver = () => {
+    setStep('request');
+    setDevLink('');
+    setError('');
+  };
+
+  const descriptions = {
+    request: 'Enter your email and we will send you a one-time sign-in link',
+    sent: 'Check your inbox for the sign-in link',
+    confirm: 'Confirm the email address the sign-in link was sent to',
+  };
+
   return (
     <div className="min-h-screen flex items-center justify-center bg-muted/30 px-4 py-8">
       <Card className="w-full max-w-md">
@@ -86,7 +139,7 @@ export default function UserPortalLogin() {
           </div>
           <CardTitle className="text-2xl sm:text-3xl font-bold text-center">User Portal</CardTitle>
           <CardDescription className="text-center">
-            Enter your email to access the user portal
+            {descriptions[step]}
           </CardDescription>
         </CardHeader>
         <CardContent className="space-y-4">
@@ -96,33 +149,69 @@ export default function UserPortalLogin() {
             </Alert>
           )}
 
-          <form onSubmit={handleSubmit} className="space-y-4">
-            <div className="space-y-2">
-              <Label htmlFor="email">Email Address</Label>
-              <div className="relative">
-                <Mail className="absolute left-3 top-1/2 transform -translate-y-1/2 text-muted-foreground h-4 w-4" />
-                <Input
-                  id="email"
-                  type="email"
-                  placeholder="Enter your email"
-                  value={email}
-                  onChange={(e) => setEmail(e.target.value)}
-                  className="pl-10"
-                  disabled={loading}
-                  autoFocus
-                />
+          {step === 'sent' ? (
+            <div className="space-y-4">
+              <div className="text-center text-sm text-muted-foreground">
+                <Inbox className="h-10 w-10 mx-auto mb-3 text-primary" />
+                <p>
+                  If <span className="font-medium text-foreground">{email.trim()}</span> is registered,
+                  a sign-in link is on its way. The link can only be used once.
+                </p>
               </div>
+
+              {devLink && (
+                <Alert data-testid="alert-dev-mailbox">
+                  <AlertDescription className="space-y-2">
+                    <p className="font-medium">Dev mailbox (Auth emulator)</p>
+                    <Button size="sm" variant="outline" className="w-full" onClick={handleOpenDevLink}>
+                      Open sign-in link
+                    </Button>
+                  </AlertDescription>
+                </Alert>
+              )}
+
+              <Button variant="outline" className="w-full" onClick={handleStartOver}>
+                Use a different email
+              </Button>
             </div>
+          ) : (
+            <form onSubmit={handleSubmit} className="space-y-4">
+              <div className="space-y-2">
+                <Label htmlFor="email">Email Address</Label>
+                <div className="relative">
+                  <Mail className="absolute left-3 top-1/2 transform -translate-y-1/2 text-muted-foreground h-4 w-4" />
+                  <Input
+                    id="email"
+                    type="email"
+                    placeholder="Enter your email"
+                    value={email}
+                    onChange={(e) => setEmail(e.target.value)}
+                    className="pl-10"
+                    disabled={loading}
+                    autoFocus
+                  />
+                </div>
+              </div>
 
-            <Button
-              type="submit"
-              className="w-full"
-              disabled={loading}
-              data-testid="button-submit"
-            >
-              {loading ? 'Accessing Portal...' : 'Access Portal'}
-            </Button>
-          </form>
+              <Button
+                type="submit"
+                className="w-full"
+                disabled={loading}
+                data-testid="button-submit"
+              >
+                {loading ? (
+                  <>
+                    <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                    {step === 'confirm' ? 'Signing in...' : 'Sending link...'}
+                  </>
+                ) : step === 'confirm' ? (
+                  'Sign In'
+                ) : (
+                  'Send Sign-in Link'
+                )}
+              </Button>
+            </form>
+          )}
 
           <div className="text-center text-sm text-muted-foreground">
             <p>Need help? Contact your administrator</p>
@@ -0,0 +1,53 @@
+import { describe, it, expect } from 'vitest';
+import { parseApprovalStages, reviewerOf, stageOf } from '../src/lib/approval';
+import { ValidationError } from '../src/lib/data/schema';
+
+const STAGES = [
+  { id: 'docs', name: 'Document check', reviewerEmail: 'clerk@clinic.test', evidence: [] },
+  { id: 'doctor', name: 'Doctor review', reviewerEmail: null, evidence: [] },
+];
+
+describe('approval', () => {
+  it('trims stages, keeps their ids and gives new ones an id', () => {
+    const stages = parseApprovalStages([
+      { id: 'docs', name: ' Document check ', reviewerEmail: '', evidence: 'ID document\n\n Registration \nID document' },
+      { name: 'Doctor review', reviewerEmail: 'doctor@clinic.test', evidence: '' },
+    ]);
+
+    expect(stages[0]).toEqual({ id: 'docs', name: 'Document check', reviewerEmail: null, evidence: ['ID document', 'Registration'] });
+    expect(stages[1]).toMatchObject({ name: 'Doctor review', reviewerEmail: 'doctor@clinic.test', evidence: [] });
+    expect(stages[1].id).toMatch(/^[0-9a-f]{8}$/);
+  });
+
+  it('reports problems by stage position', () => {
+    let error;
+    try {
+      parseApprovalStages([
+        { name: 'Review', reviewerEmail: 'not-an-email' },
+        { name: '' },
+        { name: 'Review' },
+      ]);
+    } catch (caught) {
+      error = caught;
+    }
+
+    expect(error).toBeInstanceOf(ValidationError);
+    expect(error.fields).toEqual({
+      '0.reviewerEmail': 'Enter a valid email address.',
+      '1.name': 'Name is required.',
+      '2.name': 'Another stage has this name.',
+    });
+  });
+
+  it('puts pending users without a known stage in the first', () => {
+    expect(stageOf({ status: 'pending' }, STAGES).id).toBe('docs');
+    expect(stageOf({ status: 'pending', stage: 'removed' }, STAGES).id).toBe('docs');
+    expect(stageOf({ status: 'pending', stage: 'doctor' }, STAGES).id).toBe('doctor');
+    expect(stageOf({ status: 'approved', stage: 'doctor' }, STAGES)).toBeNull();
+    expect(stageOf({ status: 'pending' }, [])).toBeNull();
+
+    expect(reviewerOf({ status: 'pending' }, STAGES)).toBe('clerk@clinic.test');
+    expect(reviewerOf({ status: 'pending', reviewerEmail: 'owner@clinic.test' }, STAGES)).toBe('owner@clinic.test');
+    expect(reviewerOf({ status: 'pending', stage: 'doctor' }, STAGES)).toBeNull();
+  });
+});
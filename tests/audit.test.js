@@ -0,0 +1,66 @@
+import { describe, it, expect } from 'vitest';
+import { changedFields, filterAuditLog, auditLogRows } from '../src/lib/audit';
+import { rowsToCsv } from '../src/lib/export';
+
+const at = (iso) => ({ toDate: () => new Date(iso) });
+
+const ENTRIES = [
+  {
+    actorEmail: 'owner@clinic.test',
+    action: 'update',
+    entity: 'clinic',
+    entityId: 'clinic-1',
+    entityLabel: 'Main, "North" Clinic',
+    before: { location: 'Pune' },
+    after: { location: 'Mumbai' },
+    createdAt: at('2026-01-02T10:00:00.000Z'),
+  },
+  {
+    actorEmail: 'CoAdmin@clinic.test',
+    action: 'status_change',
+    entity: 'user',
+    entityId: 'patient',
+    entityLabel: 'patient',
+    before: { status: 'pending' },
+    after: { status: 'approved' },
+    createdAt: at('2026-01-01T09:00:00.000Z'),
+  },
+];
+
+describe('audit', () => {
+  it('keeps only the fields that changed', () => {
+    expect(changedFields(
+      { clinicName: 'Main', location: 'Pune', revenue: '' },
+      { clinicName: 'Main', location: 'Mumbai', revenue: '10' }
+    )).toEqual({
+      before: { location: 'Pune', revenue: '' },
+      after: { location: 'Mumbai', revenue: '10' },
+    });
+    expect(changedFields({ a: 1 }, { a: 1 })).toEqual({ before: {}, after: {} });
+    expect(changedFields(null, { a: 1 })).toEqual({ before: { a: null }, after: { a: 1 } });
+  });
+
+  it('filters by entity and by part of the actor email', () => {
+    expect(filterAuditLog(ENTRIES)).toHaveLength(2);
+    expect(filterAuditLog(ENTRIES, { entity: 'user' }).map(e => e.entityId)).toEqual(['patient']);
+    expect(filterAuditLog(ENTRIES, { actor: ' coadmin ' }).map(e => e.entityId)).toEqual(['patient']);
+    expect(filterAuditLog(ENTRIES, { entity: 'clinic', actor: 'coadmin' })).toEqual([]);
+  });
+
+  it('exports CSV with quoted cells', () => {
+    const [header, first] = rowsToCsv(auditLogRows(ENTRIES)).split('\n');
+
+    expect(header).toBe('\uFEFFTimestamp,Actor,Action,Entity,Entity ID,Entity Name,Before,After');
+    expect(first).toBe(
+      '2026-01-02T10:00:00.000Z,owner@clinic.test,update,clinic,clinic-1,"Main, ""North"" Clinic",'
+      + '"{""location"":""Pune""}","{""location"":""Mumbai""}"'
+    );
+  });
+
+  it('keeps labels that look like formulas as text', () => {
+    const [, row] = rowsToCsv(auditLogRows([{ ...ENTRIES[0], entityLabel: '=HYPERLINK("http://example.test")' }]))
+      .split('\n');
+
+    expect(row).toContain(',"\'=HYPERLINK(""http://example.test"")",');
+  });
+});
@@ -0,0 +1,53 @@
+import { describe, it, expect } from 'vitest';
+import { EXPORT_COLUMNS, recordsToCsv, recordsToPrintHtml } from '../src/lib/export';
+import { parseCsv } from '../src/lib/spreadsheet';
+
+const timestamp = (date) => ({ toDate: () => date });
+
+describe('export', () => {
+  it('writes CSV with a byte order mark, quoted cells and local dates', () => {
+    const columns = EXPORT_COLUMNS.clinics.filter(column => ['clinicName', 'revenue', 'createdAt'].includes(column.key));
+    const text = recordsToCsv(columns, [
+      { clinicName: 'Rao, "Sunrise" Clinic', revenue: 125000.5, createdAt: timestamp(new Date(2025, 2, 7, 23, 30)) },
+      { clinicName: 'क्लिनिक ₹', revenue: null, createdAt: null },
+    ]);
+
+    expect(text.startsWith('\uFEFF')).toBe(true);
+    expect(parseCsv(text)).toEqual([
+      ['Clinic name', 'Revenue', 'Date added'],
+      ['Rao, "Sunrise" Clinic', '125000.5', '2025-03-07'],
+      ['क्लिनिक ₹', '', ''],
+    ]);
+  });
+
+  it('keeps cells that look like formulas as text', () => {
+    const columns = EXPORT_COLUMNS.users.filter(column => ['username', 'images'].includes(column.key));
+    const rows = parseCsv(recordsToCsv(columns, [
+      { username: '=HYPERLINK("http://example.test")', images: [] },
+      { username: '-1', images: [{}, {}] },
+    ]));
+
+    expect(rows.slice(1)).toEqual([
+      ['\'=HYPERLINK("http://example.test")', '0'],
+      ['\'-1', '2'],
+    ]);
+  });
+
+  it('escapes values in the printable table', () => {
+    const columns = EXPORT_COLUMNS.users.filter(column => column.key === 'username');
+    const html = recordsToPrintHtml(columns, [{ username: '<img src=x onerror=alert(1)>' }], 'Users & more');
+
+    expect(html).toContain('<title>Users &amp; more</title>');
+    expect(html).toContain('<td>&lt;img src=x onerror=alert(1)&gt;</td>');
+    expect(html).not.toContain('<img');
+    expect(html).toContain('size: portrait');
+  });
+
+  it('offers every clinic field and ticks the common ones', () => {
+    const keys = EXPORT_COLUMNS.clinics.map(column => column.key);
+    const selected = EXPORT_COLUMNS.clinics.filter(column => column.selected).map(column => column.key);
+
+    expect(keys).toEqual(expect.arrayContaining(['clinicName', 'doctorName', 'revenue', 'createdAt']));
+    expect(selected).toEqual(['clinicName', 'doctorName', 'clinicMail', 'location', 'numberOfPatients', 'revenue', 'createdAt']);
+  });
+});
@@ -0,0 +1,685 @@
+import { readFileSync } from 'fs';
+import { describe, it, beforeAll, beforeEach, afterAll } from 'vitest';
+import {
+  initializeTestEnvironment,
+  assertSucceeds,
+  assertFails,
+} from '@firebase/rules-unit-testing';
+import {
+  doc,
+  getDoc,
+  setDoc,
+  updateDoc,
+  deleteDoc,
+  collection,
+  query,
+  where,
+  getDocs,
+  writeBatch,
+  arrayUnion,
+  serverTimestamp,
+  Timestamp,
+} from 'firebase/firestore';
+
+// Runs against the Firestore emulator: `npm run test:rules`
+const emulatorRunning = Boolean(process.env.FIRESTORE_EMULATOR_HOST);
+
+const ORG = 'org-main';
+const OTHER_ORG = 'org-other';
+
+const OWNER = { uid: 'owner-1', email: 'owner@clinic.test' };
+const CO_ADMIN = { uid: 'admin-1', email: 'coadmin@clinic.test' };
+const OTHER_OWNER = { uid: 'owner-2', email: 'other@clinic.test' };
+const READ_ONLY = { uid: 'viewer-1', email: 'viewer@clinic.test' };
+const DOCTOR = { uid: 'doctor-1', email: 'doctor@clinic.test' };
+const STRANGER = { uid: 'stranger-1', email: 'stranger@example.test' };
+const PATIENT = { uid: 'patient-1', email: 'patient@example.test' };
+const INVITEE = { uid: 'invitee-1', email: 'invitee@clinic.test' };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A user record with the claim on its email, as the repositories write them
+const createUser = (db, id, user) => {
+  const batch = writeBatch(db);
+  batch.set(doc(db, 'users', id), user);
+  batch.set(doc(db, 'userEmails', `${user.orgId}_${user.email.toLowerCase()}`), {
+    orgId: user.orgId,
+    email: user.email.toLowerCase(),
+    userId: id,
+  });
+  return batch.commit();
+};
+
+// A clinic with the fields its schema requires
+const clinic = (clinicName, fields) => ({
+  clinicName,
+  doctorName: 'Dr. Rao',
+  clinicMail: 'front@clinic.test',
+  ...fields,
+});
+
+describe.skipIf(!emulatorRunning)('firestore.rules', () => {
+  let testEnv;
+
+  const as = (account, { verified = true, secondFactor = false } = {}) =>
+    testEnv
+      .authenticatedContext(account.uid, {
+        email: account.email,
+        email_verified: verified,
+        firebase: {
+          sign_in_provider: 'password',
+          ...(secondFactor && { sign_in_second_factor: 'totp' }),
+        },
+      })
+      .firestore();
+
+  const seed = (callback) =>
+    testEnv.withSecurityRulesDisabled((context) => callback(context.firestore()));
+
+  beforeAll(async () => {
+    testEnv = await initializeTestEnvironment({
+      projectId: 'demo-procohat-rules',
+      firestore: { rules: readFileSync('firestore.rules', 'utf8') },
+    });
+  });
+
+  afterAll(async () => {
+    await testEnv.cleanup();
+  });
+
+  beforeEach(async () => {
+    await testEnv.clearFirestore();
+    await seed(async (db) => {
+      await setDoc(doc(db, 'organizations', ORG), { name: 'Main', createdBy: OWNER.uid });
+      await setDoc(doc(db, 'organizations', ORG, 'members', OWNER.uid), { email: OWNER.email, role: 'owner' });
+      await setDoc(doc(db, 'organizations', ORG, 'members', CO_ADMIN.uid), { email: CO_ADMIN.email, role: 'admin' });
+      await setDoc(doc(db, 'organizations', ORG, 'members', READ_ONLY.uid), { email: READ_ONLY.email, role: 'viewer' });
+      await setDoc(doc(db, 'organizations', OTHER_ORG), { name: 'Other', createdBy: OTHER_OWNER.uid });
+      await setDoc(doc(db, 'organizations', OTHER_ORG, 'members', OTHER_OWNER.uid), {
+        email: OTHER_OWNER.email,
+        role: 'owner',
+      });
+
+      await setDoc(doc(db, 'users', 'patient'), {
+        username: 'patient',
+        email: PATIENT.email,
+        role: 'user',
+        status: 'approved',
+        orgId: ORG,
+        createdBy: OWNER.email,
+        images: [],
+      });
+      await setDoc(doc(db, 'users', 'doctor'), {
+        username: 'doctor',
+        email: DOCTOR.email,
+        role: 'admin',
+        status: 'approved',
+        orgId: ORG,
+        createdBy: OWNER.email,
+      });
+      await setDoc(doc(db, 'clinics', 'clinic-1'), clinic('Main Clinic', {
+        orgId: ORG,
+        createdBy: OWNER.email,
+      }));
+      await setDoc(doc(db, 'clinics', 'legacy'), {
+        clinicName: 'Legacy Clinic',
+        createdBy: OWNER.email,
+      });
+      await setDoc(doc(db, 'documents', 'assigned'), {
+        documentName: 'Consent',
+        assignedUsers: [{ id: 'patient', username: 'patient', email: PATIENT.email }],
+        assignedEmails: [PATIENT.email],
+        orgId: ORG,
+        createdBy: OWNER.email,
+      });
+      await setDoc(doc(db, 'invites', 'invite-1'), {
+        orgId: ORG,
+        orgName: 'Main',
+        email: INVITEE.email,
+        role: 'admin',
+        status: 'pending',
+        expiresInDays: 7,
+        expiresAt: Timestamp.fromMillis(Date.now() + 7 * DAY_MS),
+        invitedBy: CO_ADMIN.email,
+        sendCount: 1,
+      });
+      await setDoc(doc(db, 'documents', 'unassigned'), {
+        documentName: 'Internal',
+        assignedUsers: [],
+        assignedEmails: [],
+        orgId: ORG,
+        createdBy: OWNER.email,
+      });
+    });
+  });
+
+  describe('organization tenancy', () => {
+    it('shares records between admins of the same organization', async () => {
+      const db = as(CO_ADMIN);
+      await assertSucceeds(getDocs(query(collection(db, 'clinics'), where('orgId', '==', ORG))));
+      await assertSucceeds(updateDoc(doc(db, 'clinics', 'clinic-1'), { clinicName: 'Renamed', version: 1 }));
+      await assertSucceeds(setDoc(doc(db, 'clinics', 'clinic-2'), clinic('New', { orgId: ORG, createdBy: CO_ADMIN.email })));
+    });
+
+    it("hides another organization's records", async () => {
+      const db = as(OTHER_OWNER);
+      await assertFails(getDoc(doc(db, 'clinics', 'clinic-1')));
+      await assertFails(getDocs(query(collection(db, 'users'), where('orgId', '==', ORG))));
+      await assertFails(deleteDoc(doc(db, 'clinics', 'clinic-1')));
+      await assertFails(setDoc(doc(db, 'clinics', 'planted'), clinic('Planted', { orgId: ORG, createdBy: OTHER_OWNER.email })));
+    });
+
+    it('does not allow records to move between organizations', async () => {
+      const db = as(OWNER);
+      await assertFails(updateDoc(doc(db, 'clinics', 'clinic-1'), { orgId: OTHER_ORG }));
+    });
+
+    it('lets the creator adopt legacy records into an organization they manage', async () => {
+      await assertSucceeds(getDoc(doc(as(OWNER), 'clinics', 'legacy')));
+      await assertFails(getDoc(doc(as(OTHER_OWNER), 'clinics', 'legacy')));
+      await assertFails(updateDoc(doc(as(OTHER_OWNER), 'clinics', 'legacy'), { orgId: OTHER_ORG }));
+      await assertFails(updateDoc(doc(as(OWNER), 'clinics', 'legacy'), { orgId: ORG, clinicName: 'Changed' }));
+      await assertSucceeds(updateDoc(doc(as(OWNER), 'clinics', 'legacy'), { orgId: ORG }));
+    });
+
+    it('stops a removed member reading the records they created', async () => {
+      await seed(async (db) => {
+        await setDoc(doc(db, 'clinics', 'theirs'), clinic('Theirs', { orgId: ORG, createdBy: CO_ADMIN.email }));
+      });
+      await assertSucceeds(getDoc(doc(as(CO_ADMIN), 'clinics', 'theirs')));
+
+      await seed(db => deleteDoc(doc(db, 'organizations', ORG, 'members', CO_ADMIN.uid)));
+      await assertFails(getDoc(doc(as(CO_ADMIN), 'clinics', 'theirs')));
+    });
+
+    it('lets anyone found an organization as its owner', async () => {
+      const db = as(STRANGER);
+      const batch = writeBatch(db);
+      batch.set(doc(db, 'organizations', 'org-new'), { name: 'New', createdBy: STRANGER.uid });
+      batch.set(doc(db, 'organizations', 'org-new', 'members', STRANGER.uid), { email: STRANGER.email, role: 'owner' });
+      await assertSucceeds(batch.commit());
+    });
+
+    it('does not let anyone make themselves owner of an existing organization', async () => {
+      const db = as(STRANGER);
+      await assertFails(
+        setDoc(doc(db, 'organizations', ORG, 'members', STRANGER.uid), { email: STRANGER.email, role: 'owner' })
+      );
+    });
+  });
+
+  describe('roles', () => {
+    it('gives accounts outside the organization no access', async () => {
+      const db = as(STRANGER);
+      await assertFails(getDocs(query(collection(db, 'clinics'), where('orgId', '==', ORG))));
+      await assertFails(setDoc(doc(db, 'clinics', 'mine'), clinic('Mine', { orgId: ORG, createdBy: STRANGER.email })));
+    });
+
+    it('keeps the user role read only', async () => {
+      const db = as(READ_ONLY);
+      await assertSucceeds(getDocs(query(collection(db, 'clinics'), where('orgId', '==', ORG))));
+      await assertFails(setDoc(doc(db, 'clinics', 'mine'), clinic('Mine', { orgId: ORG, createdBy: READ_ONLY.email })));
+    });
+
+    it('never makes an approved user record a membership', async () => {
+      const join = (account, data) => setDoc(doc(as(account), 'organizations', ORG, 'members', account.uid), data);
+      await assertFails(join(DOCTOR, { email: DOCTOR.email, role: 'admin' }));
+      await assertFails(join(PATIENT, { email: PATIENT.email, role: 'user' }));
+      await assertFails(join(PATIENT, { email: PATIENT.email, role: 'viewer' }));
+    });
+
+    it('gives the user role no access', async () => {
+      await seed(db => setDoc(doc(db, 'organizations', ORG, 'members', PATIENT.uid), { email: PATIENT.email, role: 'user' }));
+      await assertFails(getDocs(query(collection(as(PATIENT), 'clinics'), where('orgId', '==', ORG))));
+      await assertFails(getDocs(query(collection(as(PATIENT), 'users'), where('orgId', '==', ORG))));
+    });
+
+    it('lets only owners change roles, and never their own', async () => {
+      await assertFails(updateDoc(doc(as(CO_ADMIN), 'organizations', ORG, 'members', READ_ONLY.uid), { role: 'admin' }));
+      await assertFails(updateDoc(doc(as(OWNER), 'organizations', ORG, 'members', OWNER.uid), { role: 'admin' }));
+      await assertSucceeds(updateDoc(doc(as(OWNER), 'organizations', ORG, 'members', READ_ONLY.uid), { role: 'admin' }));
+    });
+  });
+
+  describe('two-factor policy', () => {
+    it('lets only owners signed in with a second factor require it', async () => {
+      await assertFails(updateDoc(doc(as(OWNER), 'organizations', ORG), { requireTwoFactor: true }));
+      await assertFails(
+        updateDoc(doc(as(CO_ADMIN, { secondFactor: true }), 'organizations', ORG), { requireTwoFactor: true })
+      );
+      await assertSucceeds(
+        updateDoc(doc(as(OWNER, { secondFactor: true }), 'organizations', ORG), { requireTwoFactor: true })
+      );
+    });
+
+    it('shuts out members without a second factor once required', async () => {
+      await seed((db) => updateDoc(doc(db, 'organizations', ORG), { requireTwoFactor: true }));
+      const clinics = (db) => getDocs(query(collection(db, 'clinics'), where('orgId', '==', ORG)));
+
+      await assertFails(clinics(as(CO_ADMIN)));
+      await assertSucceeds(getDoc(doc(as(CO_ADMIN), 'organizations', ORG)));
+      await assertSucceeds(clinics(as(CO_ADMIN, { secondFactor: true })));
+      await assertSucceeds(getDocs(query(collection(as(OTHER_OWNER), 'clinics'), where('orgId', '==', OTHER_ORG))));
+    });
+
+    it('lets only owners set a whole-minute idle timeout', async () => {
+      await assertFails(updateDoc(doc(as(CO_ADMIN), 'organizations', ORG), { idleTimeoutMinutes: 15 }));
+      await assertFails(updateDoc(doc(as(OWNER), 'organizations', ORG), { idleTimeoutMinutes: 0 }));
+      await assertFails(updateDoc(doc(as(OWNER), 'organizations', ORG), { idleTimeoutMinutes: '15' }));
+      await assertSucceeds(updateDoc(doc(as(OWNER), 'organizations', ORG), { idleTimeoutMinutes: 15 }));
+    });
+  });
+
+  describe('invites', () => {
+    const accept = (db, account, inviteId, role = 'admin') => {
+      const batch = writeBatch(db);
+      batch.set(doc(db, 'organizations', ORG, 'members', account.uid), { email: account.email, role, inviteId });
+      batch.update(doc(db, 'invites', inviteId), { status: 'accepted', acceptedBy: account.uid });
+      return batch.commit();
+    };
+
+    it('lets managers invite, resend and revoke, and keeps invite lists to them', async () => {
+      const db = as(CO_ADMIN);
+      await assertSucceeds(
+        setDoc(doc(db, 'invites', 'invite-2'), {
+          orgId: ORG,
+          email: STRANGER.email,
+          role: 'viewer',
+          status: 'pending',
+          invitedBy: CO_ADMIN.email,
+        })
+      );
+      await assertSucceeds(updateDoc(doc(db, 'invites', 'invite-1'), { sendCount: 2 }));
+      await assertSucceeds(updateDoc(doc(db, 'invites', 'invite-1'), { status: 'revoked' }));
+      await assertSucceeds(getDocs(query(collection(db, 'invites'), where('orgId', '==', ORG))));
+
+      await assertFails(getDocs(query(collection(as(READ_ONLY), 'invites'), where('orgId', '==', ORG))));
+      await assertFails(
+        setDoc(doc(as(READ_ONLY), 'invites', 'invite-3'), {
+          orgId: ORG,
+          email: STRANGER.email,
+          role: 'viewer',
+          status: 'pending',
+          invitedBy: READ_ONLY.email,
+        })
+      );
+    });
+
+    it('never invites owners or patients', async () => {
+      for (const role of ['owner', 'user']) {
+        await assertFails(
+          setDoc(doc(as(OWNER), 'invites', 'invite-2'), {
+            orgId: ORG,
+            email: STRANGER.email,
+            role,
+            status: 'pending',
+            invitedBy: OWNER.email,
+          })
+        );
+      }
+    });
+
+    it('lets the invitee join with the invited role once', async () => {
+      const db = as(INVITEE, { verified: false });
+      await assertSucceeds(getDoc(doc(db, 'invites', 'invite-1')));
+      await assertFails(accept(db, INVITEE, 'invite-1', 'owner'));
+      await assertSucceeds(accept(db, INVITEE, 'invite-1'));
+      await assertSucceeds(setDoc(doc(db, 'clinics', 'new'), clinic('New', { orgId: ORG, createdBy: INVITEE.email })));
+      await assertFails(accept(as(STRANGER), STRANGER, 'invite-1'));
+    });
+
+    it('rejects invites for another email, or that are revoked or expired', async () => {
+      await assertFails(accept(as(STRANGER), STRANGER, 'invite-1'));
+
+      await seed((db) => updateDoc(doc(db, 'invites', 'invite-1'), { expiresAt: Timestamp.fromMillis(Date.now() - DAY_MS) }));
+      await assertFails(accept(as(INVITEE), INVITEE, 'invite-1'));
+
+      await seed((db) =>
+        updateDoc(doc(db, 'invites', 'invite-1'), {
+          status: 'revoked',
+          expiresAt: Timestamp.fromMillis(Date.now() + DAY_MS),
+        })
+      );
+      await assertFails(accept(as(INVITEE), INVITEE, 'invite-1'));
+    });
+  });
+
+  describe('clinic versions', () => {
+    it('refuses edits based on an older version', async () => {
+      const db = as(CO_ADMIN);
+      await assertSucceeds(updateDoc(doc(db, 'clinics', 'clinic-1'), { clinicName: 'First', version: 1 }));
+      // Queued offline against version 0 while the edit above landed
+      await assertFails(updateDoc(doc(db, 'clinics', 'clinic-1'), { clinicName: 'Stale', version: 1 }));
+      await assertFails(updateDoc(doc(db, 'clinics', 'clinic-1'), { clinicName: 'Unversioned' }));
+      await assertSucceeds(updateDoc(doc(db, 'clinics', 'clinic-1'), { clinicName: 'Second', version: 2 }));
+    });
+  });
+
+  describe('record schemas', () => {
+    it('refuses records the app schema would reject', async () => {
+      const db = as(CO_ADMIN);
+      const user = { username: 'nina', email: 'nina@example.test', role: 'user', status: 'pending', orgId: ORG };
+      await assertFails(setDoc(doc(db, 'users', 'no-role'), { ...user, role: '' }));
+      await assertFails(createUser(db, 'bad-email', { ...user, email: 'nina' }));
+      await assertSucceeds(createUser(db, 'nina', user));
+
+      const fields = { orgId: ORG, createdBy: CO_ADMIN.email };
+      await assertFails(setDoc(doc(db, 'clinics', 'text-revenue'), clinic('Text', { ...fields, revenue: '1200' })));
+      await assertFails(setDoc(doc(db, 'clinics', 'half-patient'), clinic('Half', { ...fields, numberOfPatients: 1.5 })));
+      await assertFails(setDoc(doc(db, 'clinics', 'no-doctor'), clinic('Nobody', { ...fields, doctorName: ' ' })));
+      await assertSucceeds(setDoc(doc(db, 'clinics', 'typed'), clinic('Typed', { ...fields, revenue: 1200.5, numberOfPatients: 40 })));
+
+      await assertFails(setDoc(doc(db, 'documents', 'empty'), { documentName: 'Empty', assignedUsers: [], assignedEmails: [], orgId: ORG }));
+    });
+
+    it('only checks the fields an edit changes', async () => {
+      // Saved before validation, without a role
+      await seed((db) => updateDoc(doc(db, 'users', 'doctor'), { role: '' }));
+      const doctor = doc(as(CO_ADMIN), 'users', 'doctor');
+      await assertSucceeds(updateDoc(doctor, { status: 'pending' }));
+      await assertFails(updateDoc(doctor, { role: 'owner' }));
+    });
+
+    it('never moves a record back to an older schema version', async () => {
+      const patient = doc(as(CO_ADMIN), 'users', 'patient');
+      await assertFails(updateDoc(patient, { schemaVersion: '2' }));
+      await assertSucceeds(updateDoc(patient, { schemaVersion: 2 }));
+      await assertFails(updateDoc(patient, { schemaVersion: 1 }));
+    });
+  });
+
+  describe('user emails', () => {
+    const nina = { username: 'nina', email: 'nina@example.test', role: 'user', status: 'pending', orgId: ORG };
+
+    it('lets each email be claimed once per organization', async () => {
+      const db = as(CO_ADMIN);
+      await assertFails(setDoc(doc(db, 'users', 'nina'), nina));
+      await assertSucceeds(createUser(db, 'nina', nina));
+
+      await assertFails(createUser(db, 'nina-2', { ...nina, email: 'Nina@Example.test' }));
+      await assertSucceeds(createUser(as(OTHER_OWNER), 'nina-elsewhere', { ...nina, orgId: OTHER_ORG }));
+      await assertFails(getDoc(doc(as(OTHER_OWNER), 'userEmails', `${ORG}_nina@example.test`)));
+    });
+
+    it('frees an email when its holder is deleted or moves to another', async () => {
+      const db = as(CO_ADMIN);
+      await assertSucceeds(createUser(db, 'nina', nina));
+      const claim = doc(db, 'userEmails', `${ORG}_nina@example.test`);
+      await assertFails(deleteDoc(claim));
+
+      const batch = writeBatch(db);
+      batch.update(doc(db, 'users', 'nina'), { email: 'nina.rao@example.test' });
+      batch.set(doc(db, 'userEmails', `${ORG}_nina.rao@example.test`), { orgId: ORG, email: 'nina.rao@example.test', userId: 'nina' });
+      batch.delete(claim);
+      await assertSucceeds(batch.commit());
+      await assertSucceeds(createUser(db, 'nina-2', nina));
+    });
+  });
+
+  describe('trash', () => {
+    const moveToTrash = (db, entry = {}) => {
+      const batch = writeBatch(db);
+      batch.delete(doc(db, 'clinics', 'clinic-1'));
+      batch.set(doc(db, 'trash', 'clinics_clinic-1'), {
+        orgId: ORG,
+        collection: 'clinics',
+        recordId: 'clinic-1',
+        label: 'Main Clinic',
+        record: clinic('Main Clinic', { orgId: ORG, createdBy: OWNER.email }),
+        deletedAt: serverTimestamp(),
+        deletedBy: CO_ADMIN.email,
+        ...entry,
+      });
+      return batch.commit();
+    };
+
+    it('takes a record only in the batch that deletes it', async () => {
+      const db = as(CO_ADMIN);
+      const stray = doc(db, 'trash', 'clinics_clinic-1');
+      await assertFails(setDoc(stray, { orgId: ORG, collection: 'clinics', recordId: 'clinic-1', deletedAt: serverTimestamp() }));
+      await assertFails(moveToTrash(db, { orgId: OTHER_ORG }));
+      await assertFails(moveToTrash(as(READ_ONLY)));
+      await assertSucceeds(moveToTrash(db));
+      await assertFails(getDoc(doc(as(READ_ONLY), 'trash', 'clinics_clinic-1')));
+    });
+
+    it('restores a record in the batch that removes its entry', async () => {
+      const db = as(CO_ADMIN);
+      await assertSucceeds(moveToTrash(db));
+      const restored = { clinicName: 'Main Clinic', orgId: ORG, createdBy: OWNER.email };
+
+      // Without removing the entry it is just a new record, which must pass the schema
+      await assertFails(setDoc(doc(db, 'clinics', 'clinic-1'), restored));
+
+      const batch = writeBatch(db);
+      batch.set(doc(db, 'clinics', 'clinic-1'), restored);
+      batch.delete(doc(db, 'trash', 'clinics_clinic-1'));
+      await assertSucceeds(batch.commit());
+    });
+  });
+
+  describe('bulk actions', () => {
+    const action = (account, overrides = {}) => ({
+      orgId: ORG,
+      type: 'status',
+      status: 'approved',
+      reason: null,
+      changes: [],
+      actorUid: account.uid,
+      actorEmail: account.email,
+      createdAt: serverTimestamp(),
+      undoneAt: null,
+      undoneBy: null,
+      ...overrides,
+    });
+
+    it('are saved by managers as themselves', async () => {
+      const saved = (db, data) => setDoc(doc(db, 'bulkActions', 'action-1'), data);
+      await assertFails(saved(as(CO_ADMIN), action(CO_ADMIN, { actorUid: OWNER.uid })));
+      await assertFails(saved(as(CO_ADMIN), action(CO_ADMIN, { undoneAt: serverTimestamp() })));
+      await assertFails(saved(as(READ_ONLY), action(READ_ONLY)));
+      await assertSucceeds(saved(as(CO_ADMIN), action(CO_ADMIN)));
+    });
+
+    it('can be marked undone once and never rewritten', async () => {
+      await seed((db) => setDoc(doc(db, 'bulkActions', 'action-1'), action(OWNER, { createdAt: Timestamp.now() })));
+      const saved = doc(as(CO_ADMIN), 'bulkActions', 'action-1');
+
+      await assertFails(updateDoc(saved, { changes: [] }));
+      await assertFails(updateDoc(doc(as(READ_ONLY), 'bulkActions', 'action-1'), { undoneAt: serverTimestamp() }));
+      await assertSucceeds(updateDoc(saved, { undoneAt: serverTimestamp(), undoneBy: CO_ADMIN.email }));
+      await assertFails(updateDoc(saved, { undoneAt: serverTimestamp(), undoneBy: OWNER.email }));
+      await assertFails(deleteDoc(saved));
+    });
+  });
+
+  describe('status history', () => {
+    const transition = (from, to) => ({ from, to, reason: null, actorUid: CO_ADMIN.uid, actorEmail: CO_ADMIN.email });
+
+    it('can only be appended to', async () => {
+      await seed((db) => updateDoc(doc(db, 'users', 'patient'), { statusHistory: [transition(null, 'approved')] }));
+      const patient = doc(as(CO_ADMIN), 'users', 'patient');
+
+      await assertSucceeds(updateDoc(patient, {
+        status: 'rejected',
+        statusHistory: arrayUnion(transition('approved', 'rejected')),
+      }));
+      await assertFails(updateDoc(patient, { statusHistory: [] }));
+      await assertFails(updateDoc(patient, { statusHistory: [transition('pending', 'approved')] }));
+    });
+  });
+
+  describe('approval stages', () => {
+    const STAGES = [
+      { id: 'docs', name: 'Document check', reviewerEmail: null, evidence: ['ID document'] },
+      { id: 'final', name: 'Final approval', reviewerEmail: null, evidence: [] },
+    ];
+    const review = (stage, decision, evidence = []) => ({
+      stage,
+      stageName: stage,
+      decision,
+      comment: null,
+      evidence,
+      actorUid: CO_ADMIN.uid,
+      actorEmail: CO_ADMIN.email,
+    });
+
+    beforeEach(async () => {
+      await seed(async (db) => {
+        await updateDoc(doc(db, 'organizations', ORG), { approvalStages: STAGES });
+        await updateDoc(doc(db, 'users', 'patient'), { status: 'pending', stage: 'final' });
+      });
+    });
+
+    it('are set up by owners only', async () => {
+      await assertSucceeds(updateDoc(doc(as(OWNER), 'organizations', ORG), { approvalStages: [] }));
+      await assertFails(updateDoc(doc(as(CO_ADMIN), 'organizations', ORG), { approvalStages: STAGES }));
+    });
+
+    it('approve users only with the last stage passed in the same write', async () => {
+      const patient = doc(as(CO_ADMIN), 'users', 'patient');
+
+      await assertFails(updateDoc(patient, { status: 'approved', stage: null }));
+      await assertFails(updateDoc(patient, {
+        status: 'approved',
+        stage: null,
+        reviews: arrayUnion(review('docs', 'approved', [{ label: 'ID document', value: 'passport.pdf' }])),
+      }));
+      await assertSucceeds(updateDoc(patient, { reviews: arrayUnion(review('final', 'commented')) }));
+      await assertFails(updateDoc(patient, { reviews: [] }));
+      await assertSucceeds(updateDoc(patient, {
+        status: 'approved',
+        stage: null,
+        reviews: arrayUnion(review('final', 'approved')),
+      }));
+    });
+
+    it('do not let new users start out approved', async () => {
+      await assertFails(createUser(as(CO_ADMIN), 'new-user', {
+        username: 'new',
+        email: 'new@example.test',
+        role: 'user',
+        status: 'approved',
+        orgId: ORG,
+      }));
+    });
+  });
+
+  describe('audit log', () => {
+    const entry = (account, overrides = {}) => ({
+      orgId: ORG,
+      actorUid: account.uid,
+      actorEmail: account.email,
+      action: 'update',
+      entity: 'clinic',
+      entityId: 'clinic-1',
+      entityLabel: 'Main Clinic',
+      before: { location: 'Pune' },
+      after: { location: 'Mumbai' },
+      createdAt: serverTimestamp(),
+      ...overrides,
+    });
+    const log = (db, data) => setDoc(doc(collection(db, 'auditLogs')), data);
+
+    it('lets managers log their own changes', async () => {
+      await assertSucceeds(log(as(CO_ADMIN), entry(CO_ADMIN)));
+      await assertFails(log(as(CO_ADMIN), entry(CO_ADMIN, { actorUid: OWNER.uid, actorEmail: OWNER.email })));
+      await assertFails(log(as(CO_ADMIN), entry(CO_ADMIN, { createdAt: Timestamp.fromMillis(0) })));
+      await assertFails(log(as(READ_ONLY), entry(READ_ONLY)));
+      await assertFails(log(as(OTHER_OWNER), entry(OTHER_OWNER)));
+    });
+
+    it('lets portal users log only image changes to their own record', async () => {
+      const imagesChange = { action: 'images_change', entity: 'user', entityId: 'patient' };
+      await assertSucceeds(log(as(PATIENT), entry(PATIENT, imagesChange)));
+      await assertFails(log(as(PATIENT), entry(PATIENT, { ...imagesChange, entityId: 'doctor' })));
+      await assertFails(log(as(PATIENT), entry(PATIENT, { ...imagesChange, action: 'status_change' })));
+    });
+
+    it('is append only and readable by managers of the organization', async () => {
+      await seed((db) => setDoc(doc(db, 'auditLogs', 'entry-1'), entry(OWNER, { createdAt: Timestamp.now() })));
+      const entries = (db, orgId) => getDocs(query(collection(db, 'auditLogs'), where('orgId', '==', orgId)));
+
+      await assertSucceeds(entries(as(CO_ADMIN), ORG));
+      await assertFails(entries(as(READ_ONLY), ORG));
+      await assertFails(entries(as(OTHER_OWNER), ORG));
+      await assertFails(updateDoc(doc(as(OWNER), 'auditLogs', 'entry-1'), { after: {} }));
+      await assertFails(deleteDoc(doc(as(OWNER), 'auditLogs', 'entry-1')));
+    });
+  });
+
+  describe('stat snapshots', () => {
+    const snapshot = (overrides = {}) => ({
+      orgId: ORG,
+      weekKey: '2026-01-05',
+      weekStart: Timestamp.fromDate(new Date('2026-01-05T00:00:00Z')),
+      newUsers: 3,
+      approvals: 1,
+      documentsCreated: 0,
+      clinicsAdded: 2,
+      totals: null,
+      createdAt: serverTimestamp(),
+      ...overrides,
+    });
+
+    it('lets managers record a finished week once', async () => {
+      const db = as(CO_ADMIN);
+      const ref = doc(db, 'statSnapshots', `${ORG}_2026-01-05`);
+      await assertSucceeds(setDoc(ref, snapshot()));
+      await assertFails(updateDoc(ref, { newUsers: 30 }));
+      await assertFails(deleteDoc(ref));
+      await assertSucceeds(getDocs(query(collection(as(READ_ONLY), 'statSnapshots'), where('orgId', '==', ORG))));
+    });
+
+    it('refuses mismatched ids, future weeks and read-only members', async () => {
+      await assertFails(setDoc(doc(as(CO_ADMIN), 'statSnapshots', `${OTHER_ORG}_2026-01-05`), snapshot()));
+      await assertFails(setDoc(doc(as(CO_ADMIN), 'statSnapshots', `${ORG}_2999-01-07`), snapshot({
+        weekKey: '2999-01-07',
+        weekStart: Timestamp.fromDate(new Date('2999-01-07T00:00:00Z')),
+      })));
+      await assertFails(setDoc(doc(as(READ_ONLY), 'statSnapshots', `${ORG}_2026-01-05`), snapshot()));
+    });
+  });
+
+  describe('user portal', () => {
+    it('reads only the record for its own email', async () => {
+      const db = as(PATIENT);
+      await assertSucceeds(getDocs(query(collection(db, 'users'), where('email', '==', PATIENT.email))));
+      await assertFails(getDoc(doc(db, 'users', 'doctor')));
+    });
+
+    it('finds its record whatever the case of the stored email', async () => {
+      await seed((db) => updateDoc(doc(db, 'users', 'patient'), { email: 'Patient@Example.test', emailKey: PATIENT.email }));
+      const db = as(PATIENT);
+      await assertSucceeds(getDocs(query(collection(db, 'users'), where('emailKey', '==', PATIENT.email))));
+      await assertSucceeds(updateDoc(doc(db, 'users', 'patient'), { images: [{ url: 'https://i.test/1.png' }] }));
+    });
+
+    it('may only change images on its record', async () => {
+      const db = as(PATIENT);
+      await assertSucceeds(updateDoc(doc(db, 'users', 'patient'), { images: [{ url: 'https://i.test/1.png' }] }));
+      await assertFails(updateDoc(doc(db, 'users', 'patient'), { status: 'approved', role: 'admin' }));
+      await assertFails(updateDoc(doc(db, 'users', 'patient'), { images: [], username: 'renamed' }));
+    });
+
+    it('may not upload images before approval', async () => {
+      await seed((db) => updateDoc(doc(db, 'users', 'patient'), { status: 'pending' }));
+      const db = as(PATIENT);
+      await assertFails(updateDoc(doc(db, 'users', 'patient'), { images: [{ url: 'https://i.test/1.png' }] }));
+    });
+
+    it('reads only documents assigned to it', async () => {
+      const db = as(PATIENT);
+      await assertSucceeds(
+        getDocs(query(collection(db, 'documents'), where('assignedEmails', 'array-contains', PATIENT.email)))
+      );
+      await assertFails(getDoc(doc(db, 'documents', 'unassigned')));
+      await assertFails(getDocs(collection(db, 'documents')));
+    });
+
+    it('requires a verified email', async () => {
+      const db = as(PATIENT, { verified: false });
+      await assertFails(getDoc(doc(db, 'users', 'patient')));
+    });
+  });
+});
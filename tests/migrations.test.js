@@ -0,0 +1,188 @@
+import { readFileSync } from 'fs';
+import { describe, it, expect, beforeAll, beforeEach, afterAll } from 'vitest';
+import { initializeTestEnvironment } from '@firebase/rules-unit-testing';
+import { doc, getDoc, setDoc, Timestamp } from 'firebase/firestore';
+import { createMemoryBackend } from '../src/lib/data/backends/memory';
+import { createFirestoreBackend } from '../src/lib/data/backends/firestore';
+import { createRepositories } from '../src/lib/data/repositories';
+import { SCHEMA_VERSION, runMigrations } from '../src/lib/data/migrations';
+
+// The emulator half runs with `npm run test:migrations`
+const emulatorRunning = Boolean(process.env.FIRESTORE_EMULATOR_HOST);
+
+const ORG = 'org-main';
+const OTHER_ORG = 'org-other';
+const OWNER = { uid: 'owner-1', email: 'owner@clinic.test' };
+
+const UPLOADED_AT = '2025-03-01T10:00:00.000Z';
+
+// Records as the app saved them before schema versions existed
+const legacyRecords = () => ({
+  clinics: {
+    'clinic-1': {
+      clinicName: ' Main Clinic ',
+      doctorName: 'Dr. Rao',
+      clinicMail: 'main@clinic.test',
+      numberOfPatients: '12',
+      revenue: '',
+      orgId: ORG,
+      createdBy: OWNER.email,
+    },
+    'clinic-2': {
+      clinicName: 'Bad Revenue',
+      doctorName: 'Dr. Shah',
+      clinicMail: 'shah@clinic.test',
+      revenue: 'lots',
+      orgId: ORG,
+      version: 3,
+      createdBy: OWNER.email,
+    },
+    elsewhere: {
+      clinicName: 'Elsewhere',
+      doctorName: 'Dr. Iyer',
+      clinicMail: 'iyer@clinic.test',
+      numberOfPatients: '7',
+      orgId: OTHER_ORG,
+      createdBy: OWNER.email,
+    },
+  },
+  users: {
+    patient: {
+      username: 'patient',
+      email: 'Patient@Example.test',
+      role: 'user',
+      status: 'approved',
+      images: [{ url: 'https://i.test/a.png', uploadedAt: UPLOADED_AT }],
+      orgId: ORG,
+      createdBy: OWNER.email,
+    },
+  },
+  documents: {
+    consent: {
+      documentName: 'Consent',
+      assignedUsers: [{ id: 'patient', username: 'patient', email: 'Patient@Example.test' }],
+      assignedEmails: ['Patient@Example.test'],
+      orgId: ORG,
+      createdBy: OWNER.email,
+    },
+  },
+});
+
+describe('migrations (memory backend)', () => {
+  let backend;
+
+  beforeEach(() => {
+    backend = createMemoryBackend(legacyRecords());
+  });
+
+  it('reports what a dry run would change without writing it', async () => {
+    const before = await backend.list('clinics');
+    const result = await runMigrations(backend, ORG, { dryRun: true });
+
+    expect(result.dryRun).toBe(true);
+    expect(result.collections).toEqual([
+      { collection: 'users', total: 1, scanned: 1, upgraded: 1 },
+      { collection: 'clinics', total: 2, scanned: 2, upgraded: 2 },
+      { collection: 'documents', total: 1, scanned: 1, upgraded: 1 },
+    ]);
+    expect(result.upgrades.find(upgrade => upgrade.id === 'clinic-1')).toEqual({
+      collection: 'clinics',
+      id: 'clinic-1',
+      from: 0,
+      changes: { clinicName: 'Main Clinic', numberOfPatients: 12, revenue: null },
+    });
+    expect(result.problems).toEqual([
+      { collection: 'clinics', id: 'clinic-2', field: 'revenue', message: 'Enter a number of 0 or more.' },
+    ]);
+    expect(await backend.list('clinics')).toEqual(before);
+  });
+
+  it('upgrades records in batches, reporting progress, and skips them the next time', async () => {
+    const progress = [];
+    await runMigrations(backend, ORG, { batchSize: 1, onProgress: update => progress.push(update) });
+
+    expect(progress.filter(update => update.collection === 'clinics')).toEqual([
+      { collection: 'clinics', total: 2, scanned: 1, upgraded: 1 },
+      { collection: 'clinics', total: 2, scanned: 2, upgraded: 2 },
+    ]);
+
+    expect(await backend.get('clinics', 'clinic-1')).toMatchObject({
+      clinicName: 'Main Clinic',
+      numberOfPatients: 12,
+      revenue: null,
+      schemaVersion: SCHEMA_VERSION,
+      version: 1,
+    });
+    // Values that do not parse stay as they were
+    expect(await backend.get('clinics', 'clinic-2')).toMatchObject({ revenue: 'lots', version: 4 });
+    // Other organizations are not touched
+    expect(await backend.get('clinics', 'elsewhere')).toMatchObject({ numberOfPatients: '7' });
+    expect(await backend.get('clinics', 'elsewhere')).not.toHaveProperty('schemaVersion');
+
+    const patient = await backend.get('users', 'patient');
+    expect(patient.images[0].uploadedAt).toBeInstanceOf(Timestamp);
+    expect(patient.images[0].uploadedAt.toDate().toISOString()).toBe(UPLOADED_AT);
+    expect(patient).toMatchObject({ email: 'Patient@Example.test', emailKey: 'patient@example.test' });
+    expect(await backend.get('documents', 'consent')).toMatchObject({
+      assignedEmails: ['patient@example.test'],
+      schemaVersion: SCHEMA_VERSION,
+    });
+
+    const again = await runMigrations(backend, ORG);
+    expect(again.upgrades).toEqual([]);
+  });
+
+  it('creates records at the current version', async () => {
+    const repos = createRepositories(backend);
+    const id = await repos.clinics.create(ORG, { clinicName: 'New', doctorName: 'Dr. Das', clinicMail: 'new@clinic.test' }, OWNER);
+
+    expect(await backend.get('clinics', id)).toMatchObject({ schemaVersion: SCHEMA_VERSION });
+    const result = await runMigrations(backend, ORG, { dryRun: true });
+    expect(result.upgrades.map(upgrade => upgrade.id)).not.toContain(id);
+  });
+});
+
+describe.skipIf(!emulatorRunning)('migrations (Firestore emulator)', () => {
+  let testEnv;
+
+  beforeAll(async () => {
+    testEnv = await initializeTestEnvironment({
+      projectId: 'demo-procohat-migrations',
+      firestore: { rules: readFileSync('firestore.rules', 'utf8') },
+    });
+  });
+
+  afterAll(async () => {
+    await testEnv.cleanup();
+  });
+
+  beforeEach(async () => {
+    await testEnv.clearFirestore();
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      const db = context.firestore();
+      await setDoc(doc(db, 'organizations', ORG), { name: 'Main', createdBy: OWNER.uid });
+      await setDoc(doc(db, 'organizations', ORG, 'members', OWNER.uid), { email: OWNER.email, role: 'owner' });
+
+      const writes = Object.entries(legacyRecords()).flatMap(([collectionName, records]) =>
+        Object.entries(records).map(([id, data]) => setDoc(doc(db, collectionName, id), data)));
+      await Promise.all(writes);
+    });
+  });
+
+  it('upgrades records as an owner, within the security rules', async () => {
+    const db = testEnv
+      .authenticatedContext(OWNER.uid, { email: OWNER.email, email_verified: true })
+      .firestore();
+
+    const result = await runMigrations(createFirestoreBackend(db), ORG, { batchSize: 1 });
+    expect(result.upgrades).toHaveLength(4);
+
+    const clinic = (await getDoc(doc(db, 'clinics', 'clinic-1'))).data();
+    expect(clinic).toMatchObject({ numberOfPatients: 12, revenue: null, schemaVersion: SCHEMA_VERSION });
+
+    const patient = (await getDoc(doc(db, 'users', 'patient'))).data();
+    expect(patient.images[0].uploadedAt).toBeInstanceOf(Timestamp);
+
+    expect((await runMigrations(createFirestoreBackend(db), ORG)).upgrades).toEqual([]);
+  });
+});
@@ -0,0 +1,29 @@
+import { describe, it, expect } from 'vitest';
+import { toOrganization } from '../src/lib/organizations';
+import { approvalStages } from '../src/lib/approval';
+
+const STAGES = [
+  { id: 'docs', name: 'Document check', reviewerEmail: 'clerk@clinic.test', evidence: ['ID document'] },
+  { id: 'doctor', name: 'Doctor review', reviewerEmail: null, evidence: [] },
+];
+
+describe('organizations', () => {
+  it('carries the saved approval stages to the active organization', () => {
+    const org = toOrganization('org-a', { name: 'Clinic', approvalStages: STAGES }, 'owner');
+
+    expect(org).toMatchObject({ id: 'org-a', name: 'Clinic', role: 'owner' });
+    expect(approvalStages(org)).toEqual(STAGES);
+  });
+
+  it('fills in settings owners never saved', () => {
+    expect(toOrganization('org-a', undefined, 'viewer')).toEqual({
+      id: 'org-a',
+      name: 'Organization',
+      requireTwoFactor: false,
+      idleTimeoutMinutes: null,
+      trashRetentionDays: null,
+      approvalStages: [],
+      role: 'viewer',
+    });
+  });
+});
@@ -0,0 +1,673 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { Timestamp } from 'firebase/firestore';
+import { createMemoryBackend } from '../src/lib/data/backends/memory';
+import { createRepositories, ValidationError, ConflictError } from '../src/lib/data/repositories';
+
+const ORG = 'org-main';
+const OTHER_ORG = 'org-other';
+const ADMIN = { uid: 'admin-1', email: 'admin@clinic.test' };
+
+const CLINIC = {
+  clinicName: 'Main Clinic',
+  doctorName: 'Dr. Rao',
+  clinicMail: 'main@clinic.test',
+  location: 'Pune',
+};
+
+describe('repositories (memory backend)', () => {
+  let backend;
+  let repos;
+
+  const auditEntries = () => backend.list('auditLogs', { sort: ['createdAt', 'asc'] });
+
+  beforeEach(() => {
+    backend = createMemoryBackend();
+    repos = createRepositories(backend);
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('keeps clinics per organization and audits every change', async () => {
+    // Entries are ordered by time, so keep each write in its own millisecond
+    vi.useFakeTimers({ toFake: ['Date'] });
+    const tick = () => vi.setSystemTime(Date.now() + 1);
+
+    const id = await repos.clinics.create(ORG, CLINIC, ADMIN);
+    await repos.clinics.create(OTHER_ORG, { ...CLINIC, clinicName: 'Elsewhere' }, ADMIN);
+
+    const [clinic] = await repos.clinics.list(ORG);
+    expect(clinic).toMatchObject({ id, ...CLINIC, orgId: ORG, createdBy: ADMIN.email });
+    expect(clinic.createdAt.toDate()).toBeInstanceOf(Date);
+
+    tick();
+    await repos.clinics.update(clinic, { ...CLINIC, location: 'Mumbai' }, ADMIN);
+    tick();
+    await repos.clinics.remove({ ...clinic, location: 'Mumbai' }, ADMIN);
+
+    expect(await repos.clinics.list(ORG)).toEqual([]);
+    const entries = (await auditEntries()).filter(entry => entry.orgId === ORG);
+    expect(entries.map(entry => entry.action)).toEqual(['create', 'update', 'delete']);
+    expect(entries[1]).toMatchObject({
+      entity: 'clinic',
+      entityId: id,
+      actorEmail: ADMIN.email,
+      before: { location: 'Pune' },
+      after: { location: 'Mumbai' },
+    });
+  });
+
+  it('refuses clinic edits based on a copy someone else changed or deleted', async () => {
+    await repos.clinics.create(ORG, CLINIC, ADMIN);
+    const [loaded] = await repos.clinics.list(ORG);
+
+    await repos.clinics.update(loaded, { ...CLINIC, location: 'Mumbai' }, ADMIN);
+    await expect(repos.clinics.update(loaded, { ...CLINIC, location: 'Nagpur' }, ADMIN))
+      .rejects.toBeInstanceOf(ConflictError);
+
+    const [current] = await repos.clinics.list(ORG);
+    expect(current).toMatchObject({ location: 'Mumbai', version: 2 });
+
+    await repos.clinics.remove(current, ADMIN);
+    await expect(repos.clinics.update(current, CLINIC, ADMIN)).rejects.toThrow('This clinic was deleted by someone else.');
+  });
+
+  it('pages clinics with cursors in both directions', async () => {
+    for (const [clinicName, revenue] of [['A', '500'], ['B', '40'], ['C', ''], ['D', '1200'], ['E', '40']]) {
+      await repos.clinics.create(ORG, { ...CLINIC, clinicName, revenue }, ADMIN);
+    }
+
+    // Resolves with the first page a subscription delivers
+    const page = (options) => new Promise((resolve) => {
+      const unsubscribe = repos.clinics.subscribePage(ORG, { sort: ['revenue', 'desc'], size: 2, ...options }, (rows, changes, meta) => {
+        unsubscribe();
+        resolve({ names: rows.map(row => row.clinicName), meta });
+      });
+    });
+
+    const first = await page({});
+    expect(first.names).toEqual(['D', 'A']);
+    expect(first.meta).toMatchObject({ hasPrevious: false, hasNext: true });
+
+    const second = await page({ after: first.meta.lastCursor });
+    const third = await page({ after: second.meta.lastCursor });
+    // Blank revenue is stored as null, which sorts below every number
+    expect([...second.names, ...third.names]).toHaveLength(3);
+    expect(third.names.at(-1)).toBe('C');
+    expect(third.meta).toMatchObject({ hasPrevious: true, hasNext: false });
+
+    const back = await page({ before: second.meta.firstCursor });
+    expect(back.names).toEqual(['D', 'A']);
+    expect(back.meta.hasPrevious).toBe(false);
+
+    // Exports list in the table's order, up to a limit
+    const listed = await repos.clinics.list(ORG, { sort: ['revenue', 'desc'], max: 3 });
+    expect(listed.map(clinic => clinic.clinicName).slice(0, 2)).toEqual(['D', 'A']);
+    expect(listed).toHaveLength(3);
+  });
+
+  it('pages users by creation time', async () => {
+    for (const username of ['amy', 'ben', 'cal']) {
+      await repos.users.create(ORG, { username, email: `${username}@example.test`, role: 'user', status: 'pending' }, ADMIN);
+    }
+
+    const page = (options) => new Promise((resolve) => {
+      const unsubscribe = repos.users.subscribePage(ORG, { sort: ['createdAt', 'asc'], size: 2, ...options }, (rows, changes, meta) => {
+        unsubscribe();
+        resolve({ names: rows.map(row => row.username), meta });
+      });
+    });
+
+    const first = await page({});
+    const second = await page({ after: first.meta.lastCursor });
+    expect([...first.names, ...second.names].sort()).toEqual(['amy', 'ben', 'cal']);
+    expect(second.meta.hasNext).toBe(false);
+    // A malformed cursor from the URL falls back to the first page
+    expect((await page({ after: 'not-a-cursor' })).names).toEqual(first.names);
+  });
+
+  it('rejects invalid input without writing anything', async () => {
+    await expect(repos.clinics.create(ORG, { ...CLINIC, doctorName: ' ' }, ADMIN))
+      .rejects.toBeInstanceOf(ValidationError);
+    await expect(repos.users.create(ORG, { username: 'pat', email: 'not-an-email', role: 'user', status: 'pending' }, ADMIN))
+      .rejects.toMatchObject({ fields: { email: expect.any(String) } });
+    await expect(repos.documents.create(ORG, { documentName: 'Consent', assignedUsers: [] }, ADMIN))
+      .rejects.toThrow('Please select at least one approved user.');
+
+    expect(await backend.list('clinics')).toEqual([]);
+    expect(await auditEntries()).toEqual([]);
+  });
+
+  it('records status transitions and keeps earlier rejection reasons', async () => {
+    await repos.users.create(ORG, { username: 'pat', email: 'pat@example.test', role: 'user', status: 'pending' }, ADMIN);
+    let [record] = await repos.users.list(ORG);
+
+    await expect(repos.users.setStatus([record], 'rejected', { reason: '', actor: ADMIN }))
+      .rejects.toBeInstanceOf(ValidationError);
+
+    await repos.users.setStatus([record], 'rejected', { reason: 'Missing ID', actor: ADMIN });
+    [record] = await repos.users.list(ORG);
+    await repos.users.setStatus([record], 'approved', { actor: ADMIN });
+    [record] = await repos.users.list(ORG);
+
+    expect(record).toMatchObject({ status: 'approved', rejectionReason: null, rejectedAt: null });
+    expect(record.statusHistory.map(({ from, to, reason }) => ({ from, to, reason }))).toEqual([
+      { from: null, to: 'pending', reason: null },
+      { from: 'pending', to: 'rejected', reason: 'Missing ID' },
+      { from: 'rejected', to: 'approved', reason: null },
+    ]);
+    expect(await repos.users.countByStatus(ORG)).toEqual({ total: 1, pending: 0, approved: 1, rejected: 0 });
+    expect((await repos.users.findByEmail('pat@example.test')).id).toBe(record.id);
+    expect(await repos.users.list(ORG, { status: 'pending' })).toEqual([]);
+  });
+
+  it('passes pending users through approval stages with evidence, reviewers and comments', async () => {
+    const REVIEWER = { uid: 'doctor-1', email: 'Doctor@Clinic.test' };
+    const stages = [
+      { id: 'docs', name: 'Document check', reviewerEmail: null, evidence: ['ID document'] },
+      { id: 'doctor', name: 'Doctor review', reviewerEmail: 'doctor@clinic.test', evidence: [] },
+      { id: 'final', name: 'Final approval', reviewerEmail: null, evidence: ['Signed agreement'] },
+    ];
+    const find = async () => (await repos.users.list(ORG))[0];
+
+    const pat = { username: 'pat', email: 'pat@example.test', role: 'user' };
+    await expect(repos.users.create(ORG, { ...pat, status: 'approved' }, ADMIN, { stages }))
+      .rejects.toBeInstanceOf(ValidationError);
+    await repos.users.create(ORG, { ...pat, status: 'pending' }, ADMIN, { stages });
+    let record = await find();
+    await expect(repos.users.setStatus([record], 'approved', { actor: ADMIN, stages }))
+      .rejects.toBeInstanceOf(ValidationError);
+
+    // A new user starts in the first stage, which wants its evidence
+    const error = await repos.users.advanceStage(record, { evidence: { 'ID document': ' ' } }, stages, ADMIN).catch(e => e);
+    expect(error).toBeInstanceOf(ValidationError);
+    expect(error.fields).toEqual({ 'evidence.0': 'ID document is required.' });
+    await repos.users.advanceStage(record, { evidence: { 'ID document': 'passport.pdf' } }, stages, ADMIN);
+    record = await find();
+    expect(record).toMatchObject({ status: 'pending', stage: 'doctor', reviewerEmail: null });
+    expect(await repos.users.countByStage(ORG, stages)).toEqual({ docs: 0, doctor: 1, final: 0 });
+
+    // Only the stage's reviewer decides on it, until it is handed to someone else
+    await expect(repos.users.sendBack(record, { comment: 'Blurry scan' }, stages, ADMIN))
+      .rejects.toThrow('This stage is assigned to doctor@clinic.test.');
+    await expect(repos.users.sendBack(record, { comment: '' }, stages, REVIEWER)).rejects.toBeInstanceOf(ValidationError);
+    await repos.users.addComment(record, { comment: 'Looking at it today' }, stages, ADMIN);
+    await repos.users.sendBack(record, { comment: 'Blurry scan' }, stages, REVIEWER);
+    record = await find();
+    expect(record.stage).toBe('docs');
+
+    // Someone else moved them on meanwhile
+    const stale = record;
+    await repos.users.advanceStage(record, { evidence: { 'ID document': 'passport-2.pdf' } }, stages, ADMIN);
+    await expect(repos.users.advanceStage(stale, { evidence: { 'ID document': 'x' } }, stages, ADMIN))
+      .rejects.toBeInstanceOf(ConflictError);
+
+    record = await find();
+    await repos.users.assignReviewer(record, 'admin@clinic.test', stages, ADMIN);
+    record = await find();
+    await repos.users.advanceStage(record, { comment: 'Checked' }, stages, ADMIN);
+    record = await find();
+    expect(record).toMatchObject({ stage: 'final', reviewerEmail: null });
+
+    await repos.users.advanceStage(record, { evidence: { 'Signed agreement': 'agreement.pdf' } }, stages, ADMIN);
+    record = await find();
+    expect(record).toMatchObject({ status: 'approved', stage: null });
+    expect(record.statusHistory.map(({ to }) => to)).toEqual(['pending', 'approved']);
+    expect(record.reviews.map(({ stage, decision, comment }) => [stage, decision, comment])).toEqual([
+      ['docs', 'advanced', null],
+      ['doctor', 'commented', 'Looking at it today'],
+      ['doctor', 'sent_back', 'Blurry scan'],
+      ['docs', 'advanced', null],
+      ['doctor', 'advanced', 'Checked'],
+      ['final', 'approved', null],
+    ]);
+    expect(record.reviews[5].evidence).toEqual([{ label: 'Signed agreement', value: 'agreement.pdf' }]);
+    expect(await repos.users.countByStage(ORG, stages)).toEqual({ docs: 0, doctor: 0, final: 0 });
+
+    const entries = await auditEntries();
+    expect(entries.filter(entry => entry.action === 'review')).toHaveLength(6);
+    expect(entries.filter(entry => entry.action === 'status_change').at(-1).after).toEqual({ status: 'approved', rejectionReason: null });
+  });
+
+  it('finds users by the start of their username, a word of it, their email or its domain', async () => {
+    const user = (username, email, fields) => ({ username, email, role: 'user', status: 'pending', ...fields });
+    await repos.users.create(ORG, user('Maria Lopez', 'mlopez@north.test'), ADMIN);
+    await repos.users.create(ORG, user('marco', 'marco@south.test', { role: 'admin', status: 'approved' }), ADMIN);
+    await repos.users.create(ORG, user('Ana', 'ana@north.test'), ADMIN);
+    await repos.users.create(OTHER_ORG, user('Mark', 'mark@north.test'), ADMIN);
+
+    const names = async (filters) =>
+      (await repos.users.listMatching(ORG, filters)).map(record => record.username).sort();
+
+    expect(await names({ search: 'MAR' })).toEqual(['Maria Lopez', 'marco']);
+    expect(await names({ search: 'lop' })).toEqual(['Maria Lopez']);
+    expect(await names({ search: ' maria  l ' })).toEqual(['Maria Lopez']);
+    expect(await names({ search: 'north' })).toEqual(['Ana', 'Maria Lopez']);
+    expect(await names({ search: 'mar', status: 'pending' })).toEqual(['Maria Lopez']);
+    expect(await names({ role: 'admin' })).toEqual(['marco']);
+    // Unknown values are ignored rather than matching no one
+    expect(await names({ status: 'archived', role: 'owner' })).toHaveLength(3);
+    expect(await repos.users.countMatching(ORG, { search: 'north' })).toBe(2);
+
+    const page = await new Promise((resolve) => {
+      const unsubscribe = repos.users.subscribePage(ORG, { sort: ['email', 'asc'], size: 1, filters: { search: 'mar' } }, (rows, changes, meta) => {
+        unsubscribe();
+        resolve({ names: rows.map(row => row.username), hasNext: meta.hasNext });
+      });
+    });
+    expect(page).toEqual({ names: ['marco'], hasNext: true });
+  });
+
+  it('imports users in batches and reports the rows it skipped', async () => {
+    await repos.users.create(ORG, { username: 'taken', email: 'Taken@example.test', role: 'user', status: 'pending' }, ADMIN);
+    const row = (line, username, fields) => ({
+      line,
+      data: { username, email: `${username}@example.test`, role: 'user', status: 'pending', ...fields },
+    });
+    const rows = [
+      row(2, 'ana'),
+      row(3, 'taken'),
+      row(4, 'ben', { status: 'approved' }),
+      row(5, 'ana', { username: 'Ana again' }),
+      row(6, 'cy', { role: 'owner' }),
+      row(7, 'dee'),
+    ];
+
+    // Two users per commit
+    const limited = createRepositories({ ...backend, maxCommitWrites: 6 });
+    const progress = [];
+    const { imported, failures } = await limited.users.importMany(ORG, rows, ADMIN, { onProgress: update => progress.push(update) });
+
+    expect(imported.map(entry => entry.line)).toEqual([2, 4, 7]);
+    expect(failures.map(failure => [failure.line, failure.error.fields])).toEqual([
+      [3, { email: 'A user with this email already exists.' }],
+      [5, { email: 'A user with this email already exists.' }],
+      [6, { role: 'Select a role.' }],
+    ]);
+    expect(progress).toEqual([{ done: 2, total: 3 }, { done: 3, total: 3 }]);
+    expect(await repos.users.get(imported[1].id)).toMatchObject({ username: 'ben', status: 'approved', orgId: ORG });
+    expect((await auditEntries()).filter(entry => entry.action === 'create')).toHaveLength(4);
+    expect(await repos.users.existingEmails(ORG, ['TAKEN@example.test', 'new@example.test']))
+      .toEqual(new Set(['taken@example.test']));
+  });
+
+  it('edits a user and keeps their document assignments in step', async () => {
+    const id = await repos.users.create(ORG, { username: 'pat', email: 'pat@example.test', role: 'user', status: 'approved' }, ADMIN);
+    const other = { id: 'u2', username: 'sam', email: 'sam@example.test' };
+    const consent = await repos.documents.create(ORG, {
+      documentName: 'Consent',
+      assignedUsers: [other, { id, username: 'pat', email: 'pat@example.test' }],
+    }, ADMIN);
+    await repos.documents.create(ORG, { documentName: 'Intake', assignedUsers: [other] }, ADMIN);
+
+    const record = await repos.users.get(id);
+    const result = await repos.users.update(record, { username: 'Pat Shah', email: 'pshah@example.test', role: 'admin' }, ADMIN);
+
+    expect(result).toEqual({ documents: 1 });
+    expect(await repos.users.get(id)).toMatchObject({ username: 'Pat Shah', email: 'pshah@example.test', role: 'admin', status: 'approved' });
+    expect(await repos.users.listMatching(ORG, { search: 'shah' })).toHaveLength(1);
+    expect(await backend.get('documents', consent)).toMatchObject({
+      assignedUsers: [other, { id, username: 'Pat Shah', email: 'pshah@example.test' }],
+      assignedEmails: ['sam@example.test', 'pshah@example.test'],
+    });
+    expect(await repos.documents.listAssignedTo('pat@example.test')).toEqual([]);
+
+    const entries = await auditEntries();
+    expect(entries.find(entry => entry.entity === 'user' && entry.action === 'update')).toMatchObject({
+      before: { username: 'pat', email: 'pat@example.test', role: 'user' },
+      after: { username: 'Pat Shah', email: 'pshah@example.test', role: 'admin' },
+    });
+
+    // An edit made from the copy loaded before this one is refused
+    await expect(repos.users.update(record, { ...record, role: 'user' }, ADMIN)).rejects.toThrow(ConflictError);
+    await expect(repos.users.update(await repos.users.get(id), { username: '', email: 'x', role: 'admin' }, ADMIN))
+      .rejects.toThrow(ValidationError);
+  });
+
+  it('keeps emails unique per organization, whatever their case', async () => {
+    const user = (username, email) => ({ username, email, role: 'user', status: 'pending' });
+    const pat = await repos.users.create(ORG, user('pat', 'Pat@Example.test'), ADMIN);
+    const sam = await repos.users.create(ORG, user('sam', 'sam@example.test'), ADMIN);
+    const claim = () => backend.get('userEmails', `${ORG}_pat@example.test`);
+
+    await expect(repos.users.create(ORG, user('pat again', ' pat@example.test '), ADMIN))
+      .rejects.toMatchObject({ fields: { email: 'A user with this email already exists.' } });
+    await expect(repos.users.update(await repos.users.get(sam), user('sam', 'PAT@example.test'), ADMIN))
+      .rejects.toBeInstanceOf(ValidationError);
+    await repos.users.create(OTHER_ORG, user('pat', 'pat@example.test'), ADMIN);
+
+    // The portal signs in with the lowercased email, and sees an approved record over pending ones
+    expect((await repos.users.findByEmail('pat@example.test')).id).toBe(pat);
+    const otherPat = (await repos.users.list(OTHER_ORG))[0];
+    await repos.users.setStatus([otherPat], 'approved', { actor: ADMIN });
+    expect((await repos.users.findByEmail('pat@example.test')).id).toBe(otherPat.id);
+    await repos.users.update(await repos.users.get(pat), user('pat', 'pat@example.test'), ADMIN);
+    expect(await claim()).toMatchObject({ orgId: ORG, email: 'pat@example.test', userId: pat });
+
+    // Deleting a user frees their email; restoring them needs it back
+    await repos.users.remove([{ id: pat }], ADMIN);
+    expect(await claim()).toBeNull();
+    const newPat = await repos.users.create(ORG, user('new pat', 'pat@example.test'), ADMIN);
+    const [entry] = await backend.list('trash', { filters: [['recordId', '==', pat]] });
+    await expect(repos.trash.restore(entry, ADMIN)).rejects.toBeInstanceOf(ConflictError);
+
+    await repos.users.remove([{ id: newPat }], ADMIN);
+    await repos.trash.restore(entry, ADMIN);
+    expect(await claim()).toMatchObject({ userId: pat });
+  });
+
+  it('merges users that share an email, with their images and documents', async () => {
+    const image = (name) => ({ url: `https://i.test/${name}.png`, filename: `${name}.png` });
+    const legacyUser = (username, email, images, seconds) => ({
+      username, email, role: 'user', status: 'approved', images, orgId: ORG, createdAt: new Timestamp(seconds, 0),
+    });
+    // Saved before duplicates were refused, so without claims
+    await backend.commit([
+      { type: 'set', collection: 'users', id: 'ravi', data: legacyUser('ravi', 'ravi@example.test', [image('a')], 100) },
+      { type: 'set', collection: 'users', id: 'ravi-2', data: legacyUser('Ravi K', 'Ravi@Example.test', [image('a'), image('b')], 200) },
+    ]);
+    const sam = { id: 'sam', username: 'sam', email: 'sam@example.test' };
+    const entry = (id, username, email) => ({ id, username, email });
+    const intake = await repos.documents.create(ORG, {
+      documentName: 'Intake',
+      assignedUsers: [entry('ravi-2', 'Ravi K', 'Ravi@Example.test'), sam],
+    }, ADMIN);
+    const consent = await repos.documents.create(ORG, {
+      documentName: 'Consent',
+      assignedUsers: [entry('ravi', 'ravi', 'ravi@example.test'), entry('ravi-2', 'Ravi K', 'Ravi@Example.test')],
+    }, ADMIN);
+
+    const [group, ...others] = await repos.users.findDuplicates(ORG);
+    expect(others).toEqual([]);
+    expect(group.email).toBe('ravi@example.test');
+    expect(group.records.map(record => record.id)).toEqual(['ravi', 'ravi-2']);
+
+    const [keep, duplicate] = group.records;
+    expect(await repos.users.merge(keep, [duplicate], ADMIN)).toEqual({ documents: 2 });
+
+    expect((await repos.users.get('ravi')).images).toEqual([image('a'), image('b')]);
+    expect(await repos.users.get('ravi-2')).toBeNull();
+    expect(await backend.get('trash', 'users_ravi-2')).toMatchObject({ recordId: 'ravi-2' });
+    const ravi = entry('ravi', 'ravi', 'ravi@example.test');
+    expect((await backend.get('documents', intake)).assignedUsers).toEqual([ravi, sam]);
+    expect(await backend.get('documents', consent)).toMatchObject({ assignedUsers: [ravi], assignedEmails: ['ravi@example.test'] });
+    expect(await backend.get('userEmails', `${ORG}_ravi@example.test`)).toMatchObject({ userId: 'ravi' });
+    expect((await auditEntries()).find(audit => audit.action === 'merge')).toMatchObject({
+      entityId: 'ravi',
+      after: { merged: [entry('ravi-2', 'Ravi K', 'Ravi@Example.test')] },
+    });
+
+    expect(await repos.users.findDuplicates(ORG)).toEqual([]);
+    await expect(repos.users.merge(keep, [duplicate], ADMIN)).rejects.toBeInstanceOf(ConflictError);
+  });
+
+  it('undoes a bulk status change and reports users it could not touch', async () => {
+    const user = (username, fields) => ({ username, email: `${username}@example.test`, role: 'user', ...fields });
+    await repos.users.create(ORG, user('amy', { status: 'pending' }), ADMIN);
+    await repos.users.create(ORG, user('ben', { status: 'pending' }), ADMIN);
+    await repos.users.create(ORG, user('cal', { status: 'pending' }), ADMIN);
+    const find = async (username) => (await repos.users.list(ORG)).find(record => record.username === username);
+    let [amy, ben, cal] = [await find('amy'), await find('ben'), await find('cal')];
+
+    // Ben was rejected before, so undoing has to bring back his reason and date
+    await repos.users.setStatus([ben], 'rejected', { reason: 'Missing ID', actor: ADMIN });
+    ben = await find('ben');
+    const { rejectedAt } = ben;
+
+    // Cal is deleted before the bulk change reaches him
+    await backend.commit([{ type: 'delete', collection: 'users', id: cal.id }]);
+
+    const result = await repos.users.setStatus([amy, ben, cal], 'approved', { actor: ADMIN });
+    expect(result.changes.map(change => change.id)).toEqual([amy.id, ben.id]);
+    expect(result.failures).toMatchObject([{ id: cal.id, label: 'cal', error: { code: 'not-found' } }]);
+
+    const action = await backend.get('bulkActions', result.actionId);
+    expect(action).toMatchObject({ id: result.actionId, orgId: ORG, status: 'approved', undoneAt: null });
+
+    // Someone rejects amy before the undo, so she is left as she is
+    amy = await find('amy');
+    await repos.users.setStatus([amy], 'rejected', { reason: 'Duplicate', actor: ADMIN });
+
+    const { restored, failures } = await repos.users.undoStatus(action, ADMIN);
+    expect(restored.map(change => change.id)).toEqual([ben.id]);
+    expect(failures).toHaveLength(1);
+    expect(failures[0]).toMatchObject({ id: amy.id, label: 'amy' });
+    expect(failures[0].error).toBeInstanceOf(ConflictError);
+
+    expect(await find('ben')).toMatchObject({ status: 'rejected', rejectionReason: 'Missing ID', rejectedAt });
+    expect((await backend.get('bulkActions', action.id)).undoneBy).toBe(ADMIN.email);
+
+    await expect(repos.users.undoStatus(action, ADMIN)).rejects.toThrow('This change was already undone.');
+  });
+
+  it('leaves approving again to the approval stages when undoing', async () => {
+    const stages = [{ id: 'docs', name: 'Document check', reviewerEmail: null, evidence: [] }];
+    const user = (username, status) => ({ username, email: `${username}@example.test`, role: 'user', status });
+    await repos.users.create(ORG, user('dan', 'approved'), ADMIN);
+    await repos.users.create(ORG, user('eve', 'pending'), ADMIN);
+    const find = async (username) => (await repos.users.list(ORG)).find(record => record.username === username);
+    const [dan, eve] = [await find('dan'), await find('eve')];
+
+    const { actionId } = await repos.users.setStatus([dan, eve], 'rejected', { reason: 'Spam', actor: ADMIN, stages });
+    const action = await backend.get('bulkActions', actionId);
+
+    const { restored, failures } = await repos.users.undoStatus(action, ADMIN, { stages });
+    expect(restored.map(change => change.id)).toEqual([eve.id]);
+    expect(failures).toMatchObject([{ id: dan.id, label: 'dan' }]);
+    expect(failures[0].error).toBeInstanceOf(ValidationError);
+    expect(failures[0].error.message).toMatch('approval stage');
+
+    expect(await find('dan')).toMatchObject({ status: 'rejected', rejectionReason: 'Spam' });
+    expect(await find('eve')).toMatchObject({ status: 'pending', stage: null });
+  });
+
+  it('counts weekly activity and freezes finished weeks in snapshots', async () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    const user = (username) => ({ username, email: `${username}@example.test`, role: 'user', status: 'pending' });
+
+    // Last week: two users (one approved), a clinic and a document
+    vi.setSystemTime(new Date('2026-10-14T10:00:00Z'));
+    await repos.users.create(ORG, user('amy'), ADMIN);
+    await repos.users.create(ORG, user('ben'), ADMIN);
+    const [amy] = await repos.users.list(ORG);
+    await repos.users.setStatus([amy], 'approved', { actor: ADMIN });
+    await repos.clinics.create(ORG, CLINIC, ADMIN);
+    await repos.documents.create(ORG, { documentName: 'Consent', assignedUsers: [amy] }, ADMIN);
+
+    // This week: one more user
+    vi.setSystemTime(new Date('2026-10-20T10:00:00Z'));
+    await repos.users.create(ORG, user('cal'), ADMIN);
+
+    const totals = await repos.stats.totals(ORG);
+    expect(totals).toEqual({ totalUsers: 3, pendingApprovals: 2, rejectedUsers: 0, totalDocuments: 1 });
+
+    const weeks = await repos.stats.weekly(ORG, { approvals: true, record: true, totals });
+    const [lastWeek, thisWeek] = weeks.slice(-2);
+    expect(lastWeek).toMatchObject({ key: '2026-10-12', newUsers: 2, approvals: 1, documentsCreated: 1, clinicsAdded: 1, totals });
+    expect(thisWeek).toMatchObject({ current: true, newUsers: 1, approvals: 0 });
+
+    // Deleting a record later does not rewrite the recorded week
+    await backend.commit([{ type: 'delete', collection: 'users', id: amy.id }]);
+    const again = await repos.stats.weekly(ORG, { approvals: true });
+    expect(again.at(-2)).toMatchObject({ newUsers: 2, recorded: true });
+    expect(await backend.list('statSnapshots')).toHaveLength(weeks.length - 1);
+  });
+
+  it('keeps the snapshot another admin saved first', async () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(new Date('2026-10-14T10:00:00Z'));
+    const amy = await repos.users.create(ORG, { username: 'amy', email: 'amy@example.test', role: 'user', status: 'pending' }, ADMIN);
+    vi.setSystemTime(new Date('2026-10-20T10:00:00Z'));
+    await repos.stats.weekly(ORG, { record: true });
+    await backend.commit([{ type: 'delete', collection: 'users', id: amy }]);
+
+    // A second admin who listed the snapshots before they were saved; the
+    // rules refuse to change a saved one
+    const late = createRepositories({
+      ...backend,
+      list: (collectionName, options) => (collectionName === 'statSnapshots' ? Promise.resolve([]) : backend.list(collectionName, options)),
+      commit: async (writes) => {
+        if (writes.some(write => write.collection === 'statSnapshots')) {
+          throw Object.assign(new Error('Missing or insufficient permissions.'), { code: 'permission-denied' });
+        }
+        return backend.commit(writes);
+      },
+    });
+
+    const weeks = await late.stats.weekly(ORG, { record: true });
+    expect(weeks.at(-2)).toMatchObject({ key: '2026-10-12', newUsers: 1, recorded: true });
+    expect(weeks.at(-3)).toMatchObject({ newUsers: 0, recorded: true });
+  });
+
+  it('moves deleted records to the trash and restores them under the same id', async () => {
+    const clinicId = await repos.clinics.create(ORG, CLINIC, ADMIN);
+    await repos.users.create(ORG, { username: 'amy', email: 'amy@example.test', role: 'user', status: 'approved' }, ADMIN);
+    const [amy] = await repos.users.list(ORG);
+    const documentId = await repos.documents.create(ORG, { documentName: 'Consent', assignedUsers: [amy] }, ADMIN);
+
+    const [clinic] = await repos.clinics.list(ORG);
+    await repos.clinics.remove(clinic, ADMIN);
+    await repos.users.remove([amy], ADMIN);
+    await repos.documents.remove({ id: documentId }, ADMIN);
+
+    // Out of every list and count
+    expect(await repos.clinics.list(ORG)).toEqual([]);
+    expect(await repos.documents.listAssignedTo('amy@example.test')).toEqual([]);
+    expect(await repos.stats.totals(ORG)).toMatchObject({ totalUsers: 0, totalDocuments: 0 });
+    await expect(repos.clinics.remove(clinic, ADMIN)).rejects.toBeInstanceOf(ConflictError);
+
+    const entries = await backend.list('trash', { filters: [['orgId', '==', ORG]] });
+    expect(entries.map(entry => entry.id).sort()).toEqual([`clinics_${clinicId}`, `documents_${documentId}`, `users_${amy.id}`]);
+    const clinicEntry = entries.find(entry => entry.collection === 'clinics');
+    expect(clinicEntry).toMatchObject({ recordId: clinicId, label: 'Main Clinic', deletedBy: ADMIN.email });
+
+    await repos.trash.restore(clinicEntry, ADMIN);
+    expect(await repos.clinics.list(ORG)).toEqual([clinic]);
+    await expect(repos.trash.restore(clinicEntry, ADMIN)).rejects.toThrow('This record is no longer in the trash.');
+
+    await repos.trash.purge(entries.filter(entry => entry.collection !== 'clinics'), ADMIN);
+    expect(await backend.list('trash')).toEqual([]);
+    const actions = (await auditEntries()).map(entry => entry.action);
+    expect(actions.filter(action => ['delete', 'restore', 'purge'].includes(action)).sort())
+      .toEqual(['delete', 'delete', 'delete', 'purge', 'purge', 'restore']);
+  });
+
+  it('purges trash entries past the retention period', async () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(new Date('2026-09-01T10:00:00Z'));
+    await repos.clinics.create(ORG, { ...CLINIC, clinicName: 'Old' }, ADMIN);
+    await repos.clinics.remove((await repos.clinics.list(ORG))[0], ADMIN);
+
+    vi.setSystemTime(new Date('2026-09-25T10:00:00Z'));
+    await repos.clinics.create(ORG, { ...CLINIC, clinicName: 'Recent' }, ADMIN);
+    await repos.clinics.remove((await repos.clinics.list(ORG))[0], ADMIN);
+
+    vi.setSystemTime(new Date('2026-10-05T10:00:00Z'));
+    expect(await repos.trash.purgeExpired(ORG, 30, ADMIN)).toBe(1);
+    expect((await backend.list('trash')).map(entry => entry.label)).toEqual(['Recent']);
+  });
+
+  it('lists documents by assigned email, whatever its case', async () => {
+    await repos.documents.create(ORG, {
+      documentName: ' Consent ',
+      assignedUsers: [{ id: 'u1', username: 'pat', email: 'pat@example.test' }],
+    }, ADMIN);
+    await repos.documents.create(ORG, {
+      documentName: 'Intake',
+      assignedUsers: [{ id: 'u2', username: 'priya', email: 'Priya@Example.test' }],
+    }, ADMIN);
+
+    const [assigned] = await repos.documents.listAssignedTo('pat@example.test');
+    expect(assigned).toMatchObject({ documentName: 'Consent', assignedEmails: ['pat@example.test'] });
+    expect(await repos.documents.listAssignedTo('someone@example.test')).toEqual([]);
+
+    // Portal sign-in lowercases emails; the assignee keeps the one typed
+    const [intake] = await repos.documents.listAssignedTo('priya@example.test');
+    expect(intake).toMatchObject({
+      assignedUsers: [{ id: 'u2', username: 'priya', email: 'Priya@Example.test' }],
+      assignedEmails: ['priya@example.test'],
+    });
+  });
+
+  it('adds, replaces and removes portal images', async () => {
+    await repos.users.create(ORG, { username: 'pat', email: 'pat@example.test', role: 'user', status: 'approved' }, ADMIN);
+    const portalUser = { uid: 'portal-1', email: 'pat@example.test' };
+    const first = { url: 'https://i.test/1.png', filename: '1.png' };
+    const second = { url: 'https://i.test/2.png', filename: '2.png' };
+
+    // Images are replaced and removed as loaded, with the upload time stamped on them
+    let record = await repos.users.findByEmail(portalUser.email);
+    await repos.users.addImage(record, first, portalUser);
+    record = await repos.users.findByEmail(portalUser.email);
+    expect(record.images[0].uploadedAt).toBeInstanceOf(Timestamp);
+    await repos.users.addImage(record, second, portalUser, record.images[0]);
+    record = await repos.users.findByEmail(portalUser.email);
+    expect(record.images).toEqual([{ ...second, uploadedAt: expect.any(Timestamp) }]);
+
+    await repos.users.removeImage(record, record.images[0], portalUser);
+    expect((await repos.users.findByEmail(portalUser.email)).images).toEqual([]);
+    expect((await auditEntries()).filter(entry => entry.action === 'images_change')).toHaveLength(3);
+  });
+
+  it('lists audit entries in a date range, newest first', async () => {
+    const now = Date.now();
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(now - 1000);
+    await repos.clinics.create(ORG, CLINIC, ADMIN);
+    vi.setSystemTime(now);
+    await repos.clinics.create(ORG, { ...CLINIC, clinicName: 'Second' }, ADMIN);
+
+    const entries = await repos.auditLog.list(ORG, { from: new Date(now - 60000), to: new Date(now + 60000) });
+    expect(entries.map(entry => entry.entityLabel)).toEqual(['Second', 'Main Clinic']);
+    expect(await repos.auditLog.list(ORG, { from: new Date(now + 60000), to: new Date(now + 120000) })).toEqual([]);
+  });
+});
+
+describe('memory backend', () => {
+  it('commits all writes or none', async () => {
+    const backend = createMemoryBackend({ clinics: { a: { clinicName: 'A' } } });
+
+    await expect(backend.commit([
+      { type: 'update', collection: 'clinics', id: 'a', data: { clinicName: 'Renamed' } },
+      { type: 'update', collection: 'clinics', id: 'missing', data: { clinicName: 'B' } },
+    ])).rejects.toThrow();
+
+    expect(await backend.get('clinics', 'a')).toEqual({ id: 'a', clinicName: 'A' });
+  });
+
+  it('tells subscribers what changed after each commit until they unsubscribe', async () => {
+    const backend = createMemoryBackend({ clinics: { a: { orgId: ORG, clinicName: 'A' } } });
+    const onNext = vi.fn();
+
+    const unsubscribe = backend.subscribe('clinics', { filters: [['orgId', '==', ORG]] }, onNext);
+    await Promise.resolve();
+    expect(onNext).toHaveBeenLastCalledWith([{ id: 'a', orgId: ORG, clinicName: 'A' }], [
+      { type: 'added', id: 'a', fromThisClient: true },
+    ], { pendingIds: new Set() });
+
+    await backend.commit([
+      { type: 'update', collection: 'clinics', id: 'a', data: { clinicName: 'Renamed' } },
+      { type: 'set', collection: 'clinics', id: 'b', data: { orgId: OTHER_ORG, clinicName: 'B' } },
+    ]);
+    expect(onNext).toHaveBeenCalledTimes(2);
+    expect(onNext.mock.lastCall[1]).toEqual([{ type: 'modified', id: 'a', fromThisClient: true }]);
+
+    // Writes outside the query do not notify
+    await backend.commit([{ type: 'delete', collection: 'clinics', id: 'b' }]);
+    expect(onNext).toHaveBeenCalledTimes(2);
+
+    unsubscribe();
+    await backend.commit([{ type: 'delete', collection: 'clinics', id: 'a' }]);
+    expect(onNext).toHaveBeenCalledTimes(2);
+  });
+
+  it('hands out copies, not the stored records', async () => {
+    const backend = createMemoryBackend({ clinics: { a: { tags: ['x'] } } });
+
+    const record = await backend.get('clinics', 'a');
+    record.tags.push('y');
+
+    expect((await backend.get('clinics', 'a')).tags).toEqual(['x']);
+  });
+});
@@ -0,0 +1,70 @@
+import { describe, it, expect } from 'vitest';
+import {
+  CLINIC_SCHEMA,
+  DOCUMENT_SCHEMA,
+  USER_SCHEMA,
+  ValidationError,
+  parseRecord,
+  validateRecord,
+} from '../src/lib/data/schema';
+
+describe('record schemas', () => {
+  it('trims text and converts numbers and dates to their stored types', () => {
+    const { values, errors } = parseRecord(CLINIC_SCHEMA, {
+      clinicName: '  Main Clinic ',
+      doctorName: 'Dr. Rao',
+      clinicMail: 'front@clinic.test ',
+      establishmentDate: new Date('2020-04-01T00:00:00Z'),
+      numberOfPatients: '40',
+      revenue: '',
+      notes: 'ignored',
+    });
+
+    expect(errors).toEqual({});
+    expect(values).toEqual({
+      clinicName: 'Main Clinic',
+      doctorName: 'Dr. Rao',
+      clinicMail: 'front@clinic.test',
+      clinicNumber: '',
+      establishmentDate: '2020-04-01',
+      location: '',
+      panchakrma: '',
+      numberOfPatients: 40,
+      revenue: null,
+    });
+  });
+
+  it('collects one message per invalid field', () => {
+    const { errors } = parseRecord(CLINIC_SCHEMA, {
+      clinicName: ' ',
+      doctorName: 'Dr. Rao',
+      clinicMail: 'front',
+      establishmentDate: '2020-02-30',
+      numberOfPatients: '2.5',
+      revenue: '-1',
+    });
+
+    expect(errors).toEqual({
+      clinicName: 'Clinic name is required.',
+      clinicMail: 'Enter a valid email address.',
+      establishmentDate: 'Enter a date as YYYY-MM-DD.',
+      numberOfPatients: 'Enter a whole number.',
+      revenue: 'Enter a number of 0 or more.',
+    });
+  });
+
+  it('throws with the only problem, or a summary of several', () => {
+    const user = { username: 'amy', email: 'amy@example.test', role: 'user', status: 'pending' };
+    expect(validateRecord(USER_SCHEMA, user)).toEqual(user);
+    expect(() => validateRecord(USER_SCHEMA, { ...user, role: '' })).toThrow('Select a role.');
+
+    try {
+      validateRecord(DOCUMENT_SCHEMA, { documentName: '', assignedUsers: [] });
+    } catch (error) {
+      expect(error).toBeInstanceOf(ValidationError);
+      expect(error.message).toBe('Please correct the highlighted fields.');
+      expect(Object.keys(error.fields)).toEqual(['documentName', 'assignedUsers']);
+    }
+    expect.assertions(5);
+  });
+});
@@ -0,0 +1,24 @@
+import { describe, it, expect } from 'vitest';
+import { weekStart, weekKey, recentWeeks, delta, formatDelta } from '../src/lib/stats';
+
+describe('weekly stats helpers', () => {
+  it('starts weeks on Monday in UTC', () => {
+    expect(weekKey(weekStart(new Date('2026-10-19T08:00:00Z')))).toBe('2026-10-19');
+    expect(weekKey(weekStart(new Date('2026-10-25T23:59:59Z')))).toBe('2026-10-19');
+    expect(weekKey(weekStart(new Date('2026-10-26T00:00:00Z')))).toBe('2026-10-26');
+  });
+
+  it('lists recent weeks oldest first, ending with the current one', () => {
+    const weeks = recentWeeks(new Date('2026-10-21T12:00:00Z'), 3);
+    expect(weeks.map(week => week.key)).toEqual(['2026-10-05', '2026-10-12', '2026-10-19']);
+    expect(weeks.map(week => week.current)).toEqual([false, false, true]);
+    expect(weeks[2].end.toISOString()).toBe('2026-10-26T00:00:00.000Z');
+  });
+
+  it('computes and formats deltas only when both values are known', () => {
+    expect(delta(7, 4)).toBe(3);
+    expect(delta(7, null)).toBeNull();
+    expect(delta(undefined, 4)).toBeNull();
+    expect([3, -2, 0].map(formatDelta)).toEqual(['+3', '-2', '0']);
+  });
+});
@@ -0,0 +1,30 @@
+import { describe, it, expect, vi } from 'vitest';
+import { describeWrites, getSyncState, subscribeToSync, trackQueuedCommit } from '../src/lib/data/sync';
+
+const CLINIC_EDIT = [
+  { type: 'update', collection: 'clinics', id: 'c1', data: { clinicName: 'Main Clinic' } },
+  { type: 'set', collection: 'auditLogs', id: 'a1', data: { action: 'update', entity: 'clinic', entityLabel: 'Main Clinic' } },
+];
+
+describe('offline sync', () => {
+  it('describes a commit by its audit entry', () => {
+    expect(describeWrites(CLINIC_EDIT)).toBe('Editing clinic "Main Clinic"');
+    expect(describeWrites([{ type: 'delete', collection: 'clinics', id: 'c1' }])).toBe('A change');
+  });
+
+  it('counts queued commits and reports the ones the server rejects', async () => {
+    const listener = vi.fn();
+    const unsubscribe = subscribeToSync(listener);
+
+    let reject;
+    trackQueuedCommit(new Promise((resolve, fail) => { reject = fail; }), CLINIC_EDIT);
+    expect(getSyncState().queued).toBe(1);
+
+    const error = Object.assign(new Error('denied'), { code: 'permission-denied' });
+    reject(error);
+    await vi.waitFor(() => expect(getSyncState().queued).toBe(0));
+
+    expect(listener).toHaveBeenCalledWith({ type: 'conflict', description: 'Editing clinic "Main Clinic"', error });
+    unsubscribe();
+  });
+});
@@ -0,0 +1,34 @@
+import { describe, it, expect } from 'vitest';
+import { base32Decode, generateTotpCode, formatRecoveryCode } from '../src/lib/totp';
+
+// The RFC 6238 test secret: ASCII "12345678901234567890"
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+describe('totp', () => {
+  it('decodes base32, ignoring case, padding and dashes', () => {
+    expect(new TextDecoder().decode(base32Decode(RFC_SECRET))).toBe('12345678901234567890');
+    expect(base32Decode('gezd-gnbv')).toEqual(base32Decode('GEZDGNBV'));
+    expect(() => base32Decode('GEZ1')).toThrow();
+  });
+
+  it('matches the RFC 6238 SHA-1 test vectors', async () => {
+    const vectors = [
+      [59, '94287082'],
+      [1111111109, '07081804'],
+      [1234567890, '89005924'],
+      [20000000000, '65353130'],
+    ];
+
+    for (const [seconds, code] of vectors) {
+      await expect(generateTotpCode(RFC_SECRET, { digits: 8, timestamp: seconds * 1000 })).resolves.toBe(code);
+    }
+  });
+
+  it('defaults to six-digit codes', async () => {
+    await expect(generateTotpCode(RFC_SECRET, { timestamp: 59 * 1000 })).resolves.toBe('287082');
+  });
+
+  it('groups recovery codes in fours', () => {
+    expect(formatRecoveryCode('ABCDEFGHIJKL')).toBe('ABCD-EFGH-IJKL');
+  });
+});
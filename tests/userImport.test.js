@@ -0,0 +1,62 @@
+import { describe, it, expect } from 'vitest';
+import { parseCsv, toCsv } from '../src/lib/spreadsheet';
+import { checkImportRows, guessMapping, importReportRows, mappingErrors } from '../src/lib/userImport';
+import { rowsToCsv } from '../src/lib/export';
+
+describe('user import', () => {
+  it('reads quoted cells, line breaks and a byte order mark in CSV', () => {
+    const text = '\uFEFFName,Email\r\n"Rao, Priya",priya@example.test\n\n"Said ""Sam""","sam@\nexample.test"\n';
+
+    expect(parseCsv(text)).toEqual([
+      ['Name', 'Email'],
+      ['Rao, Priya', 'priya@example.test'],
+      ['Said "Sam"', 'sam@\nexample.test'],
+    ]);
+    expect(parseCsv(toCsv(parseCsv(text)))).toEqual(parseCsv(text));
+  });
+
+  it('matches columns by their headers and needs username and email', () => {
+    const mapping = guessMapping(['E-mail Address', 'Full Name', 'Notes', 'Status']);
+
+    expect(mapping).toEqual({ username: 1, email: 0, role: null, status: 3 });
+    expect(mappingErrors(mapping)).toEqual({});
+    expect(mappingErrors({ ...mapping, username: null })).toEqual({ username: 'Choose the column with the username.' });
+    expect(mappingErrors({ ...mapping, role: 0 })).toEqual({
+      email: 'Each column can only fill one field.',
+      role: 'Each column can only fill one field.',
+    });
+  });
+
+  it('checks each row and flags emails already taken or repeated in the file', () => {
+    const mapping = { username: 0, email: 1, role: null, status: 2 };
+    const rows = checkImportRows([
+      ['Priya', 'priya@example.test', 'Approved'],
+      ['', 'not-an-email', 'pending'],
+      ['Sam', 'Taken@Example.test', ''],
+      ['Priya again', ' PRIYA@example.test', 'pending'],
+    ], mapping, new Set(['taken@example.test']));
+
+    expect(rows[0]).toMatchObject({
+      line: 2,
+      values: { username: 'Priya', email: 'priya@example.test', role: 'user', status: 'approved' },
+      errors: {},
+    });
+    expect(rows[1].errors).toEqual({ username: 'Username is required.', email: 'Enter a valid email address.' });
+    expect(rows[2].errors).toEqual({ email: 'A user with this email already exists.', status: 'Select a status.' });
+    expect(rows[3].errors).toEqual({ email: 'This email is already on row 2.' });
+
+    expect(rowsToCsv(importReportRows([rows[3], { ...rows[0], errors: { save: 'Could not be saved.' } }])).split('\n')).toEqual([
+      '\uFEFFRow,Username,Email,Role,Status,Problems',
+      '5,Priya again, PRIYA@example.test,user,pending,Email: This email is already on row 2.',
+      '2,Priya,priya@example.test,user,Approved,Could not be saved.',
+    ]);
+  });
+
+  it('keeps formulas in the rejected-rows report as text', () => {
+    const report = rowsToCsv(importReportRows([
+      { line: 2, data: { username: '=HYPERLINK("http://example.test")', email: '@x' }, errors: { email: 'Enter a valid email address.' } },
+    ]));
+
+    expect(parseCsv(report)[1].slice(0, 3)).toEqual(['2', '\'=HYPERLINK("http://example.test")', '\'@x']);
+  });
+});